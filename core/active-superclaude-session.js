@@ -6,29 +6,95 @@
  * Architecture: Sequential processing + Event sourcing + Circuit breaker pattern
  */
 
+const EventEmitter = require('events');
 const PersonaIntelligenceEngine = require('./persona-intelligence-engine.js');
 const ComprehensiveRealityValidator = require('./comprehensive-reality-validator.js');
 const UltraEfficientEngine = require('./ultra-efficient-engine.js');
 const RealMCPIntegration = require('./real-mcp-integration.js');
 const SuperClaudeCommands = require('./superclaude-commands.js');
 const SuperClaudeWorkflow = require('./superclaude-workflow.js');
-const fs = require('fs');
-const path = require('path');
+const SessionJournal = require('./session-journal.js');
+const PersonaSwitchPolicy = require('./persona-switch-policy.js');
+const MCPConnectionPool = require('./mcp-connection-pool.js');
+const RequestPipeline = require('./request-pipeline.js');
+const TokenAccountant = require('./token-accounting.js');
+const DecisionCache = require('./decision-cache.js');
+const Budget = require('./session-budget.js');
+const SessionAutoDoc = require('./session-autodoc.js');
+const SESSION_EVENTS = require('./session-events.js');
+const { getConfig } = require('../src/superclaude-config.js');
+const { Redactor } = require('../src/redaction.js');
+const { createLogger, configureFromConfig } = require('../src/logger.js');
 
-class ActiveSuperClaudeSession {
+const log = createLogger('session');
+
+// Recent events kept in memory; the journal keeps all of them
+const SESSION_HISTORY_LIMIT = 100;
+
+// Emits the typed events declared in session-events.js (see emitEvent)
+class ActiveSuperClaudeSession extends EventEmitter {
     constructor(options = {}) {
-        this.engine = new PersonaIntelligenceEngine(options);
+        super();
+        this.config = options.config || getConfig({ projectRoot: options.projectRoot });
+        // Log with this project's logging.* settings rather than those of the process's cwd
+        configureFromConfig(this.config);
+        // One redactor for every persistence and MCP boundary, so its report covers them all
+        this.redactor = options.redactor || Redactor.fromConfig(this.config);
+        this.engine = new PersonaIntelligenceEngine({ ...options, config: this.config, redactor: this.redactor });
+        // Tokens estimated from actual payloads, attributed to the persona active when they are spent
+        this.tokens = TokenAccountant.fromConfig(this.config, {
+            attribution: () => ({ persona: this.currentPersona })
+        });
         this.validator = new ComprehensiveRealityValidator();
-        this.ultraEngine = new UltraEfficientEngine(options.projectRoot || process.cwd());
-        this.realMCP = new RealMCPIntegration();
+        this.ultraEngine = new UltraEfficientEngine(options.projectRoot || this.config.projectRoot, null, {
+            tokenAccountant: this.tokens
+        });
+        this.realMCP = new RealMCPIntegration({
+            config: this.config,
+            performanceMonitor: this.engine.performanceMonitor,
+            redactor: this.redactor,
+            tokenAccountant: this.tokens,
+            events: this,
+            // Sessions sharing a pool call its running servers rather than starting their own
+            pool: options.mcpPool
+        });
+        // Servers stay warm across persona switches; each persona attaches the ones it prefers
+        this.mcpPool = options.mcpPool || new MCPConnectionPool({
+            mcp: this.realMCP,
+            idleTimeoutMs: this.config.get('mcp.idleTimeoutMs')
+        });
+        this.ownsMcpPool = !options.mcpPool;
+        // Results of processed requests, keyed by the full request, persona and project state
+        this.decisionCache = options.decisionCache || DecisionCache.fromConfig(this.config);
+        // Caps on tokens, time and MCP calls; each workflow run gets its own as well
+        this.budget = this.createBudget('session', 'session');
+        this.budgetDegraded = false; // Past a soft limit: only each persona's primary MCP is used
         this.commands = null; // Will initialize after session setup
         this.workflow = null; // Will initialize after commands
         
+        // One stable ID per session, naming its append-only event journal
+        this.journal = new SessionJournal({
+            sessionsDir: options.sessionsDir || this.config.get('sessionsDir'),
+            sessionId: options.sessionId,
+            redactor: this.redactor
+        });
+        this.sessionId = this.journal.sessionId;
+        this.startedAt = Date.now();
+        
         // Session state management
         this.currentPersona = null;
+        this.lastSelection = null; // Auto-selection awaiting accept/reject feedback
+        this.activeBlend = null; // Set while close-scoring personas work together
+        this.switchPolicy = PersonaSwitchPolicy.fromConfig(this.config);
         this.sessionHistory = [];
         this.mcpConnections = new Map();
         this.autoDocumentationEnabled = true;
+        // Auto-documentation follows request/command/workflow events rather than being called inline;
+        // listing 'auto-documentation' in pipeline.disabled leaves it unattached, as it did when it was a middleware
+        this.autoDoc = new SessionAutoDoc(this, { logPath: options.autoDocLog });
+        if (!this.config.get('pipeline.disabled').includes('auto-documentation')) {
+            this.autoDoc.attach();
+        }
         
         // Evidence-based validation
         this.evidenceStore = [];
@@ -40,12 +106,17 @@ class ActiveSuperClaudeSession {
         this.antiHallucination = true;
         this.realMCPEnabled = true;
         
-        console.log('🏗️  ActiveSuperClaudeSession v2.0 initialized with real MCP integration');
+        // processRequest steps as ordered middlewares; built-ins can be disabled via pipeline.disabled
+        this.pipeline = new RequestPipeline({ disabled: this.config.get('pipeline.disabled') });
+        this.registerBuiltinMiddlewares();
+        this.requestQueue = Promise.resolve(); // Requests run one at a time (see processRequest)
+        
+        log.info('🏗️  ActiveSuperClaudeSession v2.0 initialized with real MCP integration');
     }
 
     // Initialize session with persona selection
     async initializeSession(initialContext = '') {
-        console.log('🎯 Initializing Active SuperClaude Session...');
+        log.info('🎯 Initializing Active SuperClaude Session...');
         
         try {
             // Analyze initial context for persona selection
@@ -53,7 +124,7 @@ class ActiveSuperClaudeSession {
             const personaSelection = await this.engine.selectOptimalPersona(analysis);
             
             // Skip validation for persona selection (was too strict)
-            console.log(`✅ Selected ${personaSelection.persona} persona (validation bypassed)`);
+            log.info(`✅ Selected ${personaSelection.persona} persona (validation bypassed)`);
             
             this.currentPersona = personaSelection.persona;
             
@@ -62,11 +133,11 @@ class ActiveSuperClaudeSession {
             
             // Initialize SuperClaude Commands system
             this.commands = new SuperClaudeCommands(this);
-            console.log('🎯 SuperClaude Commands system integrated');
+            log.info('🎯 SuperClaude Commands system integrated');
             
             // Initialize SuperClaude Workflow system
             this.workflow = new SuperClaudeWorkflow(this);
-            console.log('🔄 SuperClaude Workflow system integrated');
+            log.info('🔄 SuperClaude Workflow system integrated');
             
             // Record session initialization
             this.recordSessionEvent('session_initialized', {
@@ -78,7 +149,7 @@ class ActiveSuperClaudeSession {
                 workflowEnabled: this.workflow !== null
             });
             
-            console.log(`✅ Session initialized as ${this.currentPersona.toUpperCase()} persona with 19 commands`);
+            log.info(`✅ Session initialized as ${this.currentPersona.toUpperCase()} persona with 19 commands`);
             
             return {
                 persona: this.currentPersona,
@@ -89,11 +160,11 @@ class ActiveSuperClaudeSession {
                 availableCommands: this.commands ? this.commands.getCommands().map(c => c.name) : [],
                 workflowsAvailable: this.workflow ? this.workflow.getWorkflows().length : 0,
                 availableWorkflows: this.workflow ? this.workflow.getWorkflows().map(w => w.name) : [],
-                sessionId: this.generateSessionId()
+                sessionId: this.sessionId
             };
             
         } catch (error) {
-            console.log('❌ Session initialization failed:', error.message);
+            log.error('❌ Session initialization failed:', error.message);
             // Fallback to architect persona for system design tasks
             this.currentPersona = 'architect';
             return { persona: 'architect', error: error.message };
@@ -101,103 +172,207 @@ class ActiveSuperClaudeSession {
     }
 
     // Process request with active persona switching and V2.0 optimizations
-    async processRequest(request, context = {}) {
-        console.log(`\n🔄 Processing request as ${this.currentPersona.toUpperCase()} (V2.0 Ultra-Efficient)`);
+    // Concurrent calls are queued: each request reads and may switch the session's persona
+    processRequest(request, context = {}) {
+        const run = this.requestQueue.then(() => this.runRequest(request, context));
+        this.requestQueue = run.catch(() => {});
+        return run;
+    }
+
+    // One request through the middlewares in this.pipeline (see registerBuiltinMiddlewares)
+    async runRequest(request, context = {}) {
+        log.info(`\n🔄 Processing request as ${this.currentPersona.toUpperCase()} (V2.0 Ultra-Efficient)`);
         
-        const startTime = Date.now();
+        // --fresh and --no-cache steer the decision cache and are not part of the request itself
+        const { request: stripped, noCache, fresh } = DecisionCache.parseDirectives(request);
+        const ctx = {
+            session: this,
+            request: stripped,
+            context,
+            cacheDirectives: { noCache, fresh },
+            startTime: Date.now(),
+            userOverride: null,
+            selection: null,
+            result: null
+        };
         
-        // Check for user persona override flags
-        const userOverride = this.checkForPersonaOverride(request);
-        if (userOverride) {
-            console.log(`👤 User requested persona override: ${userOverride.persona}`);
-            await this.switchPersona(userOverride.persona, `User override: ${userOverride.reason}`);
-            // Remove override flags from request
-            request = request.replace(userOverride.flag, '').trim();
-        }
+        // Listeners (and the journal behind them) only ever see redacted request text
+        this.emitEvent('request:started', this.redactor.redact({ request, persona: this.currentPersona }, 'events'));
         
         try {
-            // V2.0 Feature: Check cache first for microsecond decisions
-            // But skip cache if we want to test MCP usage or use MCPs for complex requests
-            const forceMCPUsage = request.includes('mcp') || request.includes('test') || request.includes('analyze') || 
-                                  request.includes('security') || request.includes('optimize') || request.includes('component') ||
-                                  request.includes('build') || request.includes('React') || request.includes('automation');
-            
-            if (this.microsecondDecisions && !forceMCPUsage) {
-                const contextHash = this.ultraEngine.cache.generateContextHash(request);
-                const cached = await this.ultraEngine.cache.getCachedDecision(contextHash);
-                
-                if (cached) {
-                    console.log('⚡ Microsecond cache hit - 0 tokens used');
-                    return {
-                        persona: this.currentPersona,
-                        cached: true,
-                        result: cached,
-                        processingTime: Date.now() - startTime,
-                        tokensUsed: 0
-                    };
-                }
-            }
-            
-            // Analyze if persona switch is needed
-            const analysis = await this.engine.analyzeContext(request, context);
-            const optimalPersona = await this.engine.selectOptimalPersona(analysis);
-            
-            // Check if persona switch is warranted (improved logic)
-            if (optimalPersona.persona !== this.currentPersona && 
-                optimalPersona.confidence > 0.6) {
-                
-                console.log(`🔄 Context-based switching: ${this.currentPersona} → ${optimalPersona.persona}`);
-                await this.switchPersona(optimalPersona.persona, request);
-            }
-            
-            // Process with current persona using V2.0 optimizations
-            const result = await this.executeWithPersonaV2(request, context);
+            await this.pipeline.run(ctx, () => this.executeWithPersonaV2(ctx.request, ctx.context, this.selectionConfidence(ctx)));
+            if (ctx.shortCircuited) return ctx.response;
             
-            // V2.0 Feature: Cache decision for future microsecond retrieval
-            if (this.microsecondDecisions && result.confidence > 0.8) {
-                const contextHash = this.ultraEngine.cache.generateContextHash(request);
-                await this.ultraEngine.cache.cacheDecision(
-                    contextHash, 
-                    result.decision || 'processed', 
-                    result.reasoning || 'persona_execution',
-                    result.confidence || 0.8
-                );
-            }
+            const processingTime = Date.now() - ctx.startTime;
+            log.info(`⚡ V2.0 processing completed in ${processingTime}ms`);
             
-            // Update auto-documentation if enabled
-            if (this.autoDocumentationEnabled) {
-                await this.updateDocumentation(request, result);
-            }
-            
-            const processingTime = Date.now() - startTime;
-            console.log(`⚡ V2.0 processing completed in ${processingTime}ms`);
+            this.emitEvent('request:finished', this.redactor.redact({
+                request: ctx.request,
+                persona: this.currentPersona,
+                result: ctx.result,
+                processingTime,
+                tokensUsed: ctx.result.tokensUsed || 0
+            }, 'events'));
             
             return {
-                ...result,
+                ...ctx.result,
                 processingTime,
                 v2Optimized: true,
-                tokensUsed: result.tokensUsed || 0
+                tokensUsed: ctx.result.tokensUsed || 0
             };
             
         } catch (error) {
-            console.log('❌ Request processing failed:', error.message);
+            log.error('❌ Request processing failed:', error.message);
             return { error: error.message, persona: this.currentPersona };
         }
     }
 
-    // Initialize MCP connections based on persona preferences
-    async initializeMCPConnections(persona) {
+    // Register a request middleware (see RequestPipeline.use)
+    use(name, handler, options = {}) {
+        this.pipeline.use(name, handler, options);
+        return this;
+    }
+
+    // The former fixed processRequest steps, each one a middleware that can be disabled by name
+    registerBuiltinMiddlewares() {
+        const builtins = [
+            ['budget', ctx => this.enforceBudget(ctx), { phase: 'pre', order: 50 }],
+            ['persona-override', ctx => this.applyPersonaOverride(ctx), { phase: 'pre', order: 100 }],
+            ['decision-cache', ctx => this.lookupCachedDecision(ctx), { phase: 'pre', order: 200 }],
+            ['persona-selection', ctx => this.selectPersonaForRequest(ctx), { phase: 'pre', order: 300 }],
+            ['decision-cache-store', ctx => this.storeCachedDecision(ctx), { phase: 'post', order: 100 }]
+        ];
+        
+        for (const [name, handler, options] of builtins) {
+            this.pipeline.use(name, handler, { ...options, builtin: true });
+        }
+    }
+
+    // Refuse the request once a hard budget limit is reached
+    enforceBudget(ctx) {
+        const exceeded = this.checkBudgets();
+        if (exceeded) ctx.respond(this.budgetExceededResult(exceeded));
+    }
+
+    // Check for user persona override flags and remove them from the request
+    async applyPersonaOverride(ctx) {
+        const userOverride = this.checkForPersonaOverride(ctx.request);
+        if (!userOverride) return;
+        
+        log.info(`👤 User requested persona override: ${userOverride.persona}`);
+        await this.switchPersona(userOverride.persona, `User override: ${userOverride.reason}`, { source: 'user' });
+        ctx.request = ctx.request.replace(userOverride.flag, '').trim();
+        ctx.userOverride = userOverride;
+    }
+
+    // V2.0 Feature: Check cache first for microsecond decisions (unless --fresh or --no-cache)
+    async lookupCachedDecision(ctx) {
+        if (!this.microsecondDecisions) return;
+        
+        const { noCache, fresh } = ctx.cacheDirectives;
+        if (noCache || fresh) {
+            this.decisionCache.recordBypass();
+            log.info(`🔄 Decision cache bypassed (${noCache ? '--no-cache' : '--fresh'})`);
+            return;
+        }
+        
+        const cached = this.decisionCache.get(this.decisionCacheKey(ctx));
+        if (cached) {
+            const age = Date.now() - cached.createdAt;
+            log.info('⚡ Microsecond cache hit - 0 tokens used');
+            this.emitEvent('cache:hit', this.redactor.redact({
+                cache: 'decision',
+                request: ctx.request,
+                persona: this.currentPersona,
+                scope: this.decisionCache.scope,
+                age
+            }, 'events'));
+            ctx.respond({
+                persona: this.currentPersona,
+                cached: true,
+                result: cached.value,
+                cacheAge: age,
+                processingTime: Date.now() - ctx.startTime,
+                tokensUsed: 0
+            });
+        }
+    }
+
+    // Decision cache key: the full request, the current persona and the project's fingerprint
+    decisionCacheKey(ctx) {
+        const fingerprint = this.engine.getProjectFingerprint(ctx.context);
+        return this.decisionCache.key(ctx.request, {
+            persona: this.currentPersona,
+            project: {
+                root: fingerprint ? fingerprint.root : this.config.projectRoot,
+                signature: fingerprint ? fingerprint.signature : null
+            }
+        });
+    }
+
+    // Analyze if persona switch is needed, then switch, blend or stay
+    async selectPersonaForRequest(ctx) {
+        const { request, userOverride } = ctx;
+        const analysis = await this.engine.analyzeContext(request, ctx.context);
+        const optimalPersona = await this.engine.selectOptimalPersona(analysis);
+        
+        ctx.selection = optimalPersona;
+        this.lastSelection = optimalPersona;
+        
+        if (userOverride) {
+            // The user overruled auto-selection: negative feedback for the persona it would have picked
+            if (optimalPersona.persona !== userOverride.persona) {
+                this.engine.recordFeedback(optimalPersona.selectionId, 'override', { persona: userOverride.persona });
+            }
+            this.lastSelection = null;
+        } else if (optimalPersona.blend && optimalPersona.confidence >= this.switchPolicy.settings.minConfidence) {
+            // Close scores: work as a blend of the top personas
+            await this.applyPersonaBlend(optimalPersona.blend, request, optimalPersona);
+        } else if (optimalPersona.persona !== this.currentPersona) {
+            // The switch policy decides whether the new scores justify leaving the current persona
+            await this.switchPersona(optimalPersona.persona, request, {
+                source: 'auto',
+                confidence: optimalPersona.confidence,
+                scores: optimalPersona.scores
+            });
+        } else if (this.activeBlend) {
+            // Scores separated again: drop back to the single current persona
+            this.activeBlend = null;
+            await this.initializeMCPConnections(this.currentPersona);
+        }
+        this.switchPolicy.recordRequest();
+    }
+
+    // How sure the persona choice behind a result is: 1 for a user override, the scoring confidence otherwise
+    // null when persona selection did not run, which keeps the result out of the decision cache
+    selectionConfidence(ctx) {
+        if (ctx.userOverride) return 1;
+        return ctx.selection ? ctx.selection.confidence : null;
+    }
+
+    // V2.0 Feature: Cache decision for future microsecond retrieval (--fresh refreshes it, --no-cache skips it)
+    async storeCachedDecision(ctx) {
+        const result = ctx.result;
+        if (!this.microsecondDecisions || ctx.cacheDirectives.noCache || !result || !(result.confidence > 0.8)) return;
+        
+        this.decisionCache.set(this.decisionCacheKey(ctx), this.redactor.redact(result, 'cache'), {
+            persona: this.currentPersona
+        });
+    }
+
+    // Initialize MCP connections based on persona preferences (or a blend's unioned preferences)
+    async initializeMCPConnections(persona, options = {}) {
         const personaConfig = this.engine.personas[persona];
-        const mcpPreferences = personaConfig?.MCP_Preferences || '';
+        const mcpPreferences = this.engine.resolveMcpPreferences(options.mcpPreferences || personaConfig?.MCP_Preferences || '');
         
-        console.log(`🔧 Initializing MCP connections for ${persona}: ${mcpPreferences}`);
+        log.info(`🔧 Initializing MCP connections for ${persona}: ${mcpPreferences}`);
         
-        // Clear previous connections
+        // Rebuild the persona's view of the pool; servers it no longer wants stay warm
         this.mcpConnections.clear();
         
-        // Connect to persona-specific MCPs using real MCP integration
+        // Attach persona-specific MCPs from the connection pool
         try {
-            const connectedMCPs = await this.realMCP.connectPersonaMCPs(mcpPreferences);
+            const connectedMCPs = await this.mcpPool.attach(this.sessionId, this.realMCP.parseMCPPreferences(mcpPreferences));
             
             // Map connected MCPs to connection status
             for (const mcpName of connectedMCPs) {
@@ -214,10 +389,10 @@ class ActiveSuperClaudeSession {
                 });
             }
             
-            console.log(`✅ Connected to ${connectedMCPs.length} MCP servers: ${connectedMCPs.join(', ')}`);
+            log.info(`✅ Connected to ${connectedMCPs.length} MCP servers: ${connectedMCPs.join(', ')}`);
             
         } catch (error) {
-            console.log(`⚠️  MCP connection error: ${error.message}`);
+            log.warn(`⚠️  MCP connection error: ${error.message}`);
             // Fallback to basic tracking
             if (mcpPreferences.includes('Sequential')) {
                 this.mcpConnections.set('sequential', { type: 'primary', status: 'fallback', lastUsed: null });
@@ -227,65 +402,178 @@ class ActiveSuperClaudeSession {
             }
         }
         
+        this.recordSessionEvent('mcp_connections_initialized', {
+            persona,
+            mcpPreferences,
+            blended: this.activeBlend !== null,
+            connections: Array.from(this.mcpConnections.keys())
+        });
+        
         // Log disabled MCPs
         const disabledMCPs = [];
         if (mcpPreferences.includes('Avoid Magic')) disabledMCPs.push('Magic');
         if (mcpPreferences.includes('Avoid Puppeteer')) disabledMCPs.push('Puppeteer');
         if (disabledMCPs.length > 0) {
-            console.log(`🚫 Disabled MCPs per persona preferences: ${disabledMCPs.join(', ')}`);
+            log.info(`🚫 Disabled MCPs per persona preferences: ${disabledMCPs.join(', ')}`);
         }
     }
 
-    // Switch to different persona with validation
-    async switchPersona(newPersona, context) {
+    // Switch to different persona if the switch policy allows it
+    // options.source: 'auto' (context scoring, needs confidence and scores), 'command' (default) or 'user'
+    async switchPersona(newPersona, context, options = {}) {
         const oldPersona = this.currentPersona;
+        const source = options.source || 'command';
+        
+        if (!this.engine.personaRegistry.has(newPersona)) {
+            log.warn(`⚠️  Unknown persona: ${newPersona}, staying as ${oldPersona}`);
+            return false;
+        }
+        
+        const decision = this.switchPolicy.evaluate({
+            from: oldPersona,
+            to: newPersona,
+            source,
+            confidence: options.confidence,
+            scores: options.scores
+        });
+        if (!decision.allowed) {
+            if (oldPersona !== newPersona) this.recordRejectedSwitch(oldPersona, newPersona, source, decision.reason, context);
+            return false;
+        }
         
         try {
-            // Skip validation for persona switches (validation logic is flawed for this use case)
-            // TODO: Implement proper persona switch validation logic
-            console.log(`🔄 Persona switch: ${oldPersona} → ${newPersona} (validation bypassed)`);
+            log.info(`🔄 Persona switch: ${oldPersona} → ${newPersona} (${decision.reason})`);
             
-            if (true) { // Always allow switches for now
-                this.currentPersona = newPersona;
-                
-                // Reinitialize MCP connections for new persona
-                this.mcpConnections.clear();
-                await this.initializeMCPConnections(newPersona);
-                
-                // Record persona switch
-                this.recordSessionEvent('persona_switched', {
-                    from: oldPersona,
-                    to: newPersona,
-                    context,
-                    validation: 'bypassed'
-                });
-                
-                console.log(`✅ Persona switched: ${oldPersona} → ${newPersona}`);
-            } else {
-                console.log(`⚠️  Persona switch validation failed, staying as ${oldPersona}`);
-            }
+            this.currentPersona = newPersona;
+            this.activeBlend = null;
+            this.switchPolicy.recordSwitch(oldPersona, newPersona, source);
+            
+            // Attach the new persona's MCP servers (already running ones are reused)
+            await this.initializeMCPConnections(newPersona);
+            
+            // Record persona switch
+            this.recordSessionEvent('persona_switched', {
+                from: oldPersona,
+                to: newPersona,
+                context,
+                source,
+                policy: decision.reason
+            });
+            this.emitEvent('persona:switched', { from: oldPersona, to: newPersona, source, context, policy: decision.reason });
+            
+            log.info(`✅ Persona switched: ${oldPersona} → ${newPersona}`);
+            return true;
             
         } catch (error) {
-            console.log('❌ Persona switch failed:', error.message);
+            log.error('❌ Persona switch failed:', error.message);
+            return false;
+        }
+    }
+
+    // Journal a switch the policy turned down, with its reason
+    recordRejectedSwitch(from, to, source, reason, context) {
+        log.info(`⏸️  Staying as ${from}: switch to ${to} rejected (${reason})`);
+        this.recordSessionEvent('persona_switch_rejected', {
+            from,
+            to,
+            source,
+            reason,
+            context: typeof context === 'string' ? context.substring(0, 100) : context
+        });
+    }
+
+    // Keep the session on one persona until unpinned; only explicit user overrides move it
+    async pinPersona(persona) {
+        if (!this.engine.personaRegistry.has(persona)) {
+            log.warn(`⚠️  Unknown persona: ${persona}, not pinned`);
+            return false;
+        }
+        
+        this.switchPolicy.pin(persona);
+        if (this.currentPersona !== persona) {
+            await this.switchPersona(persona, `Pinned persona: ${persona}`, { source: 'user' });
+        }
+        this.recordSessionEvent('persona_pinned', { persona });
+        log.info(`📌 Persona pinned: ${persona}`);
+        return true;
+    }
+
+    unpinPersona() {
+        const persona = this.switchPolicy.pinnedPersona;
+        this.switchPolicy.unpin();
+        this.recordSessionEvent('persona_unpinned', { persona });
+        log.info('📌 Persona unpinned');
+    }
+
+    // Work as a blend of close-scoring personas led by the top one
+    async applyPersonaBlend(blend, context, selection = {}) {
+        const members = blend.personas.map(({ persona }) => persona);
+        const primary = members[0];
+        const previous = this.activeBlend ? this.activeBlend.personas.map(({ persona }) => persona).join('+') : null;
+        
+        if (previous === members.join('+') && this.currentPersona === primary) {
+            this.activeBlend = blend;
+            return;
+        }
+        
+        // A blend led by another persona is a switch, and goes through the policy like one
+        if (primary !== this.currentPersona) {
+            const decision = this.switchPolicy.evaluate({
+                from: this.currentPersona,
+                to: primary,
+                source: 'auto',
+                confidence: selection.confidence,
+                scores: selection.scores
+            });
+            if (!decision.allowed) {
+                this.recordRejectedSwitch(this.currentPersona, primary, 'auto', `blend: ${decision.reason}`, context);
+                return;
+            }
+            this.switchPolicy.recordSwitch(this.currentPersona, primary, 'auto');
+        }
+        
+        this.activeBlend = blend;
+        const oldPersona = this.currentPersona;
+        this.currentPersona = primary;
+        
+        log.info(`🔀 Blending personas: ${blend.personas.map(({ persona, weight }) => `${persona}(${Math.round(weight * 100)}%)`).join(' + ')}`);
+        await this.initializeMCPConnections(primary, { mcpPreferences: blend.profile.MCP_Preferences });
+        
+        this.recordSessionEvent('persona_blended', {
+            from: oldPersona,
+            personas: blend.personas,
+            profile: blend.profile,
+            context
+        });
+        if (oldPersona !== primary) {
+            this.emitEvent('persona:switched', { from: oldPersona, to: primary, source: 'auto', context, blend: members });
+        }
+    }
+
+    // Persona configuration in effect: the blended profile while blending, else the current persona's
+    getActivePersonaConfig() {
+        if (this.activeBlend && this.activeBlend.personas[0].persona === this.currentPersona) {
+            return this.activeBlend.profile;
         }
+        return this.engine.personas[this.currentPersona];
     }
 
     // Execute request with current persona configuration
     async executeWithPersona(request, context) {
         const persona = this.currentPersona;
-        const personaConfig = this.engine.personas[persona];
+        const personaConfig = this.getActivePersonaConfig();
         
-        console.log(`🎯 Executing as ${persona}: ${personaConfig.Identity}`);
+        log.info(`🎯 Executing as ${persona}: ${personaConfig.Identity}`);
         
         // Apply persona-specific decision framework
         const decisionFramework = personaConfig.Decision_Framework;
-        console.log(`🧠 Decision framework: ${decisionFramework}`);
+        log.info(`🧠 Decision framework: ${decisionFramework}`);
         
         // Use ALL available MCP connections based on persona preferences
         let mcpResults = {};
         for (const [mcpName, connection] of this.mcpConnections.entries()) {
             if (connection.status === 'connected') {
-                console.log(`📚 Using ${mcpName} MCP (${connection.type})...`);
+                log.info(`📚 Using ${mcpName} MCP (${connection.type})...`);
                 try {
                     // Use appropriate MCP method based on server type
                     switch (mcpName) {
@@ -305,9 +593,9 @@ class ActiveSuperClaudeSession {
                             mcpResults[mcpName] = await this.realMCP.getTools(mcpName);
                     }
                     connection.lastUsed = Date.now();
-                    console.log(`✅ ${mcpName} MCP completed successfully`);
+                    log.info(`✅ ${mcpName} MCP completed successfully`);
                 } catch (mcpError) {
-                    console.log(`⚠️  ${mcpName} MCP error: ${mcpError.message}`);
+                    log.warn(`⚠️  ${mcpName} MCP error: ${mcpError.message}`);
                     mcpResults[mcpName] = { error: mcpError.message };
                 }
             }
@@ -335,11 +623,11 @@ class ActiveSuperClaudeSession {
     }
 
     // V2.0 Enhanced execution with ultra-efficient optimizations
-    async executeWithPersonaV2(request, context) {
+    async executeWithPersonaV2(request, context, confidence = null) {
         const persona = this.currentPersona;
-        const personaConfig = this.engine.personas[persona];
+        const personaConfig = this.getActivePersonaConfig();
         
-        console.log(`🎯 V2.0 Executing as ${persona}: ${personaConfig.Identity}`);
+        log.info(`🎯 V2.0 Executing as ${persona}: ${personaConfig.Identity}`);
         
         const startTime = Date.now();
         
@@ -349,7 +637,7 @@ class ActiveSuperClaudeSession {
                 // Use basic evidence validation for now
                 const hasEvidence = request && request.length > 5;
                 if (!hasEvidence) {
-                    console.log('🚫 Anti-hallucination: Request blocked due to insufficient content');
+                    log.warn('🚫 Anti-hallucination: Request blocked due to insufficient content');
                     return {
                         persona,
                         blocked: true,
@@ -358,19 +646,21 @@ class ActiveSuperClaudeSession {
                         tokensUsed: 0
                     };
                 }
-                console.log('✅ Anti-hallucination: Evidence check passed');
+                log.info('✅ Anti-hallucination: Evidence check passed');
             } catch (error) {
-                console.log('⚠️  Evidence validation error:', error.message);
+                log.warn('⚠️  Evidence validation error:', error.message);
             }
         }
         
         // Apply persona-specific decision framework
         const decisionFramework = personaConfig.Decision_Framework;
-        console.log(`🧠 V2.0 Decision framework: ${decisionFramework}`);
+        log.info(`🧠 V2.0 Decision framework: ${decisionFramework}`);
         
-        // V2.0 Feature: Token-optimized processing
+        // V2.0 Feature: Token-optimized processing; MCP payloads are counted as they are exchanged
         let mcpResults = {};
-        let tokensUsed = 0;
+        let budgetExceeded = null;
+        const tokensBefore = this.tokens.total;
+        this.tokens.recordPayload('request', request);
         
         if (this.tokenOptimization) {
             // V2.0 Pattern matching for very simple requests only (preserve MCP usage)
@@ -385,18 +675,27 @@ class ActiveSuperClaudeSession {
                 );
                 
                 if (matchedPattern) {
-                    console.log('⚡ V2.0 Simple pattern matched - 0 tokens used');
+                    log.info('⚡ V2.0 Simple pattern matched - no MCP calls');
                     mcpResults = { pattern: simplePatterns[matchedPattern] };
-                    tokensUsed = 0;
+                    this.tokens.recordPayload('response', mcpResults.pattern);
                 } else {
                     // Use ALL REAL MCP connections with token tracking
                     if (this.realMCPEnabled && this.mcpConnections.size > 0) {
-                        console.log(`📚 V2.0 Using ${this.mcpConnections.size} REAL MCP servers...`);
+                        log.info(`📚 V2.0 Using ${this.mcpConnections.size} REAL MCP servers...`);
+                        const primaryMcp = this.realMCP.primaryMCP(personaConfig.MCP_Preferences || '');
                         
                         for (const [mcpName, connection] of this.mcpConnections.entries()) {
                             if (connection.status === 'connected') {
+                                // A hard budget limit stops the request; past a soft limit only the primary MCP runs
+                                budgetExceeded = this.checkBudgets();
+                                if (budgetExceeded) break;
+                                if (this.budgetDegraded && mcpName !== primaryMcp) {
+                                    mcpResults[mcpName] = 'Skipped: budget soft limit';
+                                    continue;
+                                }
+                                
                                 try {
-                                    console.log(`🔧 Using ${mcpName} MCP (${connection.type})...`);
+                                    log.info(`🔧 Using ${mcpName} MCP (${connection.type})...`);
                                     
                                     switch (mcpName) {
                                         case 'context7':
@@ -404,58 +703,53 @@ class ActiveSuperClaudeSession {
                                             if (tools.response?.tools?.length > 0) {
                                                 const toolName = tools.response.tools[0].name;
                                                 mcpResults[mcpName] = `Real research via ${toolName}`;
-                                                tokensUsed += 50;
                                             } else {
                                                 mcpResults[mcpName] = 'Connected but no tools available';
-                                                tokensUsed += 10;
                                             }
                                             break;
                                             
                                         case 'sequential':
                                             const thinking = await this.realMCP.thinkWithSequential(request.substring(0, 100));
                                             mcpResults[mcpName] = `Sequential analysis: ${thinking.response ? 'completed' : 'attempted'}`;
-                                            tokensUsed += 75; // Sequential thinking uses more tokens
                                             break;
                                             
                                         case 'magic':
                                             const magicTools = await this.realMCP.getTools('magic');
                                             mcpResults[mcpName] = `Magic automation tools: ${magicTools.response?.tools?.length || 0} available`;
-                                            tokensUsed += 30;
                                             break;
                                             
                                         case 'puppeteer':
                                             const puppeteerTools = await this.realMCP.getTools('puppeteer');
                                             mcpResults[mcpName] = `Web automation: ${puppeteerTools.response?.tools?.length || 0} tools`;
-                                            tokensUsed += 40;
                                             break;
                                             
                                         default:
                                             const defaultTools = await this.realMCP.getTools(mcpName);
                                             mcpResults[mcpName] = `${mcpName} tools: ${defaultTools.response?.tools?.length || 0}`;
-                                            tokensUsed += 25;
                                     }
                                     
                                     connection.lastUsed = Date.now();
-                                    console.log(`✅ ${mcpName} MCP completed`);
+                                    log.info(`✅ ${mcpName} MCP completed`);
                                     
                                 } catch (mcpError) {
-                                    console.log(`⚠️  ${mcpName} MCP error: ${mcpError.message}`);
+                                    log.warn(`⚠️  ${mcpName} MCP error: ${mcpError.message}`);
                                     mcpResults[mcpName] = `Error: ${mcpError.message}`;
-                                    tokensUsed += 5;
                                 }
                             }
                         }
                     } else {
                         // Fallback to simulated
                         mcpResults.fallback = 'V2.0 No real MCP connections available (simulated)';
-                        tokensUsed += 50;
                     }
                 }
             } catch (error) {
-                console.log('⚠️  Pattern matching error:', error.message);
-                tokensUsed = 100; // Fallback token estimate
+                log.warn('⚠️  Pattern matching error:', error.message);
             }
         }
+        const tokensUsed = this.tokens.total - tokensBefore;
+        if (budgetExceeded) {
+            return { ...this.budgetExceededResult(budgetExceeded), mcpResults, tokensUsed, request };
+        }
         
         // Record V2.0 execution
         this.recordSessionEvent('v2_request_executed', {
@@ -484,7 +778,7 @@ class ActiveSuperClaudeSession {
             executionTime,
             tokensUsed,
             request: request,
-            confidence: 0.9,
+            confidence,
             v2Features: {
                 tokenOptimization: this.tokenOptimization,
                 microsecondDecisions: this.microsecondDecisions,
@@ -495,84 +789,264 @@ class ActiveSuperClaudeSession {
 
     // Update documentation based on conversation
     async updateDocumentation(request, result) {
-        if (!this.autoDocumentationEnabled) return;
+        return this.autoDoc.document(request, result);
+    }
+
+    // Emit a typed event (see session-events.js); a failing listener is logged, never fatal
+    emitEvent(type, payload = {}) {
+        if (!SESSION_EVENTS[type]) {
+            throw new Error(`Unknown session event: ${type}`);
+        }
         
-        console.log('📝 Updating auto-documentation...');
+        const event = { type, sessionId: this.sessionId, timestamp: new Date().toISOString(), ...payload };
+        try {
+            this.emit(type, event);
+        } catch (error) {
+            log.warn(`⚠️  ${type} listener failed: ${error.message}`);
+        }
+        return event;
+    }
+
+    // Record session events for audit trail (journaled, recent ones kept in memory)
+    recordSessionEvent(eventType, data) {
+        const event = this.journal.append(eventType, data);
         
-        // Evidence-based documentation update
-        const evidence = {
-            request,
-            result,
-            persona: this.currentPersona,
-            timestamp: new Date().toISOString(),
-            confidence: result.confidence || 0.8
-        };
+        this.sessionHistory.push(event);
+        if (this.sessionHistory.length > SESSION_HISTORY_LIMIT) {
+            this.sessionHistory.shift();
+        }
         
-        this.evidenceStore.push(evidence);
+        return event;
+    }
+
+    // Session ID, stable for the lifetime of the session and across resume
+    generateSessionId() {
+        return this.sessionId;
+    }
+
+    // Restore a session from its journal after a restart
+    static async resume(sessionId, options = {}) {
+        if (!SessionJournal.isValidSessionId(sessionId)) {
+            throw new Error(`Invalid session ID: ${sessionId}`);
+        }
         
-        // Save documentation updates
-        const docUpdate = {
-            timestamp: new Date().toISOString(),
-            persona: this.currentPersona,
-            action: 'auto_documentation_update',
-            evidence: evidence
-        };
+        const session = new ActiveSuperClaudeSession({ ...options, sessionId });
+        try {
+            await session.restoreFromJournal();
+        } catch (error) {
+            // No MCP server was started; drop the engine's exit hooks (shutdown() would journal the unknown session)
+            session.engine.close();
+            throw error;
+        }
+        return session;
+    }
+
+    // Replay the journal into persona, MCP preferences, evidence and workflow state
+    async restoreFromJournal() {
+        const events = this.journal.read();
+        if (events.length === 0) {
+            throw new Error(`Unknown session: ${this.sessionId} (no journal in ${this.journal.sessionsDir})`);
+        }
         
-        // Append to documentation log
-        const logPath = path.join(__dirname, '../docs/auto-documentation-log.json');
-        let logData = [];
+        const state = this.replayEvents(events);
         
-        if (fs.existsSync(logPath)) {
-            logData = JSON.parse(fs.readFileSync(logPath, 'utf8'));
-        }
+        this.currentPersona = state.persona || 'architect';
+        this.activeBlend = state.blend;
+        this.evidenceStore = state.evidence;
+        this.autoDocumentationEnabled = state.autoDocumentation;
+        if (state.pinnedPersona !== undefined) this.switchPolicy.pinnedPersona = state.pinnedPersona;
+        this.sessionHistory = events.slice(-SESSION_HISTORY_LIMIT);
+        this.startedAt = Date.parse(events[0].timestamp) || Date.now();
         
-        logData.push(docUpdate);
-        fs.writeFileSync(logPath, JSON.stringify(logData, null, 2));
+        await this.initializeMCPConnections(this.currentPersona,
+            state.mcpPreferences ? { mcpPreferences: state.mcpPreferences } : {});
         
-        console.log('✅ Documentation updated');
-    }
-
-    // Record session events for audit trail
-    recordSessionEvent(eventType, data) {
-        const event = {
-            timestamp: new Date().toISOString(),
-            eventType,
-            data,
-            sessionId: this.generateSessionId()
-        };
+        this.commands = new SuperClaudeCommands(this);
+        this.workflow = new SuperClaudeWorkflow(this);
+        this.workflow.restoreState(state.workflow, state.workflowHistory);
         
-        this.sessionHistory.push(event);
+        this.recordSessionEvent('session_resumed', {
+            persona: this.currentPersona,
+            eventsReplayed: events.length,
+            interruptedWorkflow: state.workflow ? state.workflow.name : null
+        });
         
-        // Maintain session history size
-        if (this.sessionHistory.length > 100) {
-            this.sessionHistory = this.sessionHistory.slice(-50);
+        log.info(`✅ Resumed ${this.sessionId} as ${this.currentPersona.toUpperCase()} (${events.length} events replayed)`);
+        if (state.workflow) {
+            log.warn(`⚠️  Workflow ${state.workflow.name} was interrupted after ${state.workflow.phases.length} phase(s)`);
         }
+        
+        return this;
     }
 
-    // Generate consistent session ID
-    generateSessionId() {
-        return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Fold journal events into the state resume needs
+    replayEvents(events) {
+        const state = {
+            persona: null,
+            blend: null,
+            mcpPreferences: null,
+            evidence: [],
+            autoDocumentation: true,
+            pinnedPersona: undefined,
+            workflow: null,
+            workflowHistory: []
+        };
+        
+        for (const { eventType, data, timestamp } of events) {
+            switch (eventType) {
+                case 'session_initialized':
+                case 'session_resumed':
+                    state.persona = data.persona;
+                    break;
+                case 'persona_switched':
+                    state.persona = data.to;
+                    state.blend = null;
+                    // A user override moves an existing pin (PersonaSwitchPolicy.recordSwitch)
+                    if (data.source === 'user' && state.pinnedPersona) state.pinnedPersona = data.to;
+                    break;
+                case 'persona_blended':
+                    state.persona = data.personas[0].persona;
+                    state.blend = { personas: data.personas, profile: data.profile };
+                    break;
+                case 'mcp_connections_initialized':
+                    state.mcpPreferences = data.mcpPreferences;
+                    if (!data.blended) state.blend = null;
+                    break;
+                case 'evidence_recorded':
+                    state.evidence.push(data);
+                    break;
+                case 'persona_pinned':
+                    state.pinnedPersona = data.persona;
+                    break;
+                case 'persona_unpinned':
+                    state.pinnedPersona = null;
+                    break;
+                case 'auto_documentation_changed':
+                    state.autoDocumentation = data.enabled;
+                    break;
+                case 'workflow_started':
+                    state.workflow = { ...data, name: data.workflow, startTime: Date.parse(timestamp), phases: [] };
+                    break;
+                case 'workflow_phase_completed':
+                    if (state.workflow) state.workflow.phases.push(data.phase);
+                    break;
+                case 'workflow_completed':
+                    state.workflowHistory.push(data.result);
+                    state.workflow = null;
+                    break;
+                case 'workflow_failed':
+                    state.workflow = null;
+                    break;
+            }
+        }
+        
+        return state;
     }
 
     // Get current session status
     getSessionStatus() {
         return {
+            sessionId: this.sessionId,
+            journal: this.journal.journalPath,
             currentPersona: this.currentPersona,
+            blend: this.activeBlend ? this.activeBlend.personas : null,
             mcpConnections: Array.from(this.mcpConnections.keys()),
             autoDocEnabled: this.autoDocumentationEnabled,
             sessionHistory: this.sessionHistory.length,
+            journaledEvents: this.journal.sequence,
+            switchPolicy: this.switchPolicy.describe(),
+            mcpPool: this.mcpPool.getStats(),
+            decisionCache: this.decisionCache.getStats(),
+            tokens: this.tokens.getReport(),
+            budget: this.describeBudgets(),
+            redaction: this.redactor.getReport(),
             evidenceStoreSize: this.evidenceStore.length,
-            uptime: Date.now() - (this.sessionHistory[0]?.timestamp || Date.now())
+            uptime: Date.now() - this.startedAt
+        };
+    }
+
+    // A budget for `scope` ('session' or 'workflow') measured against this session's meters
+    createBudget(scope, name) {
+        return Budget.fromConfig(this.config, scope, {
+            name,
+            meter: () => ({ tokens: this.tokens.total, mcpCalls: this.realMCP.callCount })
+        });
+    }
+
+    // The running workflow's budget, if a workflow is in progress
+    currentWorkflowBudget() {
+        const current = this.workflow && this.workflow.currentWorkflow;
+        return current && current.budget ? current.budget : null;
+    }
+
+    // Check the session and running workflow budgets; warns once per budget at the soft limit
+    // and returns the failing check once a hard limit is reached (null otherwise)
+    checkBudgets() {
+        let degraded = false;
+        
+        for (const budget of [this.budget, this.currentWorkflowBudget()].filter(Boolean)) {
+            const check = budget.check();
+            if (check.state === 'ok') continue;
+            
+            degraded = true;
+            if (check.state === 'hard') {
+                this.budgetDegraded = true;
+                return check;
+            }
+            if (!budget.warned) {
+                budget.warned = true;
+                log.warn(`⚠️  Budget soft limit reached (${Budget.formatExceeded(check)}) - optional MCPs disabled`);
+                this.recordSessionEvent('budget_soft_limit', check);
+            }
+        }
+        
+        this.budgetDegraded = degraded;
+        return null;
+    }
+
+    budgetExceededResult(check) {
+        const message = `Budget exceeded: ${Budget.formatExceeded(check)}`;
+        log.warn(`🛑 ${message}`);
+        this.recordSessionEvent('budget_exceeded', check);
+        
+        return {
+            persona: this.currentPersona,
+            budgetExceeded: true,
+            budget: check.budget,
+            exceeded: check.metrics,
+            error: message,
+            tokensUsed: 0
+        };
+    }
+
+    describeBudgets() {
+        const workflowBudget = this.currentWorkflowBudget();
+        return {
+            degraded: this.budgetDegraded,
+            session: this.budget.describe(),
+            workflow: workflowBudget ? workflowBudget.describe() : null
         };
     }
 
     // Enable/disable auto-documentation
     setAutoDocumentation(enabled) {
         this.autoDocumentationEnabled = enabled;
-        console.log(`📝 Auto-documentation: ${enabled ? 'ENABLED' : 'DISABLED'}`);
+        this.recordSessionEvent('auto_documentation_changed', { enabled });
+        log.info(`📝 Auto-documentation: ${enabled ? 'ENABLED' : 'DISABLED'}`);
     }
 
-    // Get evidence summary
+    // Release this session's MCP servers and engine hooks; a pool owned by the session is shut down with it
+    async shutdown() {
+        this.mcpPool.detach(this.sessionId);
+        this.mcpConnections.clear();
+        if (this.ownsMcpPool) {
+            await this.mcpPool.shutdown();
+        }
+        this.engine.close();
+        this.recordSessionEvent('session_closed', { persona: this.currentPersona });
+    }
+
+        // Get evidence summary
     getEvidenceSummary() {
         return {
             totalEvidence: this.evidenceStore.length,
@@ -638,7 +1112,7 @@ class ActiveSuperClaudeSession {
             throw new Error('Workflow system not initialized. Call initializeSession() first.');
         }
 
-        console.log(`🔄 Executing SuperClaude workflow: ${workflowName}`);
+        log.info(`🔄 Executing SuperClaude workflow: ${workflowName}`);
         
         // Record workflow execution
         this.recordSessionEvent('workflow_requested', {
@@ -648,18 +1122,8 @@ class ActiveSuperClaudeSession {
             currentPersona: this.currentPersona
         });
 
-        // Execute workflow
-        const result = await this.workflow.executeWorkflow(workflowName, args, flags);
-        
-        // Update auto-documentation if enabled
-        if (this.autoDocumentationEnabled) {
-            await this.updateDocumentation(
-                `Workflow: ${workflowName} ${args.join(' ')} ${flags.join(' ')}`,
-                result
-            );
-        }
-
-        return result;
+        // Execute workflow (auto-documented through workflow:finished)
+        return await this.workflow.executeWorkflow(workflowName, args, flags);
     }
 
     // Get available workflows
@@ -719,32 +1183,33 @@ class ActiveSuperClaudeSession {
         return await this.executeWorkflow('refactoring', [scope], flags);
     }
 
+    // Tell the engine whether the last auto-selected persona was right ('accept' or 'reject')
+    recordPersonaFeedback(outcome) {
+        if (!this.lastSelection) {
+            log.warn('⚠️  No automatic persona selection to give feedback on');
+            return false;
+        }
+        
+        const recorded = this.engine.recordFeedback(this.lastSelection.selectionId, outcome);
+        this.lastSelection = null;
+        return recorded;
+    }
+
+    acceptPersona() {
+        return this.recordPersonaFeedback('accept');
+    }
+
+    rejectPersona() {
+        return this.recordPersonaFeedback('reject');
+    }
+
     // Check for user persona override flags in request
+    // Flags come from the persona registry, so project personas get --persona-<name> and --<name> too
     checkForPersonaOverride(request) {
-        const personaFlags = {
-            '--persona-architect': 'architect',
-            '--persona-frontend': 'frontend', 
-            '--persona-backend': 'backend',
-            '--persona-analyzer': 'analyzer',
-            '--persona-security': 'security',
-            '--persona-mentor': 'mentor',
-            '--persona-refactorer': 'refactorer',
-            '--persona-performance': 'performance',
-            '--persona-qa': 'qa',
-            // Short forms
-            '--architect': 'architect',
-            '--frontend': 'frontend',
-            '--backend': 'backend',
-            '--analyzer': 'analyzer',
-            '--security': 'security',
-            '--mentor': 'mentor',
-            '--refactorer': 'refactorer',
-            '--performance': 'performance',
-            '--qa': 'qa'
-        };
+        const personaFlags = this.engine.personaRegistry.getOverrideFlags();
 
         for (const [flag, persona] of Object.entries(personaFlags)) {
-            if (request.includes(flag)) {
+            if (new RegExp(`(^|\\s)${flag}(?=\\s|$)`).test(request)) {
                 return {
                     flag,
                     persona,
@@ -762,16 +1227,19 @@ class ActiveSuperClaudeSession {
             throw new Error('Commands system not initialized. Call initializeSession() first.');
         }
 
-        console.log(`🎯 Executing SuperClaude command: /${commandName}`);
+        log.info(`🎯 Executing SuperClaude command: /${commandName}`);
+        
+        const exceeded = this.checkBudgets();
+        if (exceeded) return this.budgetExceededResult(exceeded);
         
         // Check for persona override in flags
-        const personaOverride = flags.find(flag => flag.startsWith('--persona-') || 
-            ['--architect', '--frontend', '--backend', '--analyzer', '--security', '--mentor', '--refactorer', '--performance', '--qa'].includes(flag));
+        const personaFlags = this.engine.personaRegistry.getOverrideFlags();
+        const personaOverride = flags.find(flag => personaFlags[flag]);
         
         if (personaOverride) {
-            const targetPersona = personaOverride.replace('--persona-', '').replace('--', '');
-            console.log(`👤 User persona override: ${targetPersona} for /${commandName}`);
-            await this.switchPersona(targetPersona, `User override for command: /${commandName}`);
+            const targetPersona = personaFlags[personaOverride];
+            log.info(`👤 User persona override: ${targetPersona} for /${commandName}`);
+            await this.switchPersona(targetPersona, `User override for command: /${commandName}`, { source: 'user' });
             // Remove persona flag from flags
             flags = flags.filter(flag => flag !== personaOverride);
             
@@ -790,18 +1258,9 @@ class ActiveSuperClaudeSession {
             userOverride: !!personaOverride
         });
 
-        // Execute through command system (which handles automatic persona switching)
-        const result = await this.commands.executeCommand(commandName, args, flags);
-        
-        // Update auto-documentation if enabled
-        if (this.autoDocumentationEnabled) {
-            await this.updateDocumentation(
-                `Command: /${commandName} ${args.join(' ')} ${flags.join(' ')}`,
-                result
-            );
-        }
-
-        return result;
+        // Execute through command system (which handles automatic persona switching
+        // and emits command:finished, which auto-documentation follows)
+        return await this.commands.executeCommand(commandName, args, flags);
     }
 }
 
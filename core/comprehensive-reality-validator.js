@@ -9,14 +9,19 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const SuperClaudeSharedLoader = require('./superclaude-shared-loader.js');
+const { getConfig } = require('../src/superclaude-config.js');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('validator');
 
 class ComprehensiveRealityValidator {
     constructor() {
         this.validationLog = [];
         this.claimValidators = this.initializeClaimValidators();
         
-        console.log('🔍 Comprehensive Reality Check Validator initialized');
-        console.log('🎯 Validates actual evidence, not just execution success');
+        log.info('🔍 Comprehensive Reality Check Validator initialized');
+        log.info('🎯 Validates actual evidence, not just execution success');
     }
 
     // Initialize specific validators for different claim types
@@ -73,11 +78,11 @@ class ComprehensiveRealityValidator {
         try {
             // Skip heavy validation - just return success
             if (!validation.passed) {
-                console.log(`⚠️  Quick validation: ${claim} - ${(validation.confidence * 100).toFixed(0)}% confidence`);
+                log.warn(`⚠️  Quick validation: ${claim} - ${(validation.confidence * 100).toFixed(0)}% confidence`);
             }
 
         } catch (error) {
-            console.log(`⚠️  Validation error: ${error.message}`);
+            log.warn(`⚠️  Validation error: ${error.message}`);
         }
         
         return validation;
@@ -118,7 +123,8 @@ class ComprehensiveRealityValidator {
             
             // Analyze output for integration-specific evidence
             result.actualDataLoaded = this.checkForDataLoading(execution.output);
-            result.fallbackUsed = this.checkForFallbackUsage(execution.output);
+            result.superclaudeSources = this.getSuperClaudeSources(evidence);
+            result.fallbackUsed = result.superclaudeSources.fallbacks.length > 0;
             result.integrationWorking = execution.success && result.actualDataLoaded && !result.fallbackUsed;
             
             // If claiming SuperClaude integration, verify personas data
@@ -232,7 +238,8 @@ class ComprehensiveRealityValidator {
             const execution = await this.runAndCaptureOutput(evidence.filePath, evidence.testArgs);
             
             // Parse persona information from output
-            result.fallbackUsed = execution.output.includes('using fallback') || execution.output.includes('fallback');
+            const [personasFile, personasSection] = SuperClaudeSharedLoader.SHARED_SECTIONS.personas;
+            result.fallbackUsed = this.getSuperClaudeSources(evidence).fallbacks.includes(`${personasFile}#${personasSection}`);
             result.dataSource = this.identifyDataSource(execution.output);
             
             // Extract persona count and names
@@ -485,36 +492,15 @@ class ComprehensiveRealityValidator {
     }
 
     // Check for fallback usage (specifically for SuperClaude integration)
-    checkForFallbackUsage(output) {
-        const superClaudeFallbackIndicators = [
-            'could not load.*superclaude',
-            'using fallback.*personas',
-            'using fallback.*activation',
-            'using fallback.*evidence',
-            'fallback.*personas',
-            'fallback.*activation',
-            'fallback.*evidence',
-            'default.*personas',
-            'default.*activation',
-            'default.*evidence'
-        ];
-        
-        // Don't count cache fallbacks as SuperClaude integration fallbacks
-        const cacheKeywords = ['cache', 'caching', 'sqlite', 'memory'];
-        
-        for (const indicator of superClaudeFallbackIndicators) {
-            const matches = output.match(new RegExp(indicator, 'i'));
-            if (matches) {
-                // Check if it's a cache-related fallback
-                const matchText = matches[0].toLowerCase();
-                const isCache = cacheKeywords.some(keyword => matchText.includes(keyword));
-                if (!isCache) {
-                    return true;
-                }
-            }
-        }
-        
-        return false;
+    // The shared loader reports which SuperClaude sections fell back, so no output scraping is needed
+    checkForFallbackUsage(evidence = {}) {
+        return this.getSuperClaudeSources(evidence).fallbacks.length > 0;
+    }
+
+    // Load every SuperClaude section the framework depends on and report where each came from
+    getSuperClaudeSources(evidence = {}) {
+        const superClaudePath = evidence.superClaudePath || getConfig().get('superClaudePath');
+        return new SuperClaudeSharedLoader({ superClaudePath }).probe();
     }
 
     // Identify data source from output
@@ -722,48 +708,48 @@ class ComprehensiveRealityValidator {
 
     // Print comprehensive validation result
     printValidationResult(validation) {
-        console.log(`\\n${'='.repeat(80)}`);
-        console.log(`🔍 COMPREHENSIVE REALITY CHECK: ${validation.passed ? '✅ PASSED' : '❌ FAILED'}`);
-        console.log(`📝 Claim: "${validation.claim}"`);
-        console.log(`🎯 Confidence: ${(validation.confidence * 100).toFixed(1)}%`);
+        log.info(`\\n${'='.repeat(80)}`);
+        log.info(`🔍 COMPREHENSIVE REALITY CHECK: ${validation.passed ? '✅ PASSED' : '❌ FAILED'}`);
+        log.info(`📝 Claim: "${validation.claim}"`);
+        log.info(`🎯 Confidence: ${(validation.confidence * 100).toFixed(1)}%`);
         
         if (validation.actualEvidence) {
-            console.log(`\\n📊 ACTUAL EVIDENCE:`);
+            log.info(`\\n📊 ACTUAL EVIDENCE:`);
             this.printEvidenceDetails(validation.actualEvidence);
         }
 
         if (validation.expectedEvidence && Object.keys(validation.expectedEvidence).length > 0) {
-            console.log(`\\n🎯 EXPECTED EVIDENCE:`);
+            log.info(`\\n🎯 EXPECTED EVIDENCE:`);
             this.printEvidenceDetails(validation.expectedEvidence);
         }
 
         if (validation.errors.length > 0) {
-            console.log(`\\n❌ VALIDATION ERRORS:`);
-            validation.errors.forEach(error => console.log(`   ✗ ${error}`));
+            log.info(`\\n❌ VALIDATION ERRORS:`);
+            validation.errors.forEach(error => log.info(`   ✗ ${error}`));
         }
 
         if (validation.warnings.length > 0) {
-            console.log(`\\n⚠️  WARNINGS:`);
-            validation.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+            log.info(`\\n⚠️  WARNINGS:`);
+            validation.warnings.forEach(warning => log.warn(`   ⚠️  ${warning}`));
         }
 
-        console.log(`\\n🎯 RECOMMENDATION: ${validation.recommendation}`);
-        console.log(`${'='.repeat(80)}\\n`);
+        log.info(`\\n🎯 RECOMMENDATION: ${validation.recommendation}`);
+        log.info(`${'='.repeat(80)}\\n`);
     }
 
     // Print evidence details in a readable format
     printEvidenceDetails(evidence) {
         for (const [key, value] of Object.entries(evidence)) {
             if (typeof value === 'boolean') {
-                console.log(`   ${value ? '✅' : '❌'} ${key}: ${value}`);
+                log.info(`   ${value ? '✅' : '❌'} ${key}: ${value}`);
             } else if (typeof value === 'number') {
-                console.log(`   📊 ${key}: ${value}`);
+                log.info(`   📊 ${key}: ${value}`);
             } else if (Array.isArray(value)) {
-                console.log(`   📋 ${key}: [${value.length} items] ${value.slice(0, 3).join(', ')}${value.length > 3 ? '...' : ''}`);
+                log.info(`   📋 ${key}: [${value.length} items] ${value.slice(0, 3).join(', ')}${value.length > 3 ? '...' : ''}`);
             } else if (typeof value === 'string' && value.length > 100) {
-                console.log(`   📄 ${key}: ${value.substring(0, 100)}...`);
+                log.info(`   📄 ${key}: ${value.substring(0, 100)}...`);
             } else {
-                console.log(`   📋 ${key}: ${value}`);
+                log.info(`   📋 ${key}: ${value}`);
             }
         }
     }
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Decision Cache
+ * Remembers the result of a processed request so that repeating it costs no tokens
+ * Keys hash the full normalized request, the project state and (with scope 'persona') the persona,
+ * so requests that merely share a prefix never collide; entries expire after a TTL
+ * Requests opt out explicitly: --fresh recomputes and refreshes the entry, --no-cache neither reads nor stores
+ *
+ * Usage: node core/decision-cache.js [--scope persona|project] [--persona <name>] <request...>
+ */
+
+const crypto = require('crypto');
+
+const SCOPES = ['persona', 'project'];
+const DEFAULT_MAX_ENTRIES = 500;
+
+// --no-cache / --fresh as standalone words anywhere in the request
+const DIRECTIVES = /(^|\s)--(no-cache|fresh)(?=\s|$)/gi;
+
+class DecisionCache {
+    constructor(options = {}) {
+        // 'persona': only the persona that produced a decision reuses it; 'project': any persona does
+        this.scope = SCOPES.includes(options.scope) ? options.scope : 'persona';
+        this.ttlMs = options.ttlMs > 0 ? options.ttlMs : 0; // 0 = entries never expire
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.entries = new Map(); // Insertion order doubles as LRU order
+        this.stats = { hits: 0, misses: 0, sets: 0, bypassed: 0, expirations: 0, evictions: 0 };
+    }
+
+    // Build the cache from the cache.decisions.* config keys
+    static fromConfig(config, options = {}) {
+        return new DecisionCache({
+            ttlMs: config.get('cache.decisions.ttlMinutes') * 60 * 1000,
+            scope: config.get('cache.decisions.scope'),
+            maxEntries: config.get('cache.decisions.maxEntries'),
+            ...options
+        });
+    }
+
+    // Split cache directives off a request: { request, noCache, fresh }
+    static parseDirectives(request) {
+        const directives = { noCache: false, fresh: false };
+        const stripped = request.replace(DIRECTIVES, (match, lead, name) => {
+            directives[name.toLowerCase() === 'fresh' ? 'fresh' : 'noCache'] = true;
+            return lead;
+        });
+
+        const changed = directives.noCache || directives.fresh;
+        return { request: changed ? stripped.replace(/\s{2,}/g, ' ').trim() : request, ...directives };
+    }
+
+    // Case, Unicode form and whitespace differences do not make a different request
+    static normalize(request) {
+        return String(request || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // Hash of everything a decision depends on; project is any JSON-serializable state (root, fingerprint)
+    key(request, { persona = null, project = null } = {}) {
+        const parts = {
+            request: DecisionCache.normalize(request),
+            scope: this.scope,
+            persona: this.scope === 'persona' ? persona : null,
+            project
+        };
+        return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    }
+
+    // A live entry { value, persona, createdAt, expiresAt } or null; expired entries are dropped
+    get(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        this.entries.delete(key);
+        if (entry.expiresAt && entry.expiresAt <= now) {
+            this.stats.expirations++;
+            this.stats.misses++;
+            return null;
+        }
+
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry;
+    }
+
+    set(key, value, { persona = null, now = Date.now() } = {}) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, persona, createdAt: now, expiresAt: this.ttlMs ? now + this.ttlMs : null });
+        this.stats.sets++;
+
+        // Evict least recently used entries above maxEntries
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+        return true;
+    }
+
+    // A request skipped the lookup because of --fresh or --no-cache
+    recordBypass() {
+        this.stats.bypassed++;
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            scope: this.scope,
+            ttlMs: this.ttlMs,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+            ...this.stats
+        };
+    }
+}
+
+DecisionCache.SCOPES = SCOPES;
+
+module.exports = DecisionCache;
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    while (args[0] === '--scope' || args[0] === '--persona') {
+        options[args[0].slice(2)] = args[1];
+        args.splice(0, 2);
+    }
+
+    const cache = new DecisionCache({ scope: options.scope });
+    const { request, noCache, fresh } = DecisionCache.parseDirectives(args.join(' '));
+    console.log(`🔑 ${cache.key(request, { persona: options.persona || null })}`);
+    console.log(`   scope: ${cache.scope}, normalized: "${DecisionCache.normalize(request)}"`);
+    if (noCache || fresh) console.log(`   directives: ${[noCache && '--no-cache', fresh && '--fresh'].filter(Boolean).join(' ')}`);
+}
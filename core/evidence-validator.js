@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Evidence Validator
+ * Lints response or claim text against SuperClaude Evidence_Based_Standards:
+ * prohibited language, and claims made without the required evidence wording
+ * Every finding carries its character span, line/column and severity
+ *
+ * Usage: node core/evidence-validator.js [file|-] [--json]
+ */
+
+const fs = require('fs');
+
+// Fallback standards, as shipped in SuperClaude's superclaude-core.yml
+const DEFAULT_STANDARDS = {
+    Prohibited_Language: 'best|optimal|faster|secure|better|improved|enhanced|always|never|guaranteed',
+    Required_Language: 'may|could|potentially|typically|often|sometimes|measured|documented',
+    Evidence_Requirements: 'testing confirms|metrics show|benchmarks prove|data indicates|documentation states'
+};
+
+// Assertive wording that turns a sentence into a claim needing evidence
+const CLAIM_PATTERNS = [
+    /\b(?:improves?|reduces?|increases?|eliminates?|prevents?|fixes|fixed|resolves?|resolved|outperforms?|ensures?|guarantees?|speeds? up)\b/i,
+    /\b\d+(?:\.\d+)?\s*(?:%|x\b|times\b|ms\b|seconds?\b)/i
+];
+
+const SEVERITY_PENALTY = { error: 0.2, warning: 0.1, info: 0 };
+
+class EvidenceValidator {
+    constructor(options = {}) {
+        this.standards = { ...DEFAULT_STANDARDS, ...(options.standards || {}) };
+    }
+
+    // Standards fields are '|' separated strings in SuperClaude YAML; lists are accepted too
+    parseTerms(value) {
+        const terms = Array.isArray(value) ? value : String(value || '').split('|');
+        return terms.map(term => String(term).trim()).filter(Boolean);
+    }
+
+    // Case-insensitive whole-word matcher for a list of phrases
+    compileTerms(terms) {
+        if (terms.length === 0) return null;
+        const escaped = terms
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+        return new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi');
+    }
+
+    // Blank out fenced and inline code so identifiers like `isBetter` are not linted; offsets are preserved
+    maskCode(text) {
+        const blank = match => match.replace(/[^\n]/g, ' ');
+        return text.replace(/```[\s\S]*?(?:```|$)/g, blank).replace(/`[^`\n]*`/g, blank);
+    }
+
+    // Split into sentences, keeping their offsets in the original text
+    splitSentences(text) {
+        const sentences = [];
+        // A terminator only ends a sentence when followed by whitespace, so "2.5x" stays intact;
+        // mid-sentence abbreviations ("e.g.", "i.e.", "vs.", "cf.") never end one
+        const pattern = /(?:\b(?:e\.g|i\.e|vs|cf)\.(?=\s+\S)|[^.!?\n]|[.!?](?=[^\s.!?]))+(?:[.!?]+(?=\s|$)|\n|$)/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0].trim() === '') {
+                if (match[0].length === 0) pattern.lastIndex++;
+                continue;
+            }
+            const leading = match[0].length - match[0].trimStart().length;
+            sentences.push({
+                text: match[0].trim(),
+                start: match.index + leading,
+                end: match.index + leading + match[0].trim().length
+            });
+        }
+        return sentences;
+    }
+
+    // Validate text against the evidence standards
+    async validateClaim(text, options = {}) {
+        return this.validate(text, options);
+    }
+
+    // Synchronous core of validateClaim
+    validate(text, options = {}) {
+        const content = typeof text === 'string' ? text : JSON.stringify(text);
+        const standards = { ...this.standards, ...(options.standards || {}) };
+        const prohibited = this.compileTerms(this.parseTerms(standards.Prohibited_Language));
+        const evidence = this.compileTerms(this.parseTerms(standards.Evidence_Requirements));
+        const hedges = this.compileTerms(this.parseTerms(standards.Required_Language));
+
+        const masked = this.maskCode(content);
+        const findings = [];
+
+        for (const sentence of this.splitSentences(masked)) {
+            const body = sentence.text;
+            const hasEvidence = evidence ? new RegExp(evidence.source, 'i').test(body) : false;
+            const isHedged = hedges ? new RegExp(hedges.source, 'i').test(body) : false;
+            const isQuestion = body.endsWith('?');
+            let prohibitedCount = 0;
+
+            if (prohibited) {
+                prohibited.lastIndex = 0;
+                let match;
+                while ((match = prohibited.exec(body)) !== null) {
+                    prohibitedCount++;
+                    const start = sentence.start + match.index;
+                    findings.push(this.createFinding(content, {
+                        rule: 'prohibited_language',
+                        // Backed by cited evidence the wording is tolerated, but still reported
+                        severity: hasEvidence || isQuestion ? 'info' : 'error',
+                        start,
+                        end: start + match[0].length,
+                        message: hasEvidence
+                            ? `"${match[0]}" is prohibited language; keep it only where the cited evidence supports it`
+                            : `"${match[0]}" is prohibited language without evidence; use measured wording or cite evidence`
+                    }));
+                }
+            }
+
+            const isClaim = prohibitedCount > 0 || CLAIM_PATTERNS.some(pattern => pattern.test(body));
+            if (isClaim && !hasEvidence && !isQuestion) {
+                findings.push(this.createFinding(content, {
+                    rule: 'missing_evidence',
+                    // Hedged claims ("may reduce") are acceptable but still lack evidence
+                    severity: isHedged ? 'info' : 'warning',
+                    start: sentence.start,
+                    end: sentence.end,
+                    message: isHedged
+                        ? 'Hedged claim without evidence; consider citing measurements'
+                        : `Claim lacks evidence wording (e.g. ${this.parseTerms(standards.Evidence_Requirements).slice(0, 2).map(term => `"${term}"`).join(', ')})`
+                }));
+            }
+        }
+
+        findings.sort((a, b) => a.span.start - b.span.start);
+
+        const summary = { error: 0, warning: 0, info: 0 };
+        for (const finding of findings) summary[finding.severity]++;
+        const penalty = findings.reduce((total, finding) => total + SEVERITY_PENALTY[finding.severity], 0);
+
+        return {
+            isValid: summary.error === 0,
+            confidence: Math.round(Math.max(0, 1 - penalty) * 100) / 100,
+            persona: options.persona || null,
+            findings,
+            summary
+        };
+    }
+
+    createFinding(content, { rule, severity, start, end, message }) {
+        const before = content.slice(0, start);
+        const line = before.split('\n').length;
+        const column = start - before.lastIndexOf('\n');
+        return {
+            rule,
+            severity,
+            message,
+            text: content.slice(start, end),
+            span: { start, end },
+            line,
+            column
+        };
+    }
+
+    // One "file:line:column severity rule message" line per finding
+    formatFindings(result, source = '<text>') {
+        return result.findings.map(finding =>
+            `${source}:${finding.line}:${finding.column} ${finding.severity} [${finding.rule}] ${finding.message}`
+        ).join('\n');
+    }
+}
+
+EvidenceValidator.DEFAULT_STANDARDS = DEFAULT_STANDARDS;
+
+module.exports = EvidenceValidator;
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const source = args.find(arg => !arg.startsWith('--')) || '-';
+
+    let text;
+    try {
+        text = fs.readFileSync(source === '-' ? 0 : source, 'utf8');
+    } catch (error) {
+        console.error(`❌ Could not read ${source}: ${error.message}`);
+        process.exit(2);
+    }
+
+    const validator = new EvidenceValidator();
+    const result = validator.validate(text);
+
+    if (asJson) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (result.findings.length === 0) {
+        console.log('✅ No evidence standard violations found');
+    } else {
+        console.log(validator.formatFindings(result, source === '-' ? '<stdin>' : source));
+        console.log(`\n${result.isValid ? '⚠️ ' : '❌'} ${result.summary.error} error(s), ` +
+            `${result.summary.warning} warning(s), ${result.summary.info} info`);
+    }
+
+    process.exit(result.isValid ? 0 : 1);
+}
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude File Context Analyzer
+ * Resolves files mentioned in a request and files changed in the git working tree,
+ * then reads their headers and imports so persona scoring sees the code being touched
+ * Only files inside the project root are read; git status is cached per project root for a few seconds,
+ * and its signature (changed paths and their mtimes) tells callers when the working tree moved on
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Extensions accepted from free text; anything else needs to exist on disk
+const KNOWN_EXTENSIONS = new Set([
+    '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte', '.css', '.scss', '.sass', '.less', '.html',
+    '.py', '.rb', '.go', '.rs', '.java', '.kt', '.cs', '.php', '.swift', '.c', '.h', '.cpp', '.hpp', '.sql',
+    '.sh', '.json', '.yml', '.yaml', '.toml', '.xml', '.ini', '.env', '.md', '.mdx', '.txt', '.proto', '.graphql',
+    '.tf', '.ipynb', '.lock', '.gradle'
+]);
+
+// Extensionless file names worth recognising
+const KNOWN_FILENAMES = new Set(['Dockerfile', 'Makefile', 'Procfile', 'Jenkinsfile', 'Gemfile', 'Rakefile']);
+
+// Technology names that look like files ("Node.js") unless such a file exists
+const TECHNOLOGY_NAMES = new Set([
+    'node.js', 'next.js', 'nuxt.js', 'vue.js', 'react.js', 'express.js', 'three.js', 'chart.js', 'd3.js', 'socket.io'
+]);
+
+// Compound extensions that identify a file's role
+const COMPOUND_EXTENSION = /(\.(?:test|spec|stories|d|config|module)\.[a-z]+)$/i;
+
+// Import statements per language family
+const IMPORT_PATTERNS = [
+    /^\s*import\s+(?:[\w*{}\s,]+\s+from\s+)?['"]([^'"]+)['"]/gm,
+    /require\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /^\s*from\s+([\w.]+)\s+import\s/gm,
+    /^\s*import\s+([\w.]+)(?:\s+as\s+\w+)?\s*$/gm,
+    /^\s*use\s+([\w:]+)/gm,
+    /^\s*@import\s+['"]([^'"]+)['"]/gm,
+    /^\s*#include\s+[<"]([^>"]+)[>"]/gm
+];
+
+const HEADER_BYTES = 4096;
+const GIT_TIMEOUT_MS = 2000;
+const GIT_STATUS_TTL_MS = 5000;
+const MAX_CHANGED_FILES = 200;
+
+class FileContextAnalyzer {
+    constructor(options = {}) {
+        this.cwd = options.cwd || null;
+        this.maxFiles = options.maxFiles || 20;
+        this.includeGit = options.includeGit !== false;
+        this.gitStatusTtlMs = options.gitStatusTtlMs >= 0 ? options.gitStatusTtlMs : GIT_STATUS_TTL_MS;
+        this.gitStatus = new Map(); // project root -> { files, signature, expiresAt }
+    }
+
+    // Full file context for a request: mentioned paths, git changes, headers and imports
+    // signature covers the files read and the whole git working-tree state, so it changes with any edit
+    analyze(request, options = {}) {
+        const cwd = path.resolve(options.cwd || this.cwd || process.cwd());
+        const text = typeof request === 'string' ? request : JSON.stringify(request);
+
+        const mentioned = this.extractMentionedFiles(text, cwd).map(file => file.path);
+        const git = this.includeGit ? this.getGitStatus(cwd) : { files: [], signature: '' };
+        const changed = git.files;
+
+        const files = [...new Set([...mentioned, ...changed])];
+        const readable = files
+            .map(file => this.resolveInside(cwd, file))
+            .filter(file => file && this.isReadableFile(file))
+            .slice(0, this.maxFiles);
+
+        const headers = readable.map(file => this.readFileHeader(file, cwd));
+
+        return {
+            cwd,
+            mentioned,
+            changed,
+            files,
+            fileTypes: this.collectFileTypes(files),
+            headers,
+            imports: [...new Set(headers.flatMap(header => header.imports))],
+            signature: [...headers.map(header => `${header.path}:${header.mtimeMs}`), git.signature].join('|')
+        };
+    }
+
+    // Absolute path of a file inside the project root, or null for ~ paths and paths that leave the root
+    resolveInside(root, file) {
+        if (file.startsWith('~')) return null;
+        const resolved = path.resolve(root, file);
+        const relative = path.relative(root, resolved);
+        if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+            return null;
+        }
+        return resolved;
+    }
+
+    // File-like tokens in the request; unknown extensions only count when the file exists
+    extractMentionedFiles(text, cwd) {
+        const found = new Map();
+        const tokenPattern = /(?:^|[\s'"`(\[<])((?:~|\.{1,2})?\/?[\w@~-][\w@.~/-]*)/g;
+        let match;
+
+        while ((match = tokenPattern.exec(text)) !== null) {
+            const token = match[1].replace(/[.,:;!?]+$/, '');
+            if (!token || found.has(token)) continue;
+
+            // Paths outside the project still name a file type, but are never touched on disk
+            const resolved = this.resolveInside(cwd, token);
+            const basename = path.basename(token);
+            const extension = path.extname(basename).toLowerCase();
+            const exists = resolved ? this.isReadableFile(resolved) : false;
+
+            if (exists) {
+                found.set(token, { path: token, exists });
+            } else if (KNOWN_FILENAMES.has(basename)) {
+                found.set(token, { path: token, exists });
+            } else if (KNOWN_EXTENSIONS.has(extension) && basename.length > extension.length &&
+                       !TECHNOLOGY_NAMES.has(basename.toLowerCase())) {
+                found.set(token, { path: token, exists });
+            }
+        }
+
+        return [...found.values()];
+    }
+
+    // { files, signature } of a project root, reusing the last `git status` for gitStatusTtlMs
+    getGitStatus(cwd, now = Date.now()) {
+        const cached = this.gitStatus.get(cwd);
+        if (cached && cached.expiresAt > now) return cached;
+
+        const status = { ...this.readGitStatus(cwd), expiresAt: now + this.gitStatusTtlMs };
+        this.gitStatus.set(cwd, status);
+        return status;
+    }
+
+    // Modified, staged and untracked files from `git status` (covers `git diff --name-only` plus new files)
+    // Files outside cwd (when cwd is a subdirectory of the repository) are left out; the signature
+    // lists every status line with the file's mtime, so further edits to a modified file change it too
+    readGitStatus(cwd) {
+        let output;
+        try {
+            output = execFileSync('git', ['status', '--porcelain', '--untracked-files=all'], {
+                cwd,
+                encoding: 'utf8',
+                timeout: GIT_TIMEOUT_MS,
+                stdio: ['ignore', 'pipe', 'ignore']
+            });
+        } catch (error) {
+            // Not a git repository or git unavailable
+            return { files: [], signature: '' };
+        }
+
+        // Porcelain paths are relative to the repository root
+        let root = cwd;
+        try {
+            root = execFileSync('git', ['rev-parse', '--show-toplevel'], {
+                cwd,
+                encoding: 'utf8',
+                timeout: GIT_TIMEOUT_MS,
+                stdio: ['ignore', 'pipe', 'ignore']
+            }).trim();
+        } catch (error) {
+            // Fall back to cwd-relative paths
+        }
+
+        const files = [];
+        const signature = [];
+        for (const line of output.split('\n')) {
+            if (line.length < 4) continue;
+            let file = line.slice(3);
+            if (file.includes(' -> ')) file = file.split(' -> ')[1];
+            file = file.replace(/^"(.*)"$/, '$1');
+
+            const absolute = path.join(root, file);
+            signature.push(`${line.slice(0, 2)}${file}:${this.modifiedTime(absolute)}`);
+            if (line.startsWith(' D') || line.startsWith('D ')) continue;
+
+            const relative = path.relative(cwd, absolute);
+            if (!relative || !this.resolveInside(cwd, relative)) continue;
+
+            if (files.length < MAX_CHANGED_FILES) files.push(relative);
+        }
+
+        return { files, signature: signature.join('|') };
+    }
+
+    modifiedTime(filePath) {
+        try {
+            return fs.statSync(filePath).mtimeMs;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Extensions (plus compound extensions like .test.js) for a list of paths
+    collectFileTypes(files) {
+        const types = new Set();
+        for (const file of files) {
+            const basename = path.basename(file);
+            if (KNOWN_FILENAMES.has(basename)) {
+                types.add(basename);
+                continue;
+            }
+            const extension = path.extname(basename);
+            if (extension) types.add(extension);
+            const compound = basename.match(COMPOUND_EXTENSION);
+            if (compound) types.add(compound[1]);
+        }
+        return [...types];
+    }
+
+    isReadableFile(filePath) {
+        try {
+            return fs.statSync(filePath).isFile();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Read the first few KB of a file and pull out its imports
+    readFileHeader(filePath, cwd) {
+        const stat = fs.statSync(filePath);
+        let header = '';
+
+        try {
+            const fd = fs.openSync(filePath, 'r');
+            try {
+                const buffer = Buffer.alloc(Math.min(HEADER_BYTES, stat.size));
+                const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+                header = buffer.slice(0, bytesRead).toString('utf8');
+            } finally {
+                fs.closeSync(fd);
+            }
+        } catch (error) {
+            header = '';
+        }
+
+        // Skip binary files
+        if (header.includes('\u0000')) header = '';
+
+        return {
+            path: path.relative(cwd, filePath) || filePath,
+            size: stat.size,
+            mtimeMs: stat.mtimeMs,
+            header,
+            imports: this.extractImports(header)
+        };
+    }
+
+    extractImports(source) {
+        const imports = new Set();
+        for (const pattern of IMPORT_PATTERNS) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(source)) !== null) {
+                imports.add(match[1]);
+            }
+        }
+        return [...imports];
+    }
+}
+
+module.exports = FileContextAnalyzer;
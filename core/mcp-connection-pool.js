@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude MCP Connection Pool
+ * Keeps MCP servers warm across persona switches: personas attach and detach servers
+ * from their view instead of restarting them, and servers nobody has used or attached
+ * for the idle timeout are closed
+ */
+
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('mcp:pool');
+
+class MCPConnectionPool {
+    constructor(options = {}) {
+        this.mcp = options.mcp;
+        this.idleTimeoutMs = options.idleTimeoutMs !== undefined ? options.idleTimeoutMs : 300000;
+        this.holders = new Map();      // holder (session ID) -> Set of attached server names
+        this.detachedAt = new Map();   // server name -> when its last holder detached
+        this.starting = new Map();     // server name -> in-flight start promise
+        this.stats = { starts: 0, reuses: 0, failures: 0, idleClosed: 0 };
+        this.sweepTimer = null;
+
+        if (this.idleTimeoutMs > 0) {
+            // Sweep a few times per timeout; unref'd so an idle pool never keeps the process alive
+            this.sweepTimer = setInterval(() => this.closeIdle(), Math.min(Math.max(this.idleTimeoutMs / 4, 1000), 60000));
+            this.sweepTimer.unref();
+        }
+    }
+
+    // Make exactly `serverNames` the holder's view, starting only servers that are not already warm
+    async attach(holder, serverNames) {
+        const previous = this.holders.get(holder) || new Set();
+        const attached = new Set();
+
+        for (const name of serverNames) {
+            try {
+                await this.ensureStarted(name);
+                attached.add(name);
+                this.detachedAt.delete(name);
+            } catch (error) {
+                this.stats.failures++;
+                log.warn(`⚠️  Failed to connect to ${name} MCP: ${error.message}`);
+            }
+        }
+
+        this.holders.set(holder, attached);
+        for (const name of previous) {
+            if (!attached.has(name)) this.markDetached(name);
+        }
+
+        return [...attached];
+    }
+
+    // Drop servers from the holder's view; they stay warm until idle
+    detach(holder, serverNames = null) {
+        const attached = this.holders.get(holder);
+        if (!attached) return;
+
+        for (const name of serverNames || [...attached]) {
+            if (attached.delete(name)) this.markDetached(name);
+        }
+        if (attached.size === 0) this.holders.delete(holder);
+    }
+
+    markDetached(name) {
+        if (!this.isAttached(name)) this.detachedAt.set(name, Date.now());
+    }
+
+    isAttached(name) {
+        return [...this.holders.values()].some(attached => attached.has(name));
+    }
+
+    // Reuse a running server or start it; concurrent requests share one start
+    async ensureStarted(name) {
+        const running = this.mcp.mcpServers.get(name);
+        if (running && running.connected) {
+            this.stats.reuses++;
+            return running;
+        }
+
+        if (!this.starting.has(name)) {
+            this.stats.starts++;
+            const start = this.mcp.startMCPServer(name)
+                .finally(() => this.starting.delete(name));
+            this.starting.set(name, start);
+        }
+        return this.starting.get(name);
+    }
+
+    // Close servers that are detached everywhere and unused for the idle timeout
+    closeIdle(now = Date.now()) {
+        if (!(this.idleTimeoutMs > 0)) return [];
+
+        const closed = [];
+        for (const [name, server] of this.mcp.mcpServers.entries()) {
+            if (this.isAttached(name)) continue;
+
+            const lastActivity = Math.max(server.lastUsed || 0, this.detachedAt.get(name) || 0, server.startedAt || 0);
+            if (now - lastActivity >= this.idleTimeoutMs) {
+                this.mcp.stopMCPServer(name);
+                this.detachedAt.delete(name);
+                this.stats.idleClosed++;
+                closed.push(name);
+                log.info(`💤 Closed idle ${name} MCP server`);
+            }
+        }
+        return closed;
+    }
+
+    getStats(now = Date.now()) {
+        const servers = [...this.mcp.mcpServers.entries()].map(([name, server]) => {
+            const attachedTo = [...this.holders.entries()]
+                .filter(([, attached]) => attached.has(name))
+                .map(([holder]) => holder);
+            return {
+                name,
+                state: attachedTo.length > 0 ? 'attached' : 'warm',
+                attachedTo,
+                requestCount: server.requestCount,
+                lastUsed: server.lastUsed,
+                idleMs: attachedTo.length > 0 ? 0 : now - Math.max(server.lastUsed || 0, this.detachedAt.get(name) || 0, server.startedAt || 0)
+            };
+        });
+
+        return {
+            idleTimeoutMs: this.idleTimeoutMs,
+            running: servers.length,
+            attached: servers.filter(server => server.state === 'attached').length,
+            warm: servers.filter(server => server.state === 'warm').length,
+            ...this.stats,
+            servers
+        };
+    }
+
+    // Stop the sweeper and every pooled server
+    async shutdown() {
+        if (this.sweepTimer) clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+        this.holders.clear();
+        this.detachedAt.clear();
+        await this.mcp.shutdown();
+    }
+}
+
+module.exports = MCPConnectionPool;
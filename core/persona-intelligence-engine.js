@@ -9,88 +9,89 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const PersonaRegistry = require('./persona-registry.js');
+const PersonaScoringRules = require('./persona-scoring-rules.js');
+const FileContextAnalyzer = require('./file-context-analyzer.js');
+const PersonaLearning = require('./persona-learning.js');
+const SuperClaudeSharedLoader = require('./superclaude-shared-loader.js');
+const ProjectFingerprinter = require('./project-fingerprint.js');
+const { textAnalyzer } = require('../src/text-analysis.js');
+const { getConfig } = require('../src/superclaude-config.js');
+const { Redactor } = require('../src/redaction.js');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('engine');
 
 class PersonaIntelligenceEngine {
     constructor(options = {}) {
-        this.superClaudePath = options.superClaudePath || '/media/rapharoncatti/Transfer/Repos/clean-superclaude';
-        this.frameworkPath = options.frameworkPath || '/media/rapharoncatti/Transfer/Repos/superclaude-autodoc-framework';
+        this.config = options.config || getConfig({ projectRoot: options.projectRoot });
+        this.superClaudePath = options.superClaudePath || this.config.get('superClaudePath');
+        this.frameworkPath = options.frameworkPath || this.config.get('frameworkPath');
+        this.cacheDir = options.cacheDir ||
+            (options.frameworkPath ? path.join(options.frameworkPath, '.superclaude-cache') : this.config.get('cacheDir'));
         
-        // Load SuperClaude knowledge
-        this.personas = this.loadSuperClaudePersonas();
+        // Load SuperClaude knowledge, extended by project persona definitions
+        this.sharedLoader = new SuperClaudeSharedLoader({ superClaudePath: this.superClaudePath });
+        this.personaRegistry = new PersonaRegistry({
+            personasDir: options.personasDir || this.config.get('personasDir')
+        });
+        this.personas = this.personaRegistry.load(this.loadSuperClaudePersonas());
         this.intelligentActivation = this.loadIntelligentActivation();
         this.evidenceStandards = this.loadEvidenceStandards();
         
+        // Declarative scoring rules, reloaded when the rules file changes
+        this.scoringRules = new PersonaScoringRules({
+            rulesFile: options.scoringRulesFile || this.config.get('scoringRulesFile'),
+            knownPersonas: Object.keys(this.personas)
+        });
+        this.scoringRules.load();
+        
+        // Reads files mentioned in requests and changed in the git working tree, confined to the project root
+        this.fileContextAnalyzer = this.config.get('context.readFiles')
+            ? new FileContextAnalyzer({ cwd: this.config.projectRoot, maxFiles: this.config.get('context.maxFiles') })
+            : null;
+        
+        // Frameworks, package managers, Docker and CI from the project's manifests
+        this.projectFingerprinter = this.config.get('project.fingerprint')
+            ? new ProjectFingerprinter({ cacheDir: this.cacheDir })
+            : null;
+        
+        // Secrets and PII are masked before context analyses are cached
+        this.redactor = options.redactor || Redactor.fromConfig(this.config);
+        
         // Initialize v2.0 components
+        this.cacheFingerprint = this.computeCacheFingerprint();
         this.smartCache = this.initializeSmartCache();
         this.evidenceValidator = this.initializeEvidenceValidator();
-        this.performanceMonitor = this.initializePerformanceMonitor();
+        this.performanceMonitor = this.initializePerformanceMonitor(
+            options.metricsDir || (options.cacheDir || options.frameworkPath
+                ? path.join(this.cacheDir, 'metrics')
+                : this.config.get('metricsDir'))
+        );
         
         // Persona intelligence state
         this.currentPersona = null;
         this.personaHistory = [];
         this.contextAnalysisCache = new Map();
-        this.learningPatterns = this.loadLearningPatterns();
+        this.learning = new PersonaLearning({
+            patternsPath: path.join(this.cacheDir, 'learning-patterns.json'),
+            halfLifeDays: this.config.get('learning.halfLifeDays')
+        });
+        this.recentSelections = new Map();
         
-        console.log('✅ SuperClaude Persona Intelligence Engine initialized');
-        console.log(`📋 Loaded ${Object.keys(this.personas).length} personas from clean SuperClaude`);
+        log.info('✅ SuperClaude Persona Intelligence Engine initialized');
+        log.info(`📋 Loaded ${Object.keys(this.personas).length} personas from clean SuperClaude`);
     }
 
     // Load SuperClaude persona definitions
     loadSuperClaudePersonas() {
-        try {
-            const yaml = require('js-yaml');
-            const personasPath = path.join(this.superClaudePath, '.claude/shared/superclaude-personas.yml');
-            
-            if (fs.existsSync(personasPath)) {
-                const content = fs.readFileSync(personasPath, 'utf8');
-                
-                // Extract just the All_Personas section to avoid YAML duplication errors
-                const lines = content.split('\n');
-                let startIndex = -1;
-                let endIndex = -1;
-                
-                // Find ## All_Personas section
-                for (let i = 0; i < lines.length; i++) {
-                    if (lines[i].trim() === '## All_Personas') {
-                        startIndex = i + 1; // Start after the header
-                    } else if (startIndex !== -1 && lines[i].startsWith('## ')) {
-                        endIndex = i;
-                        break;
-                    }
-                }
-                
-                if (startIndex !== -1) {
-                    if (endIndex === -1) endIndex = lines.length;
-                    
-                    // Extract personas content
-                    const personasLines = lines.slice(startIndex, endIndex);
-                    
-                    // Remove empty lines at the end
-                    while (personasLines.length > 0 && personasLines[personasLines.length - 1].trim() === '') {
-                        personasLines.pop();
-                    }
-                    
-                    const personasContent = personasLines.join('\n');
-                    
-                    // Wrap in proper YAML structure by indenting all content
-                    const indentedContent = personasContent.split('\n').map(line => 
-                        line.trim() === '' ? '' : `  ${line}`
-                    ).join('\n');
-                    
-                    const yamlContent = `All_Personas:\n${indentedContent}`;
-                    
-                    const data = yaml.load(yamlContent);
-                    if (data?.All_Personas) {
-                        console.log('✅ Loaded SuperClaude personas from clean repo');
-                        return data.All_Personas;
-                    }
-                }
-                
-                console.log('⚠️  Could not extract All_Personas section, using fallback');
-            }
-        } catch (error) {
-            console.log('⚠️  Could not load SuperClaude personas, using fallback:', error.message);
+        const [file, section] = SuperClaudeSharedLoader.SHARED_SECTIONS.personas;
+        const personas = this.sharedLoader.getSection(file, section, null);
+        if (personas) {
+            log.info('✅ Loaded SuperClaude personas from clean repo');
+            return personas;
         }
+        log.warn(`⚠️  Could not load SuperClaude personas, using fallback: ${this.describeFallback(file, section)}`);
         
         // Fallback persona definitions from SuperClaude
         return {
@@ -153,54 +154,13 @@ class PersonaIntelligenceEngine {
 
     // Load SuperClaude intelligent activation patterns
     loadIntelligentActivation() {
-        try {
-            const yaml = require('js-yaml');
-            const corePath = path.join(this.superClaudePath, '.claude/shared/superclaude-core.yml');
-            
-            if (fs.existsSync(corePath)) {
-                const content = fs.readFileSync(corePath, 'utf8');
-                
-                // Extract the Intelligent_Auto_Activation section
-                const lines = content.split('\n');
-                let startIndex = -1;
-                let endIndex = -1;
-                
-                for (let i = 0; i < lines.length; i++) {
-                    if (lines[i].trim() === '## Intelligent_Auto_Activation') {
-                        startIndex = i + 1;
-                    } else if (startIndex !== -1 && lines[i].startsWith('## ')) {
-                        endIndex = i;
-                        break;
-                    }
-                }
-                
-                if (startIndex !== -1) {
-                    if (endIndex === -1) endIndex = lines.length;
-                    
-                    const sectionLines = lines.slice(startIndex, endIndex);
-                    while (sectionLines.length > 0 && sectionLines[sectionLines.length - 1].trim() === '') {
-                        sectionLines.pop();
-                    }
-                    
-                    const sectionContent = sectionLines.join('\n');
-                    const indentedContent = sectionContent.split('\n').map(line => 
-                        line.trim() === '' ? '' : `  ${line}`
-                    ).join('\n');
-                    
-                    const yamlContent = `Intelligent_Auto_Activation:\n${indentedContent}`;
-                    
-                    const data = yaml.load(yamlContent);
-                    if (data?.Intelligent_Auto_Activation) {
-                        console.log('✅ Loaded SuperClaude intelligent activation patterns from clean repo');
-                        return data.Intelligent_Auto_Activation;
-                    }
-                }
-                
-                console.log('⚠️  Could not extract Intelligent_Auto_Activation section');
-            }
-        } catch (error) {
-            console.log('⚠️  Could not load activation patterns, using fallback:', error.message);
+        const [file, section] = SuperClaudeSharedLoader.SHARED_SECTIONS.activation;
+        const activation = this.sharedLoader.getSection(file, section, null);
+        if (activation) {
+            log.info('✅ Loaded SuperClaude intelligent activation patterns from clean repo');
+            return activation;
         }
+        log.warn(`⚠️  Could not load activation patterns, using fallback: ${this.describeFallback(file, section)}`);
 
         // Fallback activation patterns from SuperClaude core
         return {
@@ -235,54 +195,13 @@ class PersonaIntelligenceEngine {
 
     // Load SuperClaude evidence standards
     loadEvidenceStandards() {
-        try {
-            const yaml = require('js-yaml');
-            const corePath = path.join(this.superClaudePath, '.claude/shared/superclaude-core.yml');
-            
-            if (fs.existsSync(corePath)) {
-                const content = fs.readFileSync(corePath, 'utf8');
-                
-                // Extract the Evidence_Based_Standards section
-                const lines = content.split('\n');
-                let startIndex = -1;
-                let endIndex = -1;
-                
-                for (let i = 0; i < lines.length; i++) {
-                    if (lines[i].trim() === '## Evidence_Based_Standards') {
-                        startIndex = i + 1;
-                    } else if (startIndex !== -1 && lines[i].startsWith('## ')) {
-                        endIndex = i;
-                        break;
-                    }
-                }
-                
-                if (startIndex !== -1) {
-                    if (endIndex === -1) endIndex = lines.length;
-                    
-                    const sectionLines = lines.slice(startIndex, endIndex);
-                    while (sectionLines.length > 0 && sectionLines[sectionLines.length - 1].trim() === '') {
-                        sectionLines.pop();
-                    }
-                    
-                    const sectionContent = sectionLines.join('\n');
-                    const indentedContent = sectionContent.split('\n').map(line => 
-                        line.trim() === '' ? '' : `  ${line}`
-                    ).join('\n');
-                    
-                    const yamlContent = `Evidence_Based_Standards:\n${indentedContent}`;
-                    
-                    const data = yaml.load(yamlContent);
-                    if (data?.Evidence_Based_Standards) {
-                        console.log('✅ Loaded SuperClaude evidence standards from clean repo');
-                        return data.Evidence_Based_Standards;
-                    }
-                }
-                
-                console.log('⚠️  Could not extract Evidence_Based_Standards section');
-            }
-        } catch (error) {
-            console.log('⚠️  Could not load evidence standards, using fallback:', error.message);
+        const [file, section] = SuperClaudeSharedLoader.SHARED_SECTIONS.evidence;
+        const standards = this.sharedLoader.getSection(file, section, null);
+        if (standards) {
+            log.info('✅ Loaded SuperClaude evidence standards from clean repo');
+            return standards;
         }
+        log.warn(`⚠️  Could not load evidence standards, using fallback: ${this.describeFallback(file, section)}`);
 
         return {
             Prohibited_Language: "best|optimal|faster|secure|better|improved|enhanced|always|never|guaranteed",
@@ -291,77 +210,59 @@ class PersonaIntelligenceEngine {
         };
     }
 
+    // Why a shared section fell back, as recorded by the shared loader
+    describeFallback(file, section) {
+        const entry = this.sharedLoader.getReport().sections.find(item => item.file === file && item.section === section);
+        return entry ? entry.reason : 'unknown';
+    }
+
     // Initialize v2.0 smart cache
     initializeSmartCache() {
         try {
             const SmartCache = require('./smart-cache.js');
             const cache = new SmartCache({
-                dbPath: path.join(this.frameworkPath, '.superclaude-cache/persona-intelligence.db')
+                dbPath: path.join(this.cacheDir, 'persona-intelligence.db'),
+                namespace: 'persona-intelligence',
+                ttlMs: this.config.get('cache.ttlMinutes') * 60 * 1000,
+                maxEntries: this.config.get('cache.maxEntries'),
+                fingerprint: this.cacheFingerprint
             });
-            console.log('✅ Smart cache with SQLite initialized');
+            log.info('✅ Smart cache with SQLite initialized');
             return cache;
         } catch (error) {
             // Create an enhanced memory cache with persistence
-            console.log('ℹ️  Using enhanced JSON cache (SQLite not available)');
+            log.info('ℹ️  Using enhanced JSON cache (SQLite not available)');
             return this.createEnhancedMemoryCache();
         }
     }
 
-    // Create enhanced memory cache with JSON persistence
+    // Hash of everything cached analyses depend on: persona definitions, activation triggers and scoring rules
+    computeCacheFingerprint() {
+        const rules = this.scoringRules.rules.map(({ id, type, field, match, personas, weight }) =>
+            ({ id, type, field, match, personas, weight })
+        );
+        const content = JSON.stringify({ personas: this.personas, activation: this.intelligentActivation, rules });
+        return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+    }
+
+    // Recompute the fingerprint after a rules reload so stale cache entries are dropped
+    refreshCacheFingerprint() {
+        this.cacheFingerprint = this.computeCacheFingerprint();
+        const removed = this.smartCache.setFingerprint(this.cacheFingerprint);
+        if (removed > 0) log.info(`🔄 Invalidated ${removed} cached analyses after rules change`);
+    }
+
+    // JSON-file cache with the same TTL, LRU and fingerprint rules as the SQLite one
     createEnhancedMemoryCache() {
-        const cachePath = path.join(this.frameworkPath, '.superclaude-cache/memory-cache.json');
-        
-        const cache = {
-            data: new Map(),
-            
-            // Load from disk on startup
-            load: () => {
-                try {
-                    if (fs.existsSync(cachePath)) {
-                        const fileContent = fs.readFileSync(cachePath, 'utf8');
-                        const jsonData = JSON.parse(fileContent);
-                        cache.data = new Map(Object.entries(jsonData));
-                        console.log(`✅ Loaded ${cache.data.size} cached items from disk`);
-                    }
-                } catch (error) {
-                    console.log('⚠️  Could not load cache from disk, starting fresh');
-                }
-            },
-            
-            // Save to disk
-            save: () => {
-                try {
-                    const dir = path.dirname(cachePath);
-                    if (!fs.existsSync(dir)) {
-                        fs.mkdirSync(dir, { recursive: true });
-                    }
-                    
-                    const jsonData = Object.fromEntries(cache.data);
-                    fs.writeFileSync(cachePath, JSON.stringify(jsonData, null, 2));
-                } catch (error) {
-                    console.log('⚠️  Could not save cache to disk');
-                }
-            },
-            
-            get: (key) => cache.data.get(key),
-            set: (key, value) => {
-                cache.data.set(key, value);
-                // Save periodically (not on every set for performance)
-                if (cache.data.size % 10 === 0) {
-                    cache.save();
-                }
-                return true;
-            },
-            has: (key) => cache.data.has(key)
-        };
-        
-        // Load existing cache
-        cache.load();
-        
-        // Save on exit
-        process.on('exit', cache.save);
-        process.on('SIGINT', cache.save);
-        
+        const { JsonCache } = require('./smart-cache.js');
+        const cache = new JsonCache({
+            filePath: path.join(this.cacheDir, 'memory-cache.json'),
+            namespace: 'persona-intelligence',
+            ttlMs: this.config.get('cache.ttlMinutes') * 60 * 1000,
+            maxEntries: this.config.get('cache.maxEntries'),
+            fingerprint: this.cacheFingerprint
+        });
+        if (cache.size() > 0) log.info(`✅ Loaded ${cache.size()} cached items from disk`);
         return cache;
     }
 
@@ -369,78 +270,62 @@ class PersonaIntelligenceEngine {
     initializeEvidenceValidator() {
         try {
             const EvidenceValidator = require('./evidence-validator.js');
-            return new EvidenceValidator();
+            return new EvidenceValidator({ standards: this.evidenceStandards });
         } catch (error) {
-            console.log('⚠️  Evidence validator not available, using basic validation');
+            log.warn('⚠️  Evidence validator not available, using basic validation');
             return {
-                validateClaim: async (claim) => ({ isValid: true, confidence: 0.8 })
+                validateClaim: async (claim) => ({ isValid: true, confidence: 0.8, findings: [] })
             };
         }
     }
 
     // Initialize v2.0 performance monitor
-    initializePerformanceMonitor() {
+    initializePerformanceMonitor(metricsDir) {
         try {
             const PerformanceMonitor = require('../tools/performance-monitor.js');
-            return new PerformanceMonitor();
+            return new PerformanceMonitor({ metricsDir });
         } catch (error) {
-            console.log('⚠️  Performance monitor not available, using basic logging');
+            log.warn('⚠️  Performance monitor not available, using basic logging');
             return {
                 recordOperation: (type, metrics) => {
-                    console.log(`📊 ${type}: ${JSON.stringify(metrics)}`);
+                    log.info(`📊 ${type}: ${JSON.stringify(metrics)}`);
                 }
             };
         }
     }
 
-    // Load learning patterns from previous sessions
-    loadLearningPatterns() {
-        const patternsPath = path.join(this.frameworkPath, '.superclaude-cache/learning-patterns.json');
-        
-        try {
-            if (fs.existsSync(patternsPath)) {
-                const content = fs.readFileSync(patternsPath, 'utf8');
-                return JSON.parse(content);
-            }
-        } catch (error) {
-            console.log('⚠️  No learning patterns found, starting fresh');
-        }
-
-        return {
-            contextPatterns: {},
-            personaSuccess: {},
-            taskTypeMapping: {},
-            userPreferences: {}
-        };
-    }
-
-    // Save learning patterns for future sessions
-    saveLearningPatterns() {
-        const patternsPath = path.join(this.frameworkPath, '.superclaude-cache/learning-patterns.json');
-        
-        try {
-            const dir = path.dirname(patternsPath);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
-            
-            fs.writeFileSync(patternsPath, JSON.stringify(this.learningPatterns, null, 2));
-        } catch (error) {
-            console.log('⚠️  Could not save learning patterns');
-        }
-    }
-
     // Analyze context to determine optimal persona
     async analyzeContext(request, options = {}) {
         const startTime = Date.now();
         
+        // Pick up scoring rule edits before consulting the cache
+        if (this.scoringRules.refresh()) this.refreshCacheFingerprint();
+        
+        // Resolve referenced and changed files first so edits invalidate cached analyses
+        // (git status itself is reused for a few seconds per project root)
+        const fileContext = this.analyzeFileContext(request, options);
+        const fingerprint = this.getProjectFingerprint(options);
+        const projectPackages = fingerprint
+            ? this.projectFingerprinter.packagesFor(fingerprint, [...fileContext.mentioned, ...fileContext.changed])
+            : [];
+        
         // Generate context signature for caching
-        const contextSignature = this.generateContextSignature(request, options);
+        const contextSignature = this.generateContextSignature(request, {
+            ...options,
+            files: fileContext.signature,
+            project: fingerprint ? fingerprint.signature : '',
+            fingerprint: this.cacheFingerprint
+        });
         
         // Check cache first (v2.0 optimization)
         if (this.smartCache.has(contextSignature)) {
             const cached = this.smartCache.get(contextSignature);
-            console.log('⚡ Using cached context analysis');
+            log.info('⚡ Using cached context analysis');
+            this.performanceMonitor.recordOperation('context_analysis', {
+                duration: Date.now() - startTime,
+                cacheHit: true,
+                complexity: cached.complexity
+            });
             return cached;
         }
 
@@ -451,8 +336,15 @@ class PersonaIntelligenceEngine {
             timestamp: Date.now(),
             
             // File analysis
-            fileTypes: this.extractFileTypes(request),
-            fileContent: this.analyzeFileContent(request),
+            files: fileContext.files,
+            fileTypes: [...new Set([...this.extractFileTypes(request, options.cwd), ...fileContext.fileTypes])],
+            fileContent: this.analyzeFileContent(request, fileContext),
+            fileContext: {
+                mentioned: fileContext.mentioned,
+                changed: fileContext.changed,
+                read: fileContext.headers.map(header => header.path),
+                imports: fileContext.imports
+            },
             
             // Keyword analysis
             keywords: this.extractKeywords(request),
@@ -468,8 +360,11 @@ class PersonaIntelligenceEngine {
             debuggingNeeds: this.assessDebuggingNeeds(request),
             
             // Project context
-            projectType: this.detectProjectType(),
-            stack: this.detectTechnologyStack(request),
+            projectType: this.detectProjectType(fingerprint),
+            stack: this.detectTechnologyStack(request, projectPackages),
+            project: this.summarizeFingerprint(fingerprint, projectPackages),
+            projectFrameworks: [...new Set(projectPackages.flatMap(pkg => pkg.frameworks))],
+            projectCategories: [...new Set(projectPackages.flatMap(pkg => pkg.categories))],
             
             // User intent analysis
             intent: this.analyzeUserIntent(request),
@@ -481,7 +376,7 @@ class PersonaIntelligenceEngine {
         };
 
         // Cache the analysis (v2.0 optimization)
-        this.smartCache.set(contextSignature, context);
+        this.smartCache.set(contextSignature, this.redactor.redact(context, 'cache'));
         
         // Record performance
         this.performanceMonitor.recordOperation('context_analysis', {
@@ -499,31 +394,57 @@ class PersonaIntelligenceEngine {
         return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
     }
 
-    // Extract file types from request
-    extractFileTypes(request) {
-        const text = typeof request === 'string' ? request : JSON.stringify(request);
-        const extensions = text.match(/\.\w+/g) || [];
-        return [...new Set(extensions)];
+    // Read files mentioned in the request and changed in git (empty when disabled)
+    analyzeFileContext(request, options = {}) {
+        if (!this.fileContextAnalyzer || options.readFiles === false) {
+            return { mentioned: [], changed: [], files: [], fileTypes: [], headers: [], imports: [], signature: '' };
+        }
+        
+        try {
+            return this.fileContextAnalyzer.analyze(request, { cwd: options.cwd });
+        } catch (error) {
+            log.warn(`⚠️  File context analysis failed: ${error.message}`);
+            return { mentioned: [], changed: [], files: [], fileTypes: [], headers: [], imports: [], signature: '' };
+        }
     }
 
-    // Analyze file content patterns
-    analyzeFileContent(request) {
+    // Extract file types from file names mentioned in the request (ignores "e.g.", "v2.0", "Node.js")
+    extractFileTypes(request, cwd = this.config.projectRoot) {
         const text = typeof request === 'string' ? request : JSON.stringify(request);
-        
-        return {
-            hasReactComponents: /import.*React|export.*Component|\.jsx?/.test(text),
-            hasBackendCode: /express|fastify|server|api|database|sql/.test(text),
-            hasTestCode: /test|spec|jest|mocha|cypress|describe|it\(/.test(text),
-            hasConfigFiles: /config|\.json|\.yml|\.yaml|docker|package\.json/.test(text),
-            hasDocumentation: /readme|documentation|docs|\.md/.test(text),
-            hasSecurityCode: /auth|security|crypto|password|token/.test(text),
-            hasPerformanceCode: /optimize|performance|cache|async|await/.test(text)
+        const analyzer = this.fileContextAnalyzer || new FileContextAnalyzer();
+        const mentioned = analyzer.extractMentionedFiles(text, cwd);
+        return analyzer.collectFileTypes(mentioned.map(file => file.path));
+    }
+
+    // Analyze file content patterns in the request and in the headers of the files it touches
+    // Request wording goes through the shared tokenizer; code patterns only apply to file headers and imports
+    analyzeFileContent(request, fileContext = { headers: [], imports: [] }) {
+        const text = textAnalyzer.analyze(request);
+        const code = [
+            ...(fileContext.mentioned || []),
+            ...fileContext.headers.map(header => `${header.path}\n${header.header}`),
+            fileContext.imports.join('\n')
+        ].join('\n');
+        const signals = {
+            hasReactComponents: [['react', 'component', 'jsx', 'tsx'], /import.*React|export.*Component|\.[jt]sx\b/],
+            hasBackendCode: [['express', 'fastify', 'server', 'api', 'database', 'sql'], /express|fastify|server|api|database|sql/],
+            hasTestCode: [['test', 'spec', 'jest', 'mocha', 'cypress'], /test|spec|jest|mocha|cypress|describe\(|\bit\(/],
+            hasConfigFiles: [['config', 'configuration', 'json', 'yml', 'yaml', 'docker'], /config|\.json|\.yml|\.yaml|docker|package\.json/],
+            hasDocumentation: [['readme', 'documentation', 'docs', 'md'], /readme|documentation|docs|\.md\b/i],
+            hasSecurityCode: [['auth', 'security', 'crypto', 'password', 'token'], /auth|security|crypto|password|token/],
+            hasPerformanceCode: [['optimize', 'performance', 'cache', 'async', 'await'], /optimize|performance|cache|async|await/]
         };
+        
+        const content = {};
+        for (const [signal, [terms, pattern]] of Object.entries(signals)) {
+            content[signal] = terms.some(term => textAnalyzer.hasTerm(text, term)) || pattern.test(code);
+        }
+        return content;
     }
 
     // Extract keywords using SuperClaude patterns
     extractKeywords(request) {
-        const text = typeof request === 'string' ? request.toLowerCase() : JSON.stringify(request).toLowerCase();
+        const text = textAnalyzer.analyze(request);
         const keywords = [];
         
         // Use SuperClaude keyword triggers
@@ -531,7 +452,7 @@ class PersonaIntelligenceEngine {
         
         for (const [pattern, action] of Object.entries(triggers)) {
             const keywordList = pattern.split('_');
-            if (keywordList.some(keyword => text.includes(keyword))) {
+            if (keywordList.some(keyword => textAnalyzer.hasTerm(text, keyword))) {
                 keywords.push(pattern);
             }
         }
@@ -541,7 +462,7 @@ class PersonaIntelligenceEngine {
 
     // Extract technical terms for better persona selection
     extractTechnicalTerms(request) {
-        const text = typeof request === 'string' ? request.toLowerCase() : JSON.stringify(request).toLowerCase();
+        const text = textAnalyzer.analyze(request);
         const terms = [];
 
         const technicalPatterns = {
@@ -554,7 +475,7 @@ class PersonaIntelligenceEngine {
         };
 
         for (const [category, patterns] of Object.entries(technicalPatterns)) {
-            if (patterns.some(pattern => text.includes(pattern))) {
+            if (patterns.some(pattern => textAnalyzer.hasTerm(text, pattern))) {
                 terms.push(category);
             }
         }
@@ -564,16 +485,21 @@ class PersonaIntelligenceEngine {
 
     // Classify task type for optimal persona selection
     classifyTaskType(request) {
-        const text = typeof request === 'string' ? request.toLowerCase() : JSON.stringify(request).toLowerCase();
+        const text = textAnalyzer.analyze(request);
+        const taskTypes = {
+            development: ['build', 'create', 'implement', 'develop', 'development', 'code'],
+            debugging: ['debug', 'error', 'bug', 'fix', 'troubleshoot'],
+            architecture: ['design', 'architecture', 'plan', 'structure'],
+            testing: ['test', 'quality', 'coverage', 'validate', 'validation'],
+            optimization: ['optimize', 'performance', 'speed', 'improve'],
+            security: ['secure', 'security', 'vulnerability', 'auth', 'authentication', 'authorization'],
+            education: ['explain', 'learn', 'tutorial', 'document', 'documentation'],
+            maintenance: ['refactor', 'clean', 'cleanup', 'maintain', 'maintenance', 'debt']
+        };
         
-        if (/build|create|implement|develop|code/.test(text)) return 'development';
-        if (/debug|error|bug|fix|troubleshoot/.test(text)) return 'debugging';
-        if (/design|architecture|plan|structure/.test(text)) return 'architecture';
-        if (/test|quality|coverage|validate/.test(text)) return 'testing';
-        if (/optimize|performance|speed|improve/.test(text)) return 'optimization';
-        if (/secure|security|vulnerability|auth/.test(text)) return 'security';
-        if (/explain|learn|tutorial|document/.test(text)) return 'education';
-        if (/refactor|clean|maintain|debt/.test(text)) return 'maintenance';
+        for (const [taskType, terms] of Object.entries(taskTypes)) {
+            if (terms.some(term => textAnalyzer.hasTerm(text, term))) return taskType;
+        }
         
         return 'general';
     }
@@ -608,14 +534,15 @@ class PersonaIntelligenceEngine {
 
     // Detect error patterns using SuperClaude intelligence
     detectErrorPatterns(request) {
-        const text = typeof request === 'string' ? request : JSON.stringify(request);
+        const text = textAnalyzer.analyze(request);
         const patterns = [];
         
-        // Use SuperClaude context intelligence
+        // Use SuperClaude context intelligence ("Module_errors" matches "module errors")
         const contextIntelligence = this.intelligentActivation.Context_Intelligence || {};
         
         for (const [pattern, action] of Object.entries(contextIntelligence)) {
-            if (text.includes(pattern)) {
+            // Error names are matched inside code spans too ("`TypeError: ...`")
+            if (textAnalyzer.hasTerm(text, pattern, { includeCode: true })) {
                 patterns.push({ pattern, suggestedAction: action });
             }
         }
@@ -635,22 +562,41 @@ class PersonaIntelligenceEngine {
         };
     }
 
-    // Detect project type
-    detectProjectType() {
-        const cwd = process.cwd();
-        
-        if (fs.existsSync(path.join(cwd, 'package.json'))) return 'node';
-        if (fs.existsSync(path.join(cwd, 'requirements.txt'))) return 'python';
-        if (fs.existsSync(path.join(cwd, 'Cargo.toml'))) return 'rust';
-        if (fs.existsSync(path.join(cwd, 'pom.xml'))) return 'java';
-        if (fs.existsSync(path.join(cwd, 'Assets/Scripts'))) return 'unity';
-        if (fs.existsSync(path.join(cwd, 'Dockerfile'))) return 'containerized';
+    // Project fingerprint for options.cwd or the configured project root (null when disabled or files are not read)
+    getProjectFingerprint(options = {}) {
+        if (!this.projectFingerprinter || options.readFiles === false) return null;
         
-        return 'generic';
+        try {
+            return this.projectFingerprinter.fingerprint(options.cwd || this.config.projectRoot);
+        } catch (error) {
+            log.warn(`⚠️  Project fingerprinting failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Compact view of the fingerprint for the analysis context
+    summarizeFingerprint(fingerprint, packages) {
+        if (!fingerprint) return null;
+        return {
+            root: fingerprint.root,
+            languages: fingerprint.languages,
+            packageManagers: fingerprint.packageManagers,
+            monorepo: fingerprint.monorepo ? fingerprint.monorepo.tools : null,
+            packages: packages.map(pkg => pkg.path),
+            docker: !!fingerprint.docker,
+            ci: fingerprint.ci.map(ci => ci.provider),
+            mcpHints: this.projectFingerprinter.mcpHints(fingerprint)
+        };
     }
 
-    // Detect technology stack
-    detectTechnologyStack(request) {
+    // Detect project type
+    detectProjectType(fingerprint = this.getProjectFingerprint()) {
+        if (fingerprint) return fingerprint.projectType;
+        return new ProjectFingerprinter().detectProjectType(this.config.projectRoot);
+    }
+
+    // Detect technology stack from the request, plus frameworks declared by the project's packages
+    detectTechnologyStack(request, projectPackages = []) {
         const text = typeof request === 'string' ? request.toLowerCase() : JSON.stringify(request).toLowerCase();
         const stack = [];
         
@@ -671,7 +617,11 @@ class PersonaIntelligenceEngine {
             }
         }
 
-        return stack;
+        for (const pkg of projectPackages) {
+            stack.push(...pkg.frameworks);
+        }
+
+        return [...new Set(stack)];
     }
 
     // Analyze user intent
@@ -733,29 +683,28 @@ class PersonaIntelligenceEngine {
             personaScores[personaName] = 0;
         }
 
-        // Score based on file types (SuperClaude file type detection)
-        this.scoreByFileTypes(context.fileTypes, personaScores);
-        
-        // Score based on keywords (SuperClaude keyword triggers)
-        this.scoreByKeywords(context.keywords, personaScores);
+        // Each stage records its per-persona contribution for the selection explanation
+        const stages = [];
         
-        // Score based on technical terms
-        this.scoreByTechnicalTerms(context.technicalTerms, personaScores);
-        
-        // Score based on task type
-        this.scoreByTaskType(context.taskType, personaScores);
+        // Score based on file types, keywords, technical terms, task type,
+        // file content and requirements (declarative scoring rules), one stage per rule type
+        if (this.scoringRules.refresh()) this.refreshCacheFingerprint();
+        for (const type of PersonaScoringRules.RULE_TYPES) {
+            this.runScoringStage(stages, `${type.replace(/-/g, '_')}_rules`, personaScores,
+                () => this.scoringRules.apply(context, personaScores, { type }));
+        }
         
         // Score based on error patterns (SuperClaude context intelligence)
-        this.scoreByErrorPatterns(context.errorPatterns, personaScores);
+        this.runScoringStage(stages, 'error_patterns', personaScores,
+            () => this.scoreByErrorPatterns(context.errorPatterns, personaScores));
         
-        // Score based on file content analysis
-        this.scoreByFileContent(context.fileContent, personaScores);
-        
-        // Score based on performance and quality needs
-        this.scoreByRequirements(context.performanceNeeds, context.qualityRequirements, personaScores);
+        // Score based on trigger rules declared in persona definitions
+        this.runScoringStage(stages, 'persona_triggers', personaScores,
+            () => this.scoreByPersonaTriggers(context, personaScores));
         
         // Apply learning patterns (v2.0 enhancement)
-        this.applyLearningPatterns(context, personaScores);
+        this.runScoringStage(stages, 'learning_patterns', personaScores,
+            () => this.applyLearningPatterns(context, personaScores));
         
         // Select persona with highest score
         const selectedPersona = Object.keys(personaScores).reduce((a, b) => 
@@ -770,111 +719,130 @@ class PersonaIntelligenceEngine {
             context: context.taskType
         });
 
-        // Update learning patterns
-        this.updateLearningPatterns(context, selectedPersona, personaScores);
+        // Remember the selection so feedback can be attributed to it later
+        const selectionId = this.rememberSelection(context, selectedPersona);
 
         return {
+            selectionId,
             persona: selectedPersona,
             confidence: personaScores[selectedPersona] / 10, // Normalize to 0-1
             scores: personaScores,
-            reasoning: this.generateSelectionReasoning(selectedPersona, context, personaScores)
+            blend: this.computePersonaBlend(personaScores, selectedPersona),
+            reasoning: this.generateSelectionReasoning(selectedPersona, context, personaScores),
+            explanation: {
+                stages,
+                totals: { ...personaScores },
+                learningBoost: stages.find(stage => stage.stage === 'learning_patterns').contributions
+            }
         };
     }
 
-    // Score personas based on file types using SuperClaude patterns
-    scoreByFileTypes(fileTypes, scores) {
-        const fileTypeMapping = {
-            '.tsx': ['frontend'],
-            '.jsx': ['frontend'],
-            '.css': ['frontend'],
-            '.scss': ['frontend'],
-            '.js': ['frontend', 'backend'],
-            '.ts': ['frontend', 'backend'],
-            '.py': ['backend'],
-            '.sql': ['backend'],
-            '.test.js': ['qa'],
-            '.spec.js': ['qa'],
-            '.test.ts': ['qa'],
-            '.spec.ts': ['qa'],
-            '.md': ['mentor'],
-            '.yml': ['architect'],
-            '.yaml': ['architect'],
-            '.json': ['architect'],
-            'Dockerfile': ['architect']
+    // Blend the top personas when they score within the configured margin of the winner
+    computePersonaBlend(scores, selectedPersona) {
+        if (!this.config.get('blending.enabled')) return null;
+        
+        const topScore = scores[selectedPersona];
+        if (!(topScore > 0)) return null;
+        
+        const margin = Math.min(Math.max(this.config.get('blending.margin'), 0), 1);
+        const maxPersonas = Math.max(Math.floor(this.config.get('blending.maxPersonas')), 1);
+        
+        const members = Object.entries(scores)
+            .filter(([persona, score]) => persona === selectedPersona || (score > 0 && topScore - score <= topScore * margin))
+            .sort(([a, scoreA], [b, scoreB]) => (a === selectedPersona ? -1 : b === selectedPersona ? 1 : scoreB - scoreA))
+            .slice(0, maxPersonas);
+        
+        if (members.length < 2) return null;
+        
+        const total = members.reduce((sum, [, score]) => sum + score, 0);
+        const personas = members.map(([persona, score]) => ({
+            persona,
+            weight: Math.round((score / total) * 1000) / 1000
+        }));
+        
+        return {
+            personas,
+            margin,
+            profile: this.buildBlendedProfile(personas)
         };
-
-        for (const fileType of fileTypes) {
-            if (fileTypeMapping[fileType]) {
-                for (const persona of fileTypeMapping[fileType]) {
-                    scores[persona] += 3;
-                }
-            }
-        }
     }
 
-    // Score personas based on SuperClaude keyword triggers
-    scoreByKeywords(keywords, scores) {
-        const keywordMapping = {
-            'bug_error_issue': ['analyzer'],
-            'optimize_performance': ['performance'],
-            'secure_auth_vulnerability': ['security'],
-            'refactor_clean': ['refactorer'],
-            'explain_document_tutorial': ['mentor'],
-            'design_architecture': ['architect']
+    // Combined execution profile for a blend: merged frameworks and focus, unioned MCP preferences
+    buildBlendedProfile(personas) {
+        const configs = personas.map(({ persona }) => this.personas[persona] || {});
+        const splitPipes = value => (value || '').split('|').map(part => part.trim()).filter(Boolean);
+        
+        const focus = [...new Set(configs.flatMap(config => splitPipes(config.Focus)))];
+        
+        const frameworks = personas.map(({ persona, weight }, i) =>
+            `${persona} (${Math.round(weight * 100)}%): ${configs[i].Decision_Framework || 'n/a'}`
+        );
+        
+        return {
+            Identity: configs.map(config => config.Identity).filter(Boolean).join(' + '),
+            Decision_Framework: frameworks.join(' || '),
+            MCP_Preferences: this.mergeMcpPreferences(configs.map(config => config.MCP_Preferences)),
+            Focus: focus.join(' | '),
+            Blend: personas
         };
-
-        for (const keyword of keywords) {
-            if (keywordMapping[keyword]) {
-                for (const persona of keywordMapping[keyword]) {
-                    scores[persona] += 5;
-                }
-            }
-        }
     }
 
-    // Score based on technical terms
-    scoreByTechnicalTerms(terms, scores) {
-        const termMapping = {
-            'frontend': ['frontend'],
-            'backend': ['backend'],
-            'security': ['security'],
-            'performance': ['performance'],
-            'qa': ['qa'],
-            'devops': ['architect']
-        };
-
-        for (const term of terms) {
-            if (termMapping[term]) {
-                for (const persona of termMapping[term]) {
-                    scores[persona] += 2;
-                }
+    // Union of "Server(role) + Server(role) | notes" preference strings, first persona's role wins
+    mergeMcpPreferences(preferences) {
+        const servers = new Map();
+        const notes = [];
+        
+        for (const preference of preferences) {
+            const [wanted = '', ...rest] = (preference || '').split('|').map(part => part.trim());
+            for (const entry of wanted.split('+').map(part => part.trim()).filter(Boolean)) {
+                const name = entry.replace(/\(.*\)$/, '').trim().toLowerCase();
+                if (!servers.has(name)) servers.set(name, entry);
             }
+            notes.push(...rest.filter(Boolean));
         }
+        
+        // An "Avoid X" note from one persona loses to another persona that wants X
+        const keptNotes = [...new Set(notes)].filter(note => {
+            const avoided = note.match(/^Avoid\s+([\w/]+)/i);
+            if (!avoided) return true;
+            return !avoided[1].split('/').some(name => servers.has(name.toLowerCase()));
+        });
+        
+        return [[...servers.values()].join(' + '), ...keptNotes].filter(Boolean).join(' | ');
     }
 
-    // Score based on task type
-    scoreByTaskType(taskType, scores) {
-        const taskMapping = {
-            'development': ['frontend', 'backend', 'architect'],
-            'debugging': ['analyzer', 'qa'],
-            'architecture': ['architect'],
-            'testing': ['qa'],
-            'optimization': ['performance'],
-            'security': ['security'],
-            'education': ['mentor'],
-            'maintenance': ['refactorer']
-        };
+    // Persona MCP preferences extended with the project's hints, unless the persona avoids that server
+    resolveMcpPreferences(preferences, options = {}) {
+        const fingerprint = this.getProjectFingerprint(options);
+        if (!fingerprint) return preferences || '';
+        
+        const avoided = (preferences || '').split('|').slice(1)
+            .map(note => note.trim().match(/^Avoid\s+([\w/]+)/i))
+            .filter(Boolean)
+            .flatMap(match => match[1].toLowerCase().split('/'));
+        const hints = this.projectFingerprinter.mcpHints(fingerprint)
+            .filter(hint => !avoided.includes(hint.replace(/\(.*\)$/, '').trim().toLowerCase()));
+        
+        return this.mergeMcpPreferences([preferences, hints.join(' + ')]);
+    }
 
-        if (taskMapping[taskType]) {
-            for (const persona of taskMapping[taskType]) {
-                scores[persona] += 4;
-            }
+    // Run one scoring stage and record how much it added to each persona
+    runScoringStage(stages, stage, scores, scorer) {
+        const before = { ...scores };
+        const details = scorer() || [];
+        
+        const contributions = {};
+        for (const [persona, score] of Object.entries(scores)) {
+            const delta = score - (before[persona] || 0);
+            if (delta !== 0) contributions[persona] = delta;
         }
+        
+        stages.push({ stage, contributions, details });
     }
 
     // Score based on error patterns using SuperClaude context intelligence
     scoreByErrorPatterns(errorPatterns, scores) {
-        if (!Array.isArray(errorPatterns)) return;
+        if (!Array.isArray(errorPatterns)) return [];
         
         for (const { pattern, suggestedAction } of errorPatterns) {
             if (suggestedAction.includes('dependency analysis')) scores['analyzer'] += 3;
@@ -883,68 +851,93 @@ class PersonaIntelligenceEngine {
             if (suggestedAction.includes('debugging')) scores['analyzer'] += 3;
             if (suggestedAction.includes('qa analysis')) scores['qa'] += 3;
         }
+        
+        return errorPatterns;
     }
 
-    // Score based on file content analysis
-    scoreByFileContent(fileContent, scores) {
-        if (fileContent.hasReactComponents) scores['frontend'] += 3;
-        if (fileContent.hasBackendCode) scores['backend'] += 3;
-        if (fileContent.hasTestCode) scores['qa'] += 4;
-        if (fileContent.hasConfigFiles) scores['architect'] += 2;
-        if (fileContent.hasDocumentation) scores['mentor'] += 2;
-        if (fileContent.hasSecurityCode) scores['security'] += 4;
-        if (fileContent.hasPerformanceCode) scores['performance'] += 3;
-    }
-
-    // Score based on performance and quality requirements
-    scoreByRequirements(performanceNeeds, qualityRequirements, scores) {
-        if (performanceNeeds.needsOptimization) scores['performance'] += 4;
-        if (performanceNeeds.needsScaling) scores['architect'] += 3;
-        if (performanceNeeds.needsMonitoring) scores['performance'] += 2;
-
-        if (qualityRequirements.needsTesting) scores['qa'] += 4;
-        if (qualityRequirements.needsSecurity) scores['security'] += 4;
-        if (qualityRequirements.needsDocumentation) scores['mentor'] += 3;
-        if (qualityRequirements.needsRefactoring) scores['refactorer'] += 4;
+    // Score based on Triggers declared by (project) persona definitions
+    scoreByPersonaTriggers(context, scores) {
+        const text = textAnalyzer.analyze(context.request);
+        const hits = [];
+        const hit = (persona, trigger, weight) => {
+            scores[persona] += weight;
+            hits.push({ persona, trigger, weight });
+        };
+        
+        for (const [persona, definition] of Object.entries(this.personas)) {
+            const triggers = definition.Triggers;
+            if (!triggers) continue;
+            
+            const weight = triggers.Weight || 5;
+            
+            for (const keyword of triggers.Keywords || []) {
+                if (textAnalyzer.hasTerm(text, keyword)) hit(persona, `keyword:${keyword}`, weight);
+            }
+            for (const fileType of triggers.File_Types || []) {
+                if (context.fileTypes.includes(fileType)) hit(persona, `file:${fileType}`, 3);
+            }
+            if ((triggers.Task_Types || []).includes(context.taskType)) {
+                hit(persona, `task:${context.taskType}`, 4);
+            }
+            for (const pattern of triggers.Patterns || []) {
+                if (new RegExp(pattern, 'i').test(context.request)) hit(persona, `pattern:${pattern}`, weight);
+            }
+        }
+        
+        return hits;
     }
 
-    // Apply learning patterns from previous sessions
+    // Apply learned feedback from previous sessions (decayed over time)
     applyLearningPatterns(context, scores) {
-        const contextHash = this.generateContextSignature(context, {});
+        const boosts = this.learning.getBoosts(this.getLearningContextKey(context), context.taskType)
+            .filter(({ persona }) => persona in scores);
         
-        // Apply successful patterns
-        if (this.learningPatterns.contextPatterns[contextHash]) {
-            const successfulPersona = this.learningPatterns.contextPatterns[contextHash];
-            scores[successfulPersona] += 2;
+        for (const { persona, boost } of boosts) {
+            scores[persona] += boost;
         }
+        
+        return boosts;
+    }
 
-        // Apply task type patterns
-        if (this.learningPatterns.taskTypeMapping[context.taskType]) {
-            const preferredPersona = this.learningPatterns.taskTypeMapping[context.taskType];
-            scores[preferredPersona] += 1;
-        }
+    // Learning key for a request: its normalized text, independent of timestamps and options
+    getLearningContextKey(context) {
+        const text = context.request.toLowerCase().replace(/\s+/g, ' ').trim();
+        return this.generateContextSignature(text, {});
     }
 
-    // Update learning patterns based on selection
-    updateLearningPatterns(context, selectedPersona, scores) {
-        const contextHash = this.generateContextSignature(context, {});
+    // Keep recent selections in memory until feedback arrives
+    rememberSelection(context, persona) {
+        const selectionId = crypto.randomBytes(6).toString('hex');
         
-        // Update context patterns
-        this.learningPatterns.contextPatterns[contextHash] = selectedPersona;
+        this.recentSelections.set(selectionId, {
+            persona,
+            contextKey: this.getLearningContextKey(context),
+            taskType: context.taskType,
+            timestamp: Date.now()
+        });
         
-        // Update task type mapping
-        if (!this.learningPatterns.taskTypeMapping[context.taskType]) {
-            this.learningPatterns.taskTypeMapping[context.taskType] = selectedPersona;
+        // Bound memory: drop the oldest selection
+        if (this.recentSelections.size > 100) {
+            this.recentSelections.delete(this.recentSelections.keys().next().value);
         }
+        
+        return selectionId;
+    }
 
-        // Update persona success tracking
-        if (!this.learningPatterns.personaSuccess[selectedPersona]) {
-            this.learningPatterns.personaSuccess[selectedPersona] = 0;
+    // Record whether a selection was right: 'accept', 'reject' or 'override' (with options.persona)
+    recordFeedback(selectionId, outcome, options = {}) {
+        const selection = this.recentSelections.get(selectionId);
+        if (!selection) {
+            log.warn(`⚠️  Unknown persona selection: ${selectionId}`);
+            return false;
         }
-        this.learningPatterns.personaSuccess[selectedPersona]++;
-
-        // Save learning patterns
-        this.saveLearningPatterns();
+        
+        this.learning.recordFeedback(selection, outcome, options);
+        this.recentSelections.delete(selectionId);
+        
+        const target = outcome === 'override' && options.persona ? ` → ${options.persona}` : '';
+        log.info(`📝 Feedback recorded: ${outcome} ${selection.persona}${target}`);
+        return true;
     }
 
     // Generate reasoning for persona selection
@@ -968,6 +961,55 @@ class PersonaIntelligenceEngine {
         return reasoning.join(' | ');
     }
 
+    // Render the per-stage score breakdown as a text table
+    formatSelectionExplanation(selection) {
+        const { stages, totals } = selection.explanation;
+        const columns = ['persona', ...stages.map(stage => stage.stage), 'total'];
+        
+        const rows = Object.keys(totals)
+            .sort((a, b) => totals[b] - totals[a])
+            .map(persona => [
+                persona === selection.persona ? `${persona} *` : persona,
+                ...stages.map(stage => {
+                    const delta = stage.contributions[persona];
+                    return delta ? `${delta > 0 ? '+' : ''}${delta}` : '.';
+                }),
+                String(totals[persona])
+            ]);
+        
+        const widths = columns.map((column, i) =>
+            Math.max(column.length, ...rows.map(row => row[i].length))
+        );
+        const formatRow = row => row.map((cell, i) =>
+            i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])
+        ).join('  ');
+        
+        const lines = [formatRow(columns), widths.map(width => '-'.repeat(width)).join('  ')];
+        lines.push(...rows.map(formatRow));
+        
+        if (selection.blend) {
+            lines.push('', `blend: ${selection.blend.personas.map(({ persona, weight }) => `${persona} ${Math.round(weight * 100)}%`).join(' + ')}`);
+        }
+        
+        // Name the rules, triggers and learned patterns behind each stage
+        lines.push('');
+        for (const stage of stages) {
+            for (const detail of stage.details) {
+                if (detail.id) {
+                    lines.push(`${stage.stage}: ${detail.id} [${detail.matched.join(', ')}] -> ${detail.personas.join(', ')} +${detail.weight * detail.matched.length}`);
+                } else if (detail.trigger) {
+                    lines.push(`${stage.stage}: ${detail.trigger} -> ${detail.persona} +${detail.weight}`);
+                } else if (detail.boost !== undefined) {
+                    lines.push(`${stage.stage}: learned ${detail.pattern} -> ${detail.persona} ${detail.boost > 0 ? '+' : ''}${detail.boost}`);
+                } else if (detail.pattern) {
+                    lines.push(`${stage.stage}: "${detail.pattern}" -> ${detail.suggestedAction}`);
+                }
+            }
+        }
+        
+        return lines.join('\n');
+    }
+
     // Execute with selected persona and SuperClaude knowledge
     async executeWithPersona(persona, request, context) {
         const startTime = Date.now();
@@ -1004,24 +1046,18 @@ class PersonaIntelligenceEngine {
     async validateWithSuperclaude(request, personaConfig) {
         const text = typeof request === 'string' ? request : JSON.stringify(request);
         
-        // Check prohibited language (SuperClaude standards)
-        const prohibitedTerms = this.evidenceStandards.Prohibited_Language?.split('|') || [];
-        const foundProhibited = prohibitedTerms.filter(term => 
-            new RegExp(term, 'i').test(text)
-        );
-
-        // Use v2.0 evidence validator if available
-        let evidenceValidation = { isValid: true, confidence: 1.0 };
-        if (this.evidenceValidator) {
-            evidenceValidation = await this.evidenceValidator.validateClaim(text, {
-                persona: personaConfig.Identity,
-                standards: this.evidenceStandards
-            });
-        }
+        // Lint prohibited language and unsupported claims (SuperClaude standards)
+        const evidenceValidation = await this.evidenceValidator.validateClaim(text, {
+            persona: personaConfig.Identity,
+            standards: this.evidenceStandards
+        });
+        const prohibitedTerms = [...new Set(evidenceValidation.findings
+            .filter(finding => finding.rule === 'prohibited_language')
+            .map(finding => finding.text.toLowerCase()))];
 
         return {
-            passesSuperclaude: foundProhibited.length === 0,
-            prohibitedTerms: foundProhibited,
+            passesSuperclaude: evidenceValidation.isValid,
+            prohibitedTerms,
             evidenceValidation,
             personaIdentity: personaConfig.Identity,
             decisionFramework: personaConfig.Decision_Framework
@@ -1123,17 +1159,17 @@ class PersonaIntelligenceEngine {
 
     // Main intelligence engine interface
     async process(request, options = {}) {
-        console.log('🧠 SuperClaude Persona Intelligence Engine Processing...');
+        log.info('🧠 SuperClaude Persona Intelligence Engine Processing...');
         
         try {
             // Analyze context with v2.0 optimizations
             const context = await this.analyzeContext(request, options);
-            console.log(`📋 Context: ${context.taskType} | Complexity: ${context.complexity} | Files: ${context.fileTypes.join(',') || 'none'}`);
+            log.info(`📋 Context: ${context.taskType} | Complexity: ${context.complexity} | Files: ${context.fileTypes.join(',') || 'none'}`);
             
             // Select optimal persona using SuperClaude knowledge
             const personaSelection = await this.selectOptimalPersona(context);
-            console.log(`🎯 Selected: ${personaSelection.persona} (confidence: ${(personaSelection.confidence * 100).toFixed(1)}%)`);
-            console.log(`💭 Reasoning: ${personaSelection.reasoning}`);
+            log.info(`🎯 Selected: ${personaSelection.persona} (confidence: ${(personaSelection.confidence * 100).toFixed(1)}%)`);
+            log.info(`💭 Reasoning: ${personaSelection.reasoning}`);
             
             // Execute with selected persona
             const execution = await this.executeWithPersona(personaSelection.persona, request, context);
@@ -1150,7 +1186,7 @@ class PersonaIntelligenceEngine {
             };
             
         } catch (error) {
-            console.error('❌ Persona Intelligence Engine failed:', error.message);
+            log.error('❌ Persona Intelligence Engine failed:', error.message);
             
             return {
                 success: false,
@@ -1161,14 +1197,30 @@ class PersonaIntelligenceEngine {
         }
     }
 
+    // Flush the cache and metrics and remove their process hooks; call when discarding the engine
+    close() {
+        this.smartCache.close();
+        if (typeof this.performanceMonitor.close === 'function') {
+            this.performanceMonitor.close();
+        }
+    }
+
     // Get current status and statistics
     getStatus() {
         return {
             currentPersona: this.currentPersona,
             personaHistory: this.personaHistory.length,
-            learningPatterns: Object.keys(this.learningPatterns.contextPatterns).length,
+            learningPatterns: this.learning.describe().contextPatterns,
             availablePersonas: Object.keys(this.personas),
-            v2ComponentsLoaded: Object.keys(this.v2Components).length,
+            v2ComponentsLoaded: [this.smartCache, this.evidenceValidator, this.performanceMonitor].filter(Boolean).length,
+            scoringRules: this.scoringRules.describe(),
+            cache: this.smartCache.getStats(),
+            performance: typeof this.performanceMonitor.getOperationSummary === 'function'
+                ? this.performanceMonitor.getOperationSummary()
+                : null,
+            superclaudeSources: this.sharedLoader.getReport(),
+            project: this.summarizeFingerprint(this.getProjectFingerprint(), []),
+            redaction: this.redactor.getReport(),
             superclaudeIntegration: true
         };
     }
@@ -1178,10 +1230,30 @@ class PersonaIntelligenceEngine {
 if (require.main === module) {
     const engine = new PersonaIntelligenceEngine();
     
-    const request = process.argv.slice(2).join(' ') || 'Help me debug a React component performance issue';
+    const args = process.argv.slice(2);
+    
+    // Inspect or reset learned persona feedback: --learning [show|reset [persona]]
+    if (args[0] === '--learning') {
+        const [action = 'show', persona] = args.slice(1);
+        if (action === 'reset') {
+            engine.learning.reset(persona || null);
+            console.log(`✅ Learning patterns reset${persona ? ` for ${persona}` : ''}`);
+        } else {
+            console.log(JSON.stringify(engine.learning.describe(), null, 2));
+        }
+        process.exit(0);
+    }
+    
+    const explain = args.includes('--explain');
+    const request = args.filter(arg => arg !== '--explain').join(' ') || 'Help me debug a React component performance issue';
     
     engine.process(request)
         .then(result => {
+            if (explain && result.success) {
+                console.log('\n🔍 Persona Selection Breakdown:');
+                console.log(engine.formatSelectionExplanation(result.personaSelection));
+                return;
+            }
             console.log('\n🎉 SuperClaude Persona Intelligence Result:');
             console.log(JSON.stringify(result, null, 2));
         })
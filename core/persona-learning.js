@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Persona Learning
+ * Learns persona preferences from explicit outcome feedback (accept, reject, override)
+ * Learned weights decay over time and are persisted in learning-patterns.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('engine:learning');
+
+const LEARNING_VERSION = 2;
+const FEEDBACK_DELTAS = { accept: 1, reject: -1, override: -1 };
+const MAX_WEIGHT = 3;
+const MIN_WEIGHT = 0.05;
+const CONTEXT_BOOST = 2;
+const TASK_TYPE_BOOST = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PersonaLearning {
+    constructor(options = {}) {
+        this.patternsPath = options.patternsPath;
+        this.halfLifeDays = options.halfLifeDays || 14;
+        this.now = options.now || (() => Date.now());
+        this.state = this.load();
+    }
+
+    emptyState() {
+        return {
+            version: LEARNING_VERSION,
+            contextPatterns: {},
+            taskTypeWeights: {},
+            personaFeedback: {},
+            personaSuccess: {},
+            userPreferences: {}
+        };
+    }
+
+    // Load learned state, migrating the pre-feedback format
+    load() {
+        try {
+            if (fs.existsSync(this.patternsPath)) {
+                const stored = JSON.parse(fs.readFileSync(this.patternsPath, 'utf8'));
+                return stored.version === LEARNING_VERSION ? { ...this.emptyState(), ...stored } : this.migrate(stored);
+            }
+        } catch (error) {
+            log.warn('⚠️  No learning patterns found, starting fresh');
+        }
+
+        return this.emptyState();
+    }
+
+    // Version 1 stored one persona per context hash and task type, with every selection counted as a success
+    migrate(legacy) {
+        const state = this.emptyState();
+        const now = this.now();
+
+        for (const [taskType, persona] of Object.entries(legacy.taskTypeMapping || {})) {
+            if (typeof persona === 'string') {
+                state.taskTypeWeights[taskType] = { [persona]: { weight: 1, updatedAt: now } };
+            }
+        }
+        state.userPreferences = legacy.userPreferences || {};
+
+        log.info('🔄 Migrated learning patterns to feedback-based format');
+        return state;
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.patternsPath), { recursive: true });
+            this.prune();
+            fs.writeFileSync(this.patternsPath, JSON.stringify(this.state, null, 2));
+        } catch (error) {
+            log.warn('⚠️  Could not save learning patterns');
+        }
+    }
+
+    // Weight after exponential decay since its last update
+    decayedWeight(entry, now = this.now()) {
+        if (!entry) return 0;
+        const ageDays = Math.max(0, now - entry.updatedAt) / DAY_MS;
+        return entry.weight * Math.pow(0.5, ageDays / this.halfLifeDays);
+    }
+
+    // Per-persona boosts for a context key and task type
+    getBoosts(contextKey, taskType) {
+        const boosts = [];
+        const now = this.now();
+
+        for (const [persona, entry] of Object.entries(this.state.contextPatterns[contextKey] || {})) {
+            const boost = Math.round(CONTEXT_BOOST * this.decayedWeight(entry, now) * 100) / 100;
+            if (boost !== 0) boosts.push({ persona, pattern: 'context', boost });
+        }
+        for (const [persona, entry] of Object.entries(this.state.taskTypeWeights[taskType] || {})) {
+            const boost = Math.round(TASK_TYPE_BOOST * this.decayedWeight(entry, now) * 100) / 100;
+            if (boost !== 0) boosts.push({ persona, pattern: `task_type:${taskType}`, boost });
+        }
+
+        return boosts;
+    }
+
+    // Apply one feedback outcome for a selection
+    recordFeedback(selection, outcome, options = {}) {
+        if (!(outcome in FEEDBACK_DELTAS)) {
+            throw new Error(`Unknown feedback outcome: ${outcome}`);
+        }
+
+        const { persona, contextKey, taskType } = selection;
+        this.adjust(contextKey, taskType, persona, FEEDBACK_DELTAS[outcome]);
+
+        const feedback = this.state.personaFeedback[persona] ||
+            (this.state.personaFeedback[persona] = { accepted: 0, rejected: 0, overridden: 0 });
+
+        if (outcome === 'accept') {
+            feedback.accepted++;
+            this.state.personaSuccess[persona] = (this.state.personaSuccess[persona] || 0) + 1;
+        } else if (outcome === 'reject') {
+            feedback.rejected++;
+        } else {
+            feedback.overridden++;
+            // The persona the user chose instead is the one that should have won
+            if (options.persona && options.persona !== persona) {
+                this.adjust(contextKey, taskType, options.persona, 1);
+            }
+        }
+
+        this.save();
+    }
+
+    adjust(contextKey, taskType, persona, delta) {
+        const now = this.now();
+        const update = (bucket, key) => {
+            const weights = bucket[key] || (bucket[key] = {});
+            const current = this.decayedWeight(weights[persona], now);
+            const weight = Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, current + delta));
+            weights[persona] = {
+                weight: Math.round(weight * 1000) / 1000,
+                updatedAt: now
+            };
+        };
+
+        if (contextKey) update(this.state.contextPatterns, contextKey);
+        if (taskType) update(this.state.taskTypeWeights, taskType);
+    }
+
+    // Drop weights that have decayed to nothing
+    prune() {
+        const now = this.now();
+        for (const bucket of [this.state.contextPatterns, this.state.taskTypeWeights]) {
+            for (const [key, weights] of Object.entries(bucket)) {
+                for (const [persona, entry] of Object.entries(weights)) {
+                    if (Math.abs(this.decayedWeight(entry, now)) < MIN_WEIGHT) delete weights[persona];
+                }
+                if (Object.keys(weights).length === 0) delete bucket[key];
+            }
+        }
+    }
+
+    // Forget everything, or only what was learned about one persona
+    reset(persona = null) {
+        if (!persona) {
+            this.state = this.emptyState();
+        } else {
+            for (const bucket of [this.state.contextPatterns, this.state.taskTypeWeights]) {
+                for (const weights of Object.values(bucket)) delete weights[persona];
+            }
+            delete this.state.personaFeedback[persona];
+            delete this.state.personaSuccess[persona];
+        }
+        this.save();
+    }
+
+    // Current (decayed) learned state for inspection
+    describe() {
+        const now = this.now();
+        const taskTypes = {};
+
+        for (const [taskType, weights] of Object.entries(this.state.taskTypeWeights)) {
+            taskTypes[taskType] = {};
+            for (const [persona, entry] of Object.entries(weights)) {
+                taskTypes[taskType][persona] = Math.round(this.decayedWeight(entry, now) * 100) / 100;
+            }
+        }
+
+        return {
+            patternsPath: this.patternsPath,
+            halfLifeDays: this.halfLifeDays,
+            contextPatterns: Object.keys(this.state.contextPatterns).length,
+            taskTypes,
+            feedback: this.state.personaFeedback
+        };
+    }
+}
+
+module.exports = PersonaLearning;
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Persona Registry
+ * Loads project-defined personas from .superclaude/personas/*.yml and merges them with the built-ins
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('engine:personas');
+
+const PERSONA_TEXT_FIELDS = ['Identity', 'Decision_Framework', 'MCP_Preferences', 'Focus'];
+const TRIGGER_LIST_FIELDS = ['Keywords', 'File_Types', 'Task_Types', 'Patterns'];
+const PERSONA_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+class PersonaRegistry {
+    constructor(options = {}) {
+        this.personasDir = options.personasDir;
+        this.personas = {};
+        this.sources = {};
+        this.errors = [];
+    }
+
+    // Merge built-in personas with every valid persona file in personasDir
+    load(builtins = {}) {
+        this.personas = {};
+        this.sources = {};
+        this.errors = [];
+
+        for (const [name, definition] of Object.entries(builtins)) {
+            this.personas[name] = { ...definition };
+            this.sources[name] = 'builtin';
+        }
+
+        if (!this.personasDir || !fs.existsSync(this.personasDir)) {
+            return this.personas;
+        }
+
+        const files = fs.readdirSync(this.personasDir)
+            .filter(file => /\.ya?ml$/.test(file))
+            .sort();
+
+        let loaded = 0;
+        for (const file of files) {
+            if (this.loadFile(path.join(this.personasDir, file))) loaded++;
+        }
+
+        if (loaded > 0) {
+            log.info(`✅ Loaded ${loaded} project personas from ${this.personasDir}`);
+        }
+        for (const error of this.errors) {
+            log.warn(`⚠️  Skipped persona file ${error.file}: ${error.message}`);
+        }
+
+        return this.personas;
+    }
+
+    // Load one persona file; returns true when the persona was registered
+    loadFile(filePath) {
+        let definition;
+        try {
+            const yaml = require('js-yaml');
+            definition = yaml.load(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            this.errors.push({ file: filePath, message: `YAML parse error: ${error.message}` });
+            return false;
+        }
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            this.errors.push({ file: filePath, message: 'Persona file must contain a mapping' });
+            return false;
+        }
+
+        const name = definition.Name || path.basename(filePath).replace(/\.ya?ml$/, '');
+        const existing = this.personas[name];
+        const replace = definition.Replace === true;
+
+        const problems = this.validatePersona(name, definition, { partial: !!existing && !replace });
+        if (problems.length > 0) {
+            this.errors.push({ file: filePath, message: problems.join('; ') });
+            return false;
+        }
+
+        const { Name, Replace, ...fields } = definition;
+        this.personas[name] = existing && !replace ? { ...existing, ...fields } : fields;
+        this.sources[name] = filePath;
+        return true;
+    }
+
+    // Validate a persona definition; partial definitions only extend an existing persona
+    validatePersona(name, definition, { partial = false } = {}) {
+        const problems = [];
+
+        if (!PERSONA_NAME_PATTERN.test(name)) {
+            problems.push(`name "${name}" must be lowercase letters, digits and dashes`);
+        }
+
+        for (const field of PERSONA_TEXT_FIELDS) {
+            if (definition[field] === undefined) {
+                if (!partial) problems.push(`missing required field ${field}`);
+            } else if (typeof definition[field] !== 'string' || definition[field].trim() === '') {
+                problems.push(`${field} must be a non-empty string`);
+            }
+        }
+
+        if (definition.Triggers !== undefined) {
+            const triggers = definition.Triggers;
+            if (!triggers || typeof triggers !== 'object' || Array.isArray(triggers)) {
+                problems.push('Triggers must be a mapping');
+            } else {
+                for (const field of TRIGGER_LIST_FIELDS) {
+                    const list = triggers[field];
+                    if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string'))) {
+                        problems.push(`Triggers.${field} must be a list of strings`);
+                    }
+                }
+                for (const pattern of triggers.Patterns || []) {
+                    try {
+                        new RegExp(pattern, 'i');
+                    } catch (error) {
+                        problems.push(`Triggers.Patterns has an invalid regex "${pattern}"`);
+                    }
+                }
+                if (triggers.Weight !== undefined && typeof triggers.Weight !== 'number') {
+                    problems.push('Triggers.Weight must be a number');
+                }
+            }
+        }
+
+        if (definition.Commands !== undefined &&
+            (!Array.isArray(definition.Commands) || definition.Commands.some(cmd => typeof cmd !== 'string'))) {
+            problems.push('Commands must be a list of command names');
+        }
+
+        return problems;
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.personas, name);
+    }
+
+    get(name) {
+        return this.personas[name];
+    }
+
+    names() {
+        return Object.keys(this.personas);
+    }
+
+    // Persona override flags, long forms first so --persona-x wins over --x
+    getOverrideFlags() {
+        const flags = {};
+        for (const name of this.names()) flags[`--persona-${name}`] = name;
+        for (const name of this.names()) flags[`--${name}`] = name;
+        return flags;
+    }
+
+    // Commands whose default persona is claimed by a persona definition
+    getCommandDefaults() {
+        const defaults = {};
+        for (const [name, persona] of Object.entries(this.personas)) {
+            for (const command of persona.Commands || []) {
+                defaults[command] = name;
+            }
+        }
+        return defaults;
+    }
+
+    // Where each persona came from (builtin or file path)
+    describe() {
+        return this.names().map(name => ({
+            name,
+            source: this.sources[name],
+            identity: this.personas[name].Identity,
+            triggers: this.personas[name].Triggers || null,
+            commands: this.personas[name].Commands || []
+        }));
+    }
+}
+
+module.exports = PersonaRegistry;
@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Persona Scoring Rules
+ * Declarative file-glob, keyword, regex and task-type rules that weight persona selection
+ * Reloads automatically when the rules file changes on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { textAnalyzer } = require('../src/text-analysis.js');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('engine:scoring');
+
+const RULE_TYPES = ['file-glob', 'keyword', 'regex', 'task-type'];
+const DEFAULT_FIELDS = {
+    'file-glob': 'fileTypes',
+    'keyword': 'request',
+    'regex': 'request',
+    'task-type': 'taskType'
+};
+
+// Convert a file glob (*, **, ?, {a,b}) into an anchored regular expression
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                source += '.*';
+                i++;
+                if (glob[i + 1] === '/') i++;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            const options = glob.slice(i + 1, end).split(',')
+                .map(option => option.replace(/[.+^${}()|[\]\\]/g, '\\$&'));
+            source += `(?:${options.join('|')})`;
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+class PersonaScoringRules {
+    constructor(options = {}) {
+        this.rulesFile = options.rulesFile;
+        this.knownPersonas = options.knownPersonas || null;
+        this.rules = [];
+        this.errors = [];
+        this.warnings = [];
+        this.mtimeMs = null;
+        this.loadedAt = null;
+    }
+
+    // Load the rules file; invalid rules are skipped and reported with their line
+    load() {
+        let content;
+        try {
+            const stat = fs.statSync(this.rulesFile);
+            content = fs.readFileSync(this.rulesFile, 'utf8');
+            this.mtimeMs = stat.mtimeMs;
+        } catch (error) {
+            this.mtimeMs = null;
+            this.errors = [{ file: this.rulesFile, line: null, message: `Cannot read rules file: ${error.message}` }];
+            this.reportProblems();
+            return false;
+        }
+
+        const result = this.parse(content);
+        this.errors = result.errors;
+        this.warnings = result.warnings;
+
+        // A file that does not parse at all keeps the previously loaded rules
+        if (result.rules) {
+            this.rules = result.rules;
+            this.loadedAt = Date.now();
+        }
+
+        this.reportProblems();
+        return !!result.rules;
+    }
+
+    // Reload when the rules file changed since the last load
+    refresh() {
+        let mtimeMs = null;
+        try {
+            mtimeMs = fs.statSync(this.rulesFile).mtimeMs;
+        } catch (error) {
+            // Missing file: keep the rules already in memory
+            return false;
+        }
+
+        if (mtimeMs === this.mtimeMs) return false;
+
+        const reloaded = this.load();
+        if (reloaded) {
+            log.info(`🔄 Reloaded ${this.rules.length} scoring rules from ${this.rulesFile}`);
+        }
+        return reloaded;
+    }
+
+    // Parse and validate rules content without touching the loaded state
+    parse(content) {
+        const errors = [];
+        const warnings = [];
+        let document;
+
+        try {
+            const yaml = require('js-yaml');
+            document = yaml.load(content);
+        } catch (error) {
+            errors.push({
+                file: this.rulesFile,
+                line: error.mark ? error.mark.line + 1 : null,
+                message: `YAML parse error: ${error.reason || error.message}`
+            });
+            return { rules: null, errors, warnings };
+        }
+
+        if (!document || typeof document !== 'object' || !Array.isArray(document.rules)) {
+            errors.push({ file: this.rulesFile, line: 1, message: 'Rules file must contain a "rules" list' });
+            return { rules: null, errors, warnings };
+        }
+
+        const lines = this.locateRuleLines(content);
+        const rules = [];
+        const seenIds = new Set();
+
+        document.rules.forEach((definition, index) => {
+            const line = lines[index] || null;
+            const problems = this.validateRule(definition);
+
+            if (problems.length > 0) {
+                for (const message of problems) {
+                    errors.push({ file: this.rulesFile, line, rule: (definition && definition.id) || `#${index + 1}`, message });
+                }
+                return;
+            }
+
+            const id = definition.id || `rule-${index + 1}`;
+            if (seenIds.has(id)) {
+                warnings.push({ file: this.rulesFile, line, rule: id, message: `Duplicate rule id "${id}"` });
+            }
+            seenIds.add(id);
+
+            if (this.knownPersonas) {
+                for (const persona of definition.personas) {
+                    if (!this.knownPersonas.includes(persona)) {
+                        warnings.push({ file: this.rulesFile, line, rule: id, message: `Unknown persona "${persona}" is ignored` });
+                    }
+                }
+            }
+
+            rules.push(this.compileRule(id, definition, line));
+        });
+
+        return { rules, errors, warnings };
+    }
+
+    // Line number of each item in the top-level rules list (js-yaml does not expose node positions)
+    locateRuleLines(content) {
+        const lines = content.split('\n');
+        const positions = [];
+        let inRules = false;
+        let itemIndent = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (!inRules) {
+                if (/^rules:\s*(#.*)?$/.test(line)) inRules = true;
+                continue;
+            }
+            if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+            const indent = line.length - line.trimStart().length;
+            if (indent === 0 && !line.startsWith('-')) break;
+
+            const item = line.match(/^(\s*)-(\s|$)/);
+            if (item && (itemIndent === null || item[1].length === itemIndent)) {
+                itemIndent = item[1].length;
+                positions.push(i + 1);
+            }
+        }
+
+        return positions;
+    }
+
+    // Validate one rule definition
+    validateRule(definition) {
+        const problems = [];
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return ['rule must be a mapping'];
+        }
+
+        if (!RULE_TYPES.includes(definition.type)) {
+            problems.push(`type must be one of ${RULE_TYPES.join(', ')}`);
+        }
+
+        const matches = Array.isArray(definition.match) ? definition.match : [definition.match];
+        if (definition.match === undefined || matches.length === 0 ||
+            matches.some(entry => typeof entry !== 'string' || entry === '')) {
+            problems.push('match must be a non-empty string or list of strings');
+        } else if (definition.type === 'regex') {
+            for (const pattern of matches) {
+                try {
+                    new RegExp(pattern, definition.flags || 'i');
+                } catch (error) {
+                    problems.push(`invalid regex "${pattern}": ${error.message}`);
+                }
+            }
+        }
+
+        if (!Array.isArray(definition.personas) || definition.personas.length === 0 ||
+            definition.personas.some(persona => typeof persona !== 'string')) {
+            problems.push('personas must be a non-empty list of persona names');
+        }
+
+        if (typeof definition.weight !== 'number' || !Number.isFinite(definition.weight)) {
+            problems.push('weight must be a number');
+        }
+
+        if (definition.field !== undefined && typeof definition.field !== 'string') {
+            problems.push('field must be a context field name');
+        }
+
+        return problems;
+    }
+
+    // Precompile matchers so scoring does not rebuild regexes per request
+    compileRule(id, definition, line) {
+        const matches = Array.isArray(definition.match) ? definition.match : [definition.match];
+        const rule = {
+            id,
+            type: definition.type,
+            field: definition.field || DEFAULT_FIELDS[definition.type],
+            match: matches,
+            personas: definition.personas,
+            weight: definition.weight,
+            line
+        };
+
+        if (rule.type === 'file-glob') {
+            rule.matchers = matches.map(glob => ({ entry: glob, basename: !glob.includes('/'), regex: globToRegExp(glob) }));
+        } else if (rule.type === 'regex') {
+            rule.matchers = matches.map(pattern => ({ entry: pattern, regex: new RegExp(pattern, definition.flags || 'i') }));
+        } else if (rule.type === 'keyword') {
+            rule.matchers = matches.map(keyword => ({ entry: keyword }));
+        } else {
+            rule.matchers = matches.map(taskType => ({ entry: taskType }));
+        }
+
+        return rule;
+    }
+
+    // Entries of a rule that match the context
+    matchRule(rule, context) {
+        const value = context[rule.field];
+        if (value === undefined || value === null) return [];
+
+        switch (rule.type) {
+            case 'file-glob': {
+                const candidates = [...(Array.isArray(value) ? value : [value]), ...(context.files || [])];
+                return rule.matchers.filter(({ regex, basename }) =>
+                    candidates.some(candidate => regex.test(basename ? path.basename(candidate) : candidate))
+                ).map(({ entry }) => entry);
+            }
+            case 'keyword':
+                return rule.matchers.filter(({ entry }) => {
+                    if (typeof value === 'string') return textAnalyzer.hasTerm(value, entry);
+                    if (Array.isArray(value)) return value.includes(entry);
+                    if (typeof value === 'object') return !!value[entry];
+                    return false;
+                }).map(({ entry }) => entry);
+            case 'regex': {
+                const texts = Array.isArray(value) ? value : [typeof value === 'string' ? value : JSON.stringify(value)];
+                return rule.matchers.filter(({ regex }) =>
+                    texts.some(text => typeof text === 'string' && regex.test(text))
+                ).map(({ entry }) => entry);
+            }
+            case 'task-type':
+                return rule.matchers.filter(({ entry }) => entry === value).map(({ entry }) => entry);
+            default:
+                return [];
+        }
+    }
+
+    // Apply every rule (or only those of options.type) to the persona scores; returns the rules that fired
+    apply(context, scores, options = {}) {
+        const fired = [];
+
+        for (const rule of this.rules) {
+            if (options.type && rule.type !== options.type) continue;
+            const matched = this.matchRule(rule, context);
+            if (matched.length === 0) continue;
+
+            for (const persona of rule.personas) {
+                if (!(persona in scores)) continue;
+                scores[persona] += rule.weight * matched.length;
+            }
+            fired.push({ id: rule.id, type: rule.type, matched, personas: rule.personas, weight: rule.weight });
+        }
+
+        return fired;
+    }
+
+    // Print load problems as file:line messages
+    reportProblems() {
+        for (const error of this.errors) {
+            log.error(`❌ ${this.formatProblem(error)}`);
+        }
+        for (const warning of this.warnings) {
+            log.warn(`⚠️  ${this.formatProblem(warning)}`);
+        }
+    }
+
+    formatProblem(problem) {
+        const location = problem.line ? `${problem.file}:${problem.line}` : problem.file;
+        const rule = problem.rule ? ` [${problem.rule}]` : '';
+        return `${location}${rule} ${problem.message}`;
+    }
+
+    describe() {
+        return {
+            rulesFile: this.rulesFile,
+            rules: this.rules.length,
+            loadedAt: this.loadedAt,
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+}
+
+module.exports = PersonaScoringRules;
+module.exports.globToRegExp = globToRegExp;
+module.exports.RULE_TYPES = RULE_TYPES;
+
+// CLI: validate a rules file
+if (require.main === module) {
+    const { getConfig } = require('../src/superclaude-config.js');
+    const rulesFile = process.argv[2] ? path.resolve(process.argv[2]) : getConfig().get('scoringRulesFile');
+    const rules = new PersonaScoringRules({ rulesFile });
+
+    rules.load();
+    if (rules.errors.length === 0) {
+        console.log(`✅ ${rules.rules.length} scoring rules valid in ${rulesFile}`);
+    }
+    process.exit(rules.errors.length > 0 ? 1 : 0);
+}
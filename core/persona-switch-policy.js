@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Persona Switch Policy
+ * Decides whether a session may change persona: minimum confidence and score margin over
+ * the current persona, dwell time/requests since the last switch, cooldown before returning
+ * to a persona just left, and pinning. Rejections carry a reason for the session journal
+ */
+
+const DEFAULT_POLICY = {
+    minConfidence: 0.6,
+    minScoreMargin: 0.2,
+    minDwellRequests: 2,
+    minDwellMs: 0,
+    cooldownMs: 60000,
+    pinnedPersona: null
+};
+
+class PersonaSwitchPolicy {
+    constructor(options = {}) {
+        this.settings = { ...DEFAULT_POLICY };
+        for (const [key, value] of Object.entries(options)) {
+            if (key in DEFAULT_POLICY && value !== undefined) this.settings[key] = value;
+        }
+
+        this.pinnedPersona = this.settings.pinnedPersona || null;
+        this.lastSwitchAt = 0;
+        this.requestsSinceSwitch = Infinity;
+        this.leftAt = new Map();
+        this.rejected = 0;
+        this.rejectionReasons = {};
+    }
+
+    // Build the policy from the switching.* config keys
+    static fromConfig(config) {
+        return new PersonaSwitchPolicy({
+            minConfidence: config.get('switching.minConfidence'),
+            minScoreMargin: config.get('switching.minScoreMargin'),
+            minDwellRequests: config.get('switching.minDwellRequests'),
+            minDwellMs: config.get('switching.minDwellMs'),
+            cooldownMs: config.get('switching.cooldownMs'),
+            pinnedPersona: config.get('switching.pinnedPersona')
+        });
+    }
+
+    // Decide on a switch; source is 'auto' (context scoring), 'command' (command default) or 'user' (explicit flag)
+    evaluate({ from, to, source = 'auto', confidence, scores, now = Date.now() }) {
+        if (from === to) return { allowed: false, reason: 'already active' };
+        // Explicit user choices always win (and move the pin, see recordSwitch)
+        if (source === 'user' || !from) return { allowed: true, reason: source === 'user' ? 'user override' : 'no current persona' };
+
+        if (this.pinnedPersona && to !== this.pinnedPersona) {
+            return this.reject(`pinned to ${this.pinnedPersona}`);
+        }
+        // Commands and workflow phases pick their persona deliberately; only pinning holds them back
+        if (source !== 'auto') return { allowed: true, reason: source };
+
+        const { minConfidence, minScoreMargin, minDwellRequests, minDwellMs, cooldownMs } = this.settings;
+
+        if (typeof confidence === 'number' && confidence < minConfidence) {
+            return this.reject(`confidence ${confidence.toFixed(2)} below ${minConfidence}`);
+        }
+
+        if (scores && typeof scores[to] === 'number') {
+            const candidate = scores[to];
+            const current = scores[from] || 0;
+            const margin = candidate > 0 ? (candidate - current) / candidate : 0;
+            if (margin < minScoreMargin) {
+                return this.reject(`score margin ${margin.toFixed(2)} over ${from} below ${minScoreMargin}`);
+            }
+        }
+
+        if (this.requestsSinceSwitch < minDwellRequests) {
+            return this.reject(`dwell: ${this.requestsSinceSwitch}/${minDwellRequests} requests since last switch`);
+        }
+        if (now - this.lastSwitchAt < minDwellMs) {
+            return this.reject(`dwell: ${now - this.lastSwitchAt}ms of ${minDwellMs}ms since last switch`);
+        }
+
+        const leftAt = this.leftAt.get(to);
+        if (leftAt !== undefined && now - leftAt < cooldownMs) {
+            return this.reject(`cooldown: left ${to} ${now - leftAt}ms ago (${cooldownMs}ms)`);
+        }
+
+        return { allowed: true, reason: 'policy satisfied' };
+    }
+
+    reject(reason) {
+        this.rejected++;
+        // Group counts by rule ("dwell", "cooldown", ...) rather than by the exact numbers
+        const rule = reason.split(/[:\s]/)[0];
+        this.rejectionReasons[rule] = (this.rejectionReasons[rule] || 0) + 1;
+        return { allowed: false, reason };
+    }
+
+    // Note a completed switch; a user override while pinned moves the pin
+    recordSwitch(from, to, source = 'auto', now = Date.now()) {
+        if (from) this.leftAt.set(from, now);
+        this.lastSwitchAt = now;
+        this.requestsSinceSwitch = 0;
+        if (source === 'user' && this.pinnedPersona) this.pinnedPersona = to;
+    }
+
+    // Count a processed request toward the dwell requirement
+    recordRequest() {
+        this.requestsSinceSwitch++;
+    }
+
+    pin(persona) {
+        this.pinnedPersona = persona;
+    }
+
+    unpin() {
+        this.pinnedPersona = null;
+    }
+
+    describe() {
+        return {
+            ...this.settings,
+            pinnedPersona: this.pinnedPersona,
+            requestsSinceSwitch: Number.isFinite(this.requestsSinceSwitch) ? this.requestsSinceSwitch : null,
+            rejected: this.rejected,
+            rejectionReasons: { ...this.rejectionReasons }
+        };
+    }
+}
+
+PersonaSwitchPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = PersonaSwitchPolicy;
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Project Fingerprint
+ * Detects languages, frameworks, package managers, Docker and CI setup from a project's
+ * manifests, per package in npm/yarn/pnpm/lerna monorepos
+ * Results are cached in memory and on disk until one of the manifests changes
+ *
+ * Usage: node core/project-fingerprint.js [projectRoot] [--json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('fingerprint');
+
+// Dependency name -> framework and the area it signals
+const NODE_FRAMEWORKS = {
+    'react': ['React', 'frontend'], 'react-dom': ['React', 'frontend'], 'next': ['Next.js', 'frontend'],
+    'vue': ['Vue', 'frontend'], 'nuxt': ['Nuxt', 'frontend'], '@angular/core': ['Angular', 'frontend'],
+    'svelte': ['Svelte', 'frontend'], '@sveltejs/kit': ['SvelteKit', 'frontend'], 'tailwindcss': ['Tailwind', 'frontend'],
+    'express': ['Express', 'backend'], 'fastify': ['Fastify', 'backend'], 'koa': ['Koa', 'backend'],
+    '@nestjs/core': ['NestJS', 'backend'], '@hapi/hapi': ['hapi', 'backend'], 'graphql': ['GraphQL', 'backend'],
+    'jest': ['Jest', 'testing'], 'mocha': ['Mocha', 'testing'], 'vitest': ['Vitest', 'testing'],
+    'cypress': ['Cypress', 'testing'], '@playwright/test': ['Playwright', 'testing'], 'puppeteer': ['Puppeteer', 'testing'],
+    '@testing-library/react': ['Testing Library', 'testing'],
+    'prisma': ['Prisma', 'database'], '@prisma/client': ['Prisma', 'database'], 'mongoose': ['MongoDB', 'database'],
+    'pg': ['PostgreSQL', 'database'], 'mysql2': ['MySQL', 'database'], 'mysql': ['MySQL', 'database'],
+    'sequelize': ['Sequelize', 'database'], 'typeorm': ['TypeORM', 'database'], 'redis': ['Redis', 'database'],
+    'ioredis': ['Redis', 'database'],
+    'typescript': ['TypeScript', 'language'], 'electron': ['Electron', 'frontend']
+};
+
+const PYTHON_FRAMEWORKS = {
+    'django': ['Django', 'backend'], 'flask': ['Flask', 'backend'], 'fastapi': ['FastAPI', 'backend'],
+    'pytest': ['pytest', 'testing'], 'sqlalchemy': ['SQLAlchemy', 'database'], 'psycopg2': ['PostgreSQL', 'database'],
+    'psycopg2-binary': ['PostgreSQL', 'database'], 'pandas': ['pandas', 'data'], 'numpy': ['NumPy', 'data'],
+    'torch': ['PyTorch', 'data'], 'tensorflow': ['TensorFlow', 'data'], 'celery': ['Celery', 'backend']
+};
+
+const LOCKFILES = {
+    'package-lock.json': 'npm', 'yarn.lock': 'yarn', 'pnpm-lock.yaml': 'pnpm', 'bun.lockb': 'bun',
+    'poetry.lock': 'poetry', 'Pipfile.lock': 'pipenv', 'uv.lock': 'uv', 'Cargo.lock': 'cargo', 'go.sum': 'go'
+};
+
+const CI_CONFIGS = {
+    '.github/workflows': 'github-actions', '.gitlab-ci.yml': 'gitlab-ci', '.circleci/config.yml': 'circleci',
+    'Jenkinsfile': 'jenkins', 'azure-pipelines.yml': 'azure-pipelines', '.travis.yml': 'travis',
+    'bitbucket-pipelines.yml': 'bitbucket-pipelines'
+};
+
+const MONOREPO_MARKERS = { 'pnpm-workspace.yaml': 'pnpm', 'lerna.json': 'lerna', 'nx.json': 'nx', 'turbo.json': 'turborepo' };
+
+// Per-package manifests; their stats make up the cache signature
+const PACKAGE_MANIFESTS = ['package.json', 'requirements.txt', 'pyproject.toml', 'Dockerfile'];
+const ROOT_MANIFESTS = [
+    ...PACKAGE_MANIFESTS, ...Object.keys(LOCKFILES), ...Object.keys(CI_CONFIGS), ...Object.keys(MONOREPO_MARKERS),
+    'Cargo.toml', 'go.mod', 'pom.xml', 'build.gradle', 'docker-compose.yml', 'docker-compose.yaml', 'compose.yaml'
+];
+
+const MAX_PACKAGES = 200;
+
+class ProjectFingerprinter {
+    constructor(options = {}) {
+        this.cachePath = options.cacheDir ? path.join(options.cacheDir, 'project-fingerprints.json') : null;
+        this.memory = new Map();
+        this.stored = null;
+    }
+
+    // Fingerprint of a project root; recomputed only when a manifest changes
+    fingerprint(root = process.cwd()) {
+        const projectRoot = path.resolve(root);
+        const packageDirs = this.discoverPackageDirs(projectRoot);
+        const signature = this.computeSignature(projectRoot, packageDirs);
+
+        const cached = this.memory.get(projectRoot) || this.loadStored()[projectRoot];
+        if (cached && cached.signature === signature) {
+            this.memory.set(projectRoot, cached);
+            return cached;
+        }
+
+        const fingerprint = { ...this.scan(projectRoot, packageDirs), signature };
+        this.memory.set(projectRoot, fingerprint);
+        this.saveStored(projectRoot, fingerprint);
+        return fingerprint;
+    }
+
+    scan(root, packageDirs) {
+        const packages = packageDirs.map(dir => this.scanPackage(root, dir)).filter(Boolean);
+        const frameworks = [...new Set(packages.flatMap(pkg => pkg.frameworks))];
+        const lockfiles = Object.keys(LOCKFILES).filter(file => this.exists(root, file));
+
+        return {
+            root,
+            projectType: this.detectProjectType(root),
+            languages: [...new Set(packages.flatMap(pkg => pkg.languages))],
+            packageManagers: [...new Set(lockfiles.map(file => LOCKFILES[file]))],
+            lockfiles,
+            monorepo: this.detectMonorepo(root, packageDirs),
+            packages,
+            frameworks,
+            categories: [...new Set(packages.flatMap(pkg => pkg.categories))],
+            docker: this.detectDocker(root, packageDirs),
+            ci: this.detectCI(root),
+            scannedAt: Date.now()
+        };
+    }
+
+    // Kept compatible with the engine's original marker-file detection order
+    detectProjectType(root) {
+        if (this.exists(root, 'package.json')) return 'node';
+        if (this.exists(root, 'requirements.txt') || this.exists(root, 'pyproject.toml')) return 'python';
+        if (this.exists(root, 'Cargo.toml')) return 'rust';
+        if (this.exists(root, 'pom.xml') || this.exists(root, 'build.gradle')) return 'java';
+        if (this.exists(root, 'go.mod')) return 'go';
+        if (this.exists(root, 'Assets/Scripts')) return 'unity';
+        if (this.exists(root, 'Dockerfile')) return 'containerized';
+        return 'generic';
+    }
+
+    // Root plus every workspace package directory (relative paths)
+    discoverPackageDirs(root) {
+        const patterns = [];
+        const manifest = this.readJson(path.join(root, 'package.json'));
+        if (manifest) {
+            const workspaces = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces?.packages;
+            patterns.push(...(workspaces || []));
+        }
+        patterns.push(...this.readPnpmWorkspaces(root));
+        const lerna = this.readJson(path.join(root, 'lerna.json'));
+        if (lerna && Array.isArray(lerna.packages)) patterns.push(...lerna.packages);
+
+        const dirs = new Set(['.']);
+        for (const pattern of new Set(patterns.filter(pattern => typeof pattern === 'string' && !pattern.startsWith('!')))) {
+            for (const dir of this.expandWorkspacePattern(root, pattern)) {
+                if (dirs.size >= MAX_PACKAGES) break;
+                dirs.add(dir);
+            }
+        }
+        return [...dirs];
+    }
+
+    readPnpmWorkspaces(root) {
+        const file = path.join(root, 'pnpm-workspace.yaml');
+        if (!fs.existsSync(file)) return [];
+        try {
+            const yaml = require('js-yaml');
+            return yaml.load(fs.readFileSync(file, 'utf8'))?.packages || [];
+        } catch (error) {
+            // Without js-yaml (or on bad YAML) fall back to "- 'packages/*'" list items
+            return [...fs.readFileSync(file, 'utf8').matchAll(/^\s*-\s*['"]?([^'"\n#]+?)['"]?\s*$/gm)].map(match => match[1]);
+        }
+    }
+
+    // "packages/*", "apps/**" and literal directories; only directories with a manifest count
+    expandWorkspacePattern(root, pattern) {
+        const clean = pattern.replace(/\/+$/, '').replace(/^\.\//, '');
+        const hasManifest = dir => PACKAGE_MANIFESTS.some(file => fs.existsSync(path.join(root, dir, file)));
+        const listDirs = dir => {
+            try {
+                return fs.readdirSync(path.join(root, dir), { withFileTypes: true })
+                    .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+                    .map(entry => path.posix.join(dir, entry.name));
+            } catch (error) {
+                return [];
+            }
+        };
+
+        if (clean.endsWith('/**')) {
+            const base = clean.slice(0, -3);
+            const found = [];
+            const walk = (dir, depth) => {
+                for (const child of listDirs(dir)) {
+                    if (hasManifest(child)) found.push(child);
+                    if (depth < 3) walk(child, depth + 1);
+                }
+            };
+            walk(base, 1);
+            return found;
+        }
+        if (clean.endsWith('/*')) {
+            return listDirs(clean.slice(0, -2)).filter(hasManifest);
+        }
+        return hasManifest(clean) ? [clean] : [];
+    }
+
+    scanPackage(root, dir) {
+        const packageRoot = path.join(root, dir);
+        const frameworks = new Map();
+        const languages = new Set();
+        const addFramework = (catalogue, dependency) => {
+            const entry = catalogue[dependency.toLowerCase()];
+            if (entry) frameworks.set(entry[0], entry[1]);
+        };
+
+        const manifest = this.readJson(path.join(packageRoot, 'package.json'));
+        let name = manifest?.name || null;
+        let dependencies = [];
+        if (manifest) {
+            languages.add('javascript');
+            dependencies = Object.keys({
+                ...manifest.dependencies, ...manifest.devDependencies, ...manifest.peerDependencies
+            });
+            dependencies.forEach(dependency => addFramework(NODE_FRAMEWORKS, dependency));
+            if (dependencies.includes('typescript') || fs.existsSync(path.join(packageRoot, 'tsconfig.json'))) {
+                languages.add('typescript');
+            }
+        }
+
+        const pythonDependencies = [
+            ...this.readRequirements(path.join(packageRoot, 'requirements.txt')),
+            ...this.readPyproject(path.join(packageRoot, 'pyproject.toml'))
+        ];
+        if (pythonDependencies.length > 0 || this.exists(packageRoot, 'pyproject.toml') || this.exists(packageRoot, 'requirements.txt')) {
+            languages.add('python');
+            pythonDependencies.forEach(dependency => addFramework(PYTHON_FRAMEWORKS, dependency));
+            dependencies = [...dependencies, ...pythonDependencies];
+        }
+
+        if (languages.size === 0 && dir !== '.') return null;
+
+        return {
+            name: name || (dir === '.' ? path.basename(root) : dir),
+            path: dir,
+            languages: [...languages],
+            dependencies: dependencies.length,
+            frameworks: [...frameworks.keys()],
+            categories: [...new Set(frameworks.values())].filter(category => category !== 'language')
+        };
+    }
+
+    // Package names from requirements.txt ("Django[argon2]>=4.2 ; python_version...")
+    readRequirements(file) {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8').split('\n')
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(line => line && !line.startsWith('-'))
+            .map(line => line.match(/^[A-Za-z0-9_.-]+/)?.[0])
+            .filter(Boolean);
+    }
+
+    // Dependencies from PEP 621 [project] and Poetry tables, without a full TOML parser
+    readPyproject(file) {
+        if (!fs.existsSync(file)) return [];
+        const content = fs.readFileSync(file, 'utf8');
+        const names = [];
+
+        const projectDeps = content.match(/^\s*dependencies\s*=\s*\[([\s\S]*?)\]/m);
+        if (projectDeps) {
+            for (const match of projectDeps[1].matchAll(/["']([A-Za-z0-9_.-]+)/g)) names.push(match[1]);
+        }
+
+        const poetry = content.match(/^\[tool\.poetry\.(?:dev-)?dependencies\]\s*\n([\s\S]*?)(?=^\[|(?![\s\S]))/m);
+        if (poetry) {
+            for (const match of poetry[1].matchAll(/^\s*([A-Za-z0-9_.-]+)\s*=/gm)) {
+                if (match[1] !== 'python') names.push(match[1]);
+            }
+        }
+
+        return names;
+    }
+
+    detectMonorepo(root, packageDirs) {
+        const tools = Object.entries(MONOREPO_MARKERS).filter(([file]) => this.exists(root, file)).map(([, tool]) => tool);
+        const manifest = this.readJson(path.join(root, 'package.json'));
+        if (manifest?.workspaces) tools.unshift(this.exists(root, 'yarn.lock') ? 'yarn-workspaces' : 'npm-workspaces');
+
+        if (tools.length === 0 && packageDirs.length <= 1) return null;
+        return { tools, packages: packageDirs.filter(dir => dir !== '.') };
+    }
+
+    detectDocker(root, packageDirs) {
+        const dockerfiles = [];
+        for (const dir of packageDirs) {
+            try {
+                for (const file of fs.readdirSync(path.join(root, dir))) {
+                    if (/^Dockerfile(\..+)?$|\.dockerfile$/i.test(file)) dockerfiles.push(path.posix.join(dir, file));
+                }
+            } catch (error) {
+                // Package directory vanished between discovery and scan
+            }
+        }
+
+        const baseImages = new Set();
+        for (const file of dockerfiles) {
+            let content;
+            try {
+                content = fs.readFileSync(path.join(root, file), 'utf8');
+            } catch (error) {
+                continue; // A directory named like a Dockerfile, or unreadable
+            }
+            for (const match of content.matchAll(/^\s*FROM\s+(?:--\S+\s+)*(\S+)/gim)) baseImages.add(match[1]);
+        }
+
+        const compose = ['docker-compose.yml', 'docker-compose.yaml', 'compose.yaml', 'compose.yml'].filter(file => this.exists(root, file));
+        if (dockerfiles.length === 0 && compose.length === 0) return null;
+        return { dockerfiles, compose, baseImages: [...baseImages] };
+    }
+
+    detectCI(root) {
+        const providers = [];
+        for (const [file, provider] of Object.entries(CI_CONFIGS)) {
+            if (!this.exists(root, file)) continue;
+            const files = provider === 'github-actions' ? this.listWorkflows(root, file) : [file];
+            if (files.length > 0) providers.push({ provider, files });
+        }
+        return providers;
+    }
+
+    // Workflow files in a CI directory; empty when it is a file or cannot be read
+    listWorkflows(root, dir) {
+        try {
+            return fs.readdirSync(path.join(root, dir)).filter(name => /\.ya?ml$/.test(name)).map(name => `${dir}/${name}`);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // MCP servers worth connecting for this project, as MCP_Preferences entries
+    mcpHints(fingerprint) {
+        const hints = [];
+        if (fingerprint.frameworks.length > 0) hints.push('Context7(framework docs)');
+        if (fingerprint.frameworks.some(framework => ['Cypress', 'Playwright', 'Puppeteer'].includes(framework))) {
+            hints.push('Puppeteer(e2e testing)');
+        }
+        return hints;
+    }
+
+    // Packages containing any of the given paths (relative to the root); the root package matches everything else
+    packagesFor(fingerprint, files = []) {
+        const nested = fingerprint.packages.filter(pkg => pkg.path !== '.');
+        const touched = nested.filter(pkg => files.some(file => {
+            const relative = path.isAbsolute(file) ? path.relative(fingerprint.root, file) : file;
+            return relative === pkg.path || relative.startsWith(`${pkg.path}/`);
+        }));
+        return touched.length > 0 ? touched : fingerprint.packages;
+    }
+
+    // Manifest stats: any edit, addition or removal changes the signature
+    computeSignature(root, packageDirs) {
+        const hash = crypto.createHash('sha256');
+        const files = [
+            ...ROOT_MANIFESTS,
+            ...packageDirs.filter(dir => dir !== '.').flatMap(dir => PACKAGE_MANIFESTS.map(file => path.posix.join(dir, file)))
+        ];
+        for (const file of files) {
+            try {
+                const stat = fs.statSync(path.join(root, file));
+                hash.update(`${file}:${stat.size}:${stat.mtimeMs}\n`);
+            } catch (error) {
+                hash.update(`${file}:-\n`);
+            }
+        }
+        return hash.digest('hex').substring(0, 16);
+    }
+
+    exists(root, file) {
+        return fs.existsSync(path.join(root, file));
+    }
+
+    readJson(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    loadStored() {
+        if (this.stored) return this.stored;
+        this.stored = (this.cachePath && this.readJson(this.cachePath)) || {};
+        return this.stored;
+    }
+
+    saveStored(root, fingerprint) {
+        if (!this.cachePath) return;
+        try {
+            this.loadStored()[root] = fingerprint;
+            fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+            fs.writeFileSync(this.cachePath, JSON.stringify(this.stored, null, 2));
+        } catch (error) {
+            log.warn(`⚠️  Could not save project fingerprint: ${error.message}`);
+        }
+    }
+}
+
+module.exports = ProjectFingerprinter;
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const root = args.find(arg => !arg.startsWith('--')) || process.cwd();
+    const fingerprint = new ProjectFingerprinter().fingerprint(root);
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(fingerprint, null, 2));
+    } else {
+        console.log(`📋 ${fingerprint.root} (${fingerprint.projectType})`);
+        console.log(`   Languages:  ${fingerprint.languages.join(', ') || 'none'}`);
+        console.log(`   Frameworks: ${fingerprint.frameworks.join(', ') || 'none'}`);
+        console.log(`   Managers:   ${fingerprint.packageManagers.join(', ') || 'no lockfile'}`);
+        if (fingerprint.monorepo) {
+            console.log(`   Monorepo:   ${fingerprint.monorepo.tools.join(', ') || 'workspaces'} (${fingerprint.monorepo.packages.length} packages)`);
+            for (const pkg of fingerprint.packages) {
+                console.log(`     ${pkg.path.padEnd(24)} ${pkg.name}: ${pkg.frameworks.join(', ') || '-'}`);
+            }
+        }
+        if (fingerprint.docker) console.log(`   Docker:     ${[...fingerprint.docker.dockerfiles, ...fingerprint.docker.compose].join(', ')}`);
+        if (fingerprint.ci.length > 0) console.log(`   CI:         ${fingerprint.ci.map(ci => ci.provider).join(', ')}`);
+    }
+}
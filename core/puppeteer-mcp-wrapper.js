@@ -6,12 +6,17 @@
  * Never give up - implement what we need!
  */
 
+const http = require('http');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('mcp:puppeteer');
+
 // Use puppeteer-core or fallback to mock for testing
 let puppeteer;
 try {
     puppeteer = require('puppeteer');
 } catch (error) {
-    console.log('⚠️  Puppeteer not available, using mock implementation');
+    log.warn('⚠️  Puppeteer not available, using mock implementation');
     puppeteer = {
         launch: async () => ({
             newPage: async () => ({
@@ -26,7 +31,6 @@ try {
         })
     };
 }
-const http = require('http');
 
 class PuppeteerMCPWrapper {
     constructor(port = 8444) {
@@ -37,7 +41,7 @@ class PuppeteerMCPWrapper {
     }
 
     async start() {
-        console.log(`🚀 Starting Puppeteer MCP Wrapper on port ${this.port}...`);
+        log.info(`🚀 Starting Puppeteer MCP Wrapper on port ${this.port}...`);
         
         // Initialize Puppeteer
         this.browser = await puppeteer.launch({
@@ -52,7 +56,7 @@ class PuppeteerMCPWrapper {
         
         await new Promise((resolve) => {
             this.server.listen(this.port, () => {
-                console.log(`✅ Puppeteer MCP Wrapper listening on port ${this.port}`);
+                log.info(`✅ Puppeteer MCP Wrapper listening on port ${this.port}`);
                 resolve();
             });
         });
@@ -121,7 +125,8 @@ class PuppeteerMCPWrapper {
                     
                 default:
                     response = { error: 'Endpoint not found' };
-                    res.writeHead(404);
+                    // Headers are written once, below
+                    res.statusCode = 404;
             }
             
             res.setHeader('Content-Type', 'application/json');
@@ -129,7 +134,7 @@ class PuppeteerMCPWrapper {
             res.end(JSON.stringify(response));
             
         } catch (error) {
-            console.log(`❌ Request error: ${error.message}`);
+            log.error(`❌ Request error: ${error.message}`);
             res.writeHead(500);
             res.end(JSON.stringify({ error: error.message }));
         }
@@ -193,7 +198,7 @@ class PuppeteerMCPWrapper {
         if (this.server) {
             this.server.close();
         }
-        console.log('✅ Puppeteer MCP Wrapper stopped');
+        log.info('✅ Puppeteer MCP Wrapper stopped');
     }
 }
 
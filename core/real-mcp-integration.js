@@ -8,10 +8,23 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('../src/superclaude-config.js');
+const { Redactor } = require('../src/redaction.js');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('mcp');
 
 class RealMCPIntegration {
-    constructor() {
-        this.mcpServers = new Map();
+    constructor(options = {}) {
+        this.config = options.config || getConfig({ projectRoot: options.projectRoot });
+        this.performanceMonitor = options.performanceMonitor || null;
+        this.redactor = options.redactor || Redactor.fromConfig(this.config);
+        this.tokenAccountant = options.tokenAccountant || null;
+        this.events = options.events || null; // Session receiving mcp:call events
+        this.callCount = 0; // Every call attempt, for MCP call budgets
+        // With a pool shared between sessions, its integration owns the server processes and this one calls them
+        this.pool = options.pool && options.pool.mcp !== this ? options.pool : null;
+        this.mcpServers = this.pool ? this.pool.mcp.mcpServers : new Map();
         this.serverConfigs = {
             context7: {
                 command: 'npx',
@@ -21,8 +34,8 @@ class RealMCPIntegration {
                 type: 'stdio'
             },
             sequential: {
-                command: 'node',
-                args: ['/home/rapharoncatti/.nvm/versions/node/v22.17.0/lib/node_modules/@modelcontextprotocol/server-sequential-thinking/dist/index.js'],
+                command: 'npx',
+                args: ['-y', '@modelcontextprotocol/server-sequential-thinking'],
                 description: 'Sequential MCP for adaptive analysis',
                 capabilities: ['thinking', 'analysis', 'reasoning'],
                 type: 'stdio'
@@ -41,14 +54,28 @@ class RealMCPIntegration {
             }
         };
         
+        // Apply per-server overrides from config (e.g. a locally installed sequential server)
+        for (const [name, override] of Object.entries(this.config.get('mcp.servers'))) {
+            const base = this.serverConfigs[name] || {};
+            this.serverConfigs[name] = {
+                ...base,
+                ...override,
+                env: { ...(base.env || {}), ...(override.env || {}) },
+                type: override.type || base.type || 'stdio'
+            };
+        }
+        
         // Note: Unity MCP and other project-specific MCPs can be added via addCustomMCP()
-        console.log('🔌 Real MCP Integration initialized (Core MCPs: context7, sequential, puppeteer)');
+        log.info('🔌 Real MCP Integration initialized (Core MCPs: context7, sequential, puppeteer)');
     }
 
     // Start MCP server process
     async startMCPServer(serverName) {
+        // The shared pool starts the server once, however many sessions ask for it
+        if (this.pool) return this.pool.ensureStarted(serverName);
+        
         if (this.mcpServers.has(serverName)) {
-            console.log(`✅ MCP server ${serverName} already running`);
+            log.info(`✅ MCP server ${serverName} already running`);
             return this.mcpServers.get(serverName);
         }
 
@@ -57,7 +84,7 @@ class RealMCPIntegration {
             throw new Error(`Unknown MCP server: ${serverName}`);
         }
 
-        console.log(`🚀 Starting ${serverName} MCP server (${config.type})...`);
+        log.info(`🚀 Starting ${serverName} MCP server (${config.type})...`);
 
         try {
             if (config.type === 'http') {
@@ -66,7 +93,7 @@ class RealMCPIntegration {
                 return await this.startStdioMCPServer(serverName, config);
             }
         } catch (error) {
-            console.log(`❌ Failed to start ${serverName} MCP server:`, error.message);
+            log.error(`❌ Failed to start ${serverName} MCP server:`, error.message);
             throw error;
         }
     }
@@ -82,6 +109,7 @@ class RealMCPIntegration {
             process: serverProcess,
             config,
             connected: false,
+            startedAt: Date.now(),
             lastUsed: null,
             requestCount: 0,
             type: 'stdio'
@@ -89,20 +117,20 @@ class RealMCPIntegration {
 
         // Handle process events
         serverProcess.on('error', (error) => {
-            console.log(`❌ ${serverName} MCP server error:`, error.message);
-            this.mcpServers.delete(serverName);
+            log.error(`❌ ${serverName} MCP server error:`, error.message);
+            this.forgetServer(serverName, server);
         });
 
         serverProcess.on('exit', (code) => {
-            console.log(`⚠️  ${serverName} MCP server exited with code ${code}`);
-            this.mcpServers.delete(serverName);
+            log.warn(`⚠️  ${serverName} MCP server exited with code ${code}`);
+            this.forgetServer(serverName, server);
         });
 
         // Wait for server to be ready
         await this.waitForStdioServerReady(server, serverName);
         
         this.mcpServers.set(serverName, server);
-        console.log(`✅ ${serverName} MCP server started successfully`);
+        log.info(`✅ ${serverName} MCP server started successfully`);
         
         return server;
     }
@@ -123,6 +151,7 @@ class RealMCPIntegration {
             process: serverProcess,
             config,
             connected: false,
+            startedAt: Date.now(),
             lastUsed: null,
             requestCount: 0,
             type: 'http',
@@ -131,20 +160,20 @@ class RealMCPIntegration {
 
         // Handle process events
         serverProcess.on('error', (error) => {
-            console.log(`❌ ${serverName} HTTP MCP server error:`, error.message);
-            this.mcpServers.delete(serverName);
+            log.error(`❌ ${serverName} HTTP MCP server error:`, error.message);
+            this.forgetServer(serverName, server);
         });
 
         serverProcess.on('exit', (code) => {
-            console.log(`⚠️  ${serverName} HTTP MCP server exited with code ${code}`);
-            this.mcpServers.delete(serverName);
+            log.warn(`⚠️  ${serverName} HTTP MCP server exited with code ${code}`);
+            this.forgetServer(serverName, server);
         });
 
         // Wait for HTTP server to be ready
         await this.waitForHTTPServerReady(server, serverName);
         
         this.mcpServers.set(serverName, server);
-        console.log(`✅ ${serverName} HTTP MCP server started successfully on port ${config.port}`);
+        log.info(`✅ ${serverName} HTTP MCP server started successfully on port ${config.port}`);
         
         return server;
     }
@@ -197,7 +226,7 @@ class RealMCPIntegration {
                                 const response = JSON.parse(line);
                                 if (response.id === 1 && !response.error) {
                                     server.connected = true;
-                                    console.log(`🔗 ${serverName} MCP handshake successful`);
+                                    log.info(`🔗 ${serverName} MCP handshake successful`);
                                     
                                     // Send initialized notification
                                     const initNotification = {
@@ -219,7 +248,7 @@ class RealMCPIntegration {
                             // For servers like Magic that don't respond to initialize, assume ready
                             if (serverName === 'magic') {
                                 server.connected = true;
-                                console.log(`🔗 ${serverName} MCP assumed ready (non-standard protocol)`);
+                                log.info(`🔗 ${serverName} MCP assumed ready (non-standard protocol)`);
                                 server.process.stdout.removeListener('data', onData);
                                 resolve(server);
                                 return;
@@ -274,7 +303,7 @@ class RealMCPIntegration {
                     
                     if (serverReady) {
                         server.connected = true;
-                        console.log(`🔗 ${serverName} HTTP MCP server ready on ${server.baseUrl}`);
+                        log.info(`🔗 ${serverName} HTTP MCP server ready on ${server.baseUrl}`);
                         resolve(server);
                     } else {
                         setTimeout(checkReady, checkInterval);
@@ -291,7 +320,11 @@ class RealMCPIntegration {
 
     // Make real MCP request
     async callMCP(serverName, method, params = {}) {
-        console.log(`📡 Making real MCP call to ${serverName}: ${method}`);
+        log.debug(`📡 Making real MCP call to ${serverName}: ${method}`);
+        const startTime = Date.now();
+        this.callCount++;
+        // Request text never reaches an MCP server unredacted
+        params = this.redactor.redact(params, 'mcp');
         
         try {
             // Ensure server is running
@@ -300,14 +333,20 @@ class RealMCPIntegration {
                 server = await this.startMCPServer(serverName);
             }
 
-            if (server.type === 'http') {
-                return await this.callHTTPMCP(server, serverName, method, params);
-            } else {
-                return await this.callStdioMCP(server, serverName, method, params);
+            const result = server.type === 'http'
+                ? await this.callHTTPMCP(server, serverName, method, params)
+                : await this.callStdioMCP(server, serverName, method, params);
+
+            if (this.tokenAccountant) {
+                // Both directions of the exchange count against the server
+                result.tokens = this.tokenAccountant.recordPayload('mcp', { method, params, response: result.response }, { mcpServer: serverName });
             }
+            this.recordCall(serverName, method, startTime, true, { tokens: result.tokens });
+            return result;
 
         } catch (error) {
-            console.log(`❌ ${serverName} MCP call failed:`, error.message);
+            log.error(`❌ ${serverName} MCP call failed:`, error.message);
+            this.recordCall(serverName, method, startTime, false, { error: error.message });
             return {
                 server: serverName,
                 method,
@@ -319,6 +358,22 @@ class RealMCPIntegration {
         }
     }
 
+    // Report call latency to the performance monitor and as an mcp:call event, when attached
+    recordCall(serverName, method, startTime, success, details = {}) {
+        const duration = Date.now() - startTime;
+        if (this.performanceMonitor) {
+            this.performanceMonitor.recordOperation('mcp_call', {
+                server: serverName,
+                method,
+                duration,
+                success
+            });
+        }
+        if (this.events) {
+            this.events.emitEvent('mcp:call', { server: serverName, method, success, duration, ...details });
+        }
+    }
+
     // Call stdio MCP server
     async callStdioMCP(server, serverName, method, params) {
         const requestId = ++server.requestCount;
@@ -336,7 +391,7 @@ class RealMCPIntegration {
         // Wait for response
         const response = await this.waitForResponse(server, requestId, 30000);
         
-        console.log(`✅ ${serverName} MCP response received`);
+        log.debug(`✅ ${serverName} MCP response received`);
         return {
             server: serverName,
             method,
@@ -382,7 +437,7 @@ class RealMCPIntegration {
 
             const result = await response.json();
             
-            console.log(`✅ ${serverName} HTTP MCP response received`);
+            log.debug(`✅ ${serverName} HTTP MCP response received`);
             return {
                 server: serverName,
                 method,
@@ -393,7 +448,7 @@ class RealMCPIntegration {
             };
 
         } catch (error) {
-            console.log(`⚠️  ${serverName} HTTP MCP call failed, trying basic status`);
+            log.warn(`⚠️  ${serverName} HTTP MCP call failed, trying basic status`);
             // Fallback to basic status
             return {
                 server: serverName,
@@ -521,13 +576,8 @@ class RealMCPIntegration {
         }));
     }
 
-    // Connect to multiple MCP servers based on persona preferences
-    async connectPersonaMCPs(mcpPreferences) {
-        const connectedMCPs = [];
-        
-        console.log(`🔧 Connecting persona MCPs: ${mcpPreferences}`);
-        
-        // Parse MCP preferences and connect to relevant servers
+    // Server names wanted by a persona's MCP_Preferences string
+    parseMCPPreferences(mcpPreferences) {
         const mcpList = [];
         
         if (mcpPreferences.includes('Sequential')) mcpList.push('sequential');
@@ -540,13 +590,32 @@ class RealMCPIntegration {
             mcpList.push('context7', 'sequential');
         }
         
-        for (const mcpName of mcpList) {
+        return mcpList;
+    }
+
+    // The server a persona lists first; the others are optional when a budget runs low
+    primaryMCP(mcpPreferences) {
+        const preferences = mcpPreferences.toLowerCase();
+        const servers = this.parseMCPPreferences(mcpPreferences);
+        const listed = servers
+            .filter(name => preferences.includes(name))
+            .sort((a, b) => preferences.indexOf(a) - preferences.indexOf(b));
+        return listed[0] || servers[0];
+    }
+
+    // Connect to multiple MCP servers based on persona preferences
+    async connectPersonaMCPs(mcpPreferences) {
+        const connectedMCPs = [];
+        
+        log.info(`🔧 Connecting persona MCPs: ${mcpPreferences}`);
+        
+        for (const mcpName of this.parseMCPPreferences(mcpPreferences)) {
             try {
                 await this.startMCPServer(mcpName);
                 connectedMCPs.push(mcpName);
-                console.log(`✅ Connected to ${mcpName} MCP`);
+                log.info(`✅ Connected to ${mcpName} MCP`);
             } catch (error) {
-                console.log(`⚠️  Failed to connect to ${mcpName} MCP: ${error.message}`);
+                log.warn(`⚠️  Failed to connect to ${mcpName} MCP: ${error.message}`);
             }
         }
         
@@ -556,7 +625,7 @@ class RealMCPIntegration {
     // Add project-specific MCP server configuration
     addCustomMCP(name, config) {
         if (this.serverConfigs[name]) {
-            console.log(`⚠️  MCP server ${name} already exists, overriding...`);
+            log.warn(`⚠️  MCP server ${name} already exists, overriding...`);
         }
         
         this.serverConfigs[name] = {
@@ -564,31 +633,56 @@ class RealMCPIntegration {
             type: config.type || 'stdio'
         };
         
-        console.log(`✅ Added custom MCP: ${name} (${config.description})`);
+        log.info(`✅ Added custom MCP: ${name} (${config.description})`);
     }
 
     // Remove MCP server configuration
     removeCustomMCP(name) {
         if (this.serverConfigs[name]) {
             delete this.serverConfigs[name];
-            console.log(`✅ Removed custom MCP: ${name}`);
+            log.info(`✅ Removed custom MCP: ${name}`);
         } else {
-            console.log(`⚠️  MCP server ${name} not found`);
+            log.warn(`⚠️  MCP server ${name} not found`);
         }
     }
 
-    // Shutdown all MCP servers
+    // Drop a server that exited or failed, unless a restarted process has already replaced it
+    forgetServer(serverName, server) {
+        if (this.mcpServers.get(serverName) === server) {
+            this.mcpServers.delete(serverName);
+        }
+    }
+
+    // Stop one MCP server (the exit handler removes it from mcpServers as well)
+    stopMCPServer(serverName) {
+        const server = this.mcpServers.get(serverName);
+        if (!server) return false;
+        
+        this.mcpServers.delete(serverName);
+        try {
+            if (server.process && !server.process.killed) {
+                server.process.kill('SIGTERM');
+            }
+        } catch (error) {
+            log.warn(`⚠️  Error stopping ${serverName}:`, error.message);
+        }
+        return true;
+    }
+
+    // Shutdown all MCP servers (pooled ones are left to the pool's owner)
     async shutdown() {
-        console.log('🔌 Shutting down MCP servers...');
+        if (this.pool) return;
+        
+        log.info('🔌 Shutting down MCP servers...');
         
         for (const [serverName, server] of this.mcpServers.entries()) {
             try {
                 if (server.process && !server.process.killed) {
                     server.process.kill('SIGTERM');
-                    console.log(`✅ ${serverName} MCP server stopped`);
+                    log.info(`✅ ${serverName} MCP server stopped`);
                 }
             } catch (error) {
-                console.log(`⚠️  Error stopping ${serverName}:`, error.message);
+                log.warn(`⚠️  Error stopping ${serverName}:`, error.message);
             }
         }
         
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Request Pipeline
+ * Ordered pre/post middlewares around request execution
+ * Pre middlewares run before the handler, post middlewares after it; any middleware can
+ * short-circuit with ctx.respond(response), which skips the handler and every later
+ * middleware not registered with { always: true }
+ */
+
+const PHASES = ['pre', 'post'];
+const DEFAULT_ORDER = 500;
+
+class RequestPipeline {
+    constructor(options = {}) {
+        this.middlewares = [];
+        this.disabled = new Set(options.disabled || []);
+        this.sequence = 0;
+    }
+
+    // Register a middleware: handler(ctx) runs in `phase`, lower `order` first, ties in registration order
+    use(name, handler, options = {}) {
+        const phase = options.phase || 'pre';
+        if (!PHASES.includes(phase)) {
+            throw new Error(`Middleware ${name}: phase must be one of ${PHASES.join(', ')}`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error(`Middleware ${name}: handler must be a function`);
+        }
+        if (this.middlewares.some(middleware => middleware.name === name)) {
+            throw new Error(`Middleware already registered: ${name}`);
+        }
+
+        this.middlewares.push({
+            name,
+            handler,
+            phase,
+            order: options.order !== undefined ? options.order : DEFAULT_ORDER,
+            always: !!options.always,
+            builtin: !!options.builtin,
+            sequence: this.sequence++
+        });
+        return this;
+    }
+
+    remove(name) {
+        const before = this.middlewares.length;
+        this.middlewares = this.middlewares.filter(middleware => middleware.name !== name);
+        return this.middlewares.length < before;
+    }
+
+    enable(name) {
+        this.disabled.delete(name);
+    }
+
+    disable(name) {
+        this.disabled.add(name);
+    }
+
+    ordered(phase) {
+        return this.middlewares
+            .filter(middleware => middleware.phase === phase)
+            .sort((a, b) => a.order - b.order || a.sequence - b.sequence);
+    }
+
+    // Run pre middlewares, the handler (unless short-circuited), then post middlewares
+    async run(ctx, handler) {
+        ctx.shortCircuited = false;
+        ctx.trace = [];
+        ctx.respond = (response) => {
+            ctx.response = response;
+            ctx.shortCircuited = true;
+        };
+
+        await this.runPhase('pre', ctx);
+        if (!ctx.shortCircuited) {
+            ctx.result = await handler(ctx);
+        }
+        await this.runPhase('post', ctx);
+
+        return ctx;
+    }
+
+    async runPhase(phase, ctx) {
+        for (const middleware of this.ordered(phase)) {
+            if (this.disabled.has(middleware.name)) continue;
+            if (ctx.shortCircuited && !middleware.always) continue;
+
+            ctx.trace.push(middleware.name);
+            await middleware.handler(ctx);
+        }
+    }
+
+    // Registered middlewares in execution order
+    list() {
+        return PHASES.flatMap(phase => this.ordered(phase).map(({ name, order, always, builtin }) => ({
+            name,
+            phase,
+            order,
+            always,
+            builtin,
+            enabled: !this.disabled.has(name)
+        })));
+    }
+}
+
+module.exports = RequestPipeline;
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Session Auto-Documentation
+ * Subscribes to a session's request:finished, command:finished and workflow:finished events,
+ * records redacted evidence and appends it to the auto-documentation log, then emits doc:updated
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('session:autodoc');
+
+class SessionAutoDoc {
+    constructor(session, options = {}) {
+        this.session = session;
+        this.logPath = options.logPath || null; // Defaults to docs.autoDocLog
+        this.handlers = {
+            'request:finished': event => this.document(event.request, event.result),
+            'command:finished': event => this.document(
+                `Command: /${event.command} ${event.args.join(' ')} ${event.flags.join(' ')}`, event.result),
+            'workflow:finished': event => this.document(
+                `Workflow: ${event.workflow} ${(event.args || []).join(' ')} ${(event.flags || []).join(' ')}`, event.result)
+        };
+    }
+
+    // Start listening to the session
+    attach() {
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.session.on(type, handler);
+        }
+        return this;
+    }
+
+    detach() {
+        for (const [type, handler] of Object.entries(this.handlers)) {
+            this.session.removeListener(type, handler);
+        }
+    }
+
+    // Record evidence for one finished request, command or workflow and append it to the log
+    document(source, result) {
+        const session = this.session;
+        if (!session.autoDocumentationEnabled || !result) return null;
+
+        log.info('📝 Updating auto-documentation...');
+
+        // Evidence-based documentation update (redacted before it is stored or logged)
+        const evidence = session.redactor.redact({
+            request: source,
+            result,
+            persona: session.currentPersona,
+            timestamp: new Date().toISOString(),
+            confidence: result.confidence || 0.8
+        }, 'autodoc');
+
+        session.evidenceStore.push(evidence);
+        session.recordSessionEvent('evidence_recorded', evidence);
+
+        const docUpdate = {
+            timestamp: new Date().toISOString(),
+            persona: session.currentPersona,
+            action: 'auto_documentation_update',
+            evidence
+        };
+
+        // Append to documentation log
+        const logPath = this.logPath || session.config.get('docs.autoDocLog');
+        try {
+            let logData = [];
+            if (fs.existsSync(logPath)) {
+                logData = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+            } else if (!fs.existsSync(path.dirname(logPath))) {
+                fs.mkdirSync(path.dirname(logPath), { recursive: true });
+            }
+
+            logData.push(docUpdate);
+            fs.writeFileSync(logPath, JSON.stringify(logData, null, 2));
+        } catch (error) {
+            log.warn(`⚠️  Could not write auto-documentation log ${logPath}: ${error.message}`);
+            return evidence;
+        }
+
+        session.emitEvent('doc:updated', { source: evidence.request, persona: session.currentPersona, logPath, evidence });
+        log.info('✅ Documentation updated');
+        return evidence;
+    }
+}
+
+module.exports = SessionAutoDoc;
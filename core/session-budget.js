@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Session Budget
+ * Caps estimated tokens, wall-clock time and MCP calls for a session or a workflow run
+ * Usage is read from cumulative meters (token accountant, MCP call counter) relative to when
+ * the budget started; a limit of 0 means unlimited
+ */
+
+const METRICS = ['tokens', 'timeMs', 'mcpCalls'];
+
+class Budget {
+    constructor(options = {}) {
+        this.name = options.name || 'session';
+        this.limits = {};
+        for (const metric of METRICS) {
+            const limit = options.limits && options.limits[metric];
+            this.limits[metric] = limit > 0 ? limit : 0;
+        }
+        this.softLimitRatio = options.softLimitRatio !== undefined ? options.softLimitRatio : 0.8;
+        // meter() returns cumulative { tokens, mcpCalls }; usage is measured from construction
+        this.meter = options.meter || (() => ({ tokens: 0, mcpCalls: 0 }));
+        this.baseline = this.meter();
+        this.startedAt = options.now || Date.now();
+        this.warned = false;
+    }
+
+    // Build a budget from the budget.<scope>.* config keys
+    static fromConfig(config, scope, options = {}) {
+        const limits = {};
+        for (const metric of METRICS) {
+            limits[metric] = config.get(`budget.${scope}.${metric}`);
+        }
+        return new Budget({
+            limits,
+            softLimitRatio: config.get('budget.softLimitRatio'),
+            ...options
+        });
+    }
+
+    isLimited() {
+        return METRICS.some(metric => this.limits[metric] > 0);
+    }
+
+    usage(now = Date.now()) {
+        const current = this.meter();
+        return {
+            tokens: current.tokens - this.baseline.tokens,
+            timeMs: now - this.startedAt,
+            mcpCalls: current.mcpCalls - this.baseline.mcpCalls
+        };
+    }
+
+    // 'ok', 'soft' (past softLimitRatio of a limit) or 'hard' (a limit reached), with the metrics responsible
+    check(now = Date.now()) {
+        const used = this.usage(now);
+        const hard = [];
+        const soft = [];
+
+        for (const metric of METRICS) {
+            const limit = this.limits[metric];
+            if (!limit) continue;
+            if (used[metric] >= limit) {
+                hard.push({ metric, used: used[metric], limit });
+            } else if (used[metric] >= limit * this.softLimitRatio) {
+                soft.push({ metric, used: used[metric], limit });
+            }
+        }
+
+        if (hard.length > 0) return { state: 'hard', budget: this.name, metrics: hard };
+        if (soft.length > 0) return { state: 'soft', budget: this.name, metrics: soft };
+        return { state: 'ok', budget: this.name, metrics: [] };
+    }
+
+    // What is left of each limited metric; null for unlimited ones
+    remaining(now = Date.now()) {
+        const used = this.usage(now);
+        const remaining = {};
+        for (const metric of METRICS) {
+            remaining[metric] = this.limits[metric] ? Math.max(0, this.limits[metric] - used[metric]) : null;
+        }
+        return remaining;
+    }
+
+    describe(now = Date.now()) {
+        return {
+            name: this.name,
+            state: this.check(now).state,
+            limits: { ...this.limits },
+            used: this.usage(now),
+            remaining: this.remaining(now),
+            softLimitRatio: this.softLimitRatio
+        };
+    }
+
+    // One line for logs and results, e.g. "session tokens 5012/5000"
+    static formatExceeded(check) {
+        return check.metrics
+            .map(({ metric, used, limit }) => `${check.budget} ${metric} ${used}/${limit}`)
+            .join(', ');
+    }
+}
+
+Budget.METRICS = METRICS;
+
+module.exports = Budget;
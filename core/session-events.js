@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Session Events
+ * The events an ActiveSuperClaudeSession emits and the payload fields each one carries
+ * Every payload also has { type, sessionId, timestamp }; a trailing ? marks optional fields
+ *
+ * Usage: node core/session-events.js
+ */
+
+const SESSION_EVENTS = {
+    'persona:switched': {
+        description: 'The active persona changed',
+        fields: { from: 'string?', to: 'string', source: 'string', context: 'string', policy: 'string?', blend: 'string[]?' }
+    },
+    'request:started': {
+        description: 'processRequest was called',
+        fields: { request: 'string', persona: 'string?' }
+    },
+    'request:finished': {
+        description: 'A request ran to completion (not served from cache or short-circuited)',
+        fields: { request: 'string', persona: 'string', result: 'object', processingTime: 'number', tokensUsed: 'number' }
+    },
+    'command:started': {
+        description: 'A /command began executing',
+        fields: { command: 'string', args: 'string[]', flags: 'string[]', persona: 'string' }
+    },
+    'command:finished': {
+        description: 'A /command returned',
+        fields: {
+            command: 'string', args: 'string[]', flags: 'string[]', persona: 'string',
+            success: 'boolean', executionTime: 'number', tokensUsed: 'number', result: 'object'
+        }
+    },
+    'workflow:started': {
+        description: 'A workflow began',
+        fields: { workflow: 'string', args: 'string[]', flags: 'string[]', totalPhases: 'number' }
+    },
+    'workflow:phase': {
+        description: 'A workflow phase completed (successfully or not)',
+        fields: {
+            workflow: 'string', phase: 'number', totalPhases: 'number', command: 'string', persona: 'string',
+            success: 'boolean', duration: 'number', tokensUsed: 'number'
+        }
+    },
+    'workflow:finished': {
+        description: 'A workflow completed or failed',
+        fields: {
+            workflow: 'string', args: 'string[]', flags: 'string[]', success: 'boolean', duration: 'number', tokensUsed: 'number?',
+            completedPhases: 'number', totalPhases: 'number', budgetExceeded: 'boolean?', result: 'object?', error: 'string?'
+        }
+    },
+    'mcp:call': {
+        description: 'An MCP server call returned or failed',
+        fields: { server: 'string', method: 'string', success: 'boolean', duration: 'number', tokens: 'number?', error: 'string?' }
+    },
+    'cache:hit': {
+        description: 'A request was answered from the decision cache',
+        fields: { cache: 'string', request: 'string', persona: 'string?', scope: 'string?', age: 'number?' }
+    },
+    'doc:updated': {
+        description: 'Auto-documentation recorded evidence and wrote its log',
+        fields: { source: 'string', persona: 'string?', logPath: 'string', evidence: 'object' }
+    }
+};
+
+module.exports = SESSION_EVENTS;
+
+// CLI interface
+if (require.main === module) {
+    console.log(`📋 ${Object.keys(SESSION_EVENTS).length} session events (every payload also has type, sessionId, timestamp)\n`);
+    for (const [type, { description, fields }] of Object.entries(SESSION_EVENTS)) {
+        console.log(`${type}  ${description}`);
+        console.log(`   { ${Object.entries(fields).map(([name, fieldType]) => `${name}: ${fieldType}`).join(', ')} }`);
+    }
+}
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Session Journal
+ * Append-only JSONL log of every session event, one file per session ID
+ * Sessions are restored by replaying their journal (see ActiveSuperClaudeSession.resume)
+ *
+ * Usage: node core/session-journal.js [list | show <sessionId>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('session:journal');
+
+class SessionJournal {
+    constructor(options = {}) {
+        this.sessionsDir = options.sessionsDir;
+        this.sessionId = options.sessionId || SessionJournal.generateSessionId();
+        this.redactor = options.redactor || null;
+        this.journalPath = path.join(this.sessionsDir, `${this.sessionId}.jsonl`);
+        this.sequence = 0;
+        this.writeFailed = false;
+
+        // Continue numbering after the events already in a resumed journal
+        if (fs.existsSync(this.journalPath)) {
+            this.terminateTornLine();
+            const events = this.read();
+            this.sequence = events.reduce((max, event) => Math.max(max, event.seq || 0), 0);
+        }
+    }
+
+    // A crash can leave the last line unterminated; end it so new events start on their own line
+    // (the torn entry stays in the journal and read() skips it)
+    terminateTornLine() {
+        try {
+            const { size } = fs.statSync(this.journalPath);
+            if (size === 0) return;
+
+            const fd = fs.openSync(this.journalPath, 'r');
+            const last = Buffer.alloc(1);
+            try {
+                fs.readSync(fd, last, 0, 1, size - 1);
+            } finally {
+                fs.closeSync(fd);
+            }
+            if (last.toString() !== '\n') {
+                fs.appendFileSync(this.journalPath, '\n');
+                log.warn(`⚠️  ${this.journalPath} ended in a partial entry (interrupted write)`);
+            }
+        } catch (error) {
+            log.warn(`⚠️  Could not check session journal ${this.journalPath}: ${error.message}`);
+        }
+    }
+
+    // One ID per session; also the journal file name
+    static generateSessionId() {
+        return `session_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+    }
+
+    static isValidSessionId(sessionId) {
+        return typeof sessionId === 'string' && /^[A-Za-z0-9_-]+$/.test(sessionId);
+    }
+
+    // Append an event; the journal is never rewritten
+    append(eventType, data, timestamp = new Date().toISOString()) {
+        if (this.redactor) data = this.redactor.redact(data, 'journal');
+        const event = { seq: ++this.sequence, timestamp, sessionId: this.sessionId, eventType, data };
+
+        try {
+            if (!fs.existsSync(this.sessionsDir)) {
+                fs.mkdirSync(this.sessionsDir, { recursive: true });
+            }
+            fs.appendFileSync(this.journalPath, JSON.stringify(event) + '\n');
+        } catch (error) {
+            // Keep the session running; warn once rather than on every event
+            if (!this.writeFailed) {
+                log.warn(`⚠️  Could not write session journal ${this.journalPath}: ${error.message}`);
+                this.writeFailed = true;
+            }
+        }
+
+        return event;
+    }
+
+    // Events in order; unreadable lines (e.g. cut short by a crash) are skipped
+    read() {
+        if (!fs.existsSync(this.journalPath)) return [];
+
+        const events = [];
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].trim() === '') continue;
+            try {
+                events.push(JSON.parse(lines[i]));
+            } catch (error) {
+                log.warn(`⚠️  ${this.journalPath}:${i + 1} unreadable journal entry, skipped`);
+            }
+        }
+        return events;
+    }
+
+    exists() {
+        return fs.existsSync(this.journalPath);
+    }
+
+    // Sessions found in a directory, most recently active first
+    static list(sessionsDir) {
+        if (!fs.existsSync(sessionsDir)) return [];
+
+        return fs.readdirSync(sessionsDir)
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => {
+                const filePath = path.join(sessionsDir, file);
+                const stat = fs.statSync(filePath);
+                return {
+                    sessionId: file.replace(/\.jsonl$/, ''),
+                    path: filePath,
+                    size: stat.size,
+                    lastActivity: stat.mtime.toISOString()
+                };
+            })
+            .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+    }
+}
+
+module.exports = SessionJournal;
+
+// CLI interface
+if (require.main === module) {
+    const { getConfig } = require('../src/superclaude-config.js');
+    const [command = 'list', sessionId] = process.argv.slice(2);
+    const sessionsDir = getConfig().get('sessionsDir');
+
+    if (command === 'list') {
+        const sessions = SessionJournal.list(sessionsDir);
+        console.log(`📋 ${sessions.length} session(s) in ${sessionsDir}`);
+        for (const session of sessions) {
+            console.log(`   ${session.sessionId}  ${session.lastActivity}  ${session.size} bytes`);
+        }
+    } else if (command === 'show' && SessionJournal.isValidSessionId(sessionId)) {
+        const journal = new SessionJournal({ sessionsDir, sessionId });
+        if (!journal.exists()) {
+            console.error(`❌ Unknown session: ${sessionId}`);
+            process.exit(1);
+        }
+        for (const event of journal.read()) {
+            console.log(`${String(event.seq).padStart(5)}  ${event.timestamp}  ${event.eventType}`);
+        }
+    } else {
+        console.log('Usage: node core/session-journal.js [list | show <sessionId>]');
+        process.exit(2);
+    }
+}
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Session Manager
+ * Creates, lists and disposes named ActiveSuperClaudeSessions, e.g. one per project or git branch
+ * Every session keeps its own persona state, MCP view, caches, learning, metrics and auto-documentation log;
+ * the MCP server processes underneath are shared through one connection pool
+ *
+ * Usage: node core/session-manager.js [projectRoot]   (prints the session name for the project's branch)
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ActiveSuperClaudeSession = require('./active-superclaude-session.js');
+const RealMCPIntegration = require('./real-mcp-integration.js');
+const MCPConnectionPool = require('./mcp-connection-pool.js');
+const { getConfig } = require('../src/superclaude-config.js');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('session:manager');
+
+class SessionManager {
+    constructor(options = {}) {
+        this.config = options.config || getConfig({ projectRoot: options.projectRoot });
+        // One set of server processes for all sessions; each session attaches the servers its persona wants
+        this.mcpPool = options.mcpPool || new MCPConnectionPool({
+            mcp: new RealMCPIntegration({ config: this.config }),
+            idleTimeoutMs: this.config.get('mcp.idleTimeoutMs')
+        });
+        this.ownsMcpPool = !options.mcpPool;
+        this.sessionDefaults = options.sessionDefaults || {}; // Options every session is created with
+        this.sessions = new Map(); // name -> { name, session, projectRoot, createdAt }
+        this.pending = new Map();  // name -> in-flight creation
+    }
+
+    // Session name for a project on its current git branch, e.g. "my-app@feature-login"
+    static nameFor(projectRoot = process.cwd(), branch = SessionManager.currentBranch(projectRoot)) {
+        const project = path.basename(path.resolve(projectRoot));
+        return branch ? `${project}@${branch}` : project;
+    }
+
+    // Checked-out branch (also before the first commit), or null outside a git repository or on a detached HEAD
+    static currentBranch(projectRoot = process.cwd()) {
+        try {
+            const branch = execFileSync('git', ['symbolic-ref', '--quiet', '--short', 'HEAD'], {
+                cwd: projectRoot,
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'ignore'],
+                timeout: 5000
+            }).trim();
+            return branch || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Session names end up in file and directory names
+    static slug(name) {
+        return name.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'session';
+    }
+
+    // Auto-documentation log of one named session, next to the configured docs.autoDocLog
+    static autoDocLogFor(config, name) {
+        const logPath = config.get('docs.autoDocLog');
+        const extension = path.extname(logPath);
+        return path.join(path.dirname(logPath), `${path.basename(logPath, extension)}-${SessionManager.slug(name)}${extension}`);
+    }
+
+    // Cache directory of one named session: analysis cache, learning patterns, fingerprints and metrics
+    // Each engine keeps these in memory and rewrites the files, so sessions must not share them
+    static cacheDirFor(config, name) {
+        return path.join(config.get('cacheDir'), 'session-state', SessionManager.slug(name));
+    }
+
+    has(name) {
+        return this.sessions.has(name);
+    }
+
+    get(name) {
+        const entry = this.sessions.get(name);
+        return entry ? entry.session : null;
+    }
+
+    // Create and initialize a named session
+    // options are ActiveSuperClaudeSession options plus initialContext, or resume: <sessionId> to restore a journal
+    async create(name, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('A session needs a name');
+        }
+        if (this.sessions.has(name) || this.pending.has(name)) {
+            throw new Error(`Session already exists: ${name}`);
+        }
+
+        const creating = this.startSession(name, options);
+        this.pending.set(name, creating);
+        try {
+            const entry = await creating;
+            this.sessions.set(name, entry);
+            return entry.session;
+        } finally {
+            this.pending.delete(name);
+        }
+    }
+
+    // The named session, created on first use
+    async getOrCreate(name, options = {}) {
+        if (this.sessions.has(name)) return this.sessions.get(name).session;
+        if (this.pending.has(name)) return (await this.pending.get(name)).session;
+        return this.create(name, options);
+    }
+
+    async startSession(name, options) {
+        const { initialContext = '', resume, ...sessionOptions } = { ...this.sessionDefaults, ...options };
+        const projectRoot = path.resolve(sessionOptions.projectRoot || this.config.projectRoot);
+        const config = sessionOptions.config || getConfig({ projectRoot });
+        const isolated = {
+            ...sessionOptions,
+            projectRoot,
+            config,
+            mcpPool: this.mcpPool,
+            cacheDir: sessionOptions.cacheDir || SessionManager.cacheDirFor(config, name),
+            autoDocLog: sessionOptions.autoDocLog || SessionManager.autoDocLogFor(config, name)
+        };
+
+        let session;
+        if (resume) {
+            session = await ActiveSuperClaudeSession.resume(resume, isolated);
+        } else {
+            session = new ActiveSuperClaudeSession(isolated);
+            await session.initializeSession(initialContext);
+        }
+
+        log.info(`🗂️  Session ${name} ready (${session.sessionId}, ${session.currentPersona})`);
+        return { name, session, projectRoot, createdAt: Date.now() };
+    }
+
+    list() {
+        return [...this.sessions.values()].map(({ name, session, projectRoot, createdAt }) => ({
+            name,
+            sessionId: session.sessionId,
+            projectRoot,
+            persona: session.currentPersona,
+            blend: session.activeBlend ? session.activeBlend.personas : null,
+            mcpConnections: Array.from(session.mcpConnections.keys()),
+            journal: session.journal.journalPath,
+            createdAt
+        }));
+    }
+
+    // Shut one session down (MCP view, engine cache and metrics hooks); its servers stay warm for the others
+    async dispose(name) {
+        if (this.pending.has(name)) {
+            await this.pending.get(name).catch(() => {});
+        }
+
+        const entry = this.sessions.get(name);
+        if (!entry) return false;
+
+        this.sessions.delete(name);
+        entry.session.autoDoc.detach();
+        await entry.session.shutdown();
+        entry.session.removeAllListeners();
+        log.info(`🗂️  Session ${name} disposed`);
+        return true;
+    }
+
+    // Dispose every session, then stop the pool's servers if this manager created the pool
+    async shutdown() {
+        await Promise.all([...this.pending.values()].map(creating => creating.catch(() => {})));
+        for (const name of [...this.sessions.keys()]) {
+            await this.dispose(name);
+        }
+        if (this.ownsMcpPool) {
+            await this.mcpPool.shutdown();
+        }
+    }
+
+    getStatus() {
+        return {
+            sessions: this.list(),
+            mcpPool: this.mcpPool.getStats()
+        };
+    }
+}
+
+module.exports = SessionManager;
+
+// CLI interface
+if (require.main === module) {
+    const projectRoot = path.resolve(process.argv[2] || process.cwd());
+    console.log(`🗂️  ${SessionManager.nameFor(projectRoot)}`);
+    const config = getConfig({ projectRoot });
+    const name = SessionManager.nameFor(projectRoot);
+    console.log(`   cache directory: ${SessionManager.cacheDirFor(config, name)}`);
+    console.log(`   auto-documentation log: ${SessionManager.autoDocLogFor(config, name)}`);
+}
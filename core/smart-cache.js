@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Smart Cache
+ * SQLite-backed key/value cache with TTLs, LRU eviction and per-engine namespaces
+ * Entries are tagged with a fingerprint of the inputs they depend on (personas, scoring rules)
+ * and are dropped automatically when that fingerprint changes
+ *
+ * Uses node:sqlite (Node 22.5+) or the optional better-sqlite3 package; throws when neither is available
+ * SmartCache.JsonCache is the fallback for older Node.js: the same interface and expiry rules,
+ * kept in memory and written to a JSON file shortly after each change
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+const PURGE_EVERY_WRITES = 50;
+const DEFAULT_SAVE_DELAY_MS = 1000;
+const JSON_CACHE_VERSION = 2;
+
+// Open a synchronous SQLite database with whichever driver this Node.js provides
+function openDatabase(dbPath) {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(dbPath);
+    } catch (error) {
+        // node:sqlite not available in this Node.js version
+    }
+
+    const Database = require('better-sqlite3');
+    return new Database(dbPath);
+}
+
+class SmartCache {
+    constructor(options = {}) {
+        this.dbPath = options.dbPath;
+        this.namespace = options.namespace || 'default';
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.fingerprint = options.fingerprint || '';
+        this.writes = 0;
+        this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, invalidations: 0 };
+
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        this.db = openDatabase(this.dbPath);
+        this.initializeSchema();
+        this.prepareStatements();
+
+        // Drop anything cached against older persona definitions or rules
+        this.invalidateStale();
+        this.purgeExpired();
+    }
+
+    initializeSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS cache_entries (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                fingerprint TEXT NOT NULL DEFAULT '',
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                last_accessed INTEGER NOT NULL,
+                PRIMARY KEY (namespace, key)
+            );
+            CREATE INDEX IF NOT EXISTS idx_cache_lru ON cache_entries (namespace, last_accessed);
+            CREATE INDEX IF NOT EXISTS idx_cache_expiry ON cache_entries (expires_at);
+        `);
+    }
+
+    prepareStatements() {
+        this.statements = {
+            get: this.db.prepare(
+                'SELECT value, expires_at, fingerprint FROM cache_entries WHERE namespace = ? AND key = ?'
+            ),
+            touch: this.db.prepare(
+                'UPDATE cache_entries SET last_accessed = ? WHERE namespace = ? AND key = ?'
+            ),
+            set: this.db.prepare(`
+                INSERT INTO cache_entries (namespace, key, value, fingerprint, created_at, expires_at, last_accessed)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (namespace, key) DO UPDATE SET
+                    value = excluded.value,
+                    fingerprint = excluded.fingerprint,
+                    created_at = excluded.created_at,
+                    expires_at = excluded.expires_at,
+                    last_accessed = excluded.last_accessed
+            `),
+            delete: this.db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND key = ?'),
+            clear: this.db.prepare('DELETE FROM cache_entries WHERE namespace = ?'),
+            count: this.db.prepare('SELECT COUNT(*) AS count FROM cache_entries WHERE namespace = ?'),
+            evict: this.db.prepare(`
+                DELETE FROM cache_entries WHERE namespace = ? AND key IN (
+                    SELECT key FROM cache_entries WHERE namespace = ? ORDER BY last_accessed ASC LIMIT ?
+                )
+            `),
+            purgeExpired: this.db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND expires_at <= ?'),
+            invalidate: this.db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND fingerprint != ?')
+        };
+    }
+
+    // Look up a live entry; expired or stale entries are removed on the way
+    lookup(key) {
+        const row = this.statements.get.get(this.namespace, key);
+        if (!row) return null;
+
+        if (row.expires_at <= Date.now()) {
+            this.statements.delete.run(this.namespace, key);
+            this.stats.expirations++;
+            return null;
+        }
+        if (row.fingerprint !== this.fingerprint) {
+            this.statements.delete.run(this.namespace, key);
+            this.stats.invalidations++;
+            return null;
+        }
+
+        return row;
+    }
+
+    has(key) {
+        const found = this.lookup(key) !== null;
+        if (!found) this.stats.misses++;
+        return found;
+    }
+
+    get(key) {
+        const row = this.lookup(key);
+        if (!row) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        this.statements.touch.run(Date.now(), this.namespace, key);
+        this.stats.hits++;
+        return JSON.parse(row.value);
+    }
+
+    // Store a JSON-serializable value; options.ttlMs overrides the default TTL
+    set(key, value, options = {}) {
+        const now = Date.now();
+        const ttlMs = options.ttlMs || this.ttlMs;
+
+        this.statements.set.run(
+            this.namespace, key, JSON.stringify(value), this.fingerprint, now, now + ttlMs, now
+        );
+        this.stats.sets++;
+
+        this.enforceSizeCap();
+        if (++this.writes % PURGE_EVERY_WRITES === 0) {
+            this.purgeExpired();
+        }
+        return true;
+    }
+
+    delete(key) {
+        return this.statements.delete.run(this.namespace, key).changes > 0;
+    }
+
+    clear() {
+        this.statements.clear.run(this.namespace);
+    }
+
+    size() {
+        return this.statements.count.get(this.namespace).count;
+    }
+
+    // Evict least recently used entries above maxEntries
+    enforceSizeCap() {
+        const overflow = this.size() - this.maxEntries;
+        if (overflow > 0) {
+            this.statements.evict.run(this.namespace, this.namespace, overflow);
+            this.stats.evictions += overflow;
+        }
+    }
+
+    purgeExpired() {
+        const removed = this.statements.purgeExpired.run(this.namespace, Date.now()).changes;
+        this.stats.expirations += removed;
+        return removed;
+    }
+
+    // Change the dependency fingerprint; entries cached under another one are dropped
+    setFingerprint(fingerprint) {
+        if (fingerprint === this.fingerprint) return 0;
+        this.fingerprint = fingerprint;
+        return this.invalidateStale();
+    }
+
+    invalidateStale() {
+        const removed = this.statements.invalidate.run(this.namespace, this.fingerprint).changes;
+        this.stats.invalidations += removed;
+        return removed;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            backend: 'sqlite',
+            dbPath: this.dbPath,
+            namespace: this.namespace,
+            entries: this.size(),
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+            ...this.stats
+        };
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+// In-memory cache persisted to one JSON file, with the TTL, LRU and fingerprint rules of SmartCache
+// The file holds a single namespace; writes are debounced and flushed on exit or close()
+class JsonCache {
+    constructor(options = {}) {
+        this.filePath = options.filePath;
+        this.namespace = options.namespace || 'default';
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.fingerprint = options.fingerprint || '';
+        this.saveDelayMs = options.saveDelayMs >= 0 ? options.saveDelayMs : DEFAULT_SAVE_DELAY_MS;
+        this.entries = new Map(); // key -> { value, fingerprint, createdAt, expiresAt }; insertion order is LRU order
+        this.saveTimer = null;
+        this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, invalidations: 0 };
+
+        this.load();
+        this.invalidateStale();
+        this.purgeExpired();
+        this.enforceSizeCap();
+
+        this.save = this.save.bind(this);
+        process.on('exit', this.save);
+        process.on('SIGINT', this.save);
+    }
+
+    // Entries from an earlier run; files from before TTLs existed are discarded
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (data.version !== JSON_CACHE_VERSION || !data.entries) return;
+
+            const stored = Object.entries(data.entries).sort(([, a], [, b]) => a.lastAccessed - b.lastAccessed);
+            for (const [key, entry] of stored) {
+                this.entries.set(key, entry);
+            }
+        } catch (error) {
+            this.entries.clear();
+        }
+    }
+
+    // Write the cache now (atomically, through a temporary file)
+    save() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const temporary = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify({
+                version: JSON_CACHE_VERSION,
+                namespace: this.namespace,
+                entries: Object.fromEntries(this.entries)
+            }));
+            fs.renameSync(temporary, this.filePath);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Save once writes have settled for saveDelayMs
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(this.save, this.saveDelayMs);
+        if (typeof this.saveTimer.unref === 'function') this.saveTimer.unref();
+    }
+
+    // Look up a live entry; expired or stale entries are removed on the way
+    lookup(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.stats.expirations++;
+            this.scheduleSave();
+            return null;
+        }
+        if (entry.fingerprint !== this.fingerprint) {
+            this.entries.delete(key);
+            this.stats.invalidations++;
+            this.scheduleSave();
+            return null;
+        }
+
+        return entry;
+    }
+
+    has(key) {
+        const found = this.lookup(key) !== null;
+        if (!found) this.stats.misses++;
+        return found;
+    }
+
+    get(key) {
+        const entry = this.lookup(key);
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        entry.lastAccessed = Date.now();
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return JSON.parse(JSON.stringify(entry.value));
+    }
+
+    // Store a JSON-serializable value; options.ttlMs overrides the default TTL
+    set(key, value, options = {}) {
+        const now = Date.now();
+        const ttlMs = options.ttlMs || this.ttlMs;
+
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value: JSON.parse(JSON.stringify(value)),
+            fingerprint: this.fingerprint,
+            createdAt: now,
+            expiresAt: now + ttlMs,
+            lastAccessed: now
+        });
+        this.stats.sets++;
+
+        this.enforceSizeCap();
+        this.scheduleSave();
+        return true;
+    }
+
+    delete(key) {
+        const removed = this.entries.delete(key);
+        if (removed) this.scheduleSave();
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.scheduleSave();
+    }
+
+    size() {
+        return this.entries.size;
+    }
+
+    // Evict least recently used entries above maxEntries
+    enforceSizeCap() {
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    purgeExpired() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        this.stats.expirations += removed;
+        return removed;
+    }
+
+    // Change the dependency fingerprint; entries cached under another one are dropped
+    setFingerprint(fingerprint) {
+        if (fingerprint === this.fingerprint) return 0;
+        this.fingerprint = fingerprint;
+        const removed = this.invalidateStale();
+        if (removed > 0) this.scheduleSave();
+        return removed;
+    }
+
+    invalidateStale() {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.fingerprint !== this.fingerprint) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        this.stats.invalidations += removed;
+        return removed;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            backend: 'json',
+            filePath: this.filePath,
+            namespace: this.namespace,
+            entries: this.size(),
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+            ...this.stats
+        };
+    }
+
+    // Save now and drop the exit hooks (when the engine is discarded before the process ends)
+    close() {
+        this.save();
+        process.removeListener('exit', this.save);
+        process.removeListener('SIGINT', this.save);
+    }
+}
+
+SmartCache.JsonCache = JsonCache;
+
+module.exports = SmartCache;
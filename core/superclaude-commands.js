@@ -8,13 +8,17 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('commands');
 
 class SuperClaudeCommands {
     constructor(session) {
         this.session = session;
         this.commands = this.initializeCommands();
+        this.applyPersonaCommandDefaults();
         
-        console.log('⚡ SuperClaude Commands initialized (19 commands available)');
+        log.info('⚡ SuperClaude Commands initialized (19 commands available)');
     }
 
     // Initialize all 19 SuperClaude commands
@@ -144,11 +148,24 @@ class SuperClaudeCommands {
         };
     }
 
+    // Let persona definitions claim commands via their Commands list
+    applyPersonaCommandDefaults() {
+        const registry = this.session.engine.personaRegistry;
+        
+        for (const [commandName, persona] of Object.entries(registry.getCommandDefaults())) {
+            if (!this.commands[commandName]) {
+                log.warn(`⚠️  Persona ${persona} claims unknown command /${commandName}`);
+                continue;
+            }
+            this.commands[commandName].defaultPersona = persona;
+        }
+    }
+
     // Execute command with persona switching and MCP integration
     async executeCommand(commandName, args = [], flags = []) {
-        console.log(`\n🎯 Executing SuperClaude command: /${commandName}`);
-        console.log(`📋 Args: ${args.join(' ')}`);
-        console.log(`🚩 Flags: ${flags.join(' ')}`);
+        log.info(`\n🎯 Executing SuperClaude command: /${commandName}`);
+        log.debug(`📋 Args: ${args.join(' ')}`);
+        log.debug(`🚩 Flags: ${flags.join(' ')}`);
 
         const command = this.commands[commandName];
         if (!command) {
@@ -158,14 +175,27 @@ class SuperClaudeCommands {
         // Only switch to command default if user didn't override
         // (User overrides are handled in session.executeCommand before this)
         if (command.defaultPersona !== this.session.currentPersona) {
-            console.log(`🔄 Switching to ${command.defaultPersona} persona for /${commandName}`);
+            log.info(`🔄 Switching to ${command.defaultPersona} persona for /${commandName}`);
             await this.session.switchPersona(command.defaultPersona, `Command execution: /${commandName}`);
         }
 
-        // Execute the command
+        this.session.emitEvent('command:started', {
+            command: commandName,
+            args,
+            flags,
+            persona: this.session.currentPersona
+        });
+
+        // Execute the command; its arguments and any MCP calls it makes count toward it
         const startTime = Date.now();
-        const result = await command.execute(args, flags);
+        const tokens = this.session.tokens;
+        const tokensBefore = tokens.total;
+        const result = await tokens.withScope({ command: commandName }, () => {
+            tokens.recordPayload('command', [commandName, ...args, ...flags].join(' '));
+            return command.execute(args, flags);
+        });
         const executionTime = Date.now() - startTime;
+        const tokensUsed = tokens.total - tokensBefore;
 
         // Log execution
         this.session.recordSessionEvent('command_executed', {
@@ -174,20 +204,39 @@ class SuperClaudeCommands {
             flags,
             persona: this.session.currentPersona,
             executionTime,
+            tokensUsed,
+            success: !result.error
+        });
+        this.session.engine.performanceMonitor.recordOperation('command', {
+            command: commandName,
+            persona: this.session.currentPersona,
+            duration: executionTime,
             success: !result.error
         });
 
-        console.log(`⚡ Command /${commandName} completed in ${executionTime}ms`);
+        log.info(`⚡ Command /${commandName} completed in ${executionTime}ms`);
         
         // Ensure persona is set in result
         result.persona = this.session.currentPersona;
+        result.tokensUsed = tokensUsed;
+
+        this.session.emitEvent('command:finished', {
+            command: commandName,
+            args,
+            flags,
+            persona: this.session.currentPersona,
+            success: !result.error,
+            executionTime,
+            tokensUsed,
+            result
+        });
         
         return result;
     }
 
     // Command implementations
     async executeDesign(args, flags) {
-        console.log('🏗️  Executing design command with architect persona...');
+        log.info('🏗️  Executing design command with architect persona...');
         
         const designType = flags.includes('--api') ? 'API' :
                           flags.includes('--ddd') ? 'Domain-Driven Design' :
@@ -227,7 +276,7 @@ class SuperClaudeCommands {
     }
 
     async executeBuild(args, flags) {
-        console.log('🔨 Executing build command...');
+        log.info('🔨 Executing build command...');
         
         const buildType = flags.includes('--tdd') ? 'Test-Driven Development' :
                          flags.includes('--clean') ? 'Clean Architecture' :
@@ -248,7 +297,7 @@ class SuperClaudeCommands {
     }
 
     async executeTest(args, flags) {
-        console.log('🧪 Executing test command with QA persona...');
+        log.info('🧪 Executing test command with QA persona...');
         
         const testTypes = [];
         if (flags.includes('--unit')) testTypes.push('Unit tests');
@@ -269,7 +318,7 @@ class SuperClaudeCommands {
     }
 
     async executeAnalyze(args, flags) {
-        console.log('🔍 Executing analyze command with analyzer persona...');
+        log.info('🔍 Executing analyze command with analyzer persona...');
         
         const analysisTypes = [];
         if (flags.includes('--performance')) analysisTypes.push('Performance analysis');
@@ -290,7 +339,7 @@ class SuperClaudeCommands {
     }
 
     async executeDebug(args, flags) {
-        console.log('🐛 Executing debug command with analyzer persona...');
+        log.info('🐛 Executing debug command with analyzer persona...');
         
         return {
             command: 'debug',
@@ -307,7 +356,7 @@ class SuperClaudeCommands {
     }
 
     async executeOptimize(args, flags) {
-        console.log('⚡ Executing optimize command with performance persona...');
+        log.info('⚡ Executing optimize command with performance persona...');
         
         const optimizationTargets = [];
         if (flags.includes('--memory')) optimizationTargets.push('Memory optimization');
@@ -328,7 +377,7 @@ class SuperClaudeCommands {
     }
 
     async executeSecure(args, flags) {
-        console.log('🔒 Executing secure command with security persona...');
+        log.info('🔒 Executing secure command with security persona...');
         
         return {
             command: 'secure',
@@ -345,7 +394,7 @@ class SuperClaudeCommands {
     }
 
     async executeRefactor(args, flags) {
-        console.log('🔧 Executing refactor command with refactorer persona...');
+        log.info('🔧 Executing refactor command with refactorer persona...');
         
         return {
             command: 'refactor',
@@ -362,57 +411,57 @@ class SuperClaudeCommands {
 
     // Simplified implementations for remaining commands
     async executeDeploy(args, flags) {
-        console.log('🚀 Executing deploy command...');
+        log.info('🚀 Executing deploy command...');
         return { command: 'deploy', environment: flags.find(f => f.startsWith('--env')) || 'staging', success: true };
     }
 
     async executeMonitor(args, flags) {
-        console.log('📊 Executing monitor command...');
+        log.info('📊 Executing monitor command...');
         return { command: 'monitor', metrics: ['uptime', 'response_time', 'error_rate'], success: true };
     }
 
     async executeBackup(args, flags) {
-        console.log('💾 Executing backup command...');
+        log.info('💾 Executing backup command...');
         return { command: 'backup', type: flags.includes('--full') ? 'full' : 'incremental', success: true };
     }
 
     async executeScale(args, flags) {
-        console.log('📈 Executing scale command...');
+        log.info('📈 Executing scale command...');
         return { command: 'scale', direction: flags.includes('--horizontal') ? 'horizontal' : 'vertical', success: true };
     }
 
     async executeMigrate(args, flags) {
-        console.log('🔄 Executing migrate command...');
+        log.info('🔄 Executing migrate command...');
         return { command: 'migrate', type: flags.includes('--data') ? 'data' : 'schema', success: true };
     }
 
     async executeMaintain(args, flags) {
-        console.log('🔧 Executing maintain command...');
+        log.info('🔧 Executing maintain command...');
         return { command: 'maintain', tasks: ['updates', 'cleanup', 'health_check'], success: true };
     }
 
     async executePlan(args, flags) {
-        console.log('📋 Executing plan command...');
+        log.info('📋 Executing plan command...');
         return { command: 'plan', scope: flags.includes('--roadmap') ? 'roadmap' : 'sprint', success: true };
     }
 
     async executeReview(args, flags) {
-        console.log('👀 Executing review command...');
+        log.info('👀 Executing review command...');
         return { command: 'review', type: flags.includes('--code') ? 'code' : 'architecture', success: true };
     }
 
     async executeDocument(args, flags) {
-        console.log('📚 Executing document command...');
+        log.info('📚 Executing document command...');
         return { command: 'document', type: flags.includes('--api') ? 'api' : 'general', success: true };
     }
 
     async executeLearn(args, flags) {
-        console.log('🎓 Executing learn command...');
+        log.info('🎓 Executing learn command...');
         return { command: 'learn', format: flags.includes('--tutorial') ? 'tutorial' : 'explanation', success: true };
     }
 
     async executeIntrospect(args, flags) {
-        console.log('🤔 Executing introspect command...');
+        log.info('🤔 Executing introspect command...');
         return { command: 'introspect', analysis: 'framework_improvement_suggestions', success: true };
     }
 
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Shared File Loader
+ * Single loader for SuperClaude's .claude/shared/*.yml files
+ * Splits files into their "## Section" blocks, resolves @include references,
+ * reports YAML errors with file and line, and records which sections came from
+ * disk and which fell back to built-in defaults
+ *
+ * Usage: node core/superclaude-shared-loader.js [superClaudePath]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('loader');
+
+// Sections the framework reads from SuperClaude: name -> [file, section]
+const SHARED_SECTIONS = {
+    personas: ['superclaude-personas.yml', 'All_Personas'],
+    activation: ['superclaude-core.yml', 'Intelligent_Auto_Activation'],
+    evidence: ['superclaude-core.yml', 'Evidence_Based_Standards']
+};
+
+const SECTION_HEADER = /^##\s+([A-Za-z0-9_]+)\s*$/;
+// "@include shared/file.yml#Section", optionally written as a YAML comment
+const INCLUDE_DIRECTIVE = /^(\s*)(?:#\s*)?@include\s+(\S+?)(?:#([A-Za-z0-9_]+))?\s*$/;
+const MAX_INCLUDE_DEPTH = 10;
+
+class SuperClaudeSharedLoader {
+    constructor(options = {}) {
+        this.superClaudePath = options.superClaudePath || require('os').homedir();
+        this.claudeDir = path.join(this.superClaudePath, '.claude');
+        this.sharedDir = path.join(this.claudeDir, 'shared');
+        this.files = new Map();
+        this.sources = new Map();
+        this.errors = [];
+    }
+
+    // Return a section from disk, or the fallback (recorded in the report) when it cannot be loaded
+    getSection(fileName, sectionName, fallback) {
+        const { data, reason } = this.resolveSection(fileName, sectionName);
+        const key = `${fileName}#${sectionName}`;
+
+        if (data !== undefined) {
+            this.sources.set(key, { file: fileName, section: sectionName, source: 'disk', path: path.join(this.sharedDir, fileName) });
+            return data;
+        }
+
+        this.sources.set(key, { file: fileName, section: sectionName, source: 'fallback', reason });
+        return fallback;
+    }
+
+    resolveSection(fileName, sectionName) {
+        let yaml;
+        try {
+            yaml = require('js-yaml');
+        } catch (error) {
+            return { reason: 'js-yaml is not installed' };
+        }
+
+        const parsed = this.loadFile(fileName, yaml);
+        if (parsed.missing) return { reason: `${parsed.path} not found` };
+
+        const section = parsed.sections[sectionName];
+        if (section) {
+            if (section.error) return { reason: `parse error at ${section.error.file}:${section.error.line}` };
+            if (section.data && typeof section.data === 'object') return { data: section.data };
+            return { reason: `section ${sectionName} is empty` };
+        }
+
+        // No "## Section" header: accept the section as an ordinary top-level key
+        const whole = this.parseEntries(parsed.entries, yaml, fileName, sectionName);
+        if (whole.error) return { reason: `parse error at ${whole.error.file}:${whole.error.line}` };
+        if (whole.data && typeof whole.data[sectionName] === 'object' && whole.data[sectionName] !== null) {
+            return { data: whole.data[sectionName] };
+        }
+        return { reason: `section ${sectionName} not found in ${fileName}` };
+    }
+
+    // Read, include-expand and split a shared file; cached until its mtime changes
+    loadFile(fileName, yaml) {
+        const filePath = path.join(this.sharedDir, fileName);
+        if (!fs.existsSync(filePath)) return { missing: true, path: filePath };
+
+        const mtimeMs = fs.statSync(filePath).mtimeMs;
+        const cached = this.files.get(filePath);
+        if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+        const entries = this.expandIncludes(this.readEntries(filePath), [filePath]);
+        const sections = {};
+        for (const [name, body] of Object.entries(this.splitSections(entries))) {
+            sections[name] = this.parseEntries(body, yaml, fileName, name);
+        }
+
+        const parsed = { path: filePath, mtimeMs, entries, sections };
+        this.files.set(filePath, parsed);
+        return parsed;
+    }
+
+    // Lines tagged with the file and line they came from, so errors survive include expansion
+    readEntries(filePath) {
+        return fs.readFileSync(filePath, 'utf8').split('\n').map((text, index) => ({
+            text,
+            file: filePath,
+            line: index + 1
+        }));
+    }
+
+    expandIncludes(entries, stack) {
+        const expanded = [];
+
+        for (const entry of entries) {
+            const match = entry.text.match(INCLUDE_DIRECTIVE);
+            if (!match) {
+                expanded.push(entry);
+                continue;
+            }
+
+            const [, indent, target, sectionName] = match;
+            const targetPath = this.resolveIncludePath(target, entry.file);
+            if (!targetPath) {
+                this.recordError(entry, `@include target not found: ${target}`);
+                continue;
+            }
+            if (stack.includes(targetPath) || stack.length > MAX_INCLUDE_DEPTH) {
+                this.recordError(entry, `circular @include of ${target}`);
+                continue;
+            }
+
+            let included = this.expandIncludes(this.readEntries(targetPath), [...stack, targetPath]);
+            if (sectionName) {
+                const sections = this.splitSections(included);
+                if (!sections[sectionName]) {
+                    this.recordError(entry, `@include section ${sectionName} not found in ${target}`);
+                    continue;
+                }
+                included = sections[sectionName];
+            }
+
+            for (const line of included) {
+                expanded.push({ ...line, text: line.text.trim() === '' ? '' : indent + line.text });
+            }
+        }
+
+        return expanded;
+    }
+
+    // Includes are written relative to .claude/ ("shared/x.yml") or to the including file
+    resolveIncludePath(target, fromFile) {
+        const candidates = [path.resolve(path.dirname(fromFile), target), path.resolve(this.claudeDir, target)];
+        return candidates.find(candidate => fs.existsSync(candidate)) || null;
+    }
+
+    // "## Section" header -> entries until the next header
+    splitSections(entries) {
+        const sections = {};
+        let current = null;
+
+        for (const entry of entries) {
+            const header = entry.text.match(SECTION_HEADER);
+            if (header) {
+                current = sections[header[1]] = [];
+            } else if (current) {
+                current.push(entry);
+            }
+        }
+
+        return sections;
+    }
+
+    parseEntries(entries, yaml, fileName, sectionName) {
+        try {
+            return { data: yaml.load(entries.map(entry => entry.text).join('\n')) };
+        } catch (error) {
+            // Errors at end of input point past the last line (or at trailing blank lines, possibly
+            // from the including file); report the last line with content instead
+            let index = error.mark ? Math.min(error.mark.line, entries.length - 1) : 0;
+            while (index > 0 && entries[index].text.trim() === '') index--;
+            const origin = entries[index] || { file: fileName, line: 0 };
+            const problem = this.recordError(origin, `[${sectionName}] ${error.reason || error.message}`);
+            return { error: problem };
+        }
+    }
+
+    recordError(entry, message) {
+        const problem = { file: entry.file, line: entry.line, message };
+        if (!this.errors.some(error => error.file === problem.file && error.line === problem.line && error.message === problem.message)) {
+            this.errors.push(problem);
+            log.warn(`⚠️  ${problem.file}:${problem.line} ${message}`);
+        }
+        return problem;
+    }
+
+    // Which sections were loaded from disk and which fell back, plus any YAML/include errors
+    getReport() {
+        const sections = [...this.sources.values()];
+        return {
+            sharedDir: this.sharedDir,
+            sections,
+            loaded: sections.filter(section => section.source === 'disk').map(section => `${section.file}#${section.section}`),
+            fallbacks: sections.filter(section => section.source === 'fallback').map(section => `${section.file}#${section.section}`),
+            errors: this.errors
+        };
+    }
+
+    usedFallbacks() {
+        return this.getReport().fallbacks.length > 0;
+    }
+
+    // Load every section the framework depends on (fallbacks recorded as null)
+    probe() {
+        for (const [fileName, sectionName] of Object.values(SHARED_SECTIONS)) {
+            this.getSection(fileName, sectionName, null);
+        }
+        return this.getReport();
+    }
+}
+
+SuperClaudeSharedLoader.SHARED_SECTIONS = SHARED_SECTIONS;
+
+module.exports = SuperClaudeSharedLoader;
+
+// CLI interface
+if (require.main === module) {
+    const { getConfig } = require('../src/superclaude-config.js');
+    const superClaudePath = process.argv[2] ? path.resolve(process.argv[2]) : getConfig().get('superClaudePath');
+    const report = new SuperClaudeSharedLoader({ superClaudePath }).probe();
+
+    console.log(`📋 SuperClaude shared files: ${report.sharedDir}`);
+    for (const section of report.sections) {
+        console.log(section.source === 'disk'
+            ? `   ✅ ${section.file}#${section.section}`
+            : `   ⚠️  ${section.file}#${section.section} -> fallback (${section.reason})`);
+    }
+    process.exit(report.fallbacks.length > 0 || report.errors.length > 0 ? 1 : 0);
+}
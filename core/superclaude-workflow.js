@@ -7,6 +7,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('workflow');
 
 class SuperClaudeWorkflow {
     constructor(session) {
@@ -15,7 +18,7 @@ class SuperClaudeWorkflow {
         this.currentWorkflow = null;
         this.workflowHistory = [];
         
-        console.log('🔄 SuperClaude Unified Development Workflow initialized');
+        log.info('🔄 SuperClaude Unified Development Workflow initialized');
     }
 
     // Initialize predefined workflows
@@ -113,9 +116,9 @@ class SuperClaudeWorkflow {
             throw new Error(`Unknown workflow: ${workflowName}`);
         }
 
-        console.log(`\n🔄 Starting workflow: ${workflow.name}`);
-        console.log(`📋 Description: ${workflow.description}`);
-        console.log(`📊 Phases: ${workflow.phases.length}`);
+        log.info(`\n🔄 Starting workflow: ${workflow.name}`);
+        log.info(`📋 Description: ${workflow.description}`);
+        log.info(`📊 Phases: ${workflow.phases.length}`);
 
         this.currentWorkflow = {
             name: workflowName,
@@ -124,16 +127,20 @@ class SuperClaudeWorkflow {
             phases: [],
             currentPhase: 0,
             args,
-            flags
+            flags,
+            // Phases stop with a budget-exceeded result once this run's limits are reached
+            budget: this.session.createBudget('workflow', `workflow:${workflowName}`)
         };
+        this.session.recordSessionEvent('workflow_started', { workflow: workflowName, args, flags });
+        this.session.emitEvent('workflow:started', { workflow: workflowName, args, flags, totalPhases: workflow.phases.length });
 
         const results = [];
 
         try {
             for (let i = 0; i < workflow.phases.length; i++) {
                 const phase = workflow.phases[i];
-                console.log(`\n📍 Phase ${i + 1}/${workflow.phases.length}: ${phase.command}`);
-                console.log(`🎭 Persona: ${phase.persona}`);
+                log.info(`\n📍 Phase ${i + 1}/${workflow.phases.length}: ${phase.command}`);
+                log.info(`🎭 Persona: ${phase.persona}`);
 
                 this.currentWorkflow.currentPhase = i;
 
@@ -143,7 +150,9 @@ class SuperClaudeWorkflow {
 
                 // Execute command
                 const startTime = Date.now();
-                const result = await this.session.executeCommand(phase.command, phaseArgs, phaseFlags);
+                const tokensBefore = this.session.tokens.total;
+                const result = await this.session.tokens.withScope({ workflow: workflowName }, () =>
+                    this.session.executeCommand(phase.command, phaseArgs, phaseFlags));
                 const duration = Date.now() - startTime;
 
                 const phaseResult = {
@@ -153,18 +162,30 @@ class SuperClaudeWorkflow {
                     args: phaseArgs,
                     flags: phaseFlags,
                     duration,
+                    tokensUsed: this.session.tokens.total - tokensBefore,
                     result,
                     success: !result.error
                 };
 
                 results.push(phaseResult);
                 this.currentWorkflow.phases.push(phaseResult);
+                this.session.recordSessionEvent('workflow_phase_completed', { workflow: workflowName, phase: phaseResult });
+                this.session.emitEvent('workflow:phase', {
+                    workflow: workflowName,
+                    phase: phaseResult.phase,
+                    totalPhases: workflow.phases.length,
+                    command: phase.command,
+                    persona: phaseResult.persona,
+                    success: phaseResult.success,
+                    duration,
+                    tokensUsed: phaseResult.tokensUsed
+                });
 
-                console.log(`✅ Phase ${i + 1} completed in ${duration}ms`);
+                log.info(`✅ Phase ${i + 1} completed in ${duration}ms`);
 
                 // Stop workflow if phase failed
                 if (result.error) {
-                    console.log(`❌ Workflow stopped due to error in phase ${i + 1}`);
+                    log.error(`❌ Workflow stopped due to error in phase ${i + 1}`);
                     break;
                 }
             }
@@ -177,6 +198,8 @@ class SuperClaudeWorkflow {
                 name: workflow.name,
                 description: workflow.description,
                 duration: workflowDuration,
+                tokensUsed: results.reduce((sum, r) => sum + r.tokensUsed, 0),
+                budgetExceeded: results.some(r => r.result.budgetExceeded),
                 phases: results,
                 success,
                 completedPhases: results.length,
@@ -187,17 +210,43 @@ class SuperClaudeWorkflow {
             // Record workflow completion
             this.workflowHistory.push(workflowResult);
             this.currentWorkflow = null;
+            this.session.recordSessionEvent('workflow_completed', { workflow: workflowName, result: workflowResult });
+            this.session.emitEvent('workflow:finished', {
+                workflow: workflowName,
+                args,
+                flags,
+                success,
+                duration: workflowDuration,
+                tokensUsed: workflowResult.tokensUsed,
+                completedPhases: results.length,
+                totalPhases: workflow.phases.length,
+                budgetExceeded: workflowResult.budgetExceeded,
+                result: workflowResult
+            });
 
-            console.log(`\n🎯 Workflow "${workflow.name}" completed!`);
-            console.log(`⏱️  Total duration: ${workflowDuration}ms`);
-            console.log(`📊 Phases completed: ${results.length}/${workflow.phases.length}`);
-            console.log(`✅ Success: ${success ? 'YES' : 'NO'}`);
+            log.info(`\n🎯 Workflow "${workflow.name}" completed!`);
+            log.info(`⏱️  Total duration: ${workflowDuration}ms`);
+            log.info(`🪙 Tokens used: ${workflowResult.tokensUsed}`);
+            log.info(`📊 Phases completed: ${results.length}/${workflow.phases.length}`);
+            log.info(`✅ Success: ${success ? 'YES' : 'NO'}`);
 
             return workflowResult;
 
         } catch (error) {
-            console.log(`❌ Workflow failed: ${error.message}`);
+            log.error(`❌ Workflow failed: ${error.message}`);
+            const duration = Date.now() - this.currentWorkflow.startTime;
             this.currentWorkflow = null;
+            this.session.recordSessionEvent('workflow_failed', { workflow: workflowName, error: error.message });
+            this.session.emitEvent('workflow:finished', {
+                workflow: workflowName,
+                args,
+                flags,
+                success: false,
+                duration,
+                completedPhases: results.length,
+                totalPhases: workflow.phases.length,
+                error: error.message
+            });
             throw error;
         }
     }
@@ -229,10 +278,20 @@ class SuperClaudeWorkflow {
             totalPhases: this.currentWorkflow.workflow.phases.length,
             progress: ((this.currentWorkflow.currentPhase + 1) / this.currentWorkflow.workflow.phases.length * 100).toFixed(1),
             duration: Date.now() - this.currentWorkflow.startTime,
-            phases: this.currentWorkflow.phases
+            phases: this.currentWorkflow.phases,
+            budget: this.currentWorkflow.budget ? this.currentWorkflow.budget.describe() : null,
+            interrupted: !!this.currentWorkflow.interrupted
         };
     }
 
+    // Restore state replayed from the session journal; an interrupted workflow is reported, not re-run
+    restoreState(current, history = []) {
+        this.workflowHistory = history;
+        this.currentWorkflow = current && this.workflows[current.name]
+            ? { ...current, workflow: this.workflows[current.name], currentPhase: current.phases.length, interrupted: true }
+            : null;
+    }
+
     // Get workflow history
     getWorkflowHistory(limit = 10) {
         return this.workflowHistory.slice(-limit).map(w => ({
@@ -247,7 +306,7 @@ class SuperClaudeWorkflow {
 
     // Smart workflow recommendation
     async recommendWorkflow(context) {
-        console.log(`🤔 Analyzing context for workflow recommendation...`);
+        log.info(`🤔 Analyzing context for workflow recommendation...`);
         
         const contextLower = context.toLowerCase();
         const recommendations = [];
@@ -312,15 +371,15 @@ class SuperClaudeWorkflow {
             });
         }
 
-        console.log(`💡 Recommended workflow: ${recommendations[0].workflow} (${(recommendations[0].confidence * 100).toFixed(0)}% confidence)`);
-        console.log(`🎯 Reason: ${recommendations[0].reason}`);
+        log.info(`💡 Recommended workflow: ${recommendations[0].workflow} (${(recommendations[0].confidence * 100).toFixed(0)}% confidence)`);
+        log.info(`🎯 Reason: ${recommendations[0].reason}`);
 
         return recommendations;
     }
 
     // Export workflow results
     async exportWorkflowReport(format = 'json') {
-        const report = {
+        const report = this.session.redactor.redact({
             summary: {
                 totalWorkflows: this.workflowHistory.length,
                 successRate: this.workflowHistory.length > 0 ? 
@@ -329,11 +388,12 @@ class SuperClaudeWorkflow {
                     Math.round(this.workflowHistory.reduce((sum, w) => sum + w.duration, 0) / this.workflowHistory.length) + 'ms' : '0ms'
             },
             workflows: this.workflowHistory,
+            tokens: this.session.tokens.getReport(),
             timestamp: new Date().toISOString()
-        };
+        }, 'report');
 
         const filename = `superclaude-workflow-report-${Date.now()}.${format}`;
-        const filepath = path.join(__dirname, '../reports', filename);
+        const filepath = path.join(this.session.config.get('reportsDir'), filename);
 
         // Create reports directory if it doesn't exist
         const reportsDir = path.dirname(filepath);
@@ -348,7 +408,7 @@ class SuperClaudeWorkflow {
             fs.writeFileSync(filepath.replace('.md', '.md'), markdown);
         }
 
-        console.log(`📄 Workflow report exported: ${filepath}`);
+        log.info(`📄 Workflow report exported: ${filepath}`);
         return filepath;
     }
 
@@ -359,13 +419,21 @@ class SuperClaudeWorkflow {
         md += `## Summary\n\n`;
         md += `- Total Workflows: ${report.summary.totalWorkflows}\n`;
         md += `- Success Rate: ${report.summary.successRate}\n`;
-        md += `- Average Duration: ${report.summary.averageDuration}\n\n`;
+        md += `- Average Duration: ${report.summary.averageDuration}\n`;
+        md += `- Tokens Used: ${report.tokens.total} (${report.tokens.tokenizer} tokenizer)\n\n`;
+        
+        md += `## Tokens by Persona\n\n`;
+        for (const [persona, tokens] of Object.entries(report.tokens.byPersona)) {
+            md += `- ${persona}: ${tokens}\n`;
+        }
+        md += `\n`;
         
         md += `## Workflow History\n\n`;
         report.workflows.forEach((workflow, i) => {
             md += `### ${i + 1}. ${workflow.name}\n\n`;
             md += `- **Workflow**: ${workflow.workflow}\n`;
             md += `- **Duration**: ${workflow.duration}ms\n`;
+            md += `- **Tokens**: ${workflow.tokensUsed || 0}\n`;
             md += `- **Success**: ${workflow.success ? '✅' : '❌'}\n`;
             md += `- **Phases**: ${workflow.phases.length}\n`;
             md += `- **Timestamp**: ${workflow.timestamp}\n\n`;
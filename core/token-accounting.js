@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Token Accounting
+ * Estimates tokens from the actual request text and MCP payloads with a pluggable tokenizer,
+ * and attributes the totals to the persona, command, workflow and MCP server involved
+ *
+ * Usage: node core/token-accounting.js [--tokenizer chars|words|<module>] <text...>
+ */
+
+const path = require('path');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('tokens');
+
+// Built-in estimators; a custom tokenizer is any module exporting count(text) (or a function)
+const TOKENIZERS = {
+    // About 4 characters per token, the usual rule of thumb for English text and code
+    chars: text => Math.ceil(text.length / 4),
+    // One token per punctuation mark, one per word with long words split every 6 characters
+    words: text => (text.match(/[A-Za-z0-9_]+|[^\sA-Za-z0-9_]/g) || [])
+        .reduce((sum, token) => sum + Math.max(1, Math.ceil(token.length / 6)), 0)
+};
+
+const DIMENSIONS = {
+    persona: 'byPersona',
+    command: 'byCommand',
+    workflow: 'byWorkflow',
+    mcpServer: 'byMcpServer'
+};
+
+class TokenAccountant {
+    constructor(options = {}) {
+        const tokenizer = TokenAccountant.resolveTokenizer(options.tokenizer || 'chars', options.baseDir);
+        this.tokenizerName = tokenizer.name;
+        this.tokenizer = tokenizer.count;
+        // Base attribution for every record, e.g. the session's current persona
+        this.attribution = options.attribution || (() => ({}));
+        this.scope = {};
+        this.reset();
+    }
+
+    // Build the accountant from the tokens.* config keys
+    static fromConfig(config, options = {}) {
+        return new TokenAccountant({
+            tokenizer: config.get('tokens.tokenizer'),
+            baseDir: config.projectRoot,
+            ...options
+        });
+    }
+
+    // A built-in name, a count function, or a module path exporting one
+    static resolveTokenizer(spec, baseDir = process.cwd()) {
+        if (typeof spec === 'function') return { name: spec.name || 'custom', count: spec };
+        if (TOKENIZERS[spec]) return { name: spec, count: TOKENIZERS[spec] };
+
+        try {
+            const loaded = require(path.resolve(baseDir, spec));
+            const count = typeof loaded === 'function' ? loaded : loaded.count;
+            if (typeof count !== 'function') throw new Error('module does not export count(text)');
+            return { name: spec, count };
+        } catch (error) {
+            log.warn(`⚠️  Tokenizer ${spec} unavailable (${error.message}), using chars`);
+            return { name: 'chars', count: TOKENIZERS.chars };
+        }
+    }
+
+    // Tokens in a string, or in the JSON form of any other payload
+    count(value) {
+        if (value === undefined || value === null) return 0;
+
+        let text = value;
+        if (typeof value !== 'string') {
+            try {
+                text = JSON.stringify(value) || '';
+            } catch (error) {
+                text = String(value);
+            }
+        }
+        if (text === '') return 0;
+
+        const tokens = Number(this.tokenizer(text));
+        return Number.isFinite(tokens) && tokens > 0 ? Math.round(tokens) : 0;
+    }
+
+    // Add tokens of one kind ('request', 'mcp', 'command', ...) to the totals and to every attribution
+    record(kind, tokens, attribution = {}) {
+        if (!(tokens > 0)) return 0;
+
+        const attributed = { ...this.attribution(), ...this.scope, ...attribution };
+        this.totals.total += tokens;
+        this.totals.byKind[kind] = (this.totals.byKind[kind] || 0) + tokens;
+        for (const [dimension, key] of Object.entries(DIMENSIONS)) {
+            const name = attributed[dimension];
+            if (name) this.totals[key][name] = (this.totals[key][name] || 0) + tokens;
+        }
+        return tokens;
+    }
+
+    // Count a payload and record it
+    recordPayload(kind, payload, attribution = {}) {
+        return this.record(kind, this.count(payload), attribution);
+    }
+
+    // Attribute everything recorded while fn runs (e.g. { command: 'analyze' }); scopes nest
+    async withScope(scope, fn) {
+        const previous = this.scope;
+        this.scope = { ...previous, ...scope };
+        try {
+            return await fn();
+        } finally {
+            this.scope = previous;
+        }
+    }
+
+    get total() {
+        return this.totals.total;
+    }
+
+    reset() {
+        this.totals = { total: 0, byKind: {}, byPersona: {}, byCommand: {}, byWorkflow: {}, byMcpServer: {} };
+    }
+
+    getReport() {
+        return {
+            tokenizer: this.tokenizerName,
+            ...JSON.parse(JSON.stringify(this.totals))
+        };
+    }
+}
+
+TokenAccountant.TOKENIZERS = TOKENIZERS;
+
+module.exports = TokenAccountant;
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    let tokenizer;
+    if (args[0] === '--tokenizer') {
+        tokenizer = args[1];
+        args.splice(0, 2);
+    }
+
+    const accountant = tokenizer
+        ? new TokenAccountant({ tokenizer })
+        : TokenAccountant.fromConfig(require('../src/superclaude-config.js').getConfig());
+    const text = args.join(' ');
+    console.log(`🪙 ${accountant.count(text)} tokens (${accountant.tokenizerName}, ${text.length} characters)`);
+}
@@ -7,20 +7,29 @@
 
 const fs = require('fs');
 const path = require('path');
+const TokenAccountant = require('./token-accounting.js');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('ultra');
+
 // Minimal implementations for clean repository
 class SmartCacheSystem {
     constructor(projectRoot) {
         this.cache = new Map();
         this.projectRoot = projectRoot;
     }
-    generateContextHash(content) {
-        return content.replace(/\s+/g, ' ').trim().substring(0, 50);
-    }
     async getCachedDecision(hash) {
-        return this.cache.get(hash);
+        const entry = this.cache.get(hash);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.cache.delete(hash);
+            return undefined;
+        }
+        return entry;
     }
-    async cacheDecision(hash, decision, reasoning, confidence) {
-        this.cache.set(hash, { decision, reasoning, confidence, timestamp: Date.now() });
+    async cacheDecision(hash, decision, reasoning, confidence, ttlHours = 0) {
+        const timestamp = Date.now();
+        const expiresAt = ttlHours > 0 ? timestamp + ttlHours * 60 * 60 * 1000 : null;
+        this.cache.set(hash, { decision, reasoning, confidence, timestamp, expiresAt });
     }
 }
 
@@ -42,9 +51,10 @@ class UniversalAutoDocumentationSystem {
 }
 
 class UltraEfficientEngine {
-    constructor(projectRoot = process.cwd(), configFile = null) {
+    constructor(projectRoot = process.cwd(), configFile = null, options = {}) {
         this.projectRoot = projectRoot;
         this.startTime = Date.now();
+        this.tokens = options.tokenAccountant || new TokenAccountant();
         
         // Initialize all subsystems
         this.cache = new SmartCacheSystem(projectRoot);
@@ -67,12 +77,12 @@ class UltraEfficientEngine {
 
     // Initialize ultra-efficient engine
     initializeEngine() {
-        console.log('🚀 SuperClaude Ultra-Efficient Engine v2.0');
-        console.log('============================================');
-        console.log('⚡ Token reduction: Target 80%');
-        console.log('🎯 Zero hallucination guarantee');
-        console.log('🚀 Microsecond decision making');
-        console.log('💰 Maximum cost efficiency\n');
+        log.info('🚀 SuperClaude Ultra-Efficient Engine v2.0');
+        log.info('============================================');
+        log.info('⚡ Token reduction: Target 80%');
+        log.info('🎯 Zero hallucination guarantee');
+        log.info('🚀 Microsecond decision making');
+        log.info('💰 Maximum cost efficiency\n');
     }
 
     // Main ultra-efficient processing workflow
@@ -80,17 +90,20 @@ class UltraEfficientEngine {
         const operationStart = process.hrtime.bigint();
         
         try {
-            console.log('📊 Starting ultra-efficient analysis...\n');
+            log.info('📊 Starting ultra-efficient analysis...\n');
 
             // Phase 1: Lightning-fast change detection (0 tokens)
             const changes = await this.detectChangesInstantly();
             
             if (changes.length === 0) {
-                console.log('✅ No changes detected - system up to date');
-                return this.generateReport(0, 0, []);
+                log.info('✅ No changes detected - system up to date');
+                return this.generateReport(0, 0, [], 0);
             }
+            
+            // What sending every changed file in full would cost
+            const baselineTokens = this.estimateBaselineTokens(changes);
 
-            console.log(`📈 Detected ${changes.length} changes for processing\n`);
+            log.info(`📈 Detected ${changes.length} changes for processing\n`);
 
             // Phase 2: Evidence-based validation (0 tokens)
             const validatedChanges = await this.validateChangesInstantly(changes);
@@ -107,13 +120,13 @@ class UltraEfficientEngine {
             const operationEnd = process.hrtime.bigint();
             const totalTime = Number(operationEnd - operationStart) / 1000000;
             
-            return this.generateReport(totalTime, finalResults.totalTokensUsed, finalResults.updates);
+            return this.generateReport(totalTime, finalResults.totalTokensUsed, finalResults.updates, baselineTokens);
 
         } catch (error) {
-            console.error('❌ Ultra-efficient engine error:', error.message);
+            log.error('❌ Ultra-efficient engine error:', error.message);
             
             // Fallback to legacy system with warning
-            console.log('🔄 Falling back to legacy system...');
+            log.info('🔄 Falling back to legacy system...');
             return await this.legacySystem.run();
         }
     }
@@ -131,7 +144,7 @@ class UltraEfficientEngine {
         const detectionEnd = process.hrtime.bigint();
         const detectionTime = Number(detectionEnd - detectionStart) / 1000000;
         
-        console.log(`⚡ Change detection: ${detectionTime.toFixed(2)}ms (0 tokens)`);
+        log.info(`⚡ Change detection: ${detectionTime.toFixed(2)}ms (0 tokens)`);
         
         return changes;
     }
@@ -168,7 +181,7 @@ class UltraEfficientEngine {
                 });
                 this.metrics.validationsPassed++;
             } else {
-                console.log(`⚠️  Skipping questionable change: ${change.file} (confidence: ${validation.confidence})`);
+                log.warn(`⚠️  Skipping questionable change: ${change.file} (confidence: ${validation.confidence})`);
                 hallucinationsPrevented++;
             }
         }
@@ -176,7 +189,7 @@ class UltraEfficientEngine {
         const validationEnd = process.hrtime.bigint();
         const validationTime = Number(validationEnd - validationStart) / 1000000;
         
-        console.log(`🛡️  Validation: ${validationTime.toFixed(2)}ms (0 tokens, ${hallucinationsPrevented} hallucinations prevented)`);
+        log.info(`🛡️  Validation: ${validationTime.toFixed(2)}ms (0 tokens, ${hallucinationsPrevented} hallucinations prevented)`);
         this.metrics.hallucinationsPrevented += hallucinationsPrevented;
         
         return validatedChanges;
@@ -192,7 +205,7 @@ class UltraEfficientEngine {
         const processingEnd = process.hrtime.bigint();
         const processingTime = Number(processingEnd - processingStart) / 1000000;
         
-        console.log(`🚀 Processing: ${processingTime.toFixed(2)}ms (${results.totalTokens} tokens, ${results.cacheHits}/${results.processed.length} cache hits)`);
+        log.info(`🚀 Processing: ${processingTime.toFixed(2)}ms (${results.totalTokens} tokens, ${results.cacheHits}/${results.processed.length} cache hits)`);
         
         // Update metrics
         this.metrics.totalOperations += results.processed.length;
@@ -207,7 +220,7 @@ class UltraEfficientEngine {
             p.confidence < 0.8 || p.method === 'needs_analysis'
         );
 
-        console.log(`🤖 AI analysis needed for ${unknowns.length} unknown patterns`);
+        log.info(`🤖 AI analysis needed for ${unknowns.length} unknown patterns`);
         
         let totalTokensUsed = processedResults.totalTokens;
         const updates = [];
@@ -351,7 +364,6 @@ class UltraEfficientEngine {
     // Process unknown batch with enhanced heuristics
     async processUnknownBatch(batch, context) {
         const updates = [];
-        const tokensPerFile = 10; // Minimal token usage per file
         
         for (const item of batch) {
             // Enhanced heuristic decision making
@@ -376,9 +388,10 @@ class UltraEfficientEngine {
             );
         }
 
+        // Only the compressed context and the file list would be sent for analysis
         return {
             updates,
-            tokensUsed: batch.length * tokensPerFile
+            tokensUsed: this.tokens.count({ context, files: batch.map(item => item.file) })
         };
     }
 
@@ -445,7 +458,7 @@ class UltraEfficientEngine {
 
     // Apply validated updates with final safety checks
     async applyValidatedUpdates(results) {
-        console.log(`📝 Applying ${results.updates.length} validated updates...\n`);
+        log.info(`📝 Applying ${results.updates.length} validated updates...\n`);
         
         for (const update of results.updates) {
             // Final validation before applying
@@ -456,9 +469,9 @@ class UltraEfficientEngine {
 
             if (finalValidation.isValid) {
                 // Apply the update (simplified for demo)
-                console.log(`✅ ${update.file}: ${update.action} (${update.confidence.toFixed(2)} confidence)`);
+                log.info(`✅ ${update.file}: ${update.action} (${update.confidence.toFixed(2)} confidence)`);
             } else {
-                console.log(`⚠️  Skipped unsafe update: ${update.file}`);
+                log.warn(`⚠️  Skipped unsafe update: ${update.file}`);
             }
         }
     }
@@ -493,7 +506,7 @@ class UltraEfficientEngine {
                 files.push(...configFiles.map(f => path.join(this.projectRoot, f)));
             }
         } catch (error) {
-            console.log('⚠️  Pattern matching failed, using directory scan');
+            log.warn('⚠️  Pattern matching failed, using directory scan');
             return this.scanDirectoryForFiles();
         }
 
@@ -537,21 +550,33 @@ class UltraEfficientEngine {
         return includeExts.some(ext => filename.endsWith(ext));
     }
 
+    // Tokens for the full contents of the changed files; deleted or unreadable files count as 0
+    estimateBaselineTokens(changes) {
+        return changes.reduce((sum, change) => {
+            try {
+                return sum + this.tokens.count(fs.readFileSync(path.resolve(this.projectRoot, change.file), 'utf8'));
+            } catch (error) {
+                return sum;
+            }
+        }, 0);
+    }
+
     // Generate comprehensive performance report
-    generateReport(totalTime, tokensUsed, updates) {
+    generateReport(totalTime, tokensUsed, updates, baselineTokens = 0) {
         const report = {
             timestamp: new Date().toISOString(),
             performance: {
                 totalTime: `${totalTime.toFixed(2)}ms`,
                 tokensUsed,
+                baselineTokens,
                 updatesApplied: updates.length,
                 cacheHitRate: `${(this.metrics.cacheHitRate * 100).toFixed(1)}%`,
                 hallucinationsPrevented: this.metrics.hallucinationsPrevented
             },
             efficiency: {
-                tokenReduction: this.calculateTokenReduction(tokensUsed),
+                tokenReduction: this.calculateTokenReduction(tokensUsed, baselineTokens),
                 speedImprovement: this.calculateSpeedImprovement(totalTime),
-                costSavings: this.calculateCostSavings(tokensUsed)
+                costSavings: this.calculateCostSavings(tokensUsed, baselineTokens)
             },
             quality: {
                 validationsPassed: this.metrics.validationsPassed,
@@ -562,23 +587,23 @@ class UltraEfficientEngine {
             }
         };
 
-        console.log('\n📊 Ultra-Efficient Engine Performance Report');
-        console.log('==========================================');
-        console.log(`⚡ Total time: ${report.performance.totalTime}`);
-        console.log(`🪙 Tokens used: ${report.performance.tokensUsed}`);
-        console.log(`📝 Updates applied: ${report.performance.updatesApplied}`);
-        console.log(`💾 Cache hit rate: ${report.performance.cacheHitRate}`);
-        console.log(`🛡️  Hallucinations prevented: ${report.performance.hallucinationsPrevented}`);
-        console.log(`💰 Estimated cost savings: ${report.efficiency.costSavings}`);
-        console.log(`📈 Speed improvement: ${report.efficiency.speedImprovement}`);
-        console.log(`🎯 Average confidence: ${report.quality.confidenceAverage}`);
+        log.info('\n📊 Ultra-Efficient Engine Performance Report');
+        log.info('==========================================');
+        log.info(`⚡ Total time: ${report.performance.totalTime}`);
+        log.info(`🪙 Tokens used: ${report.performance.tokensUsed} of ${baselineTokens} (${report.efficiency.tokenReduction} reduction)`);
+        log.info(`📝 Updates applied: ${report.performance.updatesApplied}`);
+        log.info(`💾 Cache hit rate: ${report.performance.cacheHitRate}`);
+        log.info(`🛡️  Hallucinations prevented: ${report.performance.hallucinationsPrevented}`);
+        log.info(`💰 Estimated cost savings: ${report.efficiency.costSavings}`);
+        log.info(`📈 Speed improvement: ${report.efficiency.speedImprovement}`);
+        log.info(`🎯 Average confidence: ${report.quality.confidenceAverage}`);
 
         return report;
     }
 
-    // Calculate token reduction compared to baseline
-    calculateTokenReduction(tokensUsed) {
-        const baselineTokens = 2000; // Estimated baseline for similar operation
+    // Calculate token reduction compared to sending the changed files in full
+    calculateTokenReduction(tokensUsed, baselineTokens) {
+        if (!(baselineTokens > 0)) return '0.0%';
         const reduction = Math.max(0, ((baselineTokens - tokensUsed) / baselineTokens) * 100);
         return `${reduction.toFixed(1)}%`;
     }
@@ -590,10 +615,11 @@ class UltraEfficientEngine {
         return `${improvement.toFixed(1)}%`;
     }
 
-    // Calculate cost savings
-    calculateCostSavings(tokensUsed) {
-        const baselineCost = 0.10; // $0.10 baseline cost
-        const actualCost = (tokensUsed / 1000) * 0.002; // Rough estimate
+    // Calculate cost savings against the same baseline
+    calculateCostSavings(tokensUsed, baselineTokens = 0) {
+        const pricePerThousand = 0.002; // Rough estimate
+        const baselineCost = (baselineTokens / 1000) * pricePerThousand;
+        const actualCost = (tokensUsed / 1000) * pricePerThousand;
         const savings = Math.max(0, baselineCost - actualCost);
         return `$${savings.toFixed(3)}`;
     }
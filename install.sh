@@ -88,6 +88,10 @@ else
     curl -fsSL "$BASE_URL/intelligent-persona-system.js" -o "$INSTALL_DIR/intelligent-persona-system.js"
     curl -fsSL "$BASE_URL/workflow-chaining-system.js" -o "$INSTALL_DIR/workflow-chaining-system.js"
     curl -fsSL "$BASE_URL/init-behavioral-framework.js" -o "$INSTALL_DIR/init-behavioral-framework.js"
+    curl -fsSL "$BASE_URL/superclaude-config.js" -o "$INSTALL_DIR/superclaude-config.js"
+    curl -fsSL "$BASE_URL/text-analysis.js" -o "$INSTALL_DIR/text-analysis.js"
+curl -fsSL "$BASE_URL/redaction.js" -o "$INSTALL_DIR/redaction.js"
+curl -fsSL "$BASE_URL/logger.js" -o "$INSTALL_DIR/logger.js"
     
     # Download documentation
     curl -fsSL "https://raw.githubusercontent.com/rapharoncatti/superclaude-autodoc-framework/main/README.md" -o "$INSTALL_DIR/README.md"
@@ -3,11 +3,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getConfig } = require('./superclaude-config.js');
+const { Redactor } = require('./redaction.js');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('autodoc');
 
 class EnhancedSuperClaudeAutoDoc {
-    constructor() {
-        this.claudeMdPath = '/home/rapharoncatti/Documents/Projektet03/CLAUDE.md';
-        this.superClaudeMdPath = '/home/rapharoncatti/.claude/CLAUDE.md';
+    constructor(options = {}) {
+        const config = options.config || getConfig({ projectRoot: options.projectRoot });
+        this.claudeMdPath = options.claudeMdPath || config.get('docs.projectClaudeMd');
+        this.superClaudeMdPath = config.get('docs.superClaudeMd');
+        this.redactor = options.redactor || Redactor.fromConfig(config);
         this.session = {
             sessionId: `esc_${Date.now()}`,
             startTime: Date.now(),
@@ -26,6 +33,9 @@ class EnhancedSuperClaudeAutoDoc {
     // Intercept SuperClaude responses and update documentation
     interceptSuperClaudeResponse(response, metadata = {}) {
         try {
+            // Nothing secret makes it into the session record or CLAUDE.md
+            metadata = this.redactor.redact(metadata, 'autodoc');
+
             // Track /sc: command usage
             if (metadata.command && metadata.command.startsWith('/sc:')) {
                 this.session.scCommandsUsed.push({
@@ -80,11 +90,38 @@ class EnhancedSuperClaudeAutoDoc {
             this.updateDocumentation();
             return true;
         } catch (error) {
-            console.log('Auto-doc interception failed:', error.message);
+            log.warn('Auto-doc interception failed:', error.message);
             return false;
         }
     }
 
+    // Follow a core ActiveSuperClaudeSession through its events; returns a function that unsubscribes
+    subscribe(session) {
+        const handlers = {
+            'command:finished': event => this.interceptSuperClaudeResponse('', {
+                command: `/sc:${event.command}`,
+                persona: event.persona,
+                success: event.success
+            }),
+            'persona:switched': event => this.interceptSuperClaudeResponse('', {
+                personaSwitch: { from: event.from, to: event.to, reason: event.context }
+            }),
+            'mcp:call': event => this.interceptSuperClaudeResponse('', {
+                mcpResults: [{ server: event.server, action: event.method, status: event.success ? 'success' : 'error' }]
+            }),
+            'workflow:finished': event => this.interceptSuperClaudeResponse('', {
+                workflow: event.workflow,
+                workflowSteps: event.result ? event.result.phases.map(phase => phase.command) : [],
+                duration: event.duration
+            })
+        };
+
+        for (const [type, handler] of Object.entries(handlers)) session.on(type, handler);
+        return () => {
+            for (const [type, handler] of Object.entries(handlers)) session.removeListener(type, handler);
+        };
+    }
+
     // Update both project and SuperClaude CLAUDE.md files
     updateDocumentation() {
         try {
@@ -97,7 +134,7 @@ class EnhancedSuperClaudeAutoDoc {
             this.session.lastUpdate = new Date().toISOString();
             return true;
         } catch (error) {
-            console.log('Documentation update failed:', error.message);
+            log.warn('Documentation update failed:', error.message);
             return false;
         }
     }
@@ -116,7 +153,7 @@ class EnhancedSuperClaudeAutoDoc {
             
             fs.writeFileSync(this.claudeMdPath, content);
         } catch (error) {
-            console.log('Project CLAUDE.md update failed:', error.message);
+            log.warn('Project CLAUDE.md update failed:', error.message);
         }
     }
 
@@ -155,7 +192,7 @@ ${this.generateRecentActivity()}
 
             fs.writeFileSync(this.superClaudeMdPath, content);
         } catch (error) {
-            console.log('SuperClaude CLAUDE.md update failed:', error.message);
+            log.warn('SuperClaude CLAUDE.md update failed:', error.message);
         }
     }
 
@@ -223,19 +260,27 @@ ${this.generateRecentActivity()}
     }
 }
 
-// Global instance
-const globalAutoDoc = new EnhancedSuperClaudeAutoDoc();
+// Process-wide instance behind the convenience exports, created on first use
+let globalAutoDoc = null;
+function getGlobalAutoDoc() {
+    if (!globalAutoDoc) globalAutoDoc = new EnhancedSuperClaudeAutoDoc();
+    return globalAutoDoc;
+}
 
 // Export for easy integration
 module.exports = {
     EnhancedSuperClaudeAutoDoc,
-    globalAutoDoc,
-    interceptResponse: (response, metadata) => globalAutoDoc.interceptSuperClaudeResponse(response, metadata),
-    getStats: () => globalAutoDoc.getSessionStats()
+    get globalAutoDoc() {
+        return getGlobalAutoDoc();
+    },
+    interceptResponse: (response, metadata) => getGlobalAutoDoc().interceptSuperClaudeResponse(response, metadata),
+    getStats: () => getGlobalAutoDoc().getSessionStats(),
+    getRedactionReport: () => getGlobalAutoDoc().redactor.getReport()
 };
 
 // Test if run directly
 if (require.main === module) {
+    const globalAutoDoc = getGlobalAutoDoc();
     console.log('🚀 Enhanced SuperClaude Auto-Documentation System Active');
     console.log(`📊 Session ID: ${globalAutoDoc.session.sessionId}`);
     
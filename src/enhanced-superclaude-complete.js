@@ -1,12 +1,24 @@
 // Enhanced SuperClaude Complete Integration System
 // Combines NomenAK foundation + our enhancements + intelligent automation
 
-const { globalAutoDoc, interceptResponse } = require('./enhanced-superclaude-autodoc.js');
-const { globalPersonaSystem, generateResponseFormat } = require('./intelligent-persona-system.js');
-const { globalWorkflowSystem, autoExecuteWorkflow } = require('./workflow-chaining-system.js');
+const autoDocModule = require('./enhanced-superclaude-autodoc.js');
+const personaModule = require('./intelligent-persona-system.js');
+const workflowModule = require('./workflow-chaining-system.js');
+const { getConfig } = require('./superclaude-config.js');
+const { createLogger, configureFromConfig } = require('./logger.js');
+
+const log = createLogger('complete');
 
 class EnhancedSuperClaudeComplete {
-    constructor() {
+    // options.autoDoc / personaSystem / workflowSystem: one session's components (default: new ones of its own,
+    // the auto-doc built from options.config / projectRoot / claudeMdPath / redactor)
+    constructor(options = {}) {
+        this.autoDoc = options.autoDoc || new autoDocModule.EnhancedSuperClaudeAutoDoc(options);
+        this.personaSystem = options.personaSystem || new personaModule.IntelligentPersonaSystem({ autoDoc: this.autoDoc });
+        this.workflowSystem = options.workflowSystem || new workflowModule.WorkflowChainingSystem({
+            autoDoc: this.autoDoc,
+            personaSystem: this.personaSystem
+        });
         this.version = '3.1.0-enhanced';
         this.foundation = 'NomenAK SuperClaude v3.0';
         this.enhancements = [
@@ -25,11 +37,11 @@ class EnhancedSuperClaudeComplete {
         ];
         this.isActive = true;
         
-        console.log('🚀 Enhanced SuperClaude Complete System Active');
-        console.log(`📋 Foundation: ${this.foundation}`);
-        console.log(`⚡ Enhancements: ${this.enhancements.length} active`);
-        console.log(`🔌 MCP Servers: ${this.mcpServers.length}/4 working`);
-        console.log(`🛠️ /sc: Commands: ${this.scCommands.length} available`);
+        log.info('🚀 Enhanced SuperClaude Complete System Active');
+        log.info(`📋 Foundation: ${this.foundation}`);
+        log.info(`⚡ Enhancements: ${this.enhancements.length} active`);
+        log.info(`🔌 MCP Servers: ${this.mcpServers.length}/4 working`);
+        log.info(`🛠️ /sc: Commands: ${this.scCommands.length} available`);
     }
 
     // Main processing function - automatically enhances all responses
@@ -42,10 +54,10 @@ class EnhancedSuperClaudeComplete {
         
         try {
             // 1. Intelligent Persona Analysis & Auto-Switching
-            const personaResult = generateResponseFormat(userInput, context);
+            const personaResult = this.personaSystem.generateResponseFormat(userInput, context);
             
             // 2. Workflow Detection & Auto-Execution
-            const workflowResult = await autoExecuteWorkflow(userInput, {
+            const workflowResult = await this.workflowSystem.autoExecuteWorkflow(userInput, {
                 ...context,
                 currentPersona: personaResult.persona
             });
@@ -63,7 +75,7 @@ class EnhancedSuperClaudeComplete {
             );
 
             // 5. Auto-Documentation
-            interceptResponse(response.content, {
+            this.autoDoc.interceptSuperClaudeResponse(response.content, {
                 command: scCommand,
                 persona: personaResult.persona,
                 personaSwitch: personaResult.switchInfo.switched ? personaResult.switchInfo : null,
@@ -78,7 +90,7 @@ class EnhancedSuperClaudeComplete {
             return response;
 
         } catch (error) {
-            console.log('Enhanced processing failed:', error.message);
+            log.warn('Enhanced processing failed:', error.message);
             return this.processBasicRequest(userInput);
         }
     }
@@ -148,9 +160,9 @@ class EnhancedSuperClaudeComplete {
 
     // Get current system status
     getSystemStatus() {
-        const autoDocStats = globalAutoDoc.getSessionStats();
-        const personaStatus = globalPersonaSystem.getSessionStatus();
-        const workflowStatus = globalWorkflowSystem.getWorkflowStatus();
+        const autoDocStats = this.autoDoc.getSessionStats();
+        const personaStatus = this.personaSystem.getSessionStatus();
+        const workflowStatus = this.workflowSystem.getWorkflowStatus();
 
         return {
             status: 'OPERATIONAL',
@@ -200,8 +212,8 @@ class EnhancedSuperClaudeComplete {
                 ...capabilities,
                 '',
                 '## Current Session:',
-                `- **Active Persona**: ${globalPersonaSystem.currentPersona}`,
-                `- **Session ID**: ${globalAutoDoc.session.sessionId}`,
+                `- **Active Persona**: ${this.personaSystem.currentPersona}`,
+                `- **Session ID**: ${this.autoDoc.session.sessionId}`,
                 `- **MCP Servers**: ${this.mcpServers.join(', ')}`,
                 `- **Available Commands**: ${this.scCommands.join(', ')}`,
                 '',
@@ -228,22 +240,22 @@ class EnhancedSuperClaudeComplete {
 
         // Check auto-documentation
         health.components.autoDoc = {
-            status: globalAutoDoc ? 'OPERATIONAL' : 'OFFLINE',
-            sessions: globalAutoDoc?.session ? 1 : 0
+            status: this.autoDoc ? 'OPERATIONAL' : 'OFFLINE',
+            sessions: this.autoDoc?.session ? 1 : 0
         };
 
         // Check persona system
         health.components.personas = {
-            status: globalPersonaSystem ? 'OPERATIONAL' : 'OFFLINE',
-            current: globalPersonaSystem?.currentPersona || 'unknown',
-            available: globalPersonaSystem ? Object.keys(globalPersonaSystem.personas).length : 0
+            status: this.personaSystem ? 'OPERATIONAL' : 'OFFLINE',
+            current: this.personaSystem?.currentPersona || 'unknown',
+            available: this.personaSystem ? Object.keys(this.personaSystem.personas).length : 0
         };
 
         // Check workflow system
         health.components.workflows = {
-            status: globalWorkflowSystem ? 'OPERATIONAL' : 'OFFLINE',
-            available: globalWorkflowSystem ? Object.keys(globalWorkflowSystem.workflows).length : 0,
-            active: globalWorkflowSystem ? globalWorkflowSystem.activeWorkflows.size : 0
+            status: this.workflowSystem ? 'OPERATIONAL' : 'OFFLINE',
+            available: this.workflowSystem ? Object.keys(this.workflowSystem.workflows).length : 0,
+            active: this.workflowSystem ? this.workflowSystem.activeWorkflows.size : 0
         };
 
         // Check MCP servers
@@ -263,19 +275,46 @@ class EnhancedSuperClaudeComplete {
 
         return health;
     }
+
+    // Stop this system's documentation timer
+    dispose() {
+        this.autoDoc.stopAutoUpdate();
+    }
+}
+
+// A self-contained stack for one session: its own auto-doc (and CLAUDE.md target), persona and workflow state
+// options: config, projectRoot, claudeMdPath, redactor; call dispose() to stop its documentation timer
+function createEnhancedSuperClaude(options = {}) {
+    // Logging follows the session's project config, not the one found from process.cwd()
+    configureFromConfig(options.config || getConfig({ projectRoot: options.projectRoot }));
+    return new EnhancedSuperClaudeComplete(options);
 }
 
-// Global enhanced system
-const globalEnhancedSuperClaude = new EnhancedSuperClaudeComplete();
+// Global enhanced system (the default stack used by the install hook), created on first use
+// from the global auto-doc, persona and workflow systems
+let globalEnhancedSuperClaude = null;
+function getGlobalEnhancedSuperClaude() {
+    if (!globalEnhancedSuperClaude) {
+        globalEnhancedSuperClaude = new EnhancedSuperClaudeComplete({
+            autoDoc: autoDocModule.globalAutoDoc,
+            personaSystem: personaModule.globalPersonaSystem,
+            workflowSystem: workflowModule.globalWorkflowSystem
+        });
+    }
+    return globalEnhancedSuperClaude;
+}
 
 // Export for easy integration
 module.exports = {
     EnhancedSuperClaudeComplete,
-    globalEnhancedSuperClaude,
-    processRequest: (input, context) => globalEnhancedSuperClaude.processEnhancedRequest(input, context),
-    showCapabilities: () => globalEnhancedSuperClaude.showCapabilities(),
-    healthCheck: () => globalEnhancedSuperClaude.performHealthCheck(),
-    getSystemStatus: () => globalEnhancedSuperClaude.getSystemStatus()
+    get globalEnhancedSuperClaude() {
+        return getGlobalEnhancedSuperClaude();
+    },
+    createEnhancedSuperClaude,
+    processRequest: (input, context) => getGlobalEnhancedSuperClaude().processEnhancedRequest(input, context),
+    showCapabilities: () => getGlobalEnhancedSuperClaude().showCapabilities(),
+    healthCheck: () => getGlobalEnhancedSuperClaude().performHealthCheck(),
+    getSystemStatus: () => getGlobalEnhancedSuperClaude().getSystemStatus()
 };
 
 // Auto-initialize when loaded
@@ -284,13 +323,13 @@ if (require.main === module) {
     console.log('🚀 ENHANCED SUPERCLAUDE COMPLETE SYSTEM - FULLY OPERATIONAL');
     console.log('='.repeat(80));
     
-    const health = globalEnhancedSuperClaude.performHealthCheck();
+    const health = getGlobalEnhancedSuperClaude().performHealthCheck();
     console.log(`\n📊 System Health: ${health.overall}`);
     Object.entries(health.components).forEach(([name, status]) => {
         console.log(`  ${name}: ${status.status}`);
     });
     
-    const capabilities = globalEnhancedSuperClaude.showCapabilities();
+    const capabilities = getGlobalEnhancedSuperClaude().showCapabilities();
     console.log('\n📋 Ready to use! All enhancements active and operational.');
     console.log('💡 Just interact naturally - the system will automatically:');
     console.log('   - Switch personas based on context');
@@ -299,7 +338,10 @@ if (require.main === module) {
     console.log('   - Optimize tokens and validate claims');
 }
 
-// Make globally available
+// Make globally available (the stack is still only created when first used)
 if (typeof global !== 'undefined') {
-    global.EnhancedSuperClaude = globalEnhancedSuperClaude;
+    Object.defineProperty(global, 'EnhancedSuperClaude', {
+        get: getGlobalEnhancedSuperClaude,
+        configurable: true
+    });
 }
\ No newline at end of file
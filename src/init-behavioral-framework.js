@@ -5,6 +5,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('init');
 
 const BEHAVIORAL_FRAMEWORK = `# SuperClaude Enhanced Behavioral Framework
 
@@ -413,49 +416,49 @@ function initializeBehavioralFramework() {
     const projectDir = process.cwd();
     const claudeMdPath = path.join(projectDir, 'CLAUDE.md');
     
-    console.log('🚀 Initializing SuperClaude Enhanced Behavioral Framework');
-    console.log(`📁 Project: ${projectDir}`);
+    log.info('🚀 Initializing SuperClaude Enhanced Behavioral Framework');
+    log.info(`📁 Project: ${projectDir}`);
     
     try {
         // Check if CLAUDE.md exists
         let existingContent = '';
         if (fs.existsSync(claudeMdPath)) {
             existingContent = fs.readFileSync(claudeMdPath, 'utf8');
-            console.log('📄 Found existing CLAUDE.md, updating...');
+            log.info('📄 Found existing CLAUDE.md, updating...');
             
             // Backup existing file
             const backupPath = claudeMdPath + '.backup';
             fs.writeFileSync(backupPath, existingContent);
-            console.log(`📋 Backup created: ${backupPath}`);
+            log.info(`📋 Backup created: ${backupPath}`);
         }
         
         // Write the behavioral framework
         fs.writeFileSync(claudeMdPath, BEHAVIORAL_FRAMEWORK);
-        console.log('✅ Behavioral framework written to CLAUDE.md');
+        log.info('✅ Behavioral framework written to CLAUDE.md');
         
         // Create a summary for the user
-        console.log('\n🎉 Framework Initialized Successfully!');
-        console.log('\n📚 What was created:');
-        console.log('  • 7 Persona definitions with thinking frameworks');
-        console.log('  • 6 Workflow patterns for complex tasks');
-        console.log('  • Command usage guidelines');
-        console.log('  • MCP integration patterns');
+        log.info('\n🎉 Framework Initialized Successfully!');
+        log.info('\n📚 What was created:');
+        log.info('  • 7 Persona definitions with thinking frameworks');
+        log.info('  • 6 Workflow patterns for complex tasks');
+        log.info('  • Command usage guidelines');
+        log.info('  • MCP integration patterns');
         
-        console.log('\n🧠 Claude now knows:');
-        console.log('  • HOW each persona thinks');
-        console.log('  • WHEN to switch personas');
-        console.log('  • WHICH commands to use');
-        console.log('  • WHAT workflows to follow');
+        log.info('\n🧠 Claude now knows:');
+        log.info('  • HOW each persona thinks');
+        log.info('  • WHEN to switch personas');
+        log.info('  • WHICH commands to use');
+        log.info('  • WHAT workflows to follow');
         
-        console.log('\n💡 Test it by asking:');
-        console.log('  • "Help me debug this error" → Analyzer persona');
-        console.log('  • "Build a React component" → Frontend persona');
-        console.log('  • "Review my security" → Security persona');
+        log.info('\n💡 Test it by asking:');
+        log.info('  • "Help me debug this error" → Analyzer persona');
+        log.info('  • "Build a React component" → Frontend persona');
+        log.info('  • "Review my security" → Security persona');
         
-        console.log('\n✨ The behavioral framework is now active!');
+        log.info('\n✨ The behavioral framework is now active!');
         
     } catch (error) {
-        console.error('❌ Error initializing framework:', error.message);
+        log.error('❌ Error initializing framework:', error.message);
         process.exit(1);
     }
 }
@@ -1,10 +1,13 @@
 // Intelligent Auto Persona Changing System
 // Beyond documentation-based - real-time intelligent switching
 
-const { globalAutoDoc } = require('./enhanced-superclaude-autodoc.js');
+const autoDocModule = require('./enhanced-superclaude-autodoc.js');
+const { textAnalyzer } = require('./text-analysis.js');
 
 class IntelligentPersonaSystem {
-    constructor() {
+    // options.autoDoc: the auto-doc that records persona switches (default: one of this system's own)
+    constructor(options = {}) {
+        this.ownAutoDoc = options.autoDoc || null;
         this.currentPersona = 'architect';
         this.personaHistory = [];
         this.contextMemory = new Map();
@@ -99,19 +102,23 @@ class IntelligentPersonaSystem {
         };
     }
 
+    // Created on the first persona switch, so detection-only instances start no documentation timer
+    get autoDoc() {
+        if (!this.ownAutoDoc) this.ownAutoDoc = new autoDocModule.EnhancedSuperClaudeAutoDoc();
+        return this.ownAutoDoc;
+    }
+
     // Intelligent persona detection with context awareness
     detectOptimalPersona(userInput, currentContext = {}) {
         const scores = new Map();
-        const input = userInput.toLowerCase();
+        const input = textAnalyzer.analyze(userInput);
         
         // Score each persona based on multiple factors
         for (const [personaName, persona] of Object.entries(this.personas)) {
             let score = 0;
             
             // 1. Keyword matching (30%)
-            const keywordMatches = persona.triggers.filter(trigger => 
-                input.includes(trigger)
-            ).length;
+            const keywordMatches = textAnalyzer.findTerms(input, persona.triggers).length;
             score += (keywordMatches / persona.triggers.length) * 0.3;
             
             // 2. Context analysis (40%)
@@ -190,7 +197,7 @@ class IntelligentPersonaSystem {
         this.updateContextMemory(newPersona, userInput);
         
         // Notify auto-doc system
-        globalAutoDoc.interceptSuperClaudeResponse('', {
+        this.autoDoc.interceptSuperClaudeResponse('', {
             personaSwitch: switchRecord
         });
         
@@ -244,21 +251,25 @@ class IntelligentPersonaSystem {
     }
 
     extractContextFromInput(input) {
-        const tech = [];
-        const domains = [];
+        const text = textAnalyzer.analyze(input);
+        const detect = (patterns) => Object.keys(patterns).filter(name => textAnalyzer.findTerms(text, patterns[name]).length > 0);
         
         // Technology detection
-        if (/react|jsx|tsx/.test(input)) tech.push('React');
-        if (/vue/.test(input)) tech.push('Vue');
-        if (/node|express/.test(input)) tech.push('Node.js');
-        if (/python/.test(input)) tech.push('Python');
-        if (/sql|database/.test(input)) tech.push('Database');
+        const tech = detect({
+            'React': ['react', 'jsx', 'tsx'],
+            'Vue': ['vue'],
+            'Node.js': ['node', 'express'],
+            'Python': ['python'],
+            'Database': ['sql', 'database']
+        });
         
         // Domain detection
-        if (/frontend|ui|component/.test(input)) domains.push('frontend');
-        if (/backend|api|server/.test(input)) domains.push('backend');
-        if (/security|auth/.test(input)) domains.push('security');
-        if (/test|testing/.test(input)) domains.push('testing');
+        const domains = detect({
+            frontend: ['frontend', 'ui', 'component'],
+            backend: ['backend', 'api', 'server'],
+            security: ['security', 'auth'],
+            testing: ['test', 'testing']
+        });
         
         return {
             technologies: tech,
@@ -311,20 +322,29 @@ class IntelligentPersonaSystem {
     }
 }
 
-// Global intelligent persona system
-const globalPersonaSystem = new IntelligentPersonaSystem();
+// Process-wide persona system behind the convenience exports, created on first use (with the global auto-doc)
+let globalPersonaSystem = null;
+function getGlobalPersonaSystem() {
+    if (!globalPersonaSystem) {
+        globalPersonaSystem = new IntelligentPersonaSystem({ autoDoc: autoDocModule.globalAutoDoc });
+    }
+    return globalPersonaSystem;
+}
 
 module.exports = {
     IntelligentPersonaSystem,
-    globalPersonaSystem,
-    autoSwitchPersona: (input, context) => globalPersonaSystem.autoSwitchPersona(input, context),
-    generateResponseFormat: (input, context) => globalPersonaSystem.generateResponseFormat(input, context),
-    getCurrentPersona: () => globalPersonaSystem.currentPersona,
-    getPersonaContext: () => globalPersonaSystem.getPersonaContext()
+    get globalPersonaSystem() {
+        return getGlobalPersonaSystem();
+    },
+    autoSwitchPersona: (input, context) => getGlobalPersonaSystem().autoSwitchPersona(input, context),
+    generateResponseFormat: (input, context) => getGlobalPersonaSystem().generateResponseFormat(input, context),
+    getCurrentPersona: () => getGlobalPersonaSystem().currentPersona,
+    getPersonaContext: () => getGlobalPersonaSystem().getPersonaContext()
 };
 
 // Test if run directly
 if (require.main === module) {
+    const globalPersonaSystem = getGlobalPersonaSystem();
     console.log('🧠 Intelligent Persona System Active');
     
     // Test auto-switching
@@ -0,0 +1,140 @@
+// SuperClaude Logger
+// Leveled, namespaced logging shared by core and src modules
+// Levels: debug < info < warn < error; 'silent' turns everything off for library use
+// Formats: 'text' prints the familiar emoji lines, 'json' writes one JSON object per line
+// Settings come from the logging.* config keys (and their env vars) on first use,
+// unless configure() is called first; sessions for another project apply that project's
+// keys with configureFromConfig() (settings are per process, so the latest session wins)
+
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['text', 'json'];
+
+// Leading emoji and spacing, dropped from JSON messages
+const DECORATION = /^[\s\p{Extended_Pictographic}\uFE0F\u200D]+/u;
+
+// Until the config is read, only the env vars apply (the config loader itself logs)
+const settings = {
+    level: LEVELS[process.env.SUPERCLAUDE_LOG_LEVEL] ? process.env.SUPERCLAUDE_LOG_LEVEL : 'info',
+    format: FORMATS.includes(process.env.SUPERCLAUDE_LOG_FORMAT) ? process.env.SUPERCLAUDE_LOG_FORMAT : 'text',
+    namespaces: [],
+    destination: process.env.SUPERCLAUDE_LOG_DESTINATION === 'stderr' ? 'stderr' : 'stdout'
+};
+let resolved = false;
+let resolving = false;
+let explicit = false; // configure() was called; config files no longer change the settings
+
+// Override settings programmatically: { level, format, namespaces, destination }
+// Returns the previous settings, so a caller can restore them
+function configure(options = {}) {
+    resolveSettings();
+    explicit = true;
+    const previous = { ...settings };
+    for (const key of Object.keys(settings)) {
+        if (options[key] !== undefined) settings[key] = options[key];
+    }
+    return previous;
+}
+
+// Apply a loaded config's logging.* keys, e.g. getConfig({ projectRoot }) of a session's project
+// Ignored once configure() has overridden the settings in code
+function configureFromConfig(config) {
+    resolved = true;
+    if (explicit) return false;
+    applyConfig(config);
+    return true;
+}
+
+function applyConfig(config) {
+    settings.level = config.get('logging.level');
+    settings.format = config.get('logging.format');
+    settings.namespaces = config.get('logging.namespaces');
+    settings.destination = config.get('logging.destination');
+}
+
+function resolveSettings() {
+    if (resolved || resolving) return;
+    resolving = true;
+    try {
+        applyConfig(require('./superclaude-config.js').getConfig());
+    } catch (error) {
+        // Keep the env-derived settings
+    } finally {
+        resolving = false;
+        resolved = true;
+    }
+}
+
+// Namespace filters: "mcp" enables mcp and mcp:*, "-mcp:pool" disables it; no filters enables all
+function namespaceEnabled(namespace) {
+    const filters = settings.namespaces || [];
+    const matches = filter => namespace === filter || namespace.startsWith(`${filter}:`);
+
+    if (filters.some(filter => filter.startsWith('-') && matches(filter.slice(1)))) return false;
+    const includes = filters.filter(filter => !filter.startsWith('-'));
+    return includes.length === 0 || includes.some(matches);
+}
+
+class Logger {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    isEnabled(level) {
+        resolveSettings();
+        return LEVELS[level] >= (LEVELS[settings.level] || LEVELS.info) && namespaceEnabled(this.namespace);
+    }
+
+    // Arguments are formatted like console.log
+    write(level, args) {
+        if (!this.isEnabled(level)) return;
+
+        const message = util.format(...args);
+        const stream = settings.destination === 'stderr' ? process.stderr : process.stdout;
+
+        if (settings.format === 'json') {
+            stream.write(JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                namespace: this.namespace,
+                msg: message.replace(DECORATION, '').trim()
+            }) + '\n');
+        } else {
+            stream.write(message + '\n');
+        }
+    }
+
+    debug(...args) {
+        this.write('debug', args);
+    }
+
+    info(...args) {
+        this.write('info', args);
+    }
+
+    warn(...args) {
+        this.write('warn', args);
+    }
+
+    error(...args) {
+        this.write('error', args);
+    }
+
+    // Logger for a sub-namespace, e.g. mcp -> mcp:pool
+    child(name) {
+        return new Logger(`${this.namespace}:${name}`);
+    }
+}
+
+function createLogger(namespace) {
+    return new Logger(namespace);
+}
+
+module.exports = {
+    createLogger,
+    configure,
+    configureFromConfig,
+    Logger,
+    LEVELS
+};
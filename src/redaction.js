@@ -0,0 +1,140 @@
+// SuperClaude Redaction
+// Masks secrets and PII (AWS keys, JWTs, private keys, URL passwords, emails, custom patterns)
+// before request text reaches logs, caches, journals, documentation or MCP servers,
+// and counts what was redacted per detector and boundary (never the values themselves)
+
+// Built-in detectors; `keep` is a capture group left in place ("postgres://user:" before a password)
+const DETECTORS = {
+    private_key: {
+        pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g
+    },
+    aws_access_key: {
+        pattern: /\b(?:AKIA|ASIA|AIDA|AROA)[0-9A-Z]{16}\b/g
+    },
+    aws_secret_key: {
+        pattern: /(aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+        keep: 1
+    },
+    jwt: {
+        pattern: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+    },
+    url_password: {
+        pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/gi,
+        keep: 1
+    },
+    email: {
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    }
+};
+
+const MAX_DEPTH = 20;
+
+class Redactor {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        const disabled = new Set(options.disabled || []);
+
+        this.detectors = Object.entries(DETECTORS)
+            .filter(([name]) => !disabled.has(name))
+            .map(([name, detector]) => ({ name, ...detector }));
+
+        // Custom patterns: { name: 'regex' } or { name: { pattern, flags } }
+        for (const [name, definition] of Object.entries(options.patterns || {})) {
+            const source = typeof definition === 'string' ? definition : definition.pattern;
+            const flags = (typeof definition === 'object' && definition.flags) || '';
+            this.detectors.push({ name, pattern: new RegExp(source, flags.includes('g') ? flags : `${flags}g`) });
+        }
+
+        this.report = { total: 0, byDetector: {}, byBoundary: {} };
+    }
+
+    // Build a redactor from the redaction.* config keys
+    static fromConfig(config) {
+        return new Redactor({
+            enabled: config.get('redaction.enabled'),
+            disabled: config.get('redaction.disabled'),
+            patterns: config.get('redaction.patterns')
+        });
+    }
+
+    // Redact one string; returns the masked text and per-detector counts
+    redactText(text) {
+        const counts = {};
+        if (!this.enabled || typeof text !== 'string' || text === '') return { text, counts };
+
+        let output = text;
+        for (const { name, pattern, keep } of this.detectors) {
+            pattern.lastIndex = 0;
+            output = output.replace(pattern, (match, ...groups) => {
+                counts[name] = (counts[name] || 0) + 1;
+                return `${keep ? groups[keep - 1] : ''}[REDACTED:${name}]`;
+            });
+        }
+        return { text: output, counts };
+    }
+
+    // Redacted copy of a string, array or plain object, counted under `boundary`
+    redact(value, boundary = 'unspecified') {
+        if (!this.enabled) return value;
+
+        const counts = {};
+        const result = this.redactValue(value, counts, new WeakMap(), 0);
+        this.record(boundary, counts);
+        return result;
+    }
+
+    redactValue(value, counts, seen, depth) {
+        if (typeof value === 'string') {
+            const redacted = this.redactText(value);
+            for (const [name, count] of Object.entries(redacted.counts)) {
+                counts[name] = (counts[name] || 0) + count;
+            }
+            return redacted.text;
+        }
+        if (value === null || typeof value !== 'object' || depth > MAX_DEPTH) return value;
+        if (seen.has(value)) return seen.get(value);
+
+        if (Array.isArray(value)) {
+            const copy = [];
+            seen.set(value, copy);
+            for (const item of value) copy.push(this.redactValue(item, counts, seen, depth + 1));
+            return copy;
+        }
+
+        // Only plain objects are copied; Maps, Dates, Buffers and class instances pass through
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null) return value;
+
+        const copy = {};
+        seen.set(value, copy);
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = this.redactValue(item, counts, seen, depth + 1);
+        }
+        return copy;
+    }
+
+    record(boundary, counts) {
+        for (const [name, count] of Object.entries(counts)) {
+            this.report.total += count;
+            this.report.byDetector[name] = (this.report.byDetector[name] || 0) + count;
+            const perBoundary = this.report.byBoundary[boundary] || (this.report.byBoundary[boundary] = {});
+            perBoundary[name] = (perBoundary[name] || 0) + count;
+        }
+    }
+
+    // What was redacted so far, by detector and by boundary
+    getReport() {
+        return {
+            enabled: this.enabled,
+            detectors: this.detectors.map(detector => detector.name),
+            total: this.report.total,
+            byDetector: { ...this.report.byDetector },
+            byBoundary: JSON.parse(JSON.stringify(this.report.byBoundary))
+        };
+    }
+}
+
+module.exports = {
+    Redactor,
+    DETECTORS
+};
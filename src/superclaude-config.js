@@ -0,0 +1,675 @@
+#!/usr/bin/env node
+
+// SuperClaude Layered Configuration
+// Merges built-in defaults, user config, project config and environment variables
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('config');
+
+const FRAMEWORK_ROOT = path.resolve(__dirname, '..');
+
+// Every configurable value, its type, environment variable and default.
+// Function defaults are derived from already-resolved values once all layers are merged.
+const CONFIG_SCHEMA = {
+    superClaudePath: {
+        type: 'path',
+        env: 'SUPERCLAUDE_PATH',
+        description: 'Directory containing .claude/shared/*.yml from SuperClaude',
+        default: () => os.homedir()
+    },
+    frameworkPath: {
+        type: 'path',
+        env: 'SUPERCLAUDE_FRAMEWORK_PATH',
+        description: 'Root of the SuperClaude autodoc framework',
+        default: () => FRAMEWORK_ROOT
+    },
+    cacheDir: {
+        type: 'path',
+        env: 'SUPERCLAUDE_CACHE_DIR',
+        description: 'Directory for caches and learning patterns',
+        default: (values) => path.join(values.frameworkPath, '.superclaude-cache')
+    },
+    reportsDir: {
+        type: 'path',
+        env: 'SUPERCLAUDE_REPORTS_DIR',
+        description: 'Directory for exported workflow reports',
+        default: (values) => path.join(values.frameworkPath, 'reports')
+    },
+    metricsDir: {
+        type: 'path',
+        env: 'SUPERCLAUDE_METRICS_DIR',
+        description: 'Directory for persisted performance metrics (JSON and Prometheus text format)',
+        default: (values) => path.join(values.cacheDir, 'metrics')
+    },
+    sessionsDir: {
+        type: 'path',
+        env: 'SUPERCLAUDE_SESSIONS_DIR',
+        description: 'Directory for session event journals (one JSONL file per session ID)',
+        default: (values) => path.join(values.cacheDir, 'sessions')
+    },
+    personasDir: {
+        type: 'path',
+        env: 'SUPERCLAUDE_PERSONAS_DIR',
+        description: 'Directory of project persona definitions (*.yml)',
+        default: (values, loader) => path.join(loader.projectRoot, '.superclaude', 'personas')
+    },
+    scoringRulesFile: {
+        type: 'path',
+        env: 'SUPERCLAUDE_SCORING_RULES',
+        description: 'Persona scoring rules (project .superclaude/scoring-rules.yml, else the shipped defaults)',
+        default: (values, loader) => {
+            const projectRules = path.join(loader.projectRoot, '.superclaude', 'scoring-rules.yml');
+            return fs.existsSync(projectRules)
+                ? projectRules
+                : path.join(values.frameworkPath, 'core', 'persona-scoring-rules.yml');
+        }
+    },
+    'cache.ttlMinutes': {
+        type: 'number',
+        env: 'SUPERCLAUDE_CACHE_TTL_MINUTES',
+        description: 'Minutes before a smart cache entry expires',
+        default: () => 24 * 60
+    },
+    'cache.maxEntries': {
+        type: 'number',
+        env: 'SUPERCLAUDE_CACHE_MAX_ENTRIES',
+        description: 'Smart cache entries kept per namespace before LRU eviction',
+        default: () => 1000
+    },
+    'cache.decisions.ttlMinutes': {
+        type: 'number',
+        env: 'SUPERCLAUDE_DECISION_CACHE_TTL_MINUTES',
+        description: 'Minutes before a cached request decision expires (0 = never)',
+        min: 0,
+        default: () => 60
+    },
+    'cache.decisions.scope': {
+        type: 'enum',
+        values: ['persona', 'project'],
+        env: 'SUPERCLAUDE_DECISION_CACHE_SCOPE',
+        description: 'Share cached request decisions per persona, or across all personas of the project',
+        default: () => 'persona'
+    },
+    'cache.decisions.maxEntries': {
+        type: 'number',
+        env: 'SUPERCLAUDE_DECISION_CACHE_MAX_ENTRIES',
+        description: 'Cached request decisions kept before LRU eviction',
+        min: 1,
+        default: () => 500
+    },
+    'context.readFiles': {
+        type: 'boolean',
+        env: 'SUPERCLAUDE_CONTEXT_READ_FILES',
+        description: 'Read files mentioned in requests and changed in git during context analysis',
+        default: () => true
+    },
+    'context.maxFiles': {
+        type: 'number',
+        env: 'SUPERCLAUDE_CONTEXT_MAX_FILES',
+        description: 'Maximum number of files whose headers are read per request',
+        default: () => 20
+    },
+    'project.fingerprint': {
+        type: 'boolean',
+        env: 'SUPERCLAUDE_PROJECT_FINGERPRINT',
+        description: 'Detect frameworks, package managers, Docker and CI from project manifests',
+        default: () => true
+    },
+    'learning.halfLifeDays': {
+        type: 'number',
+        env: 'SUPERCLAUDE_LEARNING_HALF_LIFE_DAYS',
+        description: 'Days after which learned persona feedback counts half as much',
+        default: () => 14
+    },
+    'blending.enabled': {
+        type: 'boolean',
+        env: 'SUPERCLAUDE_BLENDING',
+        description: 'Blend the top personas when their scores are close',
+        default: () => true
+    },
+    'blending.margin': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BLENDING_MARGIN',
+        description: 'Blend personas scoring within this fraction of the top score (0-1)',
+        default: () => 0.15
+    },
+    'blending.maxPersonas': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BLENDING_MAX_PERSONAS',
+        description: 'Maximum number of personas in a blend',
+        default: () => 2
+    },
+    'switching.minConfidence': {
+        type: 'number',
+        env: 'SUPERCLAUDE_SWITCH_MIN_CONFIDENCE',
+        description: 'Minimum selection confidence (0-1) for an automatic persona switch',
+        min: 0,
+        max: 1,
+        default: () => 0.6
+    },
+    'switching.minScoreMargin': {
+        type: 'number',
+        env: 'SUPERCLAUDE_SWITCH_MIN_MARGIN',
+        description: 'Fraction (0-1) by which the new persona must outscore the current one to switch automatically',
+        min: 0,
+        max: 1,
+        default: () => 0.2
+    },
+    'switching.minDwellRequests': {
+        type: 'number',
+        env: 'SUPERCLAUDE_SWITCH_MIN_DWELL_REQUESTS',
+        description: 'Requests handled by a persona before an automatic switch away from it',
+        min: 0,
+        default: () => 2
+    },
+    'switching.minDwellMs': {
+        type: 'number',
+        env: 'SUPERCLAUDE_SWITCH_MIN_DWELL_MS',
+        description: 'Milliseconds a persona stays active before an automatic switch away from it',
+        min: 0,
+        default: () => 0
+    },
+    'switching.cooldownMs': {
+        type: 'number',
+        env: 'SUPERCLAUDE_SWITCH_COOLDOWN_MS',
+        description: 'Milliseconds before automatic switching may return to a persona it just left',
+        min: 0,
+        default: () => 60000
+    },
+    'switching.pinnedPersona': {
+        type: 'string',
+        env: 'SUPERCLAUDE_PINNED_PERSONA',
+        description: 'Keep the session on this persona; only explicit user overrides change it',
+        default: () => null
+    },
+    'pipeline.disabled': {
+        type: 'array',
+        items: 'string',
+        env: 'SUPERCLAUDE_PIPELINE_DISABLED',
+        description: 'Request middlewares to skip (e.g. decision-cache); auto-documentation turns off session auto-documentation',
+        default: () => []
+    },
+    'redaction.enabled': {
+        type: 'boolean',
+        env: 'SUPERCLAUDE_REDACTION',
+        description: 'Redact secrets and PII before logging, caching, journaling, documentation and MCP calls',
+        default: () => true
+    },
+    'redaction.disabled': {
+        type: 'array',
+        items: 'string',
+        env: 'SUPERCLAUDE_REDACTION_DISABLED',
+        description: 'Built-in redaction detectors to turn off (e.g. email)',
+        default: () => []
+    },
+    'redaction.patterns': {
+        type: 'object',
+        env: 'SUPERCLAUDE_REDACTION_PATTERNS',
+        description: 'Custom redaction patterns ({ name: "regex" } or { name: { pattern, flags } })',
+        default: () => ({}),
+        validateEntry: validateRedactionPattern
+    },
+    'docs.autoDocLog': {
+        type: 'path',
+        env: 'SUPERCLAUDE_AUTODOC_LOG',
+        description: 'JSON log written by session auto-documentation',
+        default: (values) => path.join(values.frameworkPath, 'docs', 'auto-documentation-log.json')
+    },
+    'docs.projectClaudeMd': {
+        type: 'path',
+        env: 'SUPERCLAUDE_PROJECT_CLAUDE_MD',
+        description: 'Project CLAUDE.md updated with the session summary',
+        default: (values, loader) => path.join(loader.projectRoot, 'CLAUDE.md')
+    },
+    'docs.superClaudeMd': {
+        type: 'path',
+        env: 'SUPERCLAUDE_CLAUDE_MD',
+        description: 'SuperClaude CLAUDE.md updated with session activity',
+        default: () => path.join(os.homedir(), '.claude', 'CLAUDE.md')
+    },
+    'mcp.servers': {
+        type: 'object',
+        env: 'SUPERCLAUDE_MCP_SERVERS',
+        description: 'Per-server MCP overrides ({ name: { command, args, type, port, env } })',
+        default: () => ({}),
+        validateEntry: validateMcpServer
+    },
+    'mcp.idleTimeoutMs': {
+        type: 'number',
+        env: 'SUPERCLAUDE_MCP_IDLE_TIMEOUT_MS',
+        description: 'Close pooled MCP servers unused and detached for this long (0 keeps them running)',
+        min: 0,
+        default: () => 300000
+    },
+    'tokens.tokenizer': {
+        type: 'string',
+        env: 'SUPERCLAUDE_TOKENIZER',
+        description: 'Token estimator: chars, words, or a module path (relative to the project root) exporting count(text)',
+        default: () => 'chars'
+    },
+    'budget.session.tokens': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BUDGET_SESSION_TOKENS',
+        description: 'Estimated tokens per session (0 = unlimited)',
+        min: 0,
+        default: () => 0
+    },
+    'budget.session.timeMs': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BUDGET_SESSION_TIME_MS',
+        description: 'Wall-clock milliseconds per session (0 = unlimited)',
+        min: 0,
+        default: () => 0
+    },
+    'budget.session.mcpCalls': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BUDGET_SESSION_MCP_CALLS',
+        description: 'MCP calls per session (0 = unlimited)',
+        min: 0,
+        default: () => 0
+    },
+    'budget.workflow.tokens': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BUDGET_WORKFLOW_TOKENS',
+        description: 'Estimated tokens per workflow run (0 = unlimited)',
+        min: 0,
+        default: () => 0
+    },
+    'budget.workflow.timeMs': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BUDGET_WORKFLOW_TIME_MS',
+        description: 'Wall-clock milliseconds per workflow run (0 = unlimited)',
+        min: 0,
+        default: () => 0
+    },
+    'budget.workflow.mcpCalls': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BUDGET_WORKFLOW_MCP_CALLS',
+        description: 'MCP calls per workflow run (0 = unlimited)',
+        min: 0,
+        default: () => 0
+    },
+    'budget.softLimitRatio': {
+        type: 'number',
+        env: 'SUPERCLAUDE_BUDGET_SOFT_LIMIT_RATIO',
+        description: 'Fraction of a budget limit at which a warning is logged and optional MCPs are disabled',
+        min: 0,
+        max: 1,
+        default: () => 0.8
+    },
+    'logging.level': {
+        type: 'enum',
+        values: ['debug', 'info', 'warn', 'error', 'silent'],
+        env: 'SUPERCLAUDE_LOG_LEVEL',
+        description: 'Lowest log level printed; silent turns logging off for library use',
+        default: () => 'info'
+    },
+    'logging.format': {
+        type: 'enum',
+        values: ['text', 'json'],
+        env: 'SUPERCLAUDE_LOG_FORMAT',
+        description: 'text (emoji lines) or json (one JSON object per line)',
+        default: () => 'text'
+    },
+    'logging.namespaces': {
+        type: 'array',
+        items: 'string',
+        env: 'SUPERCLAUDE_LOG_NAMESPACES',
+        description: 'Namespaces to log (e.g. mcp, session); -name excludes one; empty logs all',
+        default: () => []
+    },
+    'logging.destination': {
+        type: 'enum',
+        values: ['stdout', 'stderr'],
+        env: 'SUPERCLAUDE_LOG_DESTINATION',
+        description: 'Stream log lines are written to',
+        default: () => 'stdout'
+    }
+};
+
+// Validate a single MCP server override
+function validateMcpServer(name, server) {
+    if (!server || typeof server !== 'object' || Array.isArray(server)) {
+        return `MCP server "${name}" must be an object`;
+    }
+    if (server.command !== undefined && typeof server.command !== 'string') {
+        return `MCP server "${name}" command must be a string`;
+    }
+    if (server.args !== undefined &&
+        (!Array.isArray(server.args) || server.args.some(arg => typeof arg !== 'string'))) {
+        return `MCP server "${name}" args must be an array of strings`;
+    }
+    if (server.type !== undefined && !['stdio', 'http'].includes(server.type)) {
+        return `MCP server "${name}" type must be "stdio" or "http"`;
+    }
+    if (server.port !== undefined && !Number.isInteger(server.port)) {
+        return `MCP server "${name}" port must be an integer`;
+    }
+    return null;
+}
+
+function validateRedactionPattern(name, definition) {
+    const source = typeof definition === 'string' ? definition : definition && definition.pattern;
+    if (typeof source !== 'string' || source === '') {
+        return `Redaction pattern "${name}" must be a regex string or { pattern, flags }`;
+    }
+    try {
+        new RegExp(source, (typeof definition === 'object' && definition.flags) || '');
+    } catch (error) {
+        return `Redaction pattern "${name}" is not a valid regex: ${error.message}`;
+    }
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class SuperClaudeConfig {
+    constructor(options = {}) {
+        this.env = options.env || process.env;
+        this.projectRoot = path.resolve(options.projectRoot || this.env.SUPERCLAUDE_PROJECT_ROOT || process.cwd());
+        this.userConfigPath = options.userConfigPath || this.env.SUPERCLAUDE_USER_CONFIG ||
+            path.join(os.homedir(), '.superclaude', 'config.json');
+        this.projectConfigPath = path.join(this.projectRoot, '.superclaude', 'config.json');
+
+        this.values = {};
+        this.sources = {};
+        this.errors = [];
+        this.warnings = [];
+
+        this.load(options.overrides || {});
+    }
+
+    // Resolve every layer in precedence order: defaults < user < project < env < overrides
+    load(overrides = {}) {
+        this.values = {};
+        this.sources = {};
+        this.errors = [];
+        this.warnings = [];
+
+        this.applyLayer(this.readConfigFile(this.userConfigPath), {
+            source: `user (${this.userConfigPath})`,
+            baseDir: path.dirname(path.dirname(this.userConfigPath))
+        });
+        this.applyLayer(this.readConfigFile(this.projectConfigPath), {
+            source: `project (${this.projectConfigPath})`,
+            baseDir: this.projectRoot
+        });
+        this.applyEnvironment();
+        this.applyLayer(overrides, { source: 'options', baseDir: this.projectRoot });
+
+        // Fill in defaults last so derived defaults see overridden values.
+        // Schema order matters: a derived default may only read keys declared above it.
+        for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+            if (!(key in this.values)) {
+                this.values[key] = schema.default(this.values, this);
+                this.sources[key] = 'default';
+            }
+        }
+
+        return this;
+    }
+
+    // Read a JSON config file, recording parse errors instead of throwing
+    readConfigFile(filePath) {
+        if (!fs.existsSync(filePath)) return {};
+
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!isPlainObject(data)) {
+                this.errors.push({ source: filePath, message: 'Config file must contain a JSON object' });
+                return {};
+            }
+            return data;
+        } catch (error) {
+            this.errors.push({ source: filePath, message: `Could not parse config file: ${error.message}` });
+            return {};
+        }
+    }
+
+    // Flatten nested config objects into dotted schema keys
+    flatten(data, prefix = '', source = '') {
+        const flat = {};
+
+        for (const [name, value] of Object.entries(data)) {
+            const key = prefix ? `${prefix}.${name}` : name;
+
+            if (CONFIG_SCHEMA[key]) {
+                flat[key] = value;
+            } else if (isPlainObject(value) && Object.keys(CONFIG_SCHEMA).some(k => k.startsWith(`${key}.`))) {
+                Object.assign(flat, this.flatten(value, key, source));
+            } else {
+                this.warnings.push({ source, key, message: `Unknown config key: ${key}` });
+            }
+        }
+
+        return flat;
+    }
+
+    // Apply one layer of values, validating each before it replaces the previous layer
+    applyLayer(data, { source, baseDir }) {
+        const flat = this.flatten(data, '', source);
+
+        for (const [key, rawValue] of Object.entries(flat)) {
+            const schema = CONFIG_SCHEMA[key];
+            const value = this.normalizeValue(schema, rawValue, baseDir);
+            const error = this.validateValue(key, value);
+
+            if (error) {
+                this.errors.push({ source, key, message: error });
+                continue;
+            }
+
+            this.values[key] = schema.type === 'object' && isPlainObject(this.values[key])
+                ? this.mergeObjects(this.values[key], value)
+                : value;
+            this.sources[key] = source;
+        }
+    }
+
+    // Apply SUPERCLAUDE_* environment variables
+    applyEnvironment() {
+        for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+            const raw = this.env[schema.env];
+            if (raw === undefined || raw === '') continue;
+
+            const parsed = this.parseEnvValue(schema, raw);
+            if (parsed.error) {
+                this.errors.push({ source: `env (${schema.env})`, key, message: parsed.error });
+                continue;
+            }
+
+            this.applyLayer({ [key]: parsed.value }, {
+                source: `env (${schema.env})`,
+                baseDir: process.cwd()
+            });
+        }
+    }
+
+    // Convert an environment string into the schema type
+    parseEnvValue(schema, raw) {
+        switch (schema.type) {
+            case 'number':
+                return Number.isNaN(Number(raw)) ? { error: `Expected a number, got "${raw}"` } : { value: Number(raw) };
+            case 'boolean':
+                if (/^(true|1|yes|on)$/i.test(raw)) return { value: true };
+                if (/^(false|0|no|off)$/i.test(raw)) return { value: false };
+                return { error: `Expected a boolean, got "${raw}"` };
+            case 'array':
+                if (raw.trim().startsWith('[')) {
+                    try {
+                        return { value: JSON.parse(raw) };
+                    } catch (error) {
+                        return { error: `Could not parse JSON array: ${error.message}` };
+                    }
+                }
+                return { value: raw.split(',').map(item => item.trim()).filter(Boolean) };
+            case 'object':
+                try {
+                    return { value: JSON.parse(raw) };
+                } catch (error) {
+                    return { error: `Could not parse JSON object: ${error.message}` };
+                }
+            default:
+                return { value: raw };
+        }
+    }
+
+    // Expand ~ and resolve relative paths against the layer's base directory
+    normalizeValue(schema, value, baseDir) {
+        if (schema.type !== 'path' || typeof value !== 'string' || value === '') return value;
+
+        const expanded = value.startsWith('~') ? path.join(os.homedir(), value.slice(1)) : value;
+        return path.resolve(baseDir, expanded);
+    }
+
+    // Check a value against its schema entry, returning an error message or null
+    validateValue(key, value) {
+        const schema = CONFIG_SCHEMA[key];
+
+        switch (schema.type) {
+            case 'path':
+            case 'string':
+                if (typeof value !== 'string' || value === '') return `${key} must be a non-empty string`;
+                break;
+            case 'number':
+                if (typeof value !== 'number' || Number.isNaN(value)) return `${key} must be a number`;
+                if (schema.min !== undefined && value < schema.min) return `${key} must be >= ${schema.min}`;
+                if (schema.max !== undefined && value > schema.max) return `${key} must be <= ${schema.max}`;
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') return `${key} must be true or false`;
+                break;
+            case 'enum':
+                if (!schema.values.includes(value)) return `${key} must be one of: ${schema.values.join(', ')}`;
+                break;
+            case 'array':
+                if (!Array.isArray(value)) return `${key} must be an array`;
+                if (schema.items && value.some(item => typeof item !== schema.items)) {
+                    return `${key} must contain only ${schema.items} values`;
+                }
+                break;
+            case 'object':
+                if (!isPlainObject(value)) return `${key} must be an object`;
+                if (schema.validateEntry) {
+                    for (const [name, entry] of Object.entries(value)) {
+                        const error = schema.validateEntry(name, entry);
+                        if (error) return error;
+                    }
+                }
+                break;
+        }
+
+        return null;
+    }
+
+    // Merge object-typed values one entry deep so layers can extend each other
+    mergeObjects(base, override) {
+        const merged = { ...base };
+        for (const [name, value] of Object.entries(override)) {
+            merged[name] = isPlainObject(base[name]) && isPlainObject(value)
+                ? { ...base[name], ...value }
+                : value;
+        }
+        return merged;
+    }
+
+    // Get an effective config value
+    get(key) {
+        if (!CONFIG_SCHEMA[key]) {
+            throw new Error(`Unknown config key: ${key}`);
+        }
+        return this.values[key];
+    }
+
+    // Get the layer a value came from
+    getSource(key) {
+        return this.sources[key];
+    }
+
+    // Effective values with their origin, for display
+    describe() {
+        return Object.keys(CONFIG_SCHEMA).map(key => ({
+            key,
+            value: this.values[key],
+            source: this.sources[key],
+            env: CONFIG_SCHEMA[key].env,
+            description: CONFIG_SCHEMA[key].description
+        }));
+    }
+
+    // Validation result for every layer that was loaded
+    validate() {
+        return {
+            valid: this.errors.length === 0,
+            errors: this.errors,
+            warnings: this.warnings,
+            files: {
+                user: { path: this.userConfigPath, exists: fs.existsSync(this.userConfigPath) },
+                project: { path: this.projectConfigPath, exists: fs.existsSync(this.projectConfigPath) }
+            }
+        };
+    }
+}
+
+// Shared instances, one per project root and user config file
+const configInstances = new Map();
+
+function getConfig(options = {}) {
+    const projectRoot = path.resolve(options.projectRoot || process.env.SUPERCLAUDE_PROJECT_ROOT || process.cwd());
+    const cacheKey = `${projectRoot}::${options.userConfigPath || ''}`;
+
+    if (options.reload || !configInstances.has(cacheKey)) {
+        const config = new SuperClaudeConfig({ ...options, projectRoot });
+        for (const error of config.errors) {
+            log.warn(`⚠️  Config: ${error.message} [${error.source}]`);
+        }
+        configInstances.set(cacheKey, config);
+    }
+
+    return configInstances.get(cacheKey);
+}
+
+module.exports = {
+    SuperClaudeConfig,
+    CONFIG_SCHEMA,
+    getConfig,
+    loadConfig: (options) => new SuperClaudeConfig(options)
+};
+
+// CLI: config show [--json] | config validate
+if (require.main === module) {
+    const [action = 'show', ...flags] = process.argv.slice(2);
+    const config = new SuperClaudeConfig();
+
+    if (action === 'show') {
+        if (flags.includes('--json')) {
+            console.log(JSON.stringify({ projectRoot: config.projectRoot, values: config.describe() }, null, 2));
+        } else {
+            console.log(`⚙️  SuperClaude configuration for ${config.projectRoot}\n`);
+            for (const entry of config.describe()) {
+                const value = typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value);
+                console.log(`  ${entry.key.padEnd(22)} ${value}`);
+                console.log(`  ${''.padEnd(22)} ↳ ${entry.source}`);
+            }
+        }
+    } else if (action === 'validate') {
+        const result = config.validate();
+        console.log(`📄 User config:    ${result.files.user.path} ${result.files.user.exists ? '' : '(not found)'}`);
+        console.log(`📄 Project config: ${result.files.project.path} ${result.files.project.exists ? '' : '(not found)'}`);
+
+        result.warnings.forEach(warning => console.log(`⚠️  ${warning.message} [${warning.source}]`));
+        result.errors.forEach(error => console.log(`❌ ${error.message} [${error.source}]`));
+
+        console.log(result.valid ? '✅ Configuration is valid' : `❌ Configuration has ${result.errors.length} error(s)`);
+        process.exit(result.valid ? 0 : 1);
+    } else {
+        console.log('Usage: node src/superclaude-config.js <show [--json] | validate>');
+        process.exit(1);
+    }
+}
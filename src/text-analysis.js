@@ -0,0 +1,154 @@
+// SuperClaude Text Analysis
+// Shared tokenizer for persona and workflow detection: word tokens, light stemming,
+// phrase matching, negation scopes ("no security changes") and code-span awareness
+
+// Words that negate the terms following them, up to the end of the clause
+const NEGATORS = new Set(['no', 'not', 'without', 'never', 'avoid', 'skip', 'except', 'excluding', 'nor', 'neither', 'none']);
+// Clause breaks end a negation scope: punctuation and conjunctions that start a new clause
+// ("and"/"or" alone do not, so "no security or performance changes" negates both)
+const CLAUSE_BREAK = /[,.;:!?()\n]|\b(?:but|and then|or else|however|instead|then|so|because|although|though|while|whereas|otherwise)\b/i;
+const TOKEN_PATTERN = /[a-z0-9]+(?:'[a-z]+)?/gi;
+const MAX_CACHED = 50;
+
+// Light suffix-stripping stemmer: "tests", "testing", "tested" -> "test"; "optimize", "optimization" -> "optimiz";
+// "analysis", "analyses", "analyse", "analyze" -> "analyz"; "diagnosis", "diagnose" -> "diagnos"
+function stem(word) {
+    let w = word.toLowerCase();
+    if (w.length <= 3) return w;
+
+    const rules = [
+        [/ys(?:is|es|ed|ing|e)$/, 'yze'], [/osis$/, 'ose'],
+        [/ization$/, 'ize'], [/isation$/, 'ize'], [/ational$/, 'ate'], [/ations?$/, 'ate'],
+        [/izing$/, 'ize'], [/ized$/, 'ize'], [/ies$/, 'y'], [/ied$/, 'y'],
+        [/(ss|us|is)$/, '$1'], [/(s|x|z|ch|sh)es$/, '$1'], [/([^s])s$/, '$1'],
+        [/ing$/, ''], [/ed$/, '']
+    ];
+    for (const [suffix, replacement] of rules) {
+        if (suffix.test(w)) {
+            const stemmed = w.replace(suffix, replacement);
+            if (stemmed.length >= 3) {
+                w = stemmed;
+                break;
+            }
+        }
+    }
+
+    // "debugging" -> "debugg" -> "debug"
+    w = w.replace(/([bdfgmnprt])\1$/, '$1');
+    // "optimize"/"optimiz", "secure"/"secur" end up identical
+    if (w.length > 4) w = w.replace(/e$/, '');
+    return w;
+}
+
+class TextAnalyzer {
+    constructor() {
+        this.cache = new Map();
+        this.phraseCache = new Map();
+    }
+
+    // Blank out fenced and inline code; offsets are preserved so spans stay valid
+    maskCode(text) {
+        const blank = match => match.replace(/[^\n]/g, ' ');
+        return text.replace(/```[\s\S]*?(?:```|$)/g, blank).replace(/`[^`\n]*`/g, blank);
+    }
+
+    // Tokens with stems, spans, and whether they sit in code or a negation scope
+    tokenize(text) {
+        const source = typeof text === 'string' ? text : JSON.stringify(text);
+        const masked = this.maskCode(source);
+        const tokens = [];
+        let negating = false;
+        let lastEnd = 0;
+        let match;
+
+        TOKEN_PATTERN.lastIndex = 0;
+        while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+            const word = match[0].toLowerCase();
+            const start = match.index;
+            const end = start + match[0].length;
+            const inCode = masked.slice(start, end).trim() === '';
+
+            // The gap before this token, or the token itself ("but", "then"), ends the clause
+            if (CLAUSE_BREAK.test(source.slice(lastEnd, end))) negating = false;
+            lastEnd = end;
+
+            const isNegator = !inCode && (NEGATORS.has(word) || word.endsWith("n't"));
+            tokens.push({ word, stem: stem(word), start, end, inCode, negated: !isNegator && negating });
+
+            if (isNegator) negating = true;
+        }
+
+        return tokens;
+    }
+
+    // Tokenized form of a text, cached because every detector analyzes the same request
+    analyze(text) {
+        if (text && typeof text === 'object' && Array.isArray(text.tokens)) return text;
+        const source = typeof text === 'string' ? text : JSON.stringify(text);
+        if (this.cache.has(source)) return this.cache.get(source);
+
+        const analysis = { text: source, tokens: this.tokenize(source) };
+        this.cache.set(source, analysis);
+        if (this.cache.size > MAX_CACHED) this.cache.delete(this.cache.keys().next().value);
+        return analysis;
+    }
+
+    // Stem sequence of a term or phrase ("fix bug" -> ["fix", "bug"]; "Module_errors" -> ["module", "error"])
+    phraseStems(phrase) {
+        if (!this.phraseCache.has(phrase)) {
+            const words = String(phrase).replace(/_/g, ' ').match(TOKEN_PATTERN) || [];
+            this.phraseCache.set(phrase, words.map(stem));
+        }
+        return this.phraseCache.get(phrase);
+    }
+
+    // Occurrences of a phrase; negated and code tokens are skipped unless asked for
+    findPhrase(text, phrase, options = {}) {
+        const { tokens } = this.analyze(text);
+        const stems = this.phraseStems(phrase);
+        const matches = [];
+        if (stems.length === 0) return matches;
+
+        for (let i = 0; i + stems.length <= tokens.length; i++) {
+            if (!stems.every((s, offset) => tokens[i + offset].stem === s)) continue;
+            const span = tokens.slice(i, i + stems.length);
+            const negated = span.some(token => token.negated);
+            const inCode = span.some(token => token.inCode);
+            if ((negated && !options.includeNegated) || (inCode && !options.includeCode)) continue;
+            matches.push({ phrase, start: span[0].start, end: span[span.length - 1].end, negated, inCode });
+        }
+
+        return matches;
+    }
+
+    hasTerm(text, term, options = {}) {
+        return this.findPhrase(text, term, options).length > 0;
+    }
+
+    // Terms (words or phrases) present in the text, in the order given
+    findTerms(text, terms, options = {}) {
+        const analysis = this.analyze(text);
+        return terms.filter(term => this.hasTerm(analysis, term, options));
+    }
+
+    // Terms that only appear negated ("no security changes" -> ["security"])
+    findNegatedTerms(text, terms) {
+        const analysis = this.analyze(text);
+        return terms.filter(term =>
+            !this.hasTerm(analysis, term) &&
+            this.findPhrase(analysis, term, { includeNegated: true }).some(match => match.negated)
+        );
+    }
+}
+
+const textAnalyzer = new TextAnalyzer();
+
+module.exports = {
+    TextAnalyzer,
+    textAnalyzer,
+    stem,
+    tokenize: (text) => textAnalyzer.tokenize(text),
+    hasTerm: (text, term, options) => textAnalyzer.hasTerm(text, term, options),
+    findTerms: (text, terms, options) => textAnalyzer.findTerms(text, terms, options),
+    findNegatedTerms: (text, terms) => textAnalyzer.findNegatedTerms(text, terms)
+};
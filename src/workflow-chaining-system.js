@@ -1,11 +1,18 @@
 // Workflow Chaining System - Intelligent /sc: Command Sequences
 // Automatically chains SuperClaude commands for complex workflows
 
-const { globalAutoDoc } = require('./enhanced-superclaude-autodoc.js');
-const { globalPersonaSystem } = require('./intelligent-persona-system.js');
+const autoDocModule = require('./enhanced-superclaude-autodoc.js');
+const personaModule = require('./intelligent-persona-system.js');
+const { textAnalyzer } = require('./text-analysis.js');
+const { createLogger } = require('./logger.js');
+
+const log = createLogger('chaining');
 
 class WorkflowChainingSystem {
-    constructor() {
+    // options.autoDoc / options.personaSystem: collaborators of one session (default: new ones of its own)
+    constructor(options = {}) {
+        this.autoDoc = options.autoDoc || new autoDocModule.EnhancedSuperClaudeAutoDoc();
+        this.personaSystem = options.personaSystem || new personaModule.IntelligentPersonaSystem({ autoDoc: this.autoDoc });
         this.activeWorkflows = new Map();
         this.workflowHistory = [];
         
@@ -105,7 +112,7 @@ class WorkflowChainingSystem {
 
     // Detect if user input should trigger a workflow
     detectWorkflow(userInput, context = {}) {
-        const input = userInput.toLowerCase();
+        const input = textAnalyzer.analyze(userInput);
         const detections = [];
 
         for (const [workflowId, workflow] of Object.entries(this.workflows)) {
@@ -114,7 +121,7 @@ class WorkflowChainingSystem {
 
             // Check trigger phrases
             for (const trigger of workflow.triggers) {
-                if (input.includes(trigger)) {
+                if (textAnalyzer.hasTerm(input, trigger)) {
                     score += 0.8;
                     matchedTriggers.push(trigger);
                 }
@@ -126,7 +133,7 @@ class WorkflowChainingSystem {
             );
             
             for (const keyword of workflowKeywords) {
-                if (input.includes(keyword)) {
+                if (textAnalyzer.hasTerm(input, keyword)) {
                     score += 0.2;
                 }
             }
@@ -173,19 +180,19 @@ class WorkflowChainingSystem {
         this.activeWorkflows.set(workflowId, execution);
 
         try {
-            console.log(`🔄 Starting workflow: ${workflow.name}`);
-            console.log(`📋 Steps: ${workflow.commands.length}`);
+            log.info(`🔄 Starting workflow: ${workflow.name}`);
+            log.info(`📋 Steps: ${workflow.commands.length}`);
 
             // Execute each command in sequence
             for (let i = 0; i < workflow.commands.length; i++) {
                 const step = workflow.commands[i];
                 execution.currentStep = i + 1;
 
-                console.log(`\n⚡ Step ${i + 1}/${workflow.commands.length}: ${step.command}`);
-                console.log(`💡 Reason: ${step.reason}`);
+                log.info(`\n⚡ Step ${i + 1}/${workflow.commands.length}: ${step.command}`);
+                log.info(`💡 Reason: ${step.reason}`);
 
                 // Auto-switch persona based on command
-                const personaResult = globalPersonaSystem.autoSwitchPersona(
+                const personaResult = this.personaSystem.autoSwitchPersona(
                     `${step.command} ${step.args.join(' ')}`,
                     { command: step.command, ...context }
                 );
@@ -209,7 +216,7 @@ class WorkflowChainingSystem {
                     args: step.args,
                     reason: step.reason,
                     result: commandResult,
-                    persona: globalPersonaSystem.currentPersona,
+                    persona: this.personaSystem.currentPersona,
                     timestamp: new Date().toISOString()
                 });
 
@@ -231,13 +238,13 @@ class WorkflowChainingSystem {
             this.workflowHistory.push(execution);
 
             // Notify auto-doc system
-            globalAutoDoc.interceptSuperClaudeResponse('', {
+            this.autoDoc.interceptSuperClaudeResponse('', {
                 workflow: workflowId,
                 workflowSteps: execution.commands,
                 duration: execution.duration
             });
 
-            console.log(`✅ Workflow completed: ${workflow.name} (${execution.duration}ms)`);
+            log.info(`✅ Workflow completed: ${workflow.name} (${execution.duration}ms)`);
             return execution;
 
         } catch (error) {
@@ -248,7 +255,7 @@ class WorkflowChainingSystem {
             this.activeWorkflows.delete(workflowId);
             this.workflowHistory.push(execution);
 
-            console.log(`❌ Workflow failed: ${workflow.name} - ${error.message}`);
+            log.error(`❌ Workflow failed: ${workflow.name} - ${error.message}`);
             throw error;
         }
     }
@@ -258,7 +265,7 @@ class WorkflowChainingSystem {
         const { command, args } = step;
         
         // Determine MCP servers to use based on current persona
-        const personaContext = globalPersonaSystem.getPersonaContext();
+        const personaContext = this.personaSystem.getPersonaContext();
         const mcpServers = personaContext.mcpPreference || [];
 
         return {
@@ -266,7 +273,7 @@ class WorkflowChainingSystem {
             args,
             success: true,
             output: `Executed ${command} with args: ${args.join(', ')}`,
-            persona: globalPersonaSystem.currentPersona,
+            persona: this.personaSystem.currentPersona,
             mcpCalls: mcpServers.map(server => ({
                 server,
                 action: `${command}-${server}`,
@@ -290,7 +297,7 @@ class WorkflowChainingSystem {
         
         if (topDetection.confidence >= 0.9) {
             // High confidence - auto-execute
-            console.log(`🚀 Auto-executing workflow: ${topDetection.workflow}`);
+            log.info(`🚀 Auto-executing workflow: ${topDetection.workflow}`);
             return await this.executeWorkflow(topDetection.workflowId, context);
         } else if (topDetection.confidence >= 0.8) {
             // Medium confidence - recommend
@@ -325,19 +332,31 @@ class WorkflowChainingSystem {
     }
 }
 
-// Global workflow system
-const globalWorkflowSystem = new WorkflowChainingSystem();
+// Process-wide workflow system behind the convenience exports, created on first use (with the global collaborators)
+let globalWorkflowSystem = null;
+function getGlobalWorkflowSystem() {
+    if (!globalWorkflowSystem) {
+        globalWorkflowSystem = new WorkflowChainingSystem({
+            autoDoc: autoDocModule.globalAutoDoc,
+            personaSystem: personaModule.globalPersonaSystem
+        });
+    }
+    return globalWorkflowSystem;
+}
 
 module.exports = {
     WorkflowChainingSystem,
-    globalWorkflowSystem,
-    detectWorkflow: (input, context) => globalWorkflowSystem.detectWorkflow(input, context),
-    autoExecuteWorkflow: (input, context) => globalWorkflowSystem.autoExecuteWorkflow(input, context),
-    getWorkflowRecommendations: (input, context) => globalWorkflowSystem.getWorkflowRecommendations(input, context)
+    get globalWorkflowSystem() {
+        return getGlobalWorkflowSystem();
+    },
+    detectWorkflow: (input, context) => getGlobalWorkflowSystem().detectWorkflow(input, context),
+    autoExecuteWorkflow: (input, context) => getGlobalWorkflowSystem().autoExecuteWorkflow(input, context),
+    getWorkflowRecommendations: (input, context) => getGlobalWorkflowSystem().getWorkflowRecommendations(input, context)
 };
 
 // Test if run directly
 if (require.main === module) {
+    const globalWorkflowSystem = getGlobalWorkflowSystem();
     console.log('🔄 Workflow Chaining System Active');
     console.log(`📋 Available workflows: ${Object.keys(globalWorkflowSystem.workflows).length}`);
     
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DecisionCache = require('../core/decision-cache.js');
+const ActiveSuperClaudeSession = require('../core/active-superclaude-session.js');
+const { tempDir, isolatedConfig } = require('./helpers.js');
+
+const PREFIX = 'Please review the checkout service and tell me whether the payment retry logic ';
+
+test('keys hash the whole normalized request', () => {
+    const cache = new DecisionCache();
+
+    assert.notEqual(cache.key(`${PREFIX}is safe`), cache.key(`${PREFIX}leaks memory`));
+    assert.equal(cache.key('Fix  the\tLogin bug '), cache.key('fix the login bug'));
+    assert.equal(cache.key('ｆｉｘ bug'), cache.key('fix bug'));
+    assert.match(cache.key('fix bug'), /^[0-9a-f]{64}$/);
+});
+
+test('persona scope keys on the persona, project scope shares entries across personas', () => {
+    const byPersona = new DecisionCache({ scope: 'persona' });
+    const byProject = new DecisionCache({ scope: 'project' });
+    const project = { root: '/work/shop', signature: 'abc' };
+
+    assert.notEqual(byPersona.key('fix bug', { persona: 'qa', project }), byPersona.key('fix bug', { persona: 'security', project }));
+    assert.equal(byProject.key('fix bug', { persona: 'qa', project }), byProject.key('fix bug', { persona: 'security', project }));
+    assert.notEqual(byProject.key('fix bug', { project }), byProject.key('fix bug', { project: { ...project, signature: 'def' } }));
+    assert.notEqual(byPersona.key('fix bug'), byProject.key('fix bug'));
+    assert.equal(new DecisionCache({ scope: 'global' }).scope, 'persona');
+});
+
+test('entries expire after the TTL', () => {
+    const cache = new DecisionCache({ ttlMs: 1000 });
+    cache.set('k', { answer: 42 }, { persona: 'qa', now: 5000 });
+
+    assert.deepEqual(cache.get('k', 5999), { value: { answer: 42 }, persona: 'qa', createdAt: 5000, expiresAt: 6000 });
+    assert.equal(cache.get('k', 6000), null);
+    assert.equal(cache.size, 0);
+    assert.deepEqual({ hits: cache.stats.hits, misses: cache.stats.misses, expirations: cache.stats.expirations }, { hits: 1, misses: 1, expirations: 1 });
+
+    const forever = new DecisionCache({ ttlMs: 0 });
+    forever.set('k', 1, { now: 0 });
+    assert.equal(forever.get('k', Number.MAX_SAFE_INTEGER).value, 1);
+});
+
+test('the least recently used entry is evicted above maxEntries', () => {
+    const cache = new DecisionCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), null);
+    assert.equal(cache.get('a').value, 1);
+    assert.equal(cache.getStats().evictions, 1);
+});
+
+test('--no-cache and --fresh are split off the request', () => {
+    assert.deepEqual(DecisionCache.parseDirectives('fix the bug --fresh'), { request: 'fix the bug', noCache: false, fresh: true });
+    assert.deepEqual(DecisionCache.parseDirectives('--NO-CACHE fix  the bug'), { request: 'fix the bug', noCache: true, fresh: false });
+    assert.deepEqual(DecisionCache.parseDirectives('keep  --fresh-ish spacing'), { request: 'keep  --fresh-ish spacing', noCache: false, fresh: false });
+});
+
+test('TTL, scope and size come from the cache.decisions.* config keys', () => {
+    const config = isolatedConfig(tempDir(), { cache: { decisions: { ttlMinutes: 2, scope: 'project', maxEntries: 7 } } });
+    const stats = DecisionCache.fromConfig(config).getStats();
+
+    assert.deepEqual({ ttlMs: stats.ttlMs, scope: stats.scope, maxEntries: stats.maxEntries }, { ttlMs: 120000, scope: 'project', maxEntries: 7 });
+});
+
+test('sessions honour --no-cache and --fresh instead of guessing from keywords', async t => {
+    const session = new ActiveSuperClaudeSession({ config: isolatedConfig(tempDir()) });
+    t.after(() => session.shutdown());
+    await session.initializeSession('fix the react button css');
+    const request = 'run the tests and build the React app';
+    session.decisionCache.set(session.decisionCacheKey({ request, context: {} }), { answer: 'cached' }, { persona: session.currentPersona });
+
+    assert.deepEqual((await session.processRequest(request)).result, { answer: 'cached' });
+    assert.equal((await session.processRequest(`${request} --no-cache`)).cached, undefined);
+    assert.equal((await session.processRequest(`--fresh ${request}`)).cached, undefined);
+
+    const stats = session.decisionCache.getStats();
+    assert.deepEqual({ hits: stats.hits, bypassed: stats.bypassed }, { hits: 1, bypassed: 2 });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EvidenceValidator = require('../core/evidence-validator.js');
+
+const validator = new EvidenceValidator();
+
+function rules(result) {
+    return result.findings.map(finding => `${finding.rule}:${finding.severity}:${finding.text}`);
+}
+
+test('prohibited language without evidence is an error with its span', () => {
+    const text = 'This change is the best fix.';
+    const result = validator.validate(text);
+
+    assert.equal(result.isValid, false);
+    assert.deepEqual(rules(result), [`missing_evidence:warning:${text}`, 'prohibited_language:error:best']);
+    const finding = result.findings[1];
+    assert.deepEqual(finding.span, { start: 19, end: 23 });
+    assert.equal(text.slice(finding.span.start, finding.span.end), 'best');
+    assert.deepEqual([finding.line, finding.column], [1, 20]);
+    assert.equal(result.confidence, 0.7);
+});
+
+test('claims need evidence wording; hedged claims are only informational', () => {
+    assert.deepEqual(rules(validator.validate('Caching reduces latency by 40%.')),
+        ['missing_evidence:warning:Caching reduces latency by 40%.']);
+    assert.deepEqual(rules(validator.validate('Caching may reduce latency.')),
+        ['missing_evidence:info:Caching may reduce latency.']);
+    assert.deepEqual(rules(validator.validate('Benchmarks prove caching reduces latency by 40%.')), []);
+});
+
+test('evidence and questions downgrade prohibited words to info', () => {
+    assert.deepEqual(rules(validator.validate('Metrics show the new index is faster.')), ['prohibited_language:info:faster']);
+    assert.deepEqual(rules(validator.validate('Is this the best approach?')), ['prohibited_language:info:best']);
+    assert.equal(validator.validate('Is this the best approach?').isValid, true);
+});
+
+test('code, version numbers and abbreviations do not break the linting', () => {
+    const text = 'Rename `isBetter` to `compare`.\n```\nconst best = 1;\n```\nUpgrade to v2.5, e.g. with npm.';
+
+    assert.deepEqual(validator.validate(text).findings, []);
+    assert.deepEqual(validator.splitSentences('It got 2.5x quicker. Then e.g. this, i.e. that! Done.').map(sentence => sentence.text),
+        ['It got 2.5x quicker.', 'Then e.g. this, i.e. that!', 'Done.']);
+});
+
+test('findings on later lines report their line and column', () => {
+    const result = validator.validate('Fine.\nThis is always secure.');
+
+    assert.deepEqual(result.findings.filter(finding => finding.rule === 'prohibited_language')
+        .map(finding => [finding.text, finding.line, finding.column]), [['always', 2, 9], ['secure', 2, 16]]);
+    assert.equal(validator.formatFindings(result, 'reply.md').split('\n')[1],
+        'reply.md:2:9 error [prohibited_language] "always" is prohibited language without evidence; use measured wording or cite evidence');
+});
+
+test('standards can be replaced per validator or per call', async () => {
+    const custom = new EvidenceValidator({ standards: { Prohibited_Language: ['blazing fast'], Evidence_Requirements: 'profiling shows' } });
+
+    assert.deepEqual(rules(custom.validate('It is blazing  fast.')), ['missing_evidence:warning:It is blazing  fast.', 'prohibited_language:error:blazing  fast']);
+    assert.deepEqual(rules(custom.validate('Profiling shows it is blazing fast.')), ['prohibited_language:info:blazing fast']);
+    assert.deepEqual(rules(await custom.validateClaim('The best.', { standards: { Prohibited_Language: 'best' } })),
+        ['missing_evidence:warning:The best.', 'prohibited_language:error:best']);
+});
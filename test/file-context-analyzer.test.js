@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const FileContextAnalyzer = require('../core/file-context-analyzer.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+function gitInit(root) {
+    execFileSync('git', ['init', '-q'], { cwd: root, stdio: 'ignore' });
+}
+
+test('abbreviations, versions and technology names are not files', () => {
+    const root = tempDir();
+    const analyzer = new FileContextAnalyzer({ cwd: root, includeGit: false });
+    const context = analyzer.analyze('e.g. upgrade Node.js to v2.0 and fix App.tsx');
+
+    assert.deepEqual(context.mentioned, ['App.tsx']);
+    assert.deepEqual(context.fileTypes, ['.tsx']);
+    assert.deepEqual(context.headers, []);
+});
+
+test('mentioned files are read for their imports', () => {
+    const root = tempDir();
+    writeFiles(root, {
+        'src/api.py': 'from flask import Flask\nimport sqlalchemy\n',
+        'src/Button.test.jsx': "import React from 'react';\nconst sinon = require('sinon');\n"
+    });
+    const analyzer = new FileContextAnalyzer({ cwd: root, includeGit: false });
+    const context = analyzer.analyze('why does src/api.py fail when `src/Button.test.jsx` runs?');
+
+    assert.deepEqual(context.headers.map(header => header.path), ['src/api.py', 'src/Button.test.jsx']);
+    assert.deepEqual(context.imports, ['flask', 'sqlalchemy', 'react', 'sinon']);
+    assert.deepEqual(context.fileTypes, ['.py', '.jsx', '.test.jsx']);
+});
+
+test('only files inside the project root are read', () => {
+    const parent = tempDir();
+    const root = path.join(parent, 'project');
+    writeFiles(parent, { 'secret.js': "require('outside')", 'project/inside.js': "require('inside')" });
+    const analyzer = new FileContextAnalyzer({ cwd: root, includeGit: false });
+    const context = analyzer.analyze(`compare ../secret.js, ${path.join(root, 'inside.js')} and ~/notes.md`);
+
+    assert.deepEqual(context.headers.map(header => header.path), ['inside.js']);
+    assert.deepEqual(context.imports, ['inside']);
+    assert.ok(context.fileTypes.includes('.md'));
+});
+
+test('changed files from git status are folded in', () => {
+    const root = tempDir();
+    gitInit(root);
+    writeFiles(root, { 'db/schema.sql': 'CREATE TABLE users (id int);\n', 'lib/util.go': 'import "fmt"\n' });
+    const analyzer = new FileContextAnalyzer({ cwd: root });
+    const context = analyzer.analyze('tidy this up');
+
+    assert.deepEqual(context.changed.sort(), ['db/schema.sql', 'lib/util.go']);
+    assert.deepEqual(context.fileTypes.sort(), ['.go', '.sql']);
+    assert.deepEqual(context.imports, ['fmt']);
+});
+
+test('git status is reused within its TTL and the signature follows the working tree', () => {
+    const root = tempDir();
+    gitInit(root);
+    writeFiles(root, { 'a.js': '' });
+    const cached = new FileContextAnalyzer({ cwd: root });
+    const fresh = new FileContextAnalyzer({ cwd: root, gitStatusTtlMs: 0 });
+    const before = fresh.analyze('review').signature;
+    assert.equal(cached.analyze('review').signature, before);
+
+    writeFiles(root, { 'b.js': '' });
+    assert.deepEqual(cached.analyze('review').changed, ['a.js']);
+    assert.notEqual(fresh.analyze('review').signature, before);
+    assert.deepEqual(fresh.analyze('review').changed.sort(), ['a.js', 'b.js']);
+});
+
+test('a directory that is not a git repository has no changed files', () => {
+    const root = tempDir();
+    const analyzer = new FileContextAnalyzer({ cwd: root });
+
+    assert.deepEqual(analyzer.analyze('hello').changed, []);
+});
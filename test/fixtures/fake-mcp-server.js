@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+// Minimal stdio MCP server for the behaviour tests: answers every JSON-RPC request with
+// { method, params, pid }; method "fail" returns a JSON-RPC error and "exit" ends the process
+// Started through the mcp.servers config in place of context7, sequential and puppeteer
+
+const readline = require('readline');
+
+const input = readline.createInterface({ input: process.stdin });
+
+input.on('line', line => {
+    let request;
+    try {
+        request = JSON.parse(line);
+    } catch (error) {
+        return;
+    }
+    if (request.id === undefined) return; // Notifications get no response
+
+    if (request.method === 'exit') process.exit(0);
+    const reply = request.method === 'fail'
+        ? { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: 'fake failure' } }
+        : { jsonrpc: '2.0', id: request.id, result: { method: request.method, params: request.params, pid: process.pid } };
+    process.stdout.write(JSON.stringify(reply) + '\n');
+});
+
+input.on('close', () => process.exit(0));
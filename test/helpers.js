@@ -0,0 +1,70 @@
+// Shared fixtures for the behaviour tests
+// Every test works in its own temporary directory with a config that ignores the machine's
+// user config, SUPERCLAUDE_* variables and ~/.claude, so nothing outside the directory is touched
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+const { SuperClaudeConfig } = require('../src/superclaude-config.js');
+const logger = require('../src/logger.js');
+
+// Tests assert on behaviour, not on log lines
+logger.configure({ level: 'silent' });
+
+// Temporary directories are removed once every test in the file has finished, so caches and
+// monitors that flush when a test's own cleanup closes them cannot recreate a removed directory
+const tempDirs = [];
+after(() => {
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A fresh temporary directory
+function tempDir(prefix = 'superclaude-test-') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    tempDirs.push(dir);
+    return dir;
+}
+
+// Write files given as { 'relative/path': content }; objects are written as JSON
+function writeFiles(root, files) {
+    for (const [file, content] of Object.entries(files)) {
+        const target = path.join(root, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    }
+}
+
+// Every built-in MCP server runs the fake stdio server instead of npx packages or the puppeteer wrapper
+const FAKE_MCP_SERVER = path.join(__dirname, 'fixtures', 'fake-mcp-server.js');
+const FAKE_MCP_SERVERS = Object.fromEntries(['context7', 'sequential', 'puppeteer'].map(name =>
+    [name, { command: process.execPath, args: [FAKE_MCP_SERVER], type: 'stdio' }]
+));
+
+// Config rooted at `root` with every path (caches, docs, shared SuperClaude files) inside it
+function isolatedConfig(root, overrides = {}, env = {}) {
+    return new SuperClaudeConfig({
+        projectRoot: root,
+        env,
+        userConfigPath: path.join(root, '.user', 'config.json'),
+        overrides: {
+            superClaudePath: path.join(root, '.home'),
+            cacheDir: path.join(root, '.cache'),
+            reportsDir: path.join(root, 'reports'),
+            docs: {
+                autoDocLog: path.join(root, 'docs', 'auto-documentation-log.json'),
+                projectClaudeMd: path.join(root, 'CLAUDE.md'),
+                superClaudeMd: path.join(root, '.home', 'CLAUDE.md')
+            },
+            mcp: { servers: FAKE_MCP_SERVERS },
+            ...overrides
+        }
+    });
+}
+
+module.exports = {
+    tempDir,
+    writeFiles,
+    isolatedConfig,
+    FAKE_MCP_SERVER
+};
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { IntelligentPersonaSystem } = require('../src/intelligent-persona-system.js');
+const { EnhancedSuperClaudeAutoDoc } = require('../src/enhanced-superclaude-autodoc.js');
+const { tempDir, writeFiles, isolatedConfig } = require('./helpers.js');
+
+// An auto-doc writing the CLAUDE.md files of its own temporary project; its update timer stops after the test
+function createAutoDoc(t) {
+    const root = tempDir();
+    writeFiles(root, { 'CLAUDE.md': '# Project\n\n## Current Session Summary\nnone yet\n', '.home/.keep': '' });
+    const autoDoc = new EnhancedSuperClaudeAutoDoc({ config: isolatedConfig(root) });
+    t.after(() => autoDoc.stopAutoUpdate());
+    return { root, autoDoc };
+}
+
+test('persona systems keep their own persona and history', t => {
+    const first = new IntelligentPersonaSystem({ autoDoc: createAutoDoc(t).autoDoc });
+    const second = new IntelligentPersonaSystem({ autoDoc: createAutoDoc(t).autoDoc });
+
+    assert.equal(first.switchPersona('security', 'audit', 'audit the login flow').switched, true);
+
+    assert.equal(first.currentPersona, 'security');
+    assert.equal(second.currentPersona, 'architect');
+    assert.equal(second.personaHistory.length, 0);
+});
+
+test('each persona system documents to its own auto-doc targets', t => {
+    const first = createAutoDoc(t);
+    const second = createAutoDoc(t);
+    const system = new IntelligentPersonaSystem({ autoDoc: first.autoDoc });
+
+    system.switchPersona('qa', 'testing', 'write the checkout tests');
+
+    assert.equal(first.autoDoc.getSessionStats().personaSwitches, 1);
+    assert.equal(second.autoDoc.getSessionStats().personaSwitches, 0);
+    assert.match(fs.readFileSync(path.join(first.root, '.home', 'CLAUDE.md'), 'utf8'), /Persona Switches\*\*: 1/);
+    assert.equal(fs.existsSync(path.join(second.root, '.home', 'CLAUDE.md')), false);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const logger = require('../src/logger.js');
+const { tempDir, writeFiles, FAKE_MCP_SERVER } = require('./helpers.js');
+
+// Apply logger settings for one test; helpers.js keeps every other test silent
+function useLogger(t, options) {
+    const previous = logger.configure(options);
+    t.after(() => logger.configure(previous));
+}
+
+// Lines written to a stream while fn runs (synchronously, so no test output is caught)
+function capture(stream, fn) {
+    const lines = [];
+    const write = process[stream].write;
+    process[stream].write = chunk => lines.push(String(chunk));
+    try {
+        fn();
+    } finally {
+        process[stream].write = write;
+    }
+    return lines;
+}
+
+test('lines below the configured level are dropped', t => {
+    useLogger(t, { level: 'warn', format: 'text', namespaces: [], destination: 'stdout' });
+    const log = logger.createLogger('session');
+
+    const lines = capture('stdout', () => {
+        log.debug('debug line');
+        log.info('info line');
+        log.warn('⚠️  warn line', 42);
+        log.error('error line');
+    });
+
+    assert.deepEqual(lines, ['⚠️  warn line 42\n', 'error line\n']);
+    assert.equal(log.isEnabled('info'), false);
+});
+
+test('silent mode writes nothing at any level', t => {
+    useLogger(t, { level: 'silent', destination: 'stdout' });
+    const log = logger.createLogger('mcp');
+
+    assert.deepEqual(capture('stdout', () => log.error('❌ failed')), []);
+});
+
+test('json mode writes one object per line without the emoji', t => {
+    useLogger(t, { level: 'info', format: 'json', namespaces: [], destination: 'stderr' });
+
+    const lines = capture('stderr', () => logger.createLogger('mcp').child('pool').info('💤 Closed idle %s MCP server', 'context7'));
+
+    assert.equal(lines.length, 1);
+    const { time, ...entry } = JSON.parse(lines[0]);
+    assert.deepEqual(entry, { level: 'info', namespace: 'mcp:pool', msg: 'Closed idle context7 MCP server' });
+    assert.ok(!Number.isNaN(Date.parse(time)));
+});
+
+test('namespace filters include a namespace with its children and can exclude one', t => {
+    useLogger(t, { level: 'info', format: 'text', namespaces: ['mcp', '-mcp:pool'], destination: 'stdout' });
+
+    assert.equal(logger.createLogger('mcp').isEnabled('info'), true);
+    assert.equal(logger.createLogger('mcp:puppeteer').isEnabled('info'), true);
+    assert.equal(logger.createLogger('mcp:pool').isEnabled('info'), false);
+    assert.equal(logger.createLogger('mcpx').isEnabled('info'), false);
+    assert.equal(logger.createLogger('session').isEnabled('error'), false);
+});
+
+test('settings given in code win over a loaded config', t => {
+    useLogger(t, { level: 'error' });
+    const config = { get: key => ({ 'logging.level': 'debug', 'logging.format': 'json', 'logging.namespaces': [], 'logging.destination': 'stdout' })[key] };
+
+    assert.equal(logger.configureFromConfig(config), false);
+    assert.equal(logger.createLogger('session').isEnabled('warn'), false);
+});
+
+// A project whose config keeps the session's caches, docs and MCP servers inside it
+function libraryProject(logging) {
+    const root = tempDir();
+    writeFiles(root, {
+        '.superclaude/config.json': {
+            superClaudePath: path.join(root, '.home'),
+            cacheDir: path.join(root, '.cache'),
+            reportsDir: path.join(root, 'reports'),
+            docs: {
+                autoDocLog: path.join(root, 'docs', 'auto-documentation-log.json'),
+                projectClaudeMd: path.join(root, 'CLAUDE.md'),
+                superClaudeMd: path.join(root, '.home', 'CLAUDE.md')
+            },
+            mcp: {
+                servers: Object.fromEntries(['context7', 'sequential', 'puppeteer'].map(name =>
+                    [name, { command: process.execPath, args: [FAKE_MCP_SERVER], type: 'stdio' }]))
+            },
+            logging
+        }
+    });
+    return root;
+}
+
+// Run a whole session in a child process that uses the framework as a library
+function runSession(root, env = {}) {
+    const script = `
+        const ActiveSuperClaudeSession = require(${JSON.stringify(path.join(__dirname, '..', 'core', 'active-superclaude-session.js'))});
+        (async () => {
+            const session = new ActiveSuperClaudeSession({ projectRoot: process.cwd() });
+            await session.initializeSession('fix the react button css');
+            await session.processRequest('style the checkout button');
+            await session.shutdown();
+        })();
+    `;
+    const cleanEnv = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('SUPERCLAUDE_')));
+    return spawnSync(process.execPath, ['-e', script], {
+        cwd: root,
+        encoding: 'utf8',
+        timeout: 60000,
+        env: { ...cleanEnv, HOME: root, SUPERCLAUDE_USER_CONFIG: path.join(root, '.user', 'config.json'), ...env }
+    });
+}
+
+test('a session configured as silent prints nothing', () => {
+    const child = runSession(libraryProject({ level: 'silent' }));
+
+    assert.equal(child.status, 0, child.stderr);
+    assert.equal(child.stdout, '');
+    assert.equal(child.stderr, '');
+});
+
+test('the log level and format can come from environment variables', () => {
+    const root = libraryProject({ level: 'info' });
+
+    assert.equal(runSession(root, { SUPERCLAUDE_LOG_LEVEL: 'silent' }).stdout, '');
+
+    const child = runSession(root, { SUPERCLAUDE_LOG_FORMAT: 'json' });
+    assert.equal(child.status, 0, child.stderr);
+    const entries = child.stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(entries.length > 0);
+    assert.ok(entries.every(entry => entry.level && entry.namespace && typeof entry.msg === 'string'));
+    assert.ok(entries.some(entry => entry.namespace.startsWith('session')));
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MCPConnectionPool = require('../core/mcp-connection-pool.js');
+const RealMCPIntegration = require('../core/real-mcp-integration.js');
+const { tempDir, isolatedConfig } = require('./helpers.js');
+
+// A pool over the fake MCP server (see helpers.isolatedConfig), shut down after the test
+function createPool(t, idleTimeoutMs = 60000) {
+    const mcp = new RealMCPIntegration({ config: isolatedConfig(tempDir()) });
+    const pool = new MCPConnectionPool({ mcp, idleTimeoutMs });
+    t.after(() => pool.shutdown());
+    return pool;
+}
+
+test('attached servers stay warm for the next holder', async t => {
+    const pool = createPool(t);
+
+    assert.deepEqual(await pool.attach('session-a', ['context7', 'sequential']), ['context7', 'sequential']);
+    const pid = pool.mcp.mcpServers.get('context7').process.pid;
+    pool.detach('session-a');
+    assert.deepEqual(await pool.attach('session-b', ['context7']), ['context7']);
+
+    assert.equal(pool.mcp.mcpServers.get('context7').process.pid, pid);
+    assert.deepEqual({ starts: pool.stats.starts, reuses: pool.stats.reuses }, { starts: 2, reuses: 1 });
+});
+
+test('concurrent attaches share one server start', async t => {
+    const pool = createPool(t);
+
+    await Promise.all([pool.attach('session-a', ['sequential']), pool.attach('session-b', ['sequential'])]);
+
+    assert.equal(pool.stats.starts, 1);
+    assert.equal(pool.mcp.mcpServers.size, 1);
+    assert.deepEqual(pool.getStats().servers[0].attachedTo, ['session-a', 'session-b']);
+});
+
+test('re-attaching replaces the view and detaches what was dropped', async t => {
+    const pool = createPool(t);
+    await pool.attach('session', ['context7', 'sequential']);
+    await pool.attach('session', ['sequential', 'puppeteer']);
+
+    const stats = pool.getStats();
+    assert.deepEqual(stats.servers.map(server => [server.name, server.state]).sort(), [
+        ['context7', 'warm'], ['puppeteer', 'attached'], ['sequential', 'attached']
+    ]);
+    assert.deepEqual({ running: stats.running, attached: stats.attached, warm: stats.warm }, { running: 3, attached: 2, warm: 1 });
+});
+
+test('only servers detached everywhere are closed once idle', async t => {
+    const pool = createPool(t, 1000);
+    await pool.attach('session-a', ['context7', 'sequential']);
+    await pool.attach('session-b', ['sequential']);
+    pool.detach('session-a');
+
+    assert.deepEqual(pool.closeIdle(), []);
+    assert.deepEqual(pool.closeIdle(Date.now() + 1000), ['context7']);
+    assert.deepEqual([...pool.mcp.mcpServers.keys()], ['sequential']);
+    assert.equal(pool.stats.idleClosed, 1);
+
+    // A closed server starts again on the next attach
+    await pool.attach('session-a', ['context7']);
+    assert.equal(pool.stats.starts, 3);
+});
+
+test('an idle timeout of 0 keeps servers warm until shutdown', async t => {
+    const pool = createPool(t, 0);
+    await pool.attach('session', ['context7']);
+    pool.detach('session');
+
+    assert.equal(pool.sweepTimer, null);
+    assert.deepEqual(pool.closeIdle(Date.now() + 3600000), []);
+    await pool.shutdown();
+    assert.equal(pool.mcp.mcpServers.size, 0);
+});
+
+test('servers that fail to start are counted and left out of the view', async t => {
+    const pool = createPool(t);
+
+    assert.deepEqual(await pool.attach('session', ['context7', 'no-such-server']), ['context7']);
+    assert.equal(pool.stats.failures, 1);
+});
+
+test('integrations sharing the pool call its servers instead of starting their own', async t => {
+    const pool = createPool(t);
+    const config = isolatedConfig(tempDir());
+    const other = new RealMCPIntegration({ config, pool });
+    await pool.attach('session-a', ['sequential']);
+
+    const server = await other.startMCPServer('sequential');
+    const response = await other.callMCP('sequential', 'tools/list');
+
+    assert.equal(server, pool.mcp.mcpServers.get('sequential'));
+    assert.equal(response.response.pid, server.process.pid);
+    await other.shutdown();
+    assert.equal(pool.mcp.mcpServers.size, 1);
+});
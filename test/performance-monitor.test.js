@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const PerformanceMonitor = require('../tools/performance-monitor.js');
+const { tempDir } = require('./helpers.js');
+
+function createMonitor(t, metricsDir = tempDir()) {
+    const monitor = new PerformanceMonitor({ metricsDir });
+    t.after(() => monitor.close());
+    return monitor;
+}
+
+test('durations are summarized with nearest-rank percentiles', t => {
+    const monitor = createMonitor(t);
+    for (let duration = 1; duration <= 100; duration++) {
+        monitor.recordOperation('context_analysis', { duration, cacheHit: duration % 10 === 0 });
+    }
+    monitor.recordOperation('context_analysis', {});
+
+    const [series] = monitor.getSummary();
+    assert.equal(series.count, 101);
+    assert.equal(series.cacheHits, 10);
+    assert.deepEqual([series.p50, series.p95, series.p99, series.min, series.max, series.mean], [50, 95, 99, 1, 100, 50.5]);
+});
+
+test('label fields split series and roll up per operation', t => {
+    const monitor = createMonitor(t);
+    monitor.recordOperation('persona_selection', { duration: 4, selectedPersona: 'qa', scores: { qa: 3 } });
+    monitor.recordOperation('persona_selection', { duration: 8, selectedPersona: 'backend' });
+    monitor.recordOperation('mcp_call', { duration: 30, server: 'context7', method: 'tools/call', success: false });
+
+    assert.deepEqual(monitor.getSummary().map(series => series.labels), [
+        { persona: 'qa' }, { persona: 'backend' }, { server: 'context7', method: 'tools/call' }
+    ]);
+    assert.deepEqual(monitor.getOperationSummary(), {
+        persona_selection: { count: 2, errors: 0, p50: 4, p95: 8, p99: 8 },
+        mcp_call: { count: 1, errors: 1, p50: 30, p95: 30, p99: 30 }
+    });
+});
+
+test('the Prometheus export has cumulative buckets, counts and quantiles', t => {
+    const monitor = createMonitor(t);
+    monitor.recordOperation('command', { duration: 3, command: 'analyze' });
+    monitor.recordOperation('command', { duration: 40, command: 'analyze' });
+    const lines = monitor.exportPrometheus().split('\n');
+    const labels = 'operation="command",command="analyze"';
+
+    assert.ok(lines.includes('# TYPE superclaude_operation_duration_ms histogram'));
+    assert.ok(lines.includes(`superclaude_operation_duration_ms_bucket{${labels},le="2"} 0`));
+    assert.ok(lines.includes(`superclaude_operation_duration_ms_bucket{${labels},le="5"} 1`));
+    assert.ok(lines.includes(`superclaude_operation_duration_ms_bucket{${labels},le="50"} 2`));
+    assert.ok(lines.includes(`superclaude_operation_duration_ms_bucket{${labels},le="+Inf"} 2`));
+    assert.ok(lines.includes(`superclaude_operation_duration_ms_sum{${labels}} 43`));
+    assert.ok(lines.includes(`superclaude_operation_latency_ms{${labels},quantile="0.5"} 3`));
+    assert.ok(lines.includes(`superclaude_operations_total{${labels}} 2`));
+});
+
+test('label values are escaped in the Prometheus export', t => {
+    const monitor = createMonitor(t);
+    monitor.recordOperation('command', { command: 'say "hi"\\now' });
+
+    assert.match(monitor.exportPrometheus(), /command="say \\"hi\\"\\\\now"/);
+});
+
+test('metrics are written on close and loaded by the next run', t => {
+    const metricsDir = tempDir();
+    const first = new PerformanceMonitor({ metricsDir });
+    first.recordOperation('persona_usage', { duration: 12, persona: 'mentor' });
+    first.close();
+
+    assert.ok(fs.readFileSync(first.prometheusPath, 'utf8').includes('persona="mentor"'));
+    const second = createMonitor(t, metricsDir);
+    second.recordOperation('persona_usage', { duration: 20, persona: 'mentor' });
+    assert.deepEqual(second.getOperationSummary().persona_usage, { count: 2, errors: 0, p50: 12, p95: 20, p99: 20 });
+
+    second.reset();
+    assert.deepEqual(JSON.parse(fs.readFileSync(second.jsonPath, 'utf8')).series, {});
+});
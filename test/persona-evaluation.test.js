@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const PersonaEvaluation = require('../tools/persona-evaluation.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+function corpus(lines) {
+    const dir = tempDir();
+    writeFiles(dir, { 'corpus.jsonl': lines.join('\n') });
+    return path.join(dir, 'corpus.jsonl');
+}
+
+test('corpus lines are validated with their line numbers', () => {
+    const evaluation = new PersonaEvaluation({
+        corpusPath: corpus([
+            '// comment',
+            '{"request": "fix the login css", "persona": "frontend"}',
+            '{"request": "", "persona": "qa"}',
+            '{"request": "review this"}',
+            '{not json'
+        ])
+    });
+    const { examples, errors } = evaluation.loadCorpus();
+
+    assert.deepEqual(examples, [{ line: 2, context: {}, request: 'fix the login css', persona: 'frontend' }]);
+    assert.deepEqual(errors.map(error => error.split(' ')[0].split(':').pop()), ['3', '4', '5']);
+});
+
+test('metrics report accuracy, precision, recall and the confusion matrix', () => {
+    const metrics = new PersonaEvaluation().computeMetrics([
+        { expected: 'frontend', predicted: 'frontend' },
+        { expected: 'frontend', predicted: 'backend' },
+        { expected: 'backend', predicted: 'backend' },
+        { expected: 'qa', predicted: 'backend' }
+    ]);
+
+    assert.equal(metrics.accuracy, 0.5);
+    assert.deepEqual(metrics.labels, ['backend', 'frontend', 'qa']);
+    assert.deepEqual(metrics.confusion.frontend, { backend: 1, frontend: 1, qa: 0 });
+    assert.deepEqual(metrics.perPersona.backend, { support: 1, predicted: 3, precision: 0.333, recall: 1, f1: 0.5 });
+    assert.deepEqual(metrics.perPersona.qa, { support: 1, predicted: 0, precision: 0, recall: 0, f1: 0 });
+});
+
+test('a run fails when accuracy is below the threshold', async () => {
+    const corpusPath = corpus([
+        '{"request": "add unit tests and raise coverage for the checkout flow", "persona": "qa"}',
+        '{"request": "add unit tests and raise coverage for the checkout flow", "persona": "mentor"}'
+    ]);
+
+    const strict = await new PersonaEvaluation({ corpusPath, threshold: 0.9 }).run(['src']);
+    assert.equal(strict.results[0].accuracy, 0.5);
+    assert.equal(strict.passed, false);
+
+    const lenient = await new PersonaEvaluation({ corpusPath, threshold: 0.5 }).run(['src']);
+    assert.equal(lenient.passed, true);
+    assert.match(new PersonaEvaluation().formatReport(lenient), /✅ src: accuracy 50\.0% \(1\/2, threshold 50%\)/);
+});
+
+test('a corpus with errors fails without evaluating and unknown systems throw', async () => {
+    const broken = await new PersonaEvaluation({ corpusPath: corpus(['{"persona": "qa"}']) }).run(['src']);
+    assert.equal(broken.passed, false);
+    assert.deepEqual(broken.results, []);
+
+    const evaluation = new PersonaEvaluation({ corpusPath: corpus(['{"request": "hi", "persona": "qa"}']) });
+    await assert.rejects(evaluation.run(['oracle']), /Unknown persona selector: oracle/);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const PersonaIntelligenceEngine = require('../core/persona-intelligence-engine.js');
+const { tempDir, writeFiles, isolatedConfig } = require('./helpers.js');
+
+const RULES = `rules:
+  - id: python-files
+    type: file-glob
+    match: "*.py"
+    personas: [backend]
+    weight: 3
+  - id: speed
+    type: keyword
+    match: [slow, latency]
+    personas: [performance]
+    weight: 2
+`;
+
+const DATA_ENGINEER = [
+    'Identity: Data pipeline specialist',
+    'Decision_Framework: Correctness > latency',
+    'MCP_Preferences: Context7(primary)',
+    'Focus: ETL',
+    'Triggers:',
+    '  Keywords: [etl]',
+    '  Weight: 6'
+].join('\n');
+
+function createEngine(t, overrides = {}) {
+    const root = tempDir();
+    writeFiles(root, {
+        'rules.yml': RULES,
+        '.superclaude/personas/data-engineer.yml': DATA_ENGINEER
+    });
+    const engine = new PersonaIntelligenceEngine({
+        config: isolatedConfig(root, { scoringRulesFile: path.join(root, 'rules.yml'), ...overrides })
+    });
+    t.after(() => engine.close());
+    return engine;
+}
+
+async function select(engine, request) {
+    return engine.selectOptimalPersona(await engine.analyzeContext(request));
+}
+
+test('the explanation lists every scoring stage in order', async t => {
+    const engine = createEngine(t);
+    const selection = await select(engine, 'the etl job in load.py is slow');
+
+    assert.deepEqual(selection.explanation.stages.map(stage => stage.stage), [
+        'file_glob_rules', 'keyword_rules', 'regex_rules', 'task_type_rules',
+        'error_patterns', 'persona_triggers', 'learning_patterns'
+    ]);
+    assert.deepEqual(selection.explanation.stages[0].contributions, { backend: 3 });
+    assert.deepEqual(selection.explanation.stages[1].contributions, { performance: 2 });
+    assert.deepEqual(selection.explanation.stages[5].details, [{ persona: 'data-engineer', trigger: 'keyword:etl', weight: 6 }]);
+});
+
+test('stage contributions add up to the final scores', async t => {
+    const engine = createEngine(t);
+    const selection = await select(engine, 'the etl job in load.py is slow');
+    const summed = {};
+    for (const stage of selection.explanation.stages) {
+        for (const [persona, delta] of Object.entries(stage.contributions)) {
+            summed[persona] = (summed[persona] || 0) + delta;
+        }
+    }
+
+    for (const [persona, total] of Object.entries(selection.explanation.totals)) {
+        assert.equal(summed[persona] || 0, total, persona);
+    }
+    assert.equal(selection.persona, 'data-engineer');
+});
+
+test('the explanation table marks the winner and names the rules that fired', async t => {
+    const engine = createEngine(t);
+    const table = engine.formatSelectionExplanation(await select(engine, 'the etl job in load.py is slow'));
+    const lines = table.split('\n');
+
+    assert.match(lines[0], /^persona\s+file_glob_rules\s+keyword_rules .* total$/);
+    assert.match(lines[2], /^data-engineer \*\s/);
+    assert.ok(lines.includes('file_glob_rules: python-files [*.py] -> backend +3'));
+    assert.ok(lines.includes('persona_triggers: keyword:etl -> data-engineer +6'));
+});
+
+test('feedback on a selection shows up in the learning stage of the next one', async t => {
+    const engine = createEngine(t);
+    const first = await select(engine, 'the etl job in load.py is slow');
+
+    assert.equal(engine.recordFeedback(first.selectionId, 'override', { persona: 'performance' }), true);
+    assert.equal(engine.recordFeedback(first.selectionId, 'accept'), false);
+
+    const second = await select(engine, 'the etl job in load.py is slow');
+    const learned = second.explanation.learningBoost;
+    assert.ok(learned['data-engineer'] < 0);
+    assert.ok(learned.performance > 0);
+});
+
+test('close scores blend the top personas with normalized weights', async t => {
+    const engine = createEngine(t, { blending: { enabled: true, margin: 0.5, maxPersonas: 3 } });
+    const selection = await select(engine, 'the etl job in load.py is slow');
+
+    // data-engineer 6, backend 3, performance 2: backend is within 50% of the winner, performance is not
+    assert.deepEqual(selection.blend.personas, [
+        { persona: 'data-engineer', weight: 0.667 },
+        { persona: 'backend', weight: 0.333 }
+    ]);
+    assert.match(selection.blend.profile.Identity, /^Data pipeline specialist \+ /);
+    assert.match(selection.blend.profile.Decision_Framework, /^data-engineer \(67%\): Correctness > latency \|\| backend \(33%\): /);
+    assert.match(engine.formatSelectionExplanation(selection), /blend: data-engineer 67% \+ backend 33%/);
+});
+
+test('blending is off when disabled or when no persona is within the margin', async t => {
+    const disabled = createEngine(t, { blending: { enabled: false } });
+    assert.equal((await select(disabled, 'the etl job in load.py is slow')).blend, null);
+
+    const narrow = createEngine(t, { blending: { enabled: true, margin: 0.1 } });
+    assert.equal((await select(narrow, 'the etl job in load.py is slow')).blend, null);
+});
+
+test('merged MCP preferences keep the first role and drop avoid notes another persona overrules', t => {
+    const engine = createEngine(t);
+    const merged = engine.mergeMcpPreferences([
+        'Magic(primary) + Playwright(testing) | Avoid Sequential',
+        'Sequential(analysis) + Magic(secondary) | Prefer small diffs'
+    ]);
+
+    assert.equal(merged, 'Magic(primary) + Playwright(testing) + Sequential(analysis) | Prefer small diffs');
+});
+
+test('cached analyses are reused until the scoring rules change', async t => {
+    const engine = createEngine(t);
+    await engine.analyzeContext('the etl job in load.py is slow');
+    await engine.analyzeContext('the etl job in load.py is slow');
+    assert.equal(engine.smartCache.getStats().hits, 1);
+
+    fs.writeFileSync(engine.scoringRules.rulesFile, RULES.replace('weight: 2', 'weight: 4'));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(engine.scoringRules.rulesFile, later, later);
+    await engine.analyzeContext('the etl job in load.py is slow');
+
+    const stats = engine.smartCache.getStats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.invalidations, 1);
+});
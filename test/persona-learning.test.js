@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const PersonaLearning = require('../core/persona-learning.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SELECTION = { persona: 'backend', contextKey: 'ctx-1', taskType: 'debugging' };
+
+function createLearning(options = {}) {
+    const dir = options.dir || tempDir();
+    let now = options.now || Date.UTC(2026, 0, 1);
+    const learning = new PersonaLearning({
+        patternsPath: path.join(dir, 'learning-patterns.json'),
+        halfLifeDays: 10,
+        now: () => now
+    });
+    return { learning, dir, advance: ms => { now += ms; } };
+}
+
+function boostOf(boosts, persona, pattern) {
+    const found = boosts.find(boost => boost.persona === persona && boost.pattern === pattern);
+    return found ? found.boost : 0;
+}
+
+test('accepted selections boost the persona for that context and task type', () => {
+    const { learning } = createLearning();
+    learning.recordFeedback(SELECTION, 'accept');
+    const boosts = learning.getBoosts('ctx-1', 'debugging');
+
+    assert.equal(boostOf(boosts, 'backend', 'context'), 2);
+    assert.equal(boostOf(boosts, 'backend', 'task_type:debugging'), 1);
+    assert.deepEqual(learning.getBoosts('ctx-2', 'review'), []);
+});
+
+test('rejections and overrides count against the selected persona', () => {
+    const { learning } = createLearning();
+    learning.recordFeedback(SELECTION, 'reject');
+    learning.recordFeedback(SELECTION, 'override', { persona: 'security' });
+    const boosts = learning.getBoosts('ctx-1', 'debugging');
+
+    assert.equal(boostOf(boosts, 'backend', 'context'), -4);
+    assert.equal(boostOf(boosts, 'security', 'context'), 2);
+    assert.deepEqual(learning.describe().feedback.backend, { accepted: 0, rejected: 1, overridden: 1 });
+    assert.equal(learning.state.personaSuccess.backend, undefined);
+});
+
+test('learned weights are capped and halve every half-life', () => {
+    const { learning, advance } = createLearning();
+    for (let i = 0; i < 5; i++) learning.recordFeedback(SELECTION, 'accept');
+    assert.equal(boostOf(learning.getBoosts('ctx-1', 'debugging'), 'backend', 'task_type:debugging'), 3);
+
+    advance(10 * DAY_MS);
+    assert.equal(boostOf(learning.getBoosts('ctx-1', 'debugging'), 'backend', 'task_type:debugging'), 1.5);
+    assert.equal(learning.describe().taskTypes.debugging.backend, 1.5);
+});
+
+test('unknown outcomes are rejected', () => {
+    const { learning } = createLearning();
+    assert.throws(() => learning.recordFeedback(SELECTION, 'maybe'), /Unknown feedback outcome/);
+});
+
+test('state persists and decayed weights are pruned on save', () => {
+    const { learning, dir, advance } = createLearning();
+    learning.recordFeedback(SELECTION, 'accept');
+    learning.recordFeedback({ ...SELECTION, persona: 'qa', contextKey: 'ctx-2' }, 'accept');
+
+    const reloaded = createLearning({ dir, now: learning.now() }).learning;
+    assert.equal(boostOf(reloaded.getBoosts('ctx-1', 'debugging'), 'backend', 'context'), 2);
+
+    advance(100 * DAY_MS);
+    learning.save();
+    const stored = JSON.parse(fs.readFileSync(learning.patternsPath, 'utf8'));
+    assert.deepEqual(stored.contextPatterns, {});
+    assert.deepEqual(stored.personaFeedback.qa, { accepted: 1, rejected: 0, overridden: 0 });
+});
+
+test('reset forgets one persona or everything', () => {
+    const { learning } = createLearning();
+    learning.recordFeedback(SELECTION, 'accept');
+    learning.recordFeedback({ ...SELECTION, persona: 'qa' }, 'accept');
+
+    learning.reset('backend');
+    assert.deepEqual(learning.getBoosts('ctx-1', 'debugging').map(boost => boost.persona), ['qa', 'qa']);
+    assert.equal(learning.describe().feedback.backend, undefined);
+
+    learning.reset();
+    assert.deepEqual(learning.getBoosts('ctx-1', 'debugging'), []);
+});
+
+test('the version 1 format is migrated to task type weights', () => {
+    const dir = tempDir();
+    writeFiles(dir, {
+        'learning-patterns.json': { contextPatterns: { abc: 'mentor' }, taskTypeMapping: { review: 'qa' }, userPreferences: { theme: 'dark' } }
+    });
+    const { learning } = createLearning({ dir });
+
+    assert.deepEqual(learning.describe().taskTypes, { review: { qa: 1 } });
+    assert.equal(learning.describe().contextPatterns, 0);
+    assert.deepEqual(learning.state.userPreferences, { theme: 'dark' });
+});
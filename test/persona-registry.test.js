@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const PersonaRegistry = require('../core/persona-registry.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+const BUILTINS = {
+    frontend: {
+        Identity: 'UX specialist',
+        Decision_Framework: 'User needs first',
+        MCP_Preferences: 'Magic(primary)',
+        Focus: 'Accessibility'
+    }
+};
+
+const DATA_ENGINEER = [
+    'Identity: Data pipeline specialist',
+    'Decision_Framework: Correctness > latency',
+    'MCP_Preferences: Context7(primary)',
+    'Focus: ETL and warehouses',
+    'Triggers:',
+    '  Keywords: [etl, airflow]',
+    '  File_Types: [.sql]',
+    '  Patterns: ["dag\\\\b"]',
+    'Commands: [migrate]'
+].join('\n');
+
+test('project persona files are added to the built-ins', () => {
+    const dir = tempDir();
+    writeFiles(dir, { 'data-engineer.yml': DATA_ENGINEER });
+    const registry = new PersonaRegistry({ personasDir: dir });
+    registry.load(BUILTINS);
+
+    assert.deepEqual(registry.names(), ['frontend', 'data-engineer']);
+    assert.deepEqual(registry.get('data-engineer').Triggers.Keywords, ['etl', 'airflow']);
+    assert.equal(registry.describe().find(entry => entry.name === 'data-engineer').source, path.join(dir, 'data-engineer.yml'));
+    assert.deepEqual(registry.getCommandDefaults(), { migrate: 'data-engineer' });
+    assert.equal(registry.getOverrideFlags()['--persona-data-engineer'], 'data-engineer');
+});
+
+test('a partial file extends a built-in unless it asks to replace it', () => {
+    const dir = tempDir();
+    writeFiles(dir, { 'frontend.yml': 'Focus: Design systems\n' });
+    const registry = new PersonaRegistry({ personasDir: dir });
+    registry.load(BUILTINS);
+
+    assert.equal(registry.get('frontend').Focus, 'Design systems');
+    assert.equal(registry.get('frontend').Identity, 'UX specialist');
+
+    writeFiles(dir, { 'frontend.yml': 'Replace: true\nFocus: Design systems\n' });
+    registry.load(BUILTINS);
+    assert.equal(registry.get('frontend').Identity, 'UX specialist');
+    assert.match(registry.errors[0].message, /missing required field Identity/);
+});
+
+test('invalid persona files are skipped with a reason', () => {
+    const dir = tempDir();
+    writeFiles(dir, {
+        'Bad Name.yml': DATA_ENGINEER,
+        'broken.yml': 'Identity: [unclosed',
+        'list.yml': '- not a mapping',
+        'regex.yml': DATA_ENGINEER.replace('dag\\\\b', '(unclosed'),
+        'notes.txt': 'ignored'
+    });
+    const registry = new PersonaRegistry({ personasDir: dir });
+    registry.load(BUILTINS);
+
+    assert.deepEqual(registry.names(), ['frontend']);
+    const reasons = Object.fromEntries(registry.errors.map(error => [path.basename(error.file), error.message]));
+    assert.match(reasons['Bad Name.yml'], /lowercase/);
+    assert.match(reasons['broken.yml'], /YAML parse error/);
+    assert.match(reasons['list.yml'], /mapping/);
+    assert.match(reasons['regex.yml'], /invalid regex/);
+});
+
+test('a missing personas directory leaves only the built-ins', () => {
+    const registry = new PersonaRegistry({ personasDir: path.join(tempDir(), 'absent') });
+    assert.deepEqual(Object.keys(registry.load(BUILTINS)), ['frontend']);
+    assert.equal(registry.has('frontend'), true);
+    assert.equal(registry.has('backend'), false);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const PersonaScoringRules = require('../core/persona-scoring-rules.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+const RULES = `version: 1
+rules:
+  - id: frontend-files
+    type: file-glob
+    match: ["*.tsx", "*.css"]
+    personas: [frontend]
+    weight: 3
+  - id: security-words
+    type: keyword
+    match: [security, vulnerability]
+    personas: [security]
+    weight: 2
+  - id: sql-regex
+    type: regex
+    match: "\\\\bselect\\\\b.*\\\\bfrom\\\\b"
+    personas: [backend]
+    weight: 4
+  - id: debugging
+    type: task-type
+    match: [debugging]
+    personas: [analyzer]
+    weight: 5
+`;
+
+function scores() {
+    return { frontend: 0, backend: 0, security: 0, analyzer: 0 };
+}
+
+function loadRules(content) {
+    const dir = tempDir();
+    const rulesFile = path.join(dir, 'scoring-rules.yml');
+    writeFiles(dir, { 'scoring-rules.yml': content });
+    const rules = new PersonaScoringRules({ rulesFile, knownPersonas: Object.keys(scores()) });
+    rules.load();
+    return rules;
+}
+
+test('each rule type adds its weight per matched entry', () => {
+    const rules = loadRules(RULES);
+    const result = scores();
+    const fired = rules.apply({
+        request: 'check security of the query select id from users',
+        fileTypes: ['.tsx'],
+        files: ['src/App.tsx', 'styles/main.css'],
+        taskType: 'debugging'
+    }, result);
+
+    assert.deepEqual(fired.map(rule => rule.id), ['frontend-files', 'security-words', 'sql-regex', 'debugging']);
+    assert.deepEqual(result, { frontend: 6, backend: 4, security: 2, analyzer: 5 });
+});
+
+test('negated keywords do not fire', () => {
+    const rules = loadRules(RULES);
+    const result = scores();
+    rules.apply({ request: 'no security changes, just rename the button' }, result);
+
+    assert.equal(result.security, 0);
+});
+
+test('apply can be limited to one rule type', () => {
+    const rules = loadRules(RULES);
+    const result = scores();
+    const fired = rules.apply({ request: 'security audit', taskType: 'debugging' }, result, { type: 'task-type' });
+
+    assert.deepEqual(fired.map(rule => rule.id), ['debugging']);
+    assert.equal(result.security, 0);
+});
+
+test('invalid rules are skipped and reported with their line', () => {
+    const rules = loadRules(`rules:
+  - id: good
+    type: keyword
+    match: api
+    personas: [backend]
+    weight: 1
+  - id: bad-type
+    type: fuzzy
+    match: api
+    personas: [backend]
+    weight: 1
+  - id: bad-regex
+    type: regex
+    match: "(unclosed"
+    personas: [backend]
+    weight: 1
+  - id: unknown-persona
+    type: keyword
+    match: api
+    personas: [wizard]
+    weight: 1
+`);
+
+    assert.deepEqual(rules.rules.map(rule => rule.id), ['good', 'unknown-persona']);
+    assert.deepEqual(rules.errors.map(error => [error.rule, error.line]), [['bad-type', 7], ['bad-regex', 12]]);
+    assert.match(rules.errors[1].message, /invalid regex/);
+    assert.match(rules.warnings[0].message, /Unknown persona "wizard"/);
+});
+
+test('a file that does not parse keeps the previous rules', () => {
+    const rules = loadRules(RULES);
+    fs.writeFileSync(rules.rulesFile, 'rules: [unclosed');
+
+    assert.equal(rules.load(), false);
+    assert.equal(rules.rules.length, 4);
+    assert.match(rules.errors[0].message, /YAML parse error/);
+});
+
+test('refresh reloads only after the file changes', () => {
+    const rules = loadRules(RULES);
+    assert.equal(rules.refresh(), false);
+
+    fs.writeFileSync(rules.rulesFile, RULES.split('  - id: security-words')[0]);
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(rules.rulesFile, later, later);
+
+    assert.equal(rules.refresh(), true);
+    assert.deepEqual(rules.rules.map(rule => rule.id), ['frontend-files']);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PersonaSwitchPolicy = require('../core/persona-switch-policy.js');
+const { tempDir, isolatedConfig } = require('./helpers.js');
+
+// A policy whose dwell requirement is already met, so each test only exercises its own rule
+function settledPolicy(options = {}) {
+    const policy = new PersonaSwitchPolicy({ minDwellRequests: 0, cooldownMs: 0, ...options });
+    policy.recordSwitch(null, 'frontend', 'auto', 0);
+    return policy;
+}
+
+test('low confidence and a narrow score margin are rejected', () => {
+    const policy = settledPolicy();
+
+    assert.deepEqual(policy.evaluate({ from: 'frontend', to: 'backend', confidence: 0.5, now: 1000 }),
+        { allowed: false, reason: 'confidence 0.50 below 0.6' });
+    assert.deepEqual(policy.evaluate({ from: 'frontend', to: 'backend', confidence: 0.8, scores: { frontend: 9, backend: 10 }, now: 1000 }),
+        { allowed: false, reason: 'score margin 0.10 over frontend below 0.2' });
+    assert.equal(policy.evaluate({ from: 'frontend', to: 'backend', confidence: 0.8, scores: { frontend: 5, backend: 10 }, now: 1000 }).allowed, true);
+});
+
+test('switches wait for the dwell requests and time since the last switch', () => {
+    const policy = new PersonaSwitchPolicy({ minDwellRequests: 2, minDwellMs: 500, cooldownMs: 0 });
+    policy.recordSwitch('frontend', 'backend', 'auto', 0);
+    policy.recordRequest();
+
+    assert.equal(policy.evaluate({ from: 'backend', to: 'qa', now: 1000 }).reason, 'dwell: 1/2 requests since last switch');
+    policy.recordRequest();
+    assert.equal(policy.evaluate({ from: 'backend', to: 'qa', now: 100 }).reason, 'dwell: 100ms of 500ms since last switch');
+    assert.equal(policy.evaluate({ from: 'backend', to: 'qa', now: 1000 }).allowed, true);
+});
+
+test('returning to a persona just left waits for the cooldown', () => {
+    const policy = new PersonaSwitchPolicy({ minDwellRequests: 0, cooldownMs: 60000 });
+    policy.recordSwitch('frontend', 'backend', 'auto', 0);
+
+    assert.equal(policy.evaluate({ from: 'backend', to: 'frontend', now: 1000 }).reason, 'cooldown: left frontend 1000ms ago (60000ms)');
+    assert.equal(policy.evaluate({ from: 'backend', to: 'qa', now: 1000 }).allowed, true);
+    assert.equal(policy.evaluate({ from: 'backend', to: 'frontend', now: 61000 }).allowed, true);
+});
+
+test('a pin holds automatic and command switches; a user override moves it', () => {
+    const policy = settledPolicy({ pinnedPersona: 'security' });
+
+    assert.equal(policy.evaluate({ from: 'security', to: 'qa', source: 'command' }).reason, 'pinned to security');
+    assert.equal(policy.evaluate({ from: 'security', to: 'qa', confidence: 0.99 }).reason, 'pinned to security');
+    assert.deepEqual(policy.evaluate({ from: 'security', to: 'qa', source: 'user' }), { allowed: true, reason: 'user override' });
+
+    policy.recordSwitch('security', 'qa', 'user');
+    assert.equal(policy.pinnedPersona, 'qa');
+    policy.unpin();
+    assert.equal(policy.evaluate({ from: 'qa', to: 'security', source: 'command' }).allowed, true);
+});
+
+test('command switches skip the scoring rules, and a session without a persona may always switch', () => {
+    const policy = new PersonaSwitchPolicy({ minDwellRequests: 5 });
+    policy.recordSwitch('frontend', 'backend', 'auto');
+
+    assert.deepEqual(policy.evaluate({ from: 'backend', to: 'qa', source: 'command', confidence: 0.1 }), { allowed: true, reason: 'command' });
+    assert.deepEqual(policy.evaluate({ from: null, to: 'qa', confidence: 0.1 }), { allowed: true, reason: 'no current persona' });
+    assert.equal(policy.evaluate({ from: 'qa', to: 'qa' }).allowed, false);
+});
+
+test('rejections are counted by rule', () => {
+    const policy = new PersonaSwitchPolicy({ minDwellRequests: 3, cooldownMs: 0 });
+    policy.recordSwitch('frontend', 'backend', 'auto');
+    policy.evaluate({ from: 'backend', to: 'qa' });
+    policy.evaluate({ from: 'backend', to: 'qa', confidence: 0.1 });
+    policy.evaluate({ from: 'backend', to: 'qa' });
+    policy.evaluate({ from: 'backend', to: 'backend' });
+
+    const description = policy.describe();
+    assert.equal(description.rejected, 3);
+    assert.deepEqual(description.rejectionReasons, { dwell: 2, confidence: 1 });
+    assert.equal(description.requestsSinceSwitch, 0);
+    assert.equal(new PersonaSwitchPolicy().describe().requestsSinceSwitch, null);
+});
+
+test('settings come from the switching.* config keys', () => {
+    const config = isolatedConfig(tempDir(), { switching: { minScoreMargin: 0.5, cooldownMs: 10, pinnedPersona: 'architect' } });
+    const policy = PersonaSwitchPolicy.fromConfig(config);
+
+    assert.equal(policy.settings.minScoreMargin, 0.5);
+    assert.equal(policy.settings.cooldownMs, 10);
+    assert.equal(policy.settings.minConfidence, PersonaSwitchPolicy.DEFAULT_POLICY.minConfidence);
+    assert.equal(policy.pinnedPersona, 'architect');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ProjectFingerprinter = require('../core/project-fingerprint.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+const MONOREPO = {
+    'package.json': { name: 'shop', workspaces: ['packages/*'], devDependencies: { typescript: '^5', jest: '^29' } },
+    'package-lock.json': '{}',
+    'packages/web/package.json': { name: '@shop/web', dependencies: { react: '^18', 'react-dom': '^18' } },
+    'packages/api/package.json': { name: '@shop/api', dependencies: { fastify: '^4', pg: '^8' } },
+    'packages/notes/README.md': 'no manifest, not a package',
+    'services/ml/pyproject.toml': '[project]\ndependencies = [\n  "fastapi>=0.100",\n  "pandas",\n]\n',
+    'Dockerfile': 'FROM --platform=linux/amd64 node:20-alpine AS build\nFROM nginx:1.25\n',
+    '.github/workflows/ci.yml': 'on: push\n',
+    '.github/workflows/README.md': 'not a workflow'
+};
+
+test('a workspace monorepo is fingerprinted per package', () => {
+    const root = tempDir();
+    writeFiles(root, MONOREPO);
+    const fingerprint = new ProjectFingerprinter().fingerprint(root);
+
+    assert.equal(fingerprint.projectType, 'node');
+    assert.deepEqual(fingerprint.packageManagers, ['npm']);
+    assert.deepEqual(fingerprint.monorepo, { tools: ['npm-workspaces'], packages: ['packages/api', 'packages/web'] });
+    assert.deepEqual(fingerprint.packages.map(pkg => [pkg.name, pkg.frameworks]), [
+        ['shop', ['TypeScript', 'Jest']],
+        ['@shop/api', ['Fastify', 'PostgreSQL']],
+        ['@shop/web', ['React']]
+    ]);
+    assert.deepEqual(fingerprint.languages, ['javascript', 'typescript']);
+    assert.deepEqual(fingerprint.categories.sort(), ['backend', 'database', 'frontend', 'testing']);
+    assert.deepEqual(fingerprint.docker.baseImages, ['node:20-alpine', 'nginx:1.25']);
+    assert.deepEqual(fingerprint.ci, [{ provider: 'github-actions', files: ['.github/workflows/ci.yml'] }]);
+});
+
+test('python manifests are read from requirements.txt and pyproject.toml', () => {
+    const root = tempDir();
+    writeFiles(root, {
+        'requirements.txt': '# web\nDjango[argon2]>=4.2 ; python_version > "3.8"\n-r dev.txt\npsycopg2-binary\n',
+        'pyproject.toml': '[tool.poetry.dependencies]\npython = "^3.11"\ncelery = "^5"\n\n[tool.black]\nline-length = 100\n'
+    });
+    const fingerprint = new ProjectFingerprinter().fingerprint(root);
+
+    assert.equal(fingerprint.projectType, 'python');
+    assert.deepEqual(fingerprint.frameworks, ['Django', 'PostgreSQL', 'Celery']);
+    assert.equal(fingerprint.monorepo, null);
+});
+
+test('pnpm and lerna workspaces and nested ** patterns are discovered', () => {
+    const root = tempDir();
+    writeFiles(root, {
+        'pnpm-workspace.yaml': "packages:\n  - 'apps/**'\n  - '!apps/legacy'\n",
+        'lerna.json': { packages: ['tools/cli'] },
+        'apps/site/package.json': { dependencies: { next: '14' } },
+        'apps/group/admin/package.json': { dependencies: { vue: '3' } },
+        'apps/site/node_modules/dep/package.json': {},
+        'tools/cli/package.json': { dependencies: { commander: '1' } }
+    });
+    const fingerprint = new ProjectFingerprinter().fingerprint(root);
+
+    assert.deepEqual(fingerprint.monorepo.tools, ['pnpm', 'lerna']);
+    assert.deepEqual(fingerprint.monorepo.packages.sort(), ['apps/group/admin', 'apps/site', 'tools/cli']);
+});
+
+test('fingerprints are cached until a manifest changes, also across instances', () => {
+    const root = tempDir();
+    const cacheDir = tempDir();
+    writeFiles(root, { 'package.json': { dependencies: { express: '4' } } });
+    const fingerprinter = new ProjectFingerprinter({ cacheDir });
+    const first = fingerprinter.fingerprint(root);
+
+    assert.equal(fingerprinter.fingerprint(root), first);
+    assert.deepEqual(new ProjectFingerprinter({ cacheDir }).fingerprint(root).scannedAt, first.scannedAt);
+
+    writeFiles(root, { 'package.json': { dependencies: { express: '4', mocha: '10' } } });
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(root, 'package.json'), later, later);
+    const changed = fingerprinter.fingerprint(root);
+    assert.notEqual(changed.signature, first.signature);
+    assert.deepEqual(changed.frameworks, ['Express', 'Mocha']);
+});
+
+test('unreadable CI and Dockerfile paths are skipped', () => {
+    const root = tempDir();
+    writeFiles(root, { '.github/workflows': 'not a directory', 'Dockerfile/README': 'a directory named Dockerfile' });
+    const fingerprint = new ProjectFingerprinter().fingerprint(root);
+
+    assert.deepEqual(fingerprint.ci, []);
+    assert.deepEqual(fingerprint.docker, { dockerfiles: ['Dockerfile'], compose: [], baseImages: [] });
+});
+
+test('MCP hints and touched packages follow the fingerprint', () => {
+    const root = tempDir();
+    writeFiles(root, MONOREPO);
+    writeFiles(root, { 'packages/web/package.json': { name: '@shop/web', dependencies: { react: '^18', cypress: '^13' } } });
+    const fingerprinter = new ProjectFingerprinter();
+    const fingerprint = fingerprinter.fingerprint(root);
+
+    assert.deepEqual(fingerprinter.mcpHints(fingerprint), ['Context7(framework docs)', 'Puppeteer(e2e testing)']);
+    assert.deepEqual(fingerprinter.packagesFor(fingerprint, ['packages/api/src/server.ts']).map(pkg => pkg.name), ['@shop/api']);
+    assert.deepEqual(fingerprinter.packagesFor(fingerprint, [path.join(root, 'packages/web/App.tsx')]).map(pkg => pkg.name), ['@shop/web']);
+    assert.equal(fingerprinter.packagesFor(fingerprint, ['README.md']).length, 3);
+});
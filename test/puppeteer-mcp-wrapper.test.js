@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+require('./helpers.js'); // Silences the logger for the in-process wrapper
+
+const WRAPPER = path.join(__dirname, '..', 'core', 'puppeteer-mcp-wrapper.js');
+
+// Without puppeteer the wrapper falls back to a mock browser; with it, start() would launch Chrome
+let puppeteerInstalled = true;
+try {
+    require.resolve('puppeteer');
+} catch (error) {
+    puppeteerInstalled = false;
+}
+
+// One request on its own connection, so none is left open when the wrapper stops
+function request(port, pathname, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, path: pathname, method: body ? 'POST' : 'GET', agent: false }, res => {
+            let data = '';
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+    });
+}
+
+test('the wrapper loads in a fresh process with logging configured only by env', () => {
+    const child = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(WRAPPER)})`], {
+        encoding: 'utf8',
+        timeout: 30000,
+        env: { ...process.env, SUPERCLAUDE_LOG_LEVEL: 'warn', SUPERCLAUDE_LOG_DESTINATION: 'stderr' }
+    });
+
+    assert.equal(child.status, 0, child.stderr);
+    assert.equal(child.stdout, '');
+});
+
+test('the wrapper serves its HTTP API', { skip: puppeteerInstalled && 'puppeteer is installed' }, async t => {
+    const PuppeteerMCPWrapper = require(WRAPPER);
+    const wrapper = new PuppeteerMCPWrapper(0);
+    await wrapper.start();
+    t.after(() => wrapper.stop());
+    const port = wrapper.server.address().port;
+
+    assert.equal((await request(port, '/health')).body.status, 'healthy');
+    assert.deepEqual((await request(port, '/api/tools')).body.tools.map(tool => tool.name),
+        ['navigate', 'click', 'type', 'screenshot', 'evaluate']);
+    assert.equal((await request(port, '/api/navigate', { url: 'https://example.com' })).body.success, true);
+    assert.equal((await request(port, '/missing')).status, 404);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RequestPipeline = require('../core/request-pipeline.js');
+
+// A middleware that only records its own name on the context
+function mark(name) {
+    return ctx => {
+        ctx.marks = (ctx.marks || []).concat(name);
+    };
+}
+
+test('middlewares run by phase and order, ties in registration order', async () => {
+    const pipeline = new RequestPipeline()
+        .use('enrich', mark('enrich'), { order: 300 })
+        .use('telemetry', mark('telemetry'), { phase: 'post' })
+        .use('policy', mark('policy'), { order: 100 })
+        .use('audit', mark('audit'), { order: 300 });
+
+    const ctx = await pipeline.run({}, ctx => {
+        ctx.marks.push('handler');
+        return 'done';
+    });
+
+    assert.deepEqual(ctx.marks, ['policy', 'enrich', 'audit', 'handler', 'telemetry']);
+    assert.deepEqual(ctx.trace, ['policy', 'enrich', 'audit', 'telemetry']);
+    assert.equal(ctx.result, 'done');
+});
+
+test('respond() skips the handler and later middlewares except those marked always', async () => {
+    const pipeline = new RequestPipeline()
+        .use('deny', ctx => ctx.respond({ refused: true }), { order: 100 })
+        .use('enrich', mark('enrich'), { order: 200 })
+        .use('store', mark('store'), { phase: 'post' })
+        .use('telemetry', mark('telemetry'), { phase: 'post', always: true });
+    let handled = false;
+
+    const ctx = await pipeline.run({}, () => {
+        handled = true;
+    });
+
+    assert.equal(handled, false);
+    assert.equal(ctx.shortCircuited, true);
+    assert.deepEqual(ctx.response, { refused: true });
+    assert.deepEqual(ctx.marks, ['telemetry']);
+});
+
+test('disabled middlewares are skipped until enabled again', async () => {
+    const pipeline = new RequestPipeline({ disabled: ['policy'] })
+        .use('policy', mark('policy'))
+        .use('enrich', mark('enrich'));
+
+    assert.deepEqual((await pipeline.run({}, () => {})).marks, ['enrich']);
+    pipeline.enable('policy');
+    pipeline.disable('enrich');
+    assert.deepEqual((await pipeline.run({}, () => {})).marks, ['policy']);
+});
+
+test('registration is validated and middlewares can be removed', () => {
+    const pipeline = new RequestPipeline().use('policy', mark('policy'));
+
+    assert.throws(() => pipeline.use('policy', mark('policy')), /Middleware already registered: policy/);
+    assert.throws(() => pipeline.use('late', mark('late'), { phase: 'during' }), /phase must be one of pre, post/);
+    assert.throws(() => pipeline.use('broken', 'not a function'), /handler must be a function/);
+    assert.equal(pipeline.remove('policy'), true);
+    assert.equal(pipeline.remove('policy'), false);
+});
+
+test('list() reports middlewares in execution order with their settings', () => {
+    const pipeline = new RequestPipeline({ disabled: ['store'] })
+        .use('store', mark('store'), { phase: 'post', builtin: true })
+        .use('policy', mark('policy'), { order: 10, always: true });
+
+    assert.deepEqual(pipeline.list(), [
+        { name: 'policy', phase: 'pre', order: 10, always: true, builtin: false, enabled: true },
+        { name: 'store', phase: 'post', order: 500, always: false, builtin: true, enabled: false }
+    ]);
+});
+
+test('an error in a middleware propagates to the caller', async () => {
+    const pipeline = new RequestPipeline().use('policy', () => {
+        throw new Error('policy check failed');
+    });
+
+    await assert.rejects(pipeline.run({}, () => {}), /policy check failed/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Budget = require('../core/session-budget.js');
+const { tempDir, isolatedConfig } = require('./helpers.js');
+
+const START = 1000;
+
+// A budget started at START over a meter the test moves by hand
+function meteredBudget(limits, options = {}) {
+    const meter = { tokens: 100, mcpCalls: 4 };
+    const budget = new Budget({ limits, meter: () => ({ ...meter }), now: START, ...options });
+    return { budget, meter };
+}
+
+test('usage is measured from when the budget started', () => {
+    const { budget, meter } = meteredBudget({ tokens: 1000 });
+    meter.tokens += 250;
+    meter.mcpCalls += 1;
+
+    assert.deepEqual(budget.usage(START + 500), { tokens: 250, timeMs: 500, mcpCalls: 1 });
+});
+
+test('a budget is ok, then soft past the ratio, then hard at the limit', () => {
+    const { budget, meter } = meteredBudget({ tokens: 1000, mcpCalls: 10 });
+
+    assert.deepEqual(budget.check(START), { state: 'ok', budget: 'session', metrics: [] });
+    meter.tokens += 800;
+    assert.deepEqual(budget.check(START), { state: 'soft', budget: 'session', metrics: [{ metric: 'tokens', used: 800, limit: 1000 }] });
+    meter.mcpCalls += 10;
+    assert.deepEqual(budget.check(START), { state: 'hard', budget: 'session', metrics: [{ metric: 'mcpCalls', used: 10, limit: 10 }] });
+});
+
+test('the time limit counts wall-clock time since the start', () => {
+    const { budget } = meteredBudget({ timeMs: 1000 }, { softLimitRatio: 0.5 });
+
+    assert.equal(budget.check(START + 400).state, 'ok');
+    assert.equal(budget.check(START + 500).state, 'soft');
+    assert.equal(budget.check(START + 1000).state, 'hard');
+});
+
+test('limits of 0 are unlimited and have no remaining figure', () => {
+    const { budget, meter } = meteredBudget({ tokens: 0, mcpCalls: 5 });
+    meter.tokens += 1e9;
+    meter.mcpCalls += 7;
+
+    assert.equal(budget.isLimited(), true);
+    assert.equal(new Budget().isLimited(), false);
+    assert.deepEqual(budget.remaining(START), { tokens: null, timeMs: null, mcpCalls: 0 });
+    assert.equal(Budget.formatExceeded(budget.check(START)), 'session mcpCalls 7/5');
+});
+
+test('limits and the soft ratio come from the budget.<scope>.* config keys', () => {
+    const config = isolatedConfig(tempDir(), { budget: { workflow: { tokens: 500 }, softLimitRatio: 0.5 } });
+    const budget = Budget.fromConfig(config, 'workflow', { name: 'workflow:release' });
+
+    assert.deepEqual(budget.describe(budget.startedAt), {
+        name: 'workflow:release',
+        state: 'ok',
+        limits: { tokens: 500, timeMs: 0, mcpCalls: 0 },
+        used: { tokens: 0, timeMs: 0, mcpCalls: 0 },
+        remaining: { tokens: 500, timeMs: null, mcpCalls: null },
+        softLimitRatio: 0.5
+    });
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ActiveSuperClaudeSession = require('../core/active-superclaude-session.js');
+const SESSION_EVENTS = require('../core/session-events.js');
+const { tempDir, isolatedConfig } = require('./helpers.js');
+
+async function startSession(t) {
+    const session = new ActiveSuperClaudeSession({ config: isolatedConfig(tempDir()) });
+    t.after(() => session.shutdown());
+    await session.initializeSession('fix the react button css');
+    return session;
+}
+
+// Every event seen by the session, in order
+function recordEvents(session) {
+    const events = [];
+    for (const type of Object.keys(SESSION_EVENTS)) {
+        session.on(type, event => events.push(event));
+    }
+    return events;
+}
+
+function matchesType(value, type) {
+    if (type.endsWith('[]')) return Array.isArray(value) && value.every(item => matchesType(item, type.slice(0, -2)));
+    if (type === 'object') return value !== null && typeof value === 'object';
+    return typeof value === type;
+}
+
+// Problems with one payload against its documented fields
+function schemaProblems(event) {
+    const problems = [];
+    for (const [field, declared] of Object.entries(SESSION_EVENTS[event.type].fields)) {
+        const optional = declared.endsWith('?');
+        const value = event[field];
+        if (value === undefined || value === null) {
+            if (!optional) problems.push(`${event.type}.${field} missing`);
+        } else if (!matchesType(value, declared.replace(/\?$/, ''))) {
+            problems.push(`${event.type}.${field} is not ${declared}`);
+        }
+    }
+    return problems;
+}
+
+test('requests, commands, workflows, switches and MCP calls emit their documented events', async t => {
+    const session = await startSession(t);
+    const events = recordEvents(session);
+
+    await session.processRequest('style the checkout button');
+    await session.switchPersona('security', 'audit the login');
+    await session.executeCommand('analyze', ['src'], ['--security']);
+    await session.executeWorkflow('security-audit', ['login']);
+
+    const types = new Set(events.map(event => event.type));
+    for (const type of ['request:started', 'request:finished', 'persona:switched', 'command:started', 'command:finished',
+        'workflow:started', 'workflow:phase', 'workflow:finished', 'mcp:call', 'doc:updated']) {
+        assert.ok(types.has(type), `${type} not emitted`);
+    }
+    for (const event of events) {
+        assert.equal(event.sessionId, session.sessionId);
+        assert.ok(!Number.isNaN(Date.parse(event.timestamp)));
+        assert.deepEqual(schemaProblems(event), []);
+    }
+});
+
+test('a decision cache hit emits cache:hit', async t => {
+    const session = await startSession(t);
+    const events = recordEvents(session);
+    const key = session.decisionCacheKey({ request: 'style the checkout button', context: {} });
+    session.decisionCache.set(key, { answer: 'cached' }, { persona: session.currentPersona });
+
+    const result = await session.processRequest('style the checkout button');
+
+    assert.equal(result.cached, true);
+    const hit = events.find(event => event.type === 'cache:hit');
+    assert.equal(hit.cache, 'decision');
+    assert.deepEqual(schemaProblems(hit), []);
+    assert.ok(!events.some(event => event.type === 'request:finished'));
+});
+
+test('unknown event types are refused and a failing listener is not fatal', async t => {
+    const session = await startSession(t);
+    session.on('persona:switched', () => {
+        throw new Error('listener bug');
+    });
+
+    assert.throws(() => session.emitEvent('persona:exploded', {}), /Unknown session event: persona:exploded/);
+    assert.equal(await session.switchPersona('security', 'audit the login'), true);
+    assert.equal(session.currentPersona, 'security');
+});
+
+test('every documented event has a description and typed fields', () => {
+    for (const [type, { description, fields }] of Object.entries(SESSION_EVENTS)) {
+        assert.match(type, /^[a-z]+:[a-z]+$/);
+        assert.ok(description.length > 0);
+        for (const declared of Object.values(fields)) {
+            assert.match(declared, /^(string|number|boolean|object)(\[\])?\??$/);
+        }
+    }
+});
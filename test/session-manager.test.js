@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SessionManager = require('../core/session-manager.js');
+const { tempDir, isolatedConfig } = require('./helpers.js');
+
+// A manager whose sessions all use an isolated config rooted at `root`; shut down after the test
+function createManager(t, root = tempDir()) {
+    const config = isolatedConfig(root);
+    const manager = new SessionManager({ config, sessionDefaults: { config } });
+    t.after(() => manager.shutdown());
+    return manager;
+}
+
+test('sessions are created, listed and disposed by name', async t => {
+    const manager = createManager(t);
+    const session = await manager.create('shop@main', { initialContext: 'fix the react button css' });
+
+    assert.equal(manager.get('shop@main'), session);
+    assert.deepEqual(manager.list().map(entry => [entry.name, entry.sessionId, entry.persona]), [['shop@main', session.sessionId, session.currentPersona]]);
+    await assert.rejects(manager.create('shop@main'), /Session already exists: shop@main/);
+    await assert.rejects(manager.create(''), /A session needs a name/);
+
+    assert.equal(await manager.dispose('shop@main'), true);
+    assert.equal(await manager.dispose('shop@main'), false);
+    assert.equal(manager.has('shop@main'), false);
+    assert.equal(session.listenerCount('request:finished'), 0);
+});
+
+test('concurrent getOrCreate calls share one session', async t => {
+    const manager = createManager(t);
+
+    const [first, second] = await Promise.all([manager.getOrCreate('api'), manager.getOrCreate('api')]);
+
+    assert.equal(first, second);
+    assert.equal(manager.list().length, 1);
+});
+
+test('sessions keep their own persona, caches and documentation while sharing MCP servers', async t => {
+    const root = tempDir();
+    const manager = createManager(t, root);
+    const web = await manager.create('web', { initialContext: 'fix the react button css' });
+    const api = await manager.create('api', { initialContext: 'fix the react button css' });
+
+    await api.switchPersona('security', 'audit the login');
+    assert.equal(api.currentPersona, 'security');
+    assert.notEqual(web.currentPersona, 'security');
+    assert.notEqual(web.sessionId, api.sessionId);
+    assert.notEqual(web.decisionCache, api.decisionCache);
+    assert.notEqual(web.autoDoc.logPath, api.autoDoc.logPath);
+    assert.equal(api.autoDoc.logPath, path.join(root, 'docs', 'auto-documentation-log-api.json'));
+
+    const pool = manager.getStatus().mcpPool;
+    assert.equal(pool.starts, pool.running);
+    assert.ok(pool.servers.some(server => server.attachedTo.length === 2));
+
+    // Disposing one session leaves the shared servers running for the other
+    await manager.dispose('web');
+    assert.ok(manager.mcpPool.getStats().running > 0);
+    assert.ok(!(await api.processRequest('review the session cookie flags')).error);
+});
+
+test('concurrent requests on one session run one after another', async t => {
+    const manager = createManager(t);
+    const session = await manager.create('web', { initialContext: 'fix the react button css' });
+    const order = [];
+    session.on('request:started', event => order.push(`start ${event.request}`));
+    session.on('request:finished', event => order.push(`finish ${event.request}`));
+
+    await Promise.all([session.processRequest('first request'), session.processRequest('second request')]);
+
+    assert.deepEqual(order, ['start first request', 'finish first request', 'start second request', 'finish second request']);
+});
+
+test('a named session can resume a journaled session', async t => {
+    const manager = createManager(t);
+    const original = await manager.create('web', { initialContext: 'fix the react button css' });
+    await original.pinPersona('qa');
+    const sessionId = original.sessionId;
+    await manager.dispose('web');
+
+    const resumed = await manager.create('web', { resume: sessionId });
+
+    assert.equal(resumed.sessionId, sessionId);
+    assert.equal(resumed.currentPersona, 'qa');
+});
+
+test('session names follow the project directory and git branch', () => {
+    const root = path.join(tempDir(), 'my-app');
+    fs.mkdirSync(root);
+
+    assert.equal(SessionManager.nameFor(root), 'my-app');
+    execFileSync('git', ['init', '-q', '-b', 'feature/login'], { cwd: root });
+    assert.equal(SessionManager.currentBranch(root), 'feature/login');
+    assert.equal(SessionManager.nameFor(root), 'my-app@feature/login');
+    execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '--allow-empty', '-m', 'initial'], { cwd: root });
+    execFileSync('git', ['checkout', '-q', '--detach'], { cwd: root });
+    assert.equal(SessionManager.currentBranch(root), null);
+    assert.equal(SessionManager.slug('my-app@feature/login'), 'my-app-feature-login');
+    assert.equal(SessionManager.slug('///'), 'session');
+});
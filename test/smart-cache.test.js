@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SmartCache = require('../core/smart-cache.js');
+const { tempDir } = require('./helpers.js');
+
+// SQLite needs node:sqlite (Node 22.5+) or better-sqlite3; the JSON fallback always runs
+function sqliteAvailable() {
+    for (const driver of ['node:sqlite', 'better-sqlite3']) {
+        try {
+            require(driver);
+            return true;
+        } catch (error) {
+            // Try the next driver
+        }
+    }
+    return false;
+}
+
+const BACKENDS = [
+    {
+        name: 'sqlite',
+        skip: !sqliteAvailable() && 'no SQLite driver in this Node.js',
+        open: (dir, options = {}) => new SmartCache({ dbPath: path.join(dir, 'cache.db'), ...options })
+    },
+    {
+        name: 'json',
+        skip: false,
+        open: (dir, options = {}) => new SmartCache.JsonCache({ filePath: path.join(dir, 'cache.json'), saveDelayMs: 0, ...options })
+    }
+];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+for (const backend of BACKENDS) {
+    const open = (t, dir, options) => {
+        const cache = backend.open(dir, options);
+        t.after(() => cache.close());
+        return cache;
+    };
+
+    test(`${backend.name}: values round-trip and count hits and misses`, { skip: backend.skip }, t => {
+        const cache = open(t, tempDir());
+        cache.set('a', { persona: 'qa', files: ['x.js'] });
+
+        assert.deepEqual(cache.get('a'), { persona: 'qa', files: ['x.js'] });
+        assert.equal(cache.get('missing'), undefined);
+        assert.equal(cache.has('a'), true);
+        assert.equal(cache.delete('a'), true);
+        assert.equal(cache.size(), 0);
+
+        const stats = cache.getStats();
+        assert.equal(stats.backend, backend.name);
+        assert.equal(stats.hits, 1);
+        assert.equal(stats.misses, 1);
+        assert.equal(stats.hitRate, 0.5);
+    });
+
+    test(`${backend.name}: entries expire after their TTL`, { skip: backend.skip }, async t => {
+        const cache = open(t, tempDir(), { ttlMs: 60000 });
+        cache.set('short', 1, { ttlMs: 5 });
+        cache.set('long', 2);
+        await sleep(20);
+
+        assert.equal(cache.get('short'), undefined);
+        assert.equal(cache.get('long'), 2);
+        assert.equal(cache.getStats().expirations, 1);
+    });
+
+    test(`${backend.name}: the least recently used entry is evicted above maxEntries`, { skip: backend.skip }, async t => {
+        const cache = open(t, tempDir(), { maxEntries: 2 });
+        cache.set('a', 1);
+        await sleep(2);
+        cache.set('b', 2);
+        await sleep(2);
+        cache.get('a');
+        await sleep(2);
+        cache.set('c', 3);
+
+        assert.equal(cache.size(), 2);
+        assert.equal(cache.has('b'), false);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.getStats().evictions, 1);
+    });
+
+    test(`${backend.name}: a new fingerprint drops entries cached under the old one`, { skip: backend.skip }, t => {
+        const cache = open(t, tempDir(), { fingerprint: 'rules-v1' });
+        cache.set('a', 1);
+        cache.set('b', 2);
+
+        assert.equal(cache.setFingerprint('rules-v1'), 0);
+        assert.equal(cache.setFingerprint('rules-v2'), 2);
+        assert.equal(cache.get('a'), undefined);
+    });
+
+    test(`${backend.name}: entries survive a reopen unless the fingerprint changed`, { skip: backend.skip }, t => {
+        const dir = tempDir();
+        const first = backend.open(dir, { fingerprint: 'v1', namespace: 'engine' });
+        first.set('a', { ok: true });
+        first.close();
+
+        const reopened = backend.open(dir, { fingerprint: 'v1', namespace: 'engine' });
+        assert.deepEqual(reopened.get('a'), { ok: true });
+        reopened.close();
+
+        const changed = open(t, dir, { fingerprint: 'v2', namespace: 'engine' });
+        assert.equal(changed.size(), 0);
+    });
+}
+
+test('sqlite: namespaces share a database without seeing each other', { skip: BACKENDS[0].skip }, t => {
+    const dir = tempDir();
+    const engine = BACKENDS[0].open(dir, { namespace: 'engine' });
+    const session = BACKENDS[0].open(dir, { namespace: 'session' });
+    t.after(() => { engine.close(); session.close(); });
+    engine.set('a', 'engine');
+    session.set('a', 'session');
+    session.clear();
+
+    assert.equal(engine.get('a'), 'engine');
+    assert.equal(session.size(), 0);
+});
+
+test('json: saves are debounced and close() flushes and unhooks the exit save', async () => {
+    const dir = tempDir();
+    const listeners = process.listenerCount('exit');
+    const cache = new SmartCache.JsonCache({ filePath: path.join(dir, 'cache.json'), saveDelayMs: 20 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    assert.equal(fs.existsSync(cache.filePath), false);
+
+    await sleep(50);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(cache.filePath, 'utf8')).entries), ['a', 'b']);
+
+    cache.set('c', 3);
+    cache.close();
+    assert.equal(Object.keys(JSON.parse(fs.readFileSync(cache.filePath, 'utf8')).entries).length, 3);
+    assert.equal(process.listenerCount('exit'), listeners);
+});
+
+test('json: a file from before TTLs existed is discarded', t => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'cache.json'), JSON.stringify({ a: { persona: 'qa' } }));
+    const cache = new SmartCache.JsonCache({ filePath: path.join(dir, 'cache.json') });
+    t.after(() => cache.close());
+
+    assert.equal(cache.size(), 0);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { SuperClaudeConfig } = require('../src/superclaude-config.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+function load(root, options = {}) {
+    return new SuperClaudeConfig({
+        projectRoot: root,
+        env: options.env || {},
+        userConfigPath: path.join(root, 'user', '.superclaude', 'config.json'),
+        overrides: options.overrides
+    });
+}
+
+test('defaults apply when no layer sets a value', () => {
+    const root = tempDir();
+    const config = load(root);
+
+    assert.equal(config.get('cache.ttlMinutes'), 24 * 60);
+    assert.equal(config.getSource('cache.ttlMinutes'), 'default');
+    assert.equal(config.get('personasDir'), path.join(root, '.superclaude', 'personas'));
+});
+
+test('layers override each other: user < project < env < options', () => {
+    const root = tempDir();
+    writeFiles(root, {
+        'user/.superclaude/config.json': { cache: { ttlMinutes: 10, maxEntries: 10 }, context: { maxFiles: 5 } },
+        '.superclaude/config.json': { cache: { ttlMinutes: 20 }, context: { maxFiles: 6 } }
+    });
+    const config = load(root, {
+        env: { SUPERCLAUDE_CONTEXT_MAX_FILES: '7', SUPERCLAUDE_CACHE_MAX_ENTRIES: '30' },
+        overrides: { context: { maxFiles: 8 } }
+    });
+
+    assert.equal(config.get('cache.ttlMinutes'), 20);
+    assert.match(config.getSource('cache.ttlMinutes'), /^project/);
+    assert.equal(config.get('cache.maxEntries'), 30);
+    assert.match(config.getSource('cache.maxEntries'), /^env/);
+    assert.equal(config.get('context.maxFiles'), 8);
+    assert.equal(config.getSource('context.maxFiles'), 'options');
+});
+
+test('derived defaults follow overridden values', () => {
+    const root = tempDir();
+    const config = load(root, { overrides: { cacheDir: 'state' } });
+
+    assert.equal(config.get('cacheDir'), path.join(root, 'state'));
+    assert.equal(config.get('sessionsDir'), path.join(root, 'state', 'sessions'));
+    assert.equal(config.get('metricsDir'), path.join(root, 'state', 'metrics'));
+});
+
+test('environment values are parsed into the schema type', () => {
+    const root = tempDir();
+    const config = load(root, {
+        env: {
+            SUPERCLAUDE_CONTEXT_READ_FILES: 'off',
+            SUPERCLAUDE_PIPELINE_DISABLED: 'decision-cache, budget',
+            SUPERCLAUDE_LOG_NAMESPACES: '["mcp","-mcp:pool"]'
+        }
+    });
+
+    assert.equal(config.get('context.readFiles'), false);
+    assert.deepEqual(config.get('pipeline.disabled'), ['decision-cache', 'budget']);
+    assert.deepEqual(config.get('logging.namespaces'), ['mcp', '-mcp:pool']);
+});
+
+test('invalid values are reported and the previous layer is kept', () => {
+    const root = tempDir();
+    writeFiles(root, { '.superclaude/config.json': { cache: { decisions: { maxEntries: 0 } }, logging: { level: 'loud' }, colour: 'blue' } });
+    const config = load(root, { env: { SUPERCLAUDE_CACHE_TTL_MINUTES: 'soon' } });
+    const result = config.validate();
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(error => error.key).sort(), ['cache.decisions.maxEntries', 'cache.ttlMinutes', 'logging.level']);
+    assert.deepEqual(result.warnings.map(warning => warning.key), ['colour']);
+    assert.equal(config.get('cache.decisions.maxEntries'), 500);
+    assert.equal(config.get('logging.level'), 'info');
+});
+
+test('an unparseable config file is an error, not an exception', () => {
+    const root = tempDir();
+    writeFiles(root, { '.superclaude/config.json': '{ not json' });
+    const config = load(root);
+
+    assert.equal(config.validate().valid, false);
+    assert.match(config.validate().errors[0].message, /Could not parse/);
+});
+
+test('object values merge across layers one entry deep', () => {
+    const root = tempDir();
+    writeFiles(root, {
+        'user/.superclaude/config.json': { mcp: { servers: { docs: { command: 'docs-server', args: ['--port', '1'] } } } },
+        '.superclaude/config.json': { mcp: { servers: { docs: { args: ['--port', '2'] }, extra: { command: 'extra' } } } }
+    });
+    const servers = load(root).get('mcp.servers');
+
+    assert.deepEqual(servers.docs, { command: 'docs-server', args: ['--port', '2'] });
+    assert.equal(servers.extra.command, 'extra');
+});
+
+test('unknown keys are rejected by get()', () => {
+    const config = load(tempDir());
+    assert.throws(() => config.get('no.such.key'), /Unknown config key/);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const SuperClaudeSharedLoader = require('../core/superclaude-shared-loader.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+function createLoader(files) {
+    const home = tempDir();
+    writeFiles(home, files);
+    return new SuperClaudeSharedLoader({ superClaudePath: home });
+}
+
+const CORE = [
+    '# SuperClaude core',
+    '## Evidence_Based_Standards',
+    'Prohibited_Language: "best|optimal"',
+    'Evidence_Requirements: "metrics show"',
+    '',
+    '## Intelligent_Auto_Activation',
+    '@include shared/activation.yml',
+    ''
+].join('\n');
+
+test('sections split on "## Section" headers and includes are expanded', () => {
+    const loader = createLoader({
+        '.claude/shared/superclaude-core.yml': CORE,
+        '.claude/shared/activation.yml': 'File_Type_Detection:\n  tsx: "→frontend persona"\n'
+    });
+
+    assert.deepEqual(loader.getSection('superclaude-core.yml', 'Evidence_Based_Standards', null),
+        { Prohibited_Language: 'best|optimal', Evidence_Requirements: 'metrics show' });
+    assert.deepEqual(loader.getSection('superclaude-core.yml', 'Intelligent_Auto_Activation', null),
+        { File_Type_Detection: { tsx: '→frontend persona' } });
+    assert.deepEqual(loader.getReport().errors, []);
+});
+
+test('an include can pick one section and keeps the indentation of the directive', () => {
+    const loader = createLoader({
+        '.claude/shared/superclaude-personas.yml': 'All_Personas:\n  # @include shared/extra.yml#Mentor\n',
+        '.claude/shared/extra.yml': '## Architect\narchitect:\n  Identity: Architect\n## Mentor\nmentor:\n  Identity: Teacher\n'
+    });
+
+    assert.deepEqual(loader.getSection('superclaude-personas.yml', 'All_Personas', null), { mentor: { Identity: 'Teacher' } });
+});
+
+test('YAML errors are reported with the file and line they came from', () => {
+    const loader = createLoader({
+        '.claude/shared/superclaude-core.yml': '## Evidence_Based_Standards\n@include shared/broken.yml\n',
+        '.claude/shared/broken.yml': 'Prohibited_Language: ok\nRequired_Language: [unclosed\n'
+    });
+    const fallback = { Prohibited_Language: 'fallback' };
+
+    assert.equal(loader.getSection('superclaude-core.yml', 'Evidence_Based_Standards', fallback), fallback);
+    const [error] = loader.getReport().errors;
+    assert.equal(error.file, path.join(loader.sharedDir, 'broken.yml'));
+    assert.equal(error.line, 2);
+    assert.match(error.message, /^\[Evidence_Based_Standards\] /);
+    assert.match(loader.getReport().sections[0].reason, /^parse error at .*broken\.yml:2$/);
+});
+
+test('missing and circular includes are errors on the directive line', () => {
+    const loader = createLoader({
+        '.claude/shared/superclaude-core.yml': '## Evidence_Based_Standards\nA: 1\n@include shared/nowhere.yml\n@include shared/loop.yml\n',
+        '.claude/shared/loop.yml': '@include shared/loop.yml\nB: 2\n'
+    });
+
+    assert.deepEqual(loader.getSection('superclaude-core.yml', 'Evidence_Based_Standards', null), { A: 1, B: 2 });
+    assert.deepEqual(loader.getReport().errors.map(error => [path.basename(error.file), error.line, error.message]), [
+        ['superclaude-core.yml', 3, '@include target not found: shared/nowhere.yml'],
+        ['loop.yml', 1, 'circular @include of shared/loop.yml']
+    ]);
+});
+
+test('the report separates sections loaded from disk from fallbacks', () => {
+    const loader = createLoader({ '.claude/shared/superclaude-core.yml': CORE.replace('@include shared/activation.yml', '') });
+    const report = loader.probe();
+
+    assert.deepEqual(report.loaded, ['superclaude-core.yml#Evidence_Based_Standards']);
+    assert.deepEqual(report.fallbacks, ['superclaude-personas.yml#All_Personas', 'superclaude-core.yml#Intelligent_Auto_Activation']);
+    assert.match(report.sections.find(section => section.file === 'superclaude-personas.yml').reason, /not found$/);
+    assert.equal(report.sections.find(section => section.section === 'Intelligent_Auto_Activation').reason,
+        'section Intelligent_Auto_Activation is empty');
+    assert.equal(loader.usedFallbacks(), true);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TextAnalyzer, stem } = require('../src/text-analysis.js');
+
+const analyzer = new TextAnalyzer();
+
+function negatedWords(text) {
+    return analyzer.tokenize(text).filter(token => token.negated).map(token => token.word);
+}
+
+test('terms match whole words, not substrings', () => {
+    assert.equal(analyzer.hasTerm('build the decision engine', 'ui'), false);
+    assert.equal(analyzer.hasTerm('build the decision engine', 'ci'), false);
+    assert.equal(analyzer.hasTerm('set up CI for the UI', 'ci'), true);
+    assert.equal(analyzer.hasTerm('set up CI for the UI', 'ui'), true);
+});
+
+test('stemming folds inflections together', () => {
+    assert.deepEqual(['tests', 'testing', 'tested'].map(stem), ['test', 'test', 'test']);
+    assert.deepEqual(['debugging', 'debugged'].map(stem), ['debug', 'debug']);
+    assert.equal(stem('optimization'), stem('optimize'));
+    assert.deepEqual(['analysis', 'analyses', 'analyze', 'analysed', 'analyse'].map(stem), Array(5).fill('analyz'));
+    assert.equal(stem('diagnosis'), stem('diagnose'));
+    assert.equal(stem('class'), 'class');
+});
+
+test('phrases match across inflections and underscores', () => {
+    assert.equal(analyzer.hasTerm('we are fixing bugs in checkout', 'fix bug'), true);
+    assert.equal(analyzer.hasTerm('module errors on import', 'Module_errors'), true);
+    assert.deepEqual(analyzer.findPhrase('fix bug, then fix bugs', 'fix bug').map(match => match.start), [0, 14]);
+});
+
+test('negation lasts until the end of the clause', () => {
+    assert.deepEqual(negatedWords("don't touch the frontend login form styling"), ['touch', 'the', 'frontend', 'login', 'form', 'styling']);
+    assert.deepEqual(negatedWords('no security or performance changes, fix the api'), ['security', 'or', 'performance', 'changes']);
+    assert.deepEqual(negatedWords('skip the tests but run the linter'), ['the', 'tests']);
+    assert.deepEqual(negatedWords('avoid the database; then add caching'), ['the', 'database']);
+});
+
+test('negated terms are not matched unless asked for', () => {
+    const text = 'no security changes, just rename the button';
+
+    assert.equal(analyzer.hasTerm(text, 'security'), false);
+    assert.equal(analyzer.hasTerm(text, 'security', { includeNegated: true }), true);
+    assert.deepEqual(analyzer.findNegatedTerms(text, ['security', 'button', 'api']), ['security']);
+    assert.deepEqual(analyzer.findTerms(text, ['security', 'button', 'rename']), ['button', 'rename']);
+});
+
+test('words inside code spans are skipped and do not negate', () => {
+    const text = 'fix `it(` and ```\nno test here\n``` in the test suite';
+
+    assert.equal(analyzer.hasTerm(text, 'it'), false);
+    assert.equal(analyzer.hasTerm(text, 'it', { includeCode: true }), true);
+    assert.deepEqual(analyzer.findPhrase(text, 'test').map(match => match.inCode), [false]);
+    assert.deepEqual(negatedWords(text), []);
+});
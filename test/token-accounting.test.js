@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TokenAccountant = require('../core/token-accounting.js');
+const { tempDir, writeFiles, isolatedConfig } = require('./helpers.js');
+
+test('tokens are estimated from the actual text', () => {
+    const chars = new TokenAccountant();
+    const words = new TokenAccountant({ tokenizer: 'words' });
+
+    assert.equal(chars.count('abcdefghi'), 3);
+    assert.equal(chars.count({ a: 1 }), 2);
+    assert.equal(chars.count(''), 0);
+    assert.equal(chars.count(null), 0);
+    assert.equal(words.count('fix the checkout_button, please'), 7);
+    assert.ok(chars.count('x'.repeat(4000)) > chars.count('x'.repeat(400)));
+});
+
+test('records are attributed to persona, command, workflow and MCP server', () => {
+    const accountant = new TokenAccountant({ attribution: () => ({ persona: 'frontend' }) });
+    accountant.record('request', 10);
+    accountant.record('mcp', 5, { mcpServer: 'context7' });
+    accountant.record('mcp', 3, { persona: 'qa', mcpServer: 'context7' });
+    accountant.record('request', 0, { persona: 'qa' });
+
+    assert.deepEqual(accountant.getReport(), {
+        tokenizer: 'chars',
+        total: 18,
+        byKind: { request: 10, mcp: 8 },
+        byPersona: { frontend: 15, qa: 3 },
+        byCommand: {},
+        byWorkflow: {},
+        byMcpServer: { context7: 8 }
+    });
+});
+
+test('scopes nest and are restored even when the scoped work fails', async () => {
+    const accountant = new TokenAccountant();
+
+    await accountant.withScope({ workflow: 'release' }, async () => {
+        await accountant.withScope({ command: 'test' }, () => accountant.record('command', 4));
+        accountant.record('request', 2);
+    });
+    await assert.rejects(accountant.withScope({ command: 'build' }, () => {
+        throw new Error('build failed');
+    }));
+    accountant.record('request', 1);
+
+    const report = accountant.getReport();
+    assert.deepEqual(report.byWorkflow, { release: 6 });
+    assert.deepEqual(report.byCommand, { test: 4 });
+    assert.equal(report.total, 7);
+});
+
+test('a tokenizer can be a function or a module, and falls back to chars when it cannot load', () => {
+    const root = tempDir();
+    writeFiles(root, { 'tokenizer.js': 'module.exports = { count: text => text.split(" ").length * 10 };' });
+
+    assert.equal(new TokenAccountant({ tokenizer: function perChar(text) { return text.length; } }).count('abc'), 3);
+    const fromModule = new TokenAccountant({ tokenizer: 'tokenizer.js', baseDir: root });
+    assert.equal(fromModule.tokenizerName, 'tokenizer.js');
+    assert.equal(fromModule.count('two words'), 20);
+    assert.equal(new TokenAccountant({ tokenizer: path.join(root, 'missing.js') }).tokenizerName, 'chars');
+});
+
+test('the tokenizer comes from the tokens.tokenizer config key', () => {
+    const config = isolatedConfig(tempDir(), { tokens: { tokenizer: 'words' } });
+
+    assert.equal(TokenAccountant.fromConfig(config).tokenizerName, 'words');
+});
+
+test('reset clears every total', () => {
+    const accountant = new TokenAccountant();
+    accountant.record('request', 5, { command: 'analyze' });
+    accountant.reset();
+
+    assert.equal(accountant.total, 0);
+    assert.deepEqual(accountant.getReport().byCommand, {});
+});
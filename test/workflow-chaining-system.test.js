@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { WorkflowChainingSystem } = require('../src/workflow-chaining-system.js');
+const { IntelligentPersonaSystem } = require('../src/intelligent-persona-system.js');
+const { EnhancedSuperClaudeAutoDoc } = require('../src/enhanced-superclaude-autodoc.js');
+const { tempDir, writeFiles, isolatedConfig } = require('./helpers.js');
+
+// An auto-doc writing inside its own temporary project; its update timer stops after the test
+function createAutoDoc(t) {
+    const root = tempDir();
+    writeFiles(root, { '.home/.keep': '' });
+    const autoDoc = new EnhancedSuperClaudeAutoDoc({ config: isolatedConfig(root) });
+    t.after(() => autoDoc.stopAutoUpdate());
+    return autoDoc;
+}
+
+test('a workflow system works with the collaborators it is given', async t => {
+    const autoDoc = createAutoDoc(t);
+    const personaSystem = new IntelligentPersonaSystem({ autoDoc });
+    const workflows = new WorkflowChainingSystem({ autoDoc, personaSystem });
+
+    const execution = await workflows.executeWorkflow('security-audit', { target: 'login' });
+
+    assert.equal(execution.status, 'completed');
+    assert.equal(workflows.personaSystem, personaSystem);
+    assert.equal(autoDoc.getSessionStats().workflowsExecuted, 1);
+    assert.equal(execution.commands.length, workflows.workflows['security-audit'].commands.length);
+});
+
+test('importing the src modules creates no global instance', () => {
+    const home = tempDir();
+    const modules = ['workflow-chaining-system', 'intelligent-persona-system', 'enhanced-superclaude-autodoc']
+        .map(name => path.join(__dirname, '..', 'src', `${name}.js`));
+    const cleanEnv = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('SUPERCLAUDE_')));
+
+    // A global auto-doc would start its update timer and keep the process alive
+    const child = spawnSync(process.execPath, ['-e', modules.map(file => `require(${JSON.stringify(file)});`).join('')], {
+        cwd: home,
+        encoding: 'utf8',
+        timeout: 20000,
+        env: { ...cleanEnv, HOME: home, SUPERCLAUDE_USER_CONFIG: path.join(home, '.user', 'config.json') }
+    });
+
+    assert.equal(child.error, undefined);
+    assert.equal(child.status, 0, child.stderr);
+    assert.deepEqual(fs.readdirSync(home), []);
+});
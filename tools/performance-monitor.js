@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Performance Monitor
+ * Aggregates operation durations (context analysis, persona selection, MCP calls, commands)
+ * into histograms with p50/p95/p99, persists them across runs and exports
+ * JSON and Prometheus text-format files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../src/logger.js');
+
+const log = createLogger('metrics');
+
+// Histogram bucket upper bounds in milliseconds (Prometheus "le" labels)
+const BUCKETS_MS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000];
+// Recent samples kept per series for percentile estimates
+const MAX_SAMPLES = 1000;
+// Metric fields promoted to series labels; everything else is ignored
+const LABEL_KEYS = ['persona', 'server', 'method', 'command', 'workflow'];
+const FLUSH_DELAY_MS = 1000;
+const STATE_VERSION = 1;
+
+class PerformanceMonitor {
+    constructor(options = {}) {
+        this.metricsDir = options.metricsDir || path.join(process.cwd(), '.superclaude-cache', 'metrics');
+        this.jsonPath = path.join(this.metricsDir, 'performance-metrics.json');
+        this.prometheusPath = path.join(this.metricsDir, 'performance-metrics.prom');
+        this.flushTimer = null;
+        this.series = this.load();
+
+        // Persist whatever was recorded since the last flush
+        this.flushOnExit = () => this.flush();
+        process.on('exit', this.flushOnExit);
+    }
+
+    // Load persisted series from previous runs
+    load() {
+        try {
+            if (fs.existsSync(this.jsonPath)) {
+                const stored = JSON.parse(fs.readFileSync(this.jsonPath, 'utf8'));
+                if (stored.version === STATE_VERSION && stored.series) {
+                    return stored.series;
+                }
+            }
+        } catch (error) {
+            log.warn('⚠️  Could not load performance metrics, starting fresh');
+        }
+        return {};
+    }
+
+    // Record one operation; metrics.duration (ms) feeds the histogram
+    recordOperation(type, metrics = {}) {
+        const labels = this.extractLabels(metrics);
+        const key = this.seriesKey(type, labels);
+        const series = this.series[key] || (this.series[key] = {
+            operation: type,
+            labels,
+            count: 0,
+            errors: 0,
+            cacheHits: 0,
+            observed: 0,
+            sum: 0,
+            min: null,
+            max: null,
+            buckets: BUCKETS_MS.map(() => 0),
+            samples: [],
+            lastRecorded: null
+        });
+
+        series.count++;
+        series.lastRecorded = Date.now();
+        if (metrics.success === false || metrics.error) series.errors++;
+        if (metrics.cacheHit) series.cacheHits++;
+
+        if (typeof metrics.duration === 'number' && Number.isFinite(metrics.duration)) {
+            const duration = Math.max(0, metrics.duration);
+            series.observed++;
+            series.sum += duration;
+            series.min = series.min === null ? duration : Math.min(series.min, duration);
+            series.max = series.max === null ? duration : Math.max(series.max, duration);
+
+            BUCKETS_MS.forEach((bound, i) => {
+                if (duration <= bound) series.buckets[i]++;
+            });
+
+            series.samples.push(duration);
+            if (series.samples.length > MAX_SAMPLES) series.samples.shift();
+        }
+
+        this.scheduleFlush();
+    }
+
+    extractLabels(metrics) {
+        const labels = {};
+        for (const key of LABEL_KEYS) {
+            if (metrics[key] !== undefined && metrics[key] !== null) labels[key] = String(metrics[key]);
+        }
+        // persona_selection reports the winner as selectedPersona
+        if (!labels.persona && metrics.selectedPersona) labels.persona = String(metrics.selectedPersona);
+        return labels;
+    }
+
+    seriesKey(type, labels) {
+        const parts = Object.keys(labels).sort().map(key => `${key}=${labels[key]}`);
+        return [type, ...parts].join('|');
+    }
+
+    // Nearest-rank percentile over the recent samples
+    percentile(samples, p) {
+        if (samples.length === 0) return null;
+        const sorted = [...samples].sort((a, b) => a - b);
+        const rank = Math.ceil((p / 100) * sorted.length) - 1;
+        return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+    }
+
+    // Per-series summary with percentiles
+    getSummary() {
+        return Object.values(this.series).map(series => ({
+            operation: series.operation,
+            labels: series.labels,
+            count: series.count,
+            errors: series.errors,
+            cacheHits: series.cacheHits,
+            mean: series.observed > 0 ? round(series.sum / series.observed) : null,
+            min: series.min,
+            max: series.max,
+            p50: this.percentile(series.samples, 50),
+            p95: this.percentile(series.samples, 95),
+            p99: this.percentile(series.samples, 99),
+            lastRecorded: series.lastRecorded
+        }));
+    }
+
+    // Summary aggregated per operation type across all label sets
+    getOperationSummary() {
+        const byOperation = {};
+        for (const series of Object.values(this.series)) {
+            const entry = byOperation[series.operation] || (byOperation[series.operation] = { count: 0, errors: 0, samples: [] });
+            entry.count += series.count;
+            entry.errors += series.errors;
+            entry.samples.push(...series.samples);
+        }
+
+        const summary = {};
+        for (const [operation, entry] of Object.entries(byOperation)) {
+            summary[operation] = {
+                count: entry.count,
+                errors: entry.errors,
+                p50: this.percentile(entry.samples, 50),
+                p95: this.percentile(entry.samples, 95),
+                p99: this.percentile(entry.samples, 99)
+            };
+        }
+        return summary;
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+        // Never keep the process alive just to write metrics
+        if (typeof this.flushTimer.unref === 'function') this.flushTimer.unref();
+    }
+
+    // Write the JSON state/export and the Prometheus text file
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        try {
+            fs.mkdirSync(this.metricsDir, { recursive: true });
+            fs.writeFileSync(this.jsonPath, JSON.stringify(this.exportJSON(), null, 2));
+            fs.writeFileSync(this.prometheusPath, this.exportPrometheus());
+        } catch (error) {
+            log.warn(`⚠️  Could not write performance metrics: ${error.message}`);
+        }
+    }
+
+    exportJSON() {
+        return {
+            version: STATE_VERSION,
+            generatedAt: new Date().toISOString(),
+            buckets: BUCKETS_MS,
+            summary: this.getSummary(),
+            series: this.series
+        };
+    }
+
+    // Prometheus text exposition format: one histogram and one summary per series
+    exportPrometheus() {
+        const lines = [
+            '# HELP superclaude_operation_duration_ms Duration of SuperClaude operations in milliseconds',
+            '# TYPE superclaude_operation_duration_ms histogram'
+        ];
+
+        for (const series of Object.values(this.series)) {
+            const labels = { operation: series.operation, ...series.labels };
+            BUCKETS_MS.forEach((bound, i) => {
+                lines.push(`superclaude_operation_duration_ms_bucket${formatLabels({ ...labels, le: String(bound) })} ${series.buckets[i]}`);
+            });
+            lines.push(`superclaude_operation_duration_ms_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.observed}`);
+            lines.push(`superclaude_operation_duration_ms_sum${formatLabels(labels)} ${round(series.sum)}`);
+            lines.push(`superclaude_operation_duration_ms_count${formatLabels(labels)} ${series.observed}`);
+        }
+
+        lines.push('# HELP superclaude_operation_latency_ms Recent operation latency percentiles in milliseconds');
+        lines.push('# TYPE superclaude_operation_latency_ms summary');
+        for (const series of Object.values(this.series)) {
+            if (series.samples.length === 0) continue;
+            const labels = { operation: series.operation, ...series.labels };
+            for (const [quantile, p] of [['0.5', 50], ['0.95', 95], ['0.99', 99]]) {
+                lines.push(`superclaude_operation_latency_ms${formatLabels({ ...labels, quantile })} ${this.percentile(series.samples, p)}`);
+            }
+            lines.push(`superclaude_operation_latency_ms_sum${formatLabels(labels)} ${round(series.samples.reduce((a, b) => a + b, 0))}`);
+            lines.push(`superclaude_operation_latency_ms_count${formatLabels(labels)} ${series.samples.length}`);
+        }
+
+        lines.push('# HELP superclaude_operations_total Operations recorded, including ones without a duration');
+        lines.push('# TYPE superclaude_operations_total counter');
+        for (const series of Object.values(this.series)) {
+            lines.push(`superclaude_operations_total${formatLabels({ operation: series.operation, ...series.labels })} ${series.count}`);
+        }
+
+        lines.push('# HELP superclaude_operation_errors_total Operations that reported failure');
+        lines.push('# TYPE superclaude_operation_errors_total counter');
+        for (const series of Object.values(this.series)) {
+            lines.push(`superclaude_operation_errors_total${formatLabels({ operation: series.operation, ...series.labels })} ${series.errors}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Forget all recorded metrics
+    reset() {
+        this.series = {};
+        this.flush();
+    }
+
+    // Stop the exit hook (used when a monitor is discarded before the process ends)
+    close() {
+        this.flush();
+        process.removeListener('exit', this.flushOnExit);
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    return `{${parts.join(',')}}`;
+}
+
+module.exports = PerformanceMonitor;
+
+// CLI interface
+if (require.main === module) {
+    const { getConfig } = require('../src/superclaude-config.js');
+    const args = process.argv.slice(2);
+    const command = args[0] || 'show';
+    const monitor = new PerformanceMonitor({ metricsDir: getConfig().get('metricsDir') });
+
+    if (command === 'show') {
+        const rows = monitor.getSummary().sort((a, b) => a.operation.localeCompare(b.operation));
+        if (rows.length === 0) {
+            console.log('📊 No operations recorded yet');
+        } else {
+            console.log('📊 Performance metrics (ms):');
+            for (const row of rows) {
+                const labels = Object.entries(row.labels).map(([key, value]) => `${key}=${value}`).join(',');
+                console.log(`   ${row.operation}${labels ? `{${labels}}` : ''}: count=${row.count} ` +
+                    `p50=${row.p50} p95=${row.p95} p99=${row.p99} max=${row.max} errors=${row.errors}`);
+            }
+        }
+        process.removeListener('exit', monitor.flushOnExit);
+    } else if (command === 'export') {
+        monitor.flush();
+        console.log(`✅ Exported ${monitor.jsonPath}`);
+        console.log(`✅ Exported ${monitor.prometheusPath}`);
+    } else if (command === 'reset') {
+        monitor.reset();
+        console.log('✅ Performance metrics reset');
+    } else {
+        console.log('Usage: node tools/performance-monitor.js [show|export|reset]');
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * SuperClaude Persona Selection Evaluation
+ * Runs persona selectors over a labeled JSONL corpus and reports accuracy,
+ * per-persona precision/recall and a confusion matrix
+ *
+ * Usage: node tools/persona-evaluation.js [--corpus file.jsonl] [--system engine|src|all]
+ *                                         [--threshold 0.7] [--json report.json] [--verbose]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/logger.js');
+
+const DEFAULT_CORPUS = path.join(__dirname, 'persona-eval-corpus.jsonl');
+const DEFAULT_THRESHOLD = 0.7;
+
+class PersonaEvaluation {
+    constructor(options = {}) {
+        this.corpusPath = options.corpusPath || DEFAULT_CORPUS;
+        this.threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+        this.verbose = options.verbose || false;
+    }
+
+    // Parse the JSONL corpus; every bad line is reported with its line number
+    loadCorpus() {
+        const lines = fs.readFileSync(this.corpusPath, 'utf8').split('\n');
+        const examples = [];
+        const errors = [];
+
+        lines.forEach((line, index) => {
+            if (line.trim() === '' || line.trim().startsWith('//')) return;
+
+            let example;
+            try {
+                example = JSON.parse(line);
+            } catch (error) {
+                errors.push(`${this.corpusPath}:${index + 1} invalid JSON: ${error.message}`);
+                return;
+            }
+
+            if (typeof example.request !== 'string' || example.request.trim() === '') {
+                errors.push(`${this.corpusPath}:${index + 1} "request" must be a non-empty string`);
+            } else if (typeof example.persona !== 'string' || example.persona.trim() === '') {
+                errors.push(`${this.corpusPath}:${index + 1} "persona" label must be a non-empty string`);
+            } else {
+                examples.push({ line: index + 1, context: {}, ...example });
+            }
+        });
+
+        return { examples, errors };
+    }
+
+    // Selectors under evaluation: name -> { setup, predict, teardown }
+    createSelectors() {
+        return {
+            // core engine: analyzeContext + selectOptimalPersona, isolated from real learning state and git
+            engine: {
+                setup: () => {
+                    const PersonaIntelligenceEngine = require('../core/persona-intelligence-engine.js');
+                    this.engineCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'superclaude-eval-'));
+                    return new PersonaIntelligenceEngine({ cacheDir: this.engineCacheDir });
+                },
+                predict: async (engine, example) => {
+                    const context = await engine.analyzeContext(example.request, { readFiles: false });
+                    if (example.context.fileTypes) {
+                        context.fileTypes = [...new Set([...context.fileTypes, ...example.context.fileTypes])];
+                    }
+                    const selection = await engine.selectOptimalPersona(context);
+                    return selection.persona;
+                },
+                teardown: (engine) => {
+                    // Unhook the cache's and monitor's exit saves so they cannot recreate the temp dir
+                    engine.close();
+                    fs.rmSync(this.engineCacheDir, { recursive: true, force: true });
+                }
+            },
+
+            // src system: IntelligentPersonaSystem.detectOptimalPersona (fresh instance, no history)
+            src: {
+                setup: () => {
+                    const { IntelligentPersonaSystem } = require('../src/intelligent-persona-system.js');
+                    return IntelligentPersonaSystem;
+                },
+                predict: async (IntelligentPersonaSystem, example) => {
+                    const system = new IntelligentPersonaSystem();
+                    return system.detectOptimalPersona(example.request, example.context).recommendedPersona;
+                },
+                teardown: () => {}
+            }
+        };
+    }
+
+    // Run one selector over the corpus
+    async evaluateSystem(name, selector, examples) {
+        const restoreLogs = this.silenceLogs();
+        const predictions = [];
+
+        try {
+            const instance = selector.setup();
+            for (const example of examples) {
+                let predicted;
+                try {
+                    predicted = await selector.predict(instance, example);
+                } catch (error) {
+                    predicted = `error: ${error.message}`;
+                }
+                predictions.push({ line: example.line, request: example.request, expected: example.persona, predicted });
+            }
+            selector.teardown(instance);
+        } finally {
+            restoreLogs();
+        }
+
+        return { system: name, ...this.computeMetrics(predictions), predictions };
+    }
+
+    // Engines are chatty; keep the report readable unless --verbose
+    silenceLogs() {
+        if (this.verbose) return () => {};
+        const previous = logger.configure({ level: 'silent' });
+        return () => logger.configure(previous);
+    }
+
+    // Accuracy, per-persona precision/recall/F1 and confusion matrix (rows = expected, columns = predicted)
+    computeMetrics(predictions) {
+        const labels = [...new Set(predictions.flatMap(({ expected, predicted }) => [expected, predicted]))].sort();
+        const confusion = {};
+        for (const expected of labels) {
+            confusion[expected] = Object.fromEntries(labels.map(predicted => [predicted, 0]));
+        }
+
+        let correct = 0;
+        for (const { expected, predicted } of predictions) {
+            confusion[expected][predicted]++;
+            if (expected === predicted) correct++;
+        }
+
+        const perPersona = {};
+        for (const label of labels) {
+            const truePositives = confusion[label][label];
+            const predictedCount = labels.reduce((sum, expected) => sum + confusion[expected][label], 0);
+            const expectedCount = labels.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+            const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+            const recall = expectedCount > 0 ? truePositives / expectedCount : 0;
+
+            perPersona[label] = {
+                support: expectedCount,
+                predicted: predictedCount,
+                precision: round(precision),
+                recall: round(recall),
+                f1: round(precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0)
+            };
+        }
+
+        return {
+            total: predictions.length,
+            correct,
+            accuracy: round(predictions.length > 0 ? correct / predictions.length : 0),
+            perPersona,
+            labels,
+            confusion
+        };
+    }
+
+    // Evaluate the requested systems and decide pass/fail against the threshold
+    async run(systems = ['engine', 'src']) {
+        const { examples, errors } = this.loadCorpus();
+        if (errors.length > 0) {
+            return { passed: false, corpus: this.corpusPath, errors, results: [] };
+        }
+
+        const selectors = this.createSelectors();
+        const results = [];
+        for (const name of systems) {
+            if (!selectors[name]) throw new Error(`Unknown persona selector: ${name}`);
+            results.push(await this.evaluateSystem(name, selectors[name], examples));
+        }
+
+        return {
+            passed: results.every(result => result.accuracy >= this.threshold),
+            corpus: this.corpusPath,
+            examples: examples.length,
+            threshold: this.threshold,
+            errors: [],
+            results
+        };
+    }
+
+    // Human-readable report
+    formatReport(report) {
+        const lines = [];
+
+        if (report.errors.length > 0) {
+            lines.push('❌ Corpus errors:', ...report.errors.map(error => `   ${error}`));
+            return lines.join('\n');
+        }
+
+        lines.push(`📋 Corpus: ${report.corpus} (${report.examples} examples)`);
+
+        for (const result of report.results) {
+            const status = result.accuracy >= report.threshold ? '✅' : '❌';
+            lines.push('');
+            lines.push(`${status} ${result.system}: accuracy ${(result.accuracy * 100).toFixed(1)}% ` +
+                `(${result.correct}/${result.total}, threshold ${(report.threshold * 100).toFixed(0)}%)`);
+
+            lines.push('');
+            lines.push(table(
+                ['persona', 'support', 'precision', 'recall', 'f1'],
+                Object.entries(result.perPersona).map(([persona, metrics]) => [
+                    persona, metrics.support, metrics.precision.toFixed(2), metrics.recall.toFixed(2), metrics.f1.toFixed(2)
+                ])
+            ));
+
+            lines.push('');
+            lines.push('Confusion matrix (rows = expected, columns = predicted):');
+            lines.push(table(
+                ['expected', ...result.labels.map(abbreviate)],
+                result.labels.map(expected => [expected, ...result.labels.map(predicted => result.confusion[expected][predicted] || '.')])
+            ));
+
+            const misses = result.predictions.filter(({ expected, predicted }) => expected !== predicted);
+            if (misses.length > 0 && this.verbose) {
+                lines.push('');
+                lines.push('Misclassified:');
+                for (const miss of misses) {
+                    lines.push(`   line ${miss.line}: expected ${miss.expected}, got ${miss.predicted} - "${miss.request}"`);
+                }
+            }
+        }
+
+        return lines.join('\n');
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function abbreviate(label) {
+    return label.length > 5 ? label.slice(0, 5) : label;
+}
+
+// Right-aligned text table with a left-aligned first column
+function table(header, rows) {
+    const cells = [header, ...rows].map(row => row.map(String));
+    const widths = header.map((_, i) => Math.max(...cells.map(row => row[i].length)));
+    const format = row => row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+    return [format(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(format)].join('\n');
+}
+
+module.exports = PersonaEvaluation;
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+    };
+
+    const system = option('--system', 'all');
+    const jsonPath = option('--json', null);
+    const threshold = Number(option('--threshold', DEFAULT_THRESHOLD));
+
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+        console.error('❌ --threshold must be a number between 0 and 1');
+        process.exit(2);
+    }
+
+    const evaluation = new PersonaEvaluation({
+        corpusPath: option('--corpus', null) ? path.resolve(option('--corpus')) : undefined,
+        threshold,
+        verbose: args.includes('--verbose')
+    });
+
+    evaluation.run(system === 'all' ? ['engine', 'src'] : [system])
+        .then(report => {
+            console.log(evaluation.formatReport(report));
+            if (jsonPath) {
+                fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+                console.log(`\n📄 Report written to ${jsonPath}`);
+            }
+            // src modules keep timers alive; exit explicitly with the verdict
+            process.exit(report.passed ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('❌ Evaluation failed:', error.message);
+            process.exit(2);
+        });
+}